@@ -1,12 +1,35 @@
 const functions = require('firebase-functions');
 
 const api = require('./src/api');
+const EmailOutboxWorker = require('./src/services/shared/email/emailOutboxWorker');
+const BookingReminderJob = require('./src/services/booking/bookingReminderJob');
+const DailyReportJob = require('./src/services/dailyReportJob');
 
 const runtimeOpts = {
   timeoutSeconds: 60,
   memory: '1GB',
 };
 
+// Cloud Functions can't keep WebSocket connections open, so
+// GraphQL subscriptions are only served by server.js.
 exports.api = functions
   .runWith(runtimeOpts)
   .https.onRequest(api);
+
+// Publish to this topic on a schedule (e.g. with Cloud Scheduler)
+// to deliver and retry the pending emails of the outbox.
+exports.emailOutbox = functions.pubsub
+  .topic('email-outbox')
+  .onPublish(() => EmailOutboxWorker.run());
+
+// Publish to this topic every hour. The reminders are only
+// sent during the hour configured in the settings.
+exports.bookingReminders = functions.pubsub
+  .topic('booking-reminders')
+  .onPublish(() => BookingReminderJob.run());
+
+// Publish to this topic every hour. The daily reports are only
+// sent during the hour configured in the settings.
+exports.dailyReports = functions.pubsub
+  .topic('daily-reports')
+  .onPublish(() => DailyReportJob.run());
@@ -0,0 +1,22 @@
+const admin = require('firebase-admin');
+
+/**
+ * Points firebase-admin at the Firestore emulator
+ * set at FIRESTORE_EMULATOR_HOST.
+ */
+module.exports = function initEmulator() {
+  const [
+    servicePath,
+    port,
+  ] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+
+  admin.initializeApp({
+    projectId: process.env.GCLOUD_PROJECT || 'demo',
+  });
+
+  admin.firestore().settings({
+    servicePath,
+    port: Number(port),
+    sslCreds: require('grpc').credentials.createInsecure(),
+  });
+};
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const collections = require('../src/database/indexes');
+
+/**
+ * Generates the composite indexes the FirebaseQuery lists need into
+ * firestore.indexes.json and points firebase.json at it, deploy them with:
+ * firebase deploy --only firestore:indexes
+ *
+ * Firestore merges the (equality, order) pairs when a query filters by
+ * several columns, so one index per pair is enough.
+ */
+const ROOT = path.resolve(__dirname, '../..');
+const INDEXES_FILE = 'firestore.indexes.json';
+
+function fieldPath(column) {
+  return column === 'id' ? '__name__' : column;
+}
+
+function indexesOf(collectionGroup) {
+  const {
+    equal = [],
+    arrayContains = [],
+    orderBy = [],
+  } = collections[collectionGroup];
+
+  const indexes = [];
+
+  orderBy.forEach((column) => {
+    ['ASCENDING', 'DESCENDING'].forEach((order) => {
+      // Single field indexes already end with the ascending document id
+      if (column === 'id' && order === 'ASCENDING') {
+        return;
+      }
+
+      const ordered = {
+        fieldPath: fieldPath(column),
+        order,
+      };
+
+      const filters = [
+        ...equal
+          .filter((item) => item !== column)
+          .map((item) => ({
+            fieldPath: item,
+            order: 'ASCENDING',
+          })),
+        ...arrayContains.map((item) => ({
+          fieldPath: item,
+          arrayConfig: 'CONTAINS',
+        })),
+      ];
+
+      filters.forEach((filter) => {
+        indexes.push({
+          collectionGroup,
+          queryScope: 'COLLECTION',
+          fields: [filter, ordered],
+        });
+      });
+    });
+  });
+
+  return indexes;
+}
+
+function writeIndexes() {
+  const indexes = Object.keys(collections).reduce(
+    (result, collectionGroup) => [
+      ...result,
+      ...indexesOf(collectionGroup),
+    ],
+    [],
+  );
+
+  fs.writeFileSync(
+    path.join(ROOT, INDEXES_FILE),
+    `${JSON.stringify(
+      { indexes, fieldOverrides: [] },
+      null,
+      2,
+    )}\n`,
+  );
+
+  return indexes.length;
+}
+
+function linkIndexes() {
+  const file = path.join(ROOT, 'firebase.json');
+  const firebase = JSON.parse(
+    fs.readFileSync(file, 'utf8'),
+  );
+
+  if (
+    firebase.firestore &&
+    firebase.firestore.indexes === INDEXES_FILE
+  ) {
+    return;
+  }
+
+  firebase.firestore = {
+    ...firebase.firestore,
+    indexes: INDEXES_FILE,
+  };
+
+  fs.writeFileSync(
+    file,
+    `${JSON.stringify(firebase, null, 2)}\n`,
+  );
+}
+
+const count = writeIndexes();
+linkIndexes();
+
+console.log(`Wrote ${count} indexes to ${INDEXES_FILE}`);
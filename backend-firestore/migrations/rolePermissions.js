@@ -0,0 +1,93 @@
+const admin = require('firebase-admin');
+const AuthService = require('../src/auth/authService');
+const Roles = require('../src/security/roles');
+const Permissions = require('../src/security/permissions');
+const initEmulator = require('./emulator');
+
+/**
+ * Updates the permissions of the stored built-in roles after
+ * checks moved from role names to permissions, e.g.:
+ * npm run db:role-permissions:localhost
+ *
+ * Safe to run more than once.
+ * Set FIRESTORE_EMULATOR_HOST to use the Firestore emulator instead.
+ */
+
+const permissions = Permissions.values;
+
+const CHANGES = {
+  // The employee role used to read every child and booking and to
+  // change booking statuses by its name
+  [Roles.values.employee]: {
+    grant: [
+      permissions.childReadAll,
+      permissions.bookingReadAll,
+      permissions.bookingManageStatus,
+    ],
+  },
+  // Parents only read the medical profile of their own children
+  [Roles.values.childOwner]: {
+    revoke: [permissions.childMedicalRead],
+  },
+};
+
+async function init() {
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    return initEmulator();
+  }
+
+  return AuthService.init();
+}
+
+function idsOf(list) {
+  return (list || []).map((permission) => permission.id);
+}
+
+// Roles not stored yet get their permissions when seeded
+async function update(role, { grant, revoke }) {
+  const ref = admin.firestore().doc(`role/${role}`);
+
+  if (!(await ref.get()).exists) {
+    return;
+  }
+
+  if (grant) {
+    await ref.update({
+      permissions: admin.firestore.FieldValue.arrayUnion(
+        ...idsOf(grant),
+      ),
+    });
+  }
+
+  if (revoke) {
+    await ref.update({
+      permissions: admin.firestore.FieldValue.arrayRemove(
+        ...idsOf(revoke),
+      ),
+    });
+  }
+}
+
+async function run() {
+  await init();
+
+  for (const role of Object.keys(CHANGES)) {
+    await update(role, CHANGES[role]);
+  }
+}
+
+console.log(
+  `Updating the role permissions at ${
+    process.env.MIGRATION_ENV
+  }...`,
+);
+
+run()
+  .then(() => {
+    console.log('OK');
+    process.exit();
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
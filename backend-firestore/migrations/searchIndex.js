@@ -0,0 +1,79 @@
+const admin = require('firebase-admin');
+const AuthService = require('../src/auth/authService');
+const AbstractRepository = require('../src/database/repositories/abstractRepository');
+const SearchTokens = require('../src/database/utils/searchTokens');
+const initEmulator = require('./emulator');
+
+/**
+ * Prepares existing data for the global search, e.g.:
+ * npm run db:search-index:localhost
+ *
+ * Writes the search tokens of the documents saved before the
+ * search existed. Safe to run more than once.
+ * Set FIRESTORE_EMULATOR_HOST to use the Firestore emulator instead.
+ */
+
+// Firestore accepts up to 500 writes per batch
+const BATCH_SIZE = 400;
+
+async function indexCollection(collectionName) {
+  const collection = await admin
+    .firestore()
+    .collection(collectionName)
+    .get();
+
+  let batch = admin.firestore().batch();
+  let size = 0;
+
+  for (const doc of collection.docs) {
+    batch.update(doc.ref, {
+      searchTokens: SearchTokens.ofDocument(
+        collectionName,
+        AbstractRepository.mapDocument(doc),
+      ),
+    });
+
+    if (++size === BATCH_SIZE) {
+      await batch.commit();
+      batch = admin.firestore().batch();
+      size = 0;
+    }
+  }
+
+  if (size) {
+    await batch.commit();
+  }
+
+  return collection.size;
+}
+
+async function init() {
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    return initEmulator();
+  }
+
+  return AuthService.init();
+}
+
+async function run() {
+  await init();
+
+  for (const collectionName of SearchTokens.COLLECTIONS) {
+    const count = await indexCollection(collectionName);
+    console.log(`${collectionName}: ${count}`);
+  }
+}
+
+console.log(
+  `Indexing ${process.env.MIGRATION_ENV} for the search...`,
+);
+
+run()
+  .then(() => {
+    console.log('OK');
+    process.exit();
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
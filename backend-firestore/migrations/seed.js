@@ -0,0 +1,76 @@
+const Seeder = require('../src/__fixtures__/seed/seeder');
+const AuthService = require('../src/auth/authService');
+const initEmulator = require('./emulator');
+const {
+  DEFAULT_OPTIONS,
+} = require('../src/__fixtures__/seed/seedData');
+
+/**
+ * Fills the database with demo data, e.g.:
+ * npm run db:seed:localhost -- --owners=20 --months=12 --password=secret
+ *
+ * With --password the users are also created at Firebase Authentication,
+ * otherwise they sign up with the seeded emails.
+ * Set FIRESTORE_EMULATOR_HOST to seed the Firestore emulator instead.
+ */
+function parseOptions(args) {
+  return args.reduce((options, arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+
+    if (
+      !Object.keys(DEFAULT_OPTIONS).includes(key) &&
+      key !== 'password'
+    ) {
+      throw new Error(`Unknown option ${key}`);
+    }
+
+    options[key] =
+      typeof DEFAULT_OPTIONS[key] === 'number'
+        ? Number(value)
+        : value;
+
+    return options;
+  }, {});
+}
+
+async function init(options) {
+  if (!process.env.FIRESTORE_EMULATOR_HOST) {
+    return AuthService.init();
+  }
+
+  if (options.password) {
+    throw new Error(
+      'The emulator has no authentication, remove --password',
+    );
+  }
+
+  initEmulator();
+}
+
+async function seed() {
+  const options = parseOptions(process.argv.slice(2));
+
+  await init(options);
+
+  const counts = await new Seeder(options).run();
+
+  console.log(
+    `Created ${counts.locations} locations, ${
+      counts.users
+    } users, ${counts.children} children and ${
+      counts.bookings
+    } bookings`,
+  );
+}
+
+console.log(`Seeding ${process.env.MIGRATION_ENV}...`);
+
+seed()
+  .then(() => {
+    console.log('OK');
+    process.exit();
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
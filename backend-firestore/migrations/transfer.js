@@ -0,0 +1,96 @@
+const AuthService = require('../src/auth/authService');
+const initEmulator = require('./emulator');
+const Archive = require('../../transfer/archive');
+const TransferDiff = require('../../transfer/transferDiff');
+const FirestoreStore = require('./transfer/firestoreStore');
+
+/**
+ * Moves data between the SQL and Firestore backends through a
+ * backend neutral archive, e.g.:
+ * npm run db:export:localhost -- ./archive
+ * npm run db:import:localhost -- ./archive --dry-run
+ *
+ * Import creates or replaces records by id and keeps the
+ * records that only exist at the target.
+ * Set FIRESTORE_EMULATOR_HOST to use the Firestore emulator instead.
+ */
+const commands = {
+  async export(store, dir) {
+    const records = await store.exportAll();
+    const manifest = Archive.write(
+      dir,
+      store.name,
+      records,
+    );
+
+    Object.keys(manifest.counts).forEach((entity) => {
+      console.log(`${entity}: ${manifest.counts[entity]}`);
+    });
+  },
+
+  async import(store, dir, flags) {
+    const { manifest, records } = Archive.read(dir);
+
+    console.log(
+      `Archive from ${manifest.source} exported at ${
+        manifest.exportedAt
+      }`,
+    );
+
+    const prepared = store.prepare(records);
+
+    console.log(
+      TransferDiff.format(
+        TransferDiff.compare(
+          prepared.records,
+          await store.exportAll(),
+        ),
+      ),
+    );
+
+    prepared.notes.forEach((note) => console.log(note));
+
+    if (flags.includes('--dry-run')) {
+      console.log('Dry run, nothing was imported');
+      return;
+    }
+
+    await store.importAll(prepared.records);
+  },
+};
+
+async function init() {
+  if (process.env.FIRESTORE_EMULATOR_HOST) {
+    return initEmulator();
+  }
+
+  return AuthService.init();
+}
+
+const [command, dir, ...flags] = process.argv.slice(2);
+
+if (!commands[command] || !dir) {
+  console.error(
+    `Usage: transfer <${Object.keys(commands).join(
+      '|',
+    )}> <dir> [--dry-run]`,
+  );
+  process.exit(1);
+}
+
+console.log(
+  `Running ${command} on ${process.env.MIGRATION_ENV}...`,
+);
+
+init()
+  .then(() =>
+    commands[command](new FirestoreStore(), dir, flags),
+  )
+  .then(() => {
+    console.log('OK');
+    process.exit();
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,177 @@
+const admin = require('firebase-admin');
+const lodash = require('lodash');
+const AbstractRepository = require('../../src/database/repositories/abstractRepository');
+const EmailTemplateRepository = require('../../src/database/repositories/emailTemplateRepository');
+const SettingsRepository = require('../../src/database/repositories/settingsRepository');
+const SearchTokens = require('../../src/database/utils/searchTokens');
+const Archive = require('../../../transfer/archive');
+
+const COLLECTIONS = {
+  role: 'role',
+  location: 'location',
+  user: 'user',
+  child: 'child',
+  booking: 'booking',
+  payment: 'payment',
+  invoice: 'invoice',
+  attendance: 'attendance',
+  bookingStatusHistory: 'bookingStatusHistory',
+  dailyReportEntry: 'dailyReportEntry',
+  notification: 'notification',
+  settings: 'settings',
+  emailTemplate: 'emailTemplate',
+  outboxEmail: 'outboxEmail',
+  staffDigest: 'staffDigest',
+  auditLog: 'auditLogs',
+};
+
+// Firestore accepts up to 500 writes per batch
+const BATCH_SIZE = 400;
+
+module.exports = class FirestoreStore {
+  get name() {
+    return 'firestore';
+  }
+
+  /**
+   * Fails on collections the archive doesn't know, so a transfer
+   * never silently leaves data behind.
+   */
+  async _validateCollectionsArchived() {
+    const archived = Object.values(COLLECTIONS);
+
+    const unsupported = (await admin
+      .firestore()
+      .listCollections())
+      .map((collection) => collection.id)
+      .filter((id) => !archived.includes(id));
+
+    if (unsupported.length) {
+      throw new Error(
+        `The archive doesn't support the ${unsupported.join(
+          ', ',
+        )} collections`,
+      );
+    }
+  }
+
+  async exportAll() {
+    await this._validateCollectionsArchived();
+
+    const records = {};
+
+    for (const entity of Archive.ENTITIES) {
+      const collection = await admin
+        .firestore()
+        .collection(COLLECTIONS[entity])
+        .get();
+
+      records[entity] = lodash
+        .sortBy(
+          AbstractRepository.mapCollection(collection),
+          'id',
+        )
+        .map((record) =>
+          Archive.normalize(
+            entity,
+            entity === 'settings'
+              ? SettingsRepository.withCapacities(record)
+              : record,
+          ),
+        );
+    }
+
+    return records;
+  }
+
+  // Email templates are stored by template and language
+  prepare(records) {
+    const templateIds = {};
+
+    const emailTemplate = records.emailTemplate.map(
+      (record) => {
+        const id = EmailTemplateRepository.documentId(
+          record.template,
+          record.language,
+        );
+
+        templateIds[record.id] = id;
+        return { ...record, id };
+      },
+    );
+
+    const auditLog = records.auditLog.map((record) =>
+      record.entityName === 'emailTemplate' &&
+      templateIds[record.entityId]
+        ? {
+            ...record,
+            entityId: templateIds[record.entityId],
+          }
+        : record,
+    );
+
+    return {
+      records: { ...records, emailTemplate, auditLog },
+      notes: [],
+    };
+  }
+
+  /**
+   * Documents are replaced as a whole. The bookings of a child are
+   * rebuilt from the imported bookings, the search tokens from
+   * the searched fields.
+   */
+  async importAll(records) {
+    await this._validateCollectionsArchived();
+
+    const bookingsByChild = lodash.groupBy(
+      records.booking,
+      'child',
+    );
+
+    let batch = admin.firestore().batch();
+    let size = 0;
+
+    for (const entity of Archive.ENTITIES) {
+      for (const record of records[entity]) {
+        const collectionName = COLLECTIONS[entity];
+
+        const data =
+          entity === 'child'
+            ? {
+                ...record,
+                bookings: (
+                  bookingsByChild[record.id] || []
+                ).map((booking) => booking.id),
+              }
+            : { ...record };
+
+        if (
+          SearchTokens.COLLECTIONS.includes(collectionName)
+        ) {
+          data.searchTokens = SearchTokens.ofDocument(
+            collectionName,
+            data,
+          );
+        }
+
+        batch.set(
+          admin
+            .firestore()
+            .doc(`${collectionName}/${record.id}`),
+          data,
+        );
+
+        if (++size === BATCH_SIZE) {
+          await batch.commit();
+          batch = admin.firestore().batch();
+          size = 0;
+        }
+      }
+    }
+
+    if (size) {
+      await batch.commit();
+    }
+  }
+};
@@ -1,7 +1,18 @@
+const http = require('http');
 const api = require('./src/api');
+const subscriptionServer = require('./src/api/subscriptionServer');
+const EmailOutboxWorker = require('./src/services/shared/email/emailOutboxWorker');
+const BookingReminderJob = require('./src/services/booking/bookingReminderJob');
+const DailyReportJob = require('./src/services/dailyReportJob');
 
 const PORT = process.env.PORT || 8080;
 
-api.listen(PORT, () => {
+const server = http.createServer(api);
+subscriptionServer(server);
+
+server.listen(PORT, () => {
   console.log(`Listening on port ${PORT}`);
+  EmailOutboxWorker.start();
+  BookingReminderJob.start();
+  DailyReportJob.start();
 });
@@ -0,0 +1,282 @@
+const moment = require('moment');
+const bookingStatus = require('../../enumerators/bookingStatus');
+const paymentMethod = require('../../enumerators/paymentMethod');
+const Roles = require('../../security/roles');
+
+const DEFAULT_OPTIONS = {
+  locations: 2,
+  managers: 1,
+  employees: 3,
+  owners: 10,
+  childrenPerOwner: 2,
+  bookingsPerChild: 4,
+  months: 6,
+  dailyFee: 40,
+  capacity: 10,
+  domain: 'demo.test',
+  managerEmail: null,
+  randomSeed: 1,
+};
+
+const FIRST_NAMES = [
+  'Olivia',
+  'Liam',
+  'Emma',
+  'Noah',
+  'Ava',
+  'Lucas',
+  'Sophia',
+  'Mateo',
+  'Isabella',
+  'Ethan',
+  'Mia',
+  'James',
+  'Amelia',
+  'Gabriel',
+  'Laura',
+  'Rafael',
+];
+
+const LAST_NAMES = [
+  'Smith',
+  'Silva',
+  'Johnson',
+  'Santos',
+  'Brown',
+  'Oliveira',
+  'Miller',
+  'Souza',
+  'Davis',
+  'Costa',
+  'Wilson',
+  'Pereira',
+];
+
+const CHILD_NAMES = {
+  boy: [
+    'Leo',
+    'Theo',
+    'Miguel',
+    'Arthur',
+    'Oliver',
+    'Davi',
+  ],
+  girl: [
+    'Alice',
+    'Helena',
+    'Lily',
+    'Valentina',
+    'Zoe',
+    'Clara',
+  ],
+};
+
+const LOCATION_NAMES = [
+  'Downtown',
+  'Riverside',
+  'Hillside',
+  'Lakeside',
+];
+
+const CLIENT_NOTES = [
+  null,
+  'Please bring the blue blanket for nap time.',
+  'Grandma will pick up on Friday.',
+  'Loves drawing, a bit shy on the first day.',
+];
+
+// Deterministic so the same options always build the same dataset
+function randomGenerator(seed) {
+  let state = seed;
+
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function statusFor(arrival, departure, now, random) {
+  if (departure.isBefore(now)) {
+    return random() < 0.15
+      ? bookingStatus.CANCELLED
+      : bookingStatus.COMPLETED;
+  }
+
+  if (arrival.isSameOrBefore(now)) {
+    return bookingStatus.PROGRESS;
+  }
+
+  const value = random();
+
+  if (value < 0.15) {
+    return bookingStatus.WAITLISTED;
+  }
+
+  if (value < 0.3) {
+    return bookingStatus.CANCELLED;
+  }
+
+  return bookingStatus.BOOKED;
+}
+
+/**
+ * Builds the demo dataset: locations, staff, owners with their
+ * children and bookings spread from `months` ago to two months
+ * ahead. The children of each owner stay at the same location.
+ * Records point to each other by `ref`, the seeder swaps
+ * them for the database ids.
+ */
+module.exports = function seedData(overrides, now) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const random = randomGenerator(options.randomSeed);
+  const pick = (items) =>
+    items[Math.floor(random() * items.length)];
+  const today = moment(now).startOf('day');
+
+  const locations = [];
+
+  for (
+    let i = 1;
+    i <= Math.max(options.locations, 1);
+    i++
+  ) {
+    locations.push({
+      ref: `location${i}`,
+      name: LOCATION_NAMES[i - 1] || `Location ${i}`,
+      address: `${100 * i} Main Street`,
+    });
+  }
+
+  const users = [];
+
+  const addUsers = (role, count) => {
+    for (let i = 1; i <= count; i++) {
+      const firstName = pick(FIRST_NAMES);
+      const lastName = pick(LAST_NAMES);
+
+      users.push({
+        ref: `${role}${i}`,
+        email:
+          role === Roles.values.manager &&
+          i === 1 &&
+          options.managerEmail
+            ? options.managerEmail
+            : `${role}${i}@${options.domain}`,
+        firstName,
+        lastName,
+        phoneNumber: `5511${Math.floor(
+          900000000 + random() * 99999999,
+        )}`,
+        roles: [role],
+      });
+    }
+  };
+
+  addUsers(
+    Roles.values.manager,
+    Math.max(options.managers, 1),
+  );
+  addUsers(Roles.values.employee, options.employees);
+  addUsers(Roles.values.childOwner, options.owners);
+
+  const children = [];
+
+  users
+    .filter((user) =>
+      user.roles.includes(Roles.values.childOwner),
+    )
+    .forEach((owner, ownerIndex) => {
+      const location =
+        locations[ownerIndex % locations.length];
+
+      for (let i = 1; i <= options.childrenPerOwner; i++) {
+        const type = random() < 0.5 ? 'boy' : 'girl';
+
+        children.push({
+          ref: `${owner.ref}-child${i}`,
+          ownerRef: owner.ref,
+          locationRef: location.ref,
+          name: `${pick(CHILD_NAMES[type])} ${
+            owner.lastName
+          }`,
+          type,
+          birthdate: today
+            .clone()
+            .subtract(1 + Math.floor(random() * 9), 'years')
+            .subtract(Math.floor(random() * 365), 'days')
+            .format('YYYY-MM-DD'),
+          allergies: random() < 0.2 ? 'Peanuts' : null,
+        });
+      }
+    });
+
+  const firstDay = today
+    .clone()
+    .subtract(options.months, 'months');
+  const totalDays = today.diff(firstDay, 'days') + 60;
+
+  const bookings = [];
+
+  children.forEach((child, childIndex) => {
+    for (let i = 0; i < options.bookingsPerChild; i++) {
+      // The first child is always at the hotel today
+      const arrival =
+        childIndex === 0 && i === 0
+          ? today.clone().subtract(1, 'days')
+          : firstDay
+              .clone()
+              .add(
+                Math.floor(random() * totalDays),
+                'days',
+              );
+
+      const departure = arrival
+        .clone()
+        .add(1 + Math.floor(random() * 5), 'days');
+
+      arrival.hour(8);
+      departure.hour(18);
+
+      const status = statusFor(
+        arrival,
+        departure,
+        moment(now),
+        random,
+      );
+
+      bookings.push({
+        ownerRef: child.ownerRef,
+        childRef: child.ref,
+        locationRef: child.locationRef,
+        arrival: arrival.toDate(),
+        departure: departure.toDate(),
+        status,
+        clientNotes: pick(CLIENT_NOTES),
+        cancellationNotes:
+          status === bookingStatus.CANCELLED
+            ? 'Plans changed'
+            : null,
+        paymentMethod:
+          status === bookingStatus.COMPLETED
+            ? pick(Object.values(paymentMethod))
+            : null,
+      });
+    }
+  });
+
+  return {
+    options,
+    settings: {
+      dailyFee: options.dailyFee,
+      capacityToddler: options.capacity,
+      capacityPreschooler: options.capacity,
+      capacitySchoolAged: options.capacity,
+    },
+    locations,
+    users,
+    children,
+    bookings,
+  };
+};
+
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
@@ -0,0 +1,207 @@
+const UserRepository = require('../../database/repositories/userRepository');
+const ChildRepository = require('../../database/repositories/childRepository');
+const BookingRepository = require('../../database/repositories/bookingRepository');
+const PaymentRepository = require('../../database/repositories/paymentRepository');
+const LocationRepository = require('../../database/repositories/locationRepository');
+const SettingsService = require('../../services/settingsService');
+const BookingFeeCalculator = require('../../services/booking/bookingFeeCalculator');
+const ChildAgeGroupCalculator = require('../../services/childAgeGroupCalculator');
+const AuthService = require('../../auth/authService');
+const bookingStatus = require('../../enumerators/bookingStatus');
+const seedData = require('./seedData');
+
+module.exports = class Seeder {
+  constructor(options) {
+    this.data = seedData(options);
+    this.password = options && options.password;
+    this.ids = {};
+    this.currentUser = null;
+  }
+
+  async run() {
+    await this._validateNotSeeded();
+
+    await this._seedUsers();
+
+    const options = {
+      currentUser: this.currentUser,
+    };
+
+    await SettingsService.save(
+      this.data.settings,
+      this.currentUser,
+    );
+
+    await this._seedLocations(options);
+    await this._seedChildren(options);
+    await this._seedBookings(options);
+
+    return {
+      locations: this.data.locations.length,
+      users: this.data.users.length,
+      children: this.data.children.length,
+      bookings: this.data.bookings.length,
+    };
+  }
+
+  // The manager may sign in with an account that already exists
+  async _validateNotSeeded() {
+    const { users, options } = this.data;
+
+    for (const user of users) {
+      if (
+        user.email !== options.managerEmail &&
+        (await UserRepository.findByEmailWithoutAvatar(
+          user.email,
+        ))
+      ) {
+        throw new Error(
+          'The database is already seeded, reset it first',
+        );
+      }
+    }
+  }
+
+  async _seedUsers() {
+    for (const user of this.data.users) {
+      const existing = await UserRepository.findByEmailWithoutAvatar(
+        user.email,
+      );
+
+      const record =
+        existing ||
+        (await UserRepository.create(
+          {
+            ...user,
+            authenticationUid: await this._authenticationUid(
+              user,
+            ),
+          },
+          { currentUser: this.currentUser },
+        ));
+
+      this.ids[user.ref] = record.id;
+
+      if (!this.currentUser) {
+        this.currentUser = record;
+      }
+    }
+  }
+
+  // Without a password the users sign up with the seeded emails
+  async _authenticationUid(user) {
+    if (!this.password) {
+      return null;
+    }
+
+    try {
+      return (await AuthService.getUserByEmail(user.email))
+        .uid;
+    } catch (error) {
+      const authUser = await AuthService.createUser({
+        email: user.email,
+        password: this.password,
+        displayName: user.firstName,
+        emailVerified: true,
+      });
+
+      return authUser.uid;
+    }
+  }
+
+  // Each location starts with a copy of the seeded settings
+  async _seedLocations(options) {
+    const repository = new LocationRepository();
+
+    for (const location of this.data.locations) {
+      const record = await repository.create(
+        location,
+        options,
+      );
+
+      this.ids[location.ref] = record.id;
+
+      await SettingsService.findOrCreateDefault(
+        this.currentUser,
+        record.id,
+      );
+    }
+  }
+
+  async _seedChildren(options) {
+    const repository = new ChildRepository();
+
+    for (const child of this.data.children) {
+      const record = await repository.create(
+        {
+          ...child,
+          size: ChildAgeGroupCalculator.ageGroup(child),
+          owner: this.ids[child.ownerRef],
+          location: this.ids[child.locationRef],
+        },
+        options,
+      );
+
+      this.ids[child.ref] = record.id;
+    }
+  }
+
+  async _seedBookings(options) {
+    const repository = new BookingRepository();
+    const { settings, children } = this.data;
+
+    for (const booking of this.data.bookings) {
+      const child = children.find(
+        (item) => item.ref === booking.childRef,
+      );
+
+      const siblingCount = children.filter(
+        (item) => item.ownerRef === booking.ownerRef,
+      ).length;
+
+      const feeBreakdown = BookingFeeCalculator.breakdown(
+        booking.arrival,
+        booking.departure,
+        settings.dailyFee,
+        [],
+        { siblingCount },
+      );
+
+      const fee = BookingFeeCalculator.total(feeBreakdown);
+      const amountPaid = booking.paymentMethod ? fee : 0;
+
+      const record = await repository.create(
+        {
+          ...booking,
+          owner: this.ids[booking.ownerRef],
+          child: this.ids[booking.childRef],
+          location: this.ids[booking.locationRef],
+          ageGroup: ChildAgeGroupCalculator.ageGroup(
+            child,
+            booking.arrival,
+          ),
+          feeBreakdown,
+          fee,
+          amountPaid,
+          balance: BookingFeeCalculator.balance(
+            fee,
+            amountPaid,
+          ),
+        },
+        options,
+      );
+
+      if (booking.status === bookingStatus.COMPLETED) {
+        await PaymentRepository.create(
+          record.id,
+          {
+            amount: amountPaid,
+            method: booking.paymentMethod,
+            paidAt: booking.departure,
+          },
+          options,
+        );
+      }
+    }
+  }
+};
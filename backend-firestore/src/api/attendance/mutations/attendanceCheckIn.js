@@ -0,0 +1,24 @@
+const AttendanceService = require('../../../services/attendanceService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  attendanceCheckIn(bookingId: String!, data: AttendanceCheckInInput!): Attendance!
+`;
+
+const resolver = {
+  attendanceCheckIn: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.attendanceCheckIn,
+    );
+
+    return new AttendanceService(context).checkIn(
+      args.bookingId,
+      args.data,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,24 @@
+const AttendanceService = require('../../../services/attendanceService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  attendanceCheckOut(bookingId: String!, data: AttendanceCheckOutInput!): Attendance!
+`;
+
+const resolver = {
+  attendanceCheckOut: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.attendanceCheckOut,
+    );
+
+    return new AttendanceService(context).checkOut(
+      args.bookingId,
+      args.data,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,17 @@
+const schema = `
+  type Attendance {
+    id: String!
+    checkInAt: DateTime!
+    checkOutAt: DateTime
+    droppedOffBy: String!
+    pickedUpBy: String
+    notes: String
+    createdAt: DateTime
+    updatedAt: DateTime
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,11 @@
+const schema = `
+  input AttendanceCheckOutInput {
+    pickedUpBy: String!
+    notes: String
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
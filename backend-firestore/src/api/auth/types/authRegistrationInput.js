@@ -0,0 +1,13 @@
+const schema = `
+  input AuthRegistrationInput {
+    firstName: String!
+    lastName: String
+    phoneNumber: String
+    children: [ChildInput!]!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
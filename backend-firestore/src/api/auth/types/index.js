@@ -1,7 +1,9 @@
 module.exports = [
   require('./user'),
   require('./userWithRoles'),
+  require('./userLocationRole'),
   require('./userWithRolesOrderByEnum'),
   require('./userWithRolesPage'),
   require('./userProfileInput'),
+  require('./authRegistrationInput'),
 ];
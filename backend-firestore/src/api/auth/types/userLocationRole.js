@@ -0,0 +1,11 @@
+const schema = `
+  type UserLocationRole {
+    location: String!
+    role: String!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -9,7 +9,10 @@ const schema = `
     avatars: [File!]
     authenticationUid: String
     roles: [String!]!
+    locationRoles: [UserLocationRole!]
+    permissions: [String!]
     disabled: Boolean
+    approvalPending: Boolean
     createdAt: DateTime
     updatedAt: DateTime   
   }
@@ -0,0 +1,24 @@
+const BookingService = require('../../../services/booking/bookingService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  bookingCancel(id: String!, cancellationNotes: String): Booking!
+`;
+
+const resolver = {
+  bookingCancel: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.bookingEdit,
+    );
+
+    return new BookingService(context).cancel(
+      args.id,
+      args.cancellationNotes,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
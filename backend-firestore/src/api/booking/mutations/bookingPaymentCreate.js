@@ -0,0 +1,24 @@
+const BookingPaymentService = require('../../../services/booking/bookingPaymentService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  bookingPaymentCreate(bookingId: String!, data: BookingPaymentInput!): Booking!
+`;
+
+const resolver = {
+  bookingPaymentCreate: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.bookingPaymentEdit,
+    );
+
+    return new BookingPaymentService(context).create(
+      args.bookingId,
+      args.data,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,26 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+const BookingService = require('../../../services/booking/bookingService');
+
+const schema = `
+  bookingFeeBreakdown(arrival: DateTime!, departure: DateTime!, owner: String, child: String): [BookingFeeItem!]!
+`;
+
+const resolver = {
+  bookingFeeBreakdown: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.bookingRead,
+    );
+
+    return new BookingService(context).findFeeBreakdown(
+      args.arrival,
+      args.departure,
+      args.owner,
+      args.child,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
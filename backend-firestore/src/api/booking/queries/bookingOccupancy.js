@@ -0,0 +1,24 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+const BookingService = require('../../../services/booking/bookingService');
+
+const schema = `
+  bookingOccupancy(start: DateTime!, end: DateTime!): [BookingOccupancyDay!]!
+`;
+
+const resolver = {
+  bookingOccupancy: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.bookingRead,
+    );
+
+    return new BookingService(context).findOccupancy(
+      args.start,
+      args.end,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,49 @@
+const { withFilter } = require('graphql-subscriptions');
+const BookingEvents = require('../../../services/booking/bookingEvents');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  bookingChanged: BookingChangedEvent!
+`;
+
+const resolver = {
+  bookingChanged: {
+    subscribe: withFilter(
+      (root, args, context) => {
+        new PermissionChecker(context).validateHas(
+          permissions.bookingRead,
+        );
+
+        return BookingEvents.bookingChangedIterator();
+      },
+      (payload, args, context) => {
+        if (
+          !BookingEvents.isAtLocation(
+            payload.bookingChanged,
+            context.location,
+          )
+        ) {
+          return false;
+        }
+
+        if (
+          new PermissionChecker(context).has(
+            permissions.bookingReadAll,
+          )
+        ) {
+          return true;
+        }
+
+        return (
+          payload.bookingChanged.ownerId ===
+          context.currentUser.id
+        );
+      },
+    ),
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,4 @@
+module.exports = [
+  require('./bookingChanged'),
+  require('./occupancyChanged'),
+];
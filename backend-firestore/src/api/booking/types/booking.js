@@ -3,6 +3,7 @@ const schema = `
     id: String!
     owner: User
     child: Child
+    location: Location
     arrival: DateTime
     departure: DateTime
     clientNotes: String
@@ -11,7 +12,14 @@ const schema = `
     status: BookingStatusEnum
     cancellationNotes: String
     fee: Float
+    feeBreakdown: [ BookingFeeItem! ]
+    ageGroup: ChildSizeEnum
+    amountPaid: Float
+    balance: Float
+    invoice: BookingInvoice
+    payments: [ BookingPayment! ]
     receipt: [ File! ]
+    statusHistory: [ BookingStatusHistory! ]
     createdAt: DateTime
     updatedAt: DateTime
   }
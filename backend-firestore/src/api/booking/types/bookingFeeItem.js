@@ -0,0 +1,12 @@
+const schema = `
+  type BookingFeeItem {
+    type: String!
+    quantity: Int!
+    amount: Float!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,15 @@
+const paymentMethod = require('../../../enumerators/paymentMethod');
+
+const schema = `
+  enum BookingPaymentMethodEnum {
+    ${paymentMethod.CASH}
+    ${paymentMethod.CARD}
+    ${paymentMethod.BANK_TRANSFER}
+    ${paymentMethod.OTHER}
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
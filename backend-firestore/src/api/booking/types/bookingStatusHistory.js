@@ -0,0 +1,15 @@
+const schema = `
+  type BookingStatusHistory {
+    id: String!
+    fromStatus: BookingStatusEnum
+    toStatus: BookingStatusEnum!
+    timestamp: DateTime!
+    createdById: String
+    createdByEmail: String
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -5,4 +5,14 @@ module.exports = [
   require('./bookingOrderByEnum'),
   require('./bookingPage'),
   require('./bookingEnums'),
+  require('./bookingPeriodAvailability'),
+  require('./bookingOccupancyDay'),
+  require('./bookingStatusHistory'),
+  require('./bookingFeeItem'),
+  require('./bookingInvoice'),
+  require('./bookingPayment'),
+  require('./bookingPaymentInput'),
+  require('./bookingPaymentEnums'),
+  require('./bookingChangedEvent'),
+  require('./occupancyChangedEvent'),
 ];
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const { resolver } = require('./child');
+
+const child = {
+  id: 'child',
+  owner: { id: 'owner' },
+  allergies: 'Peanuts',
+  doctorName: 'Dr. Smith',
+};
+
+function contextOf(id, permissions) {
+  return { currentUser: { id, permissions } };
+}
+
+describe('Child medical profile', () => {
+  it('is read by staff', () => {
+    const context = contextOf('employee', [
+      'childRead',
+      'childMedicalRead',
+    ]);
+
+    assert.strictEqual(
+      resolver.Child.allergies(child, {}, context),
+      'Peanuts',
+    );
+  });
+
+  it('is read by the owner of the child', () => {
+    const context = contextOf('owner', ['childRead']);
+
+    assert.strictEqual(
+      resolver.Child.allergies(child, {}, context),
+      'Peanuts',
+    );
+  });
+
+  it('is read by the owner of a nested child', () => {
+    const context = contextOf('owner', ['childRead']);
+    const nested = { ...child, owner: 'owner' };
+
+    assert.strictEqual(
+      resolver.Child.doctorName(nested, {}, context),
+      'Dr. Smith',
+    );
+  });
+
+  it('is null for another owner', () => {
+    const context = contextOf('another', ['childRead']);
+
+    assert.strictEqual(
+      resolver.Child.allergies(child, {}, context),
+      null,
+    );
+    assert.strictEqual(
+      resolver.Child.doctorName(child, {}, context),
+      null,
+    );
+  });
+});
@@ -0,0 +1,12 @@
+const schema = `
+  type ChildEmergencyContact {
+    name: String
+    relationship: String
+    phone: String
+  }
+  `;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,12 @@
+const schema = `
+  input ChildEmergencyContactInput {
+    name: String!
+    relationship: String
+    phone: String!
+  }
+  `;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
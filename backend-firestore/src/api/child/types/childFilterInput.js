@@ -2,6 +2,7 @@ const schema = `
   input ChildFilterInput {
     id: String
     owner: String
+    location: String
     name: String
     type: ChildTypeEnum
     size: ChildSizeEnum
@@ -1,10 +1,19 @@
 const schema = `
   input ChildInput {
     owner: String!
+    location: String
     name: String!
     type: ChildTypeEnum!
-    size: ChildSizeEnum!
+    birthdate: String
+    size: ChildSizeEnum
     bookings: [ String! ]
+    guardians: [ ChildGuardianInput! ]
+    allergies: String
+    dietaryRestrictions: String
+    medications: [ ChildMedicationInput! ]
+    doctorName: String
+    doctorPhone: String
+    emergencyContacts: [ ChildEmergencyContactInput! ]
   }
   `;
 // breed: String!
@@ -0,0 +1,12 @@
+const schema = `
+  type ChildMedication {
+    name: String
+    dosage: String
+    schedule: String
+  }
+  `;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,24 @@
+const DailyReportEntryService = require('../../../services/dailyReportEntryService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  dailyReportEntryCreate(bookingId: String!, data: DailyReportEntryInput!): DailyReportEntry!
+`;
+
+const resolver = {
+  dailyReportEntryCreate: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.dailyReportEdit,
+    );
+
+    return new DailyReportEntryService(context).create(
+      args.bookingId,
+      args.data,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,23 @@
+const DailyReportEntryService = require('../../../services/dailyReportEntryService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  dailyReportEntryList(bookingId: String!): [DailyReportEntry!]!
+`;
+
+const resolver = {
+  dailyReportEntryList: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.dailyReportRead,
+    );
+
+    return new DailyReportEntryService(
+      context,
+    ).findAllByBooking(args.bookingId);
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,20 @@
+const schema = `
+  type DailyReportEntry {
+    id: String!
+    type: DailyReportEntryTypeEnum!
+    time: DateTime!
+    endTime: DateTime
+    mealAmount: DailyReportMealAmountEnum
+    mood: DailyReportMoodEnum
+    toiletType: DailyReportToiletTypeEnum
+    description: String
+    reportedAt: DateTime
+    createdAt: DateTime
+    updatedAt: DateTime
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,16 @@
+const schema = `
+  input DailyReportEntryInput {
+    type: DailyReportEntryTypeEnum!
+    time: DateTime
+    endTime: DateTime
+    mealAmount: DailyReportMealAmountEnum
+    mood: DailyReportMoodEnum
+    toiletType: DailyReportToiletTypeEnum
+    description: String
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
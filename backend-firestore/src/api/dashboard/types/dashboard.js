@@ -0,0 +1,29 @@
+const schema = `
+  type Dashboard {
+    occupancy: [BookingOccupancyDay!]!
+    revenueByMonth: [DashboardRevenue!]!
+    bookingsByStatus: [DashboardStatusCount!]!
+    cancellationRate: Float!
+    childrenByAgeGroup: [DashboardAgeGroupCount!]!
+  }
+
+  type DashboardRevenue {
+    month: String!
+    revenue: Float!
+  }
+
+  type DashboardStatusCount {
+    status: BookingStatusEnum!
+    count: Int!
+  }
+
+  type DashboardAgeGroupCount {
+    ageGroup: ChildSizeEnum!
+    count: Int!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,24 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const EmailTemplateService = require('../../../services/emailTemplateService');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  emailTemplateReset(template: String!, language: String!): EmailTemplate!
+`;
+
+const resolver = {
+  emailTemplateReset: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.settingsEdit,
+    );
+
+    return new EmailTemplateService(context).reset(
+      args.template,
+      args.language,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,4 @@
+module.exports = [
+  require('./emailTemplateList'),
+  require('./emailTemplatePreview'),
+];
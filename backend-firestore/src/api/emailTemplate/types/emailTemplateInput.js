@@ -0,0 +1,11 @@
+const schema = `
+  input EmailTemplateInput {
+    subject: String!
+    body: String!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,11 @@
+const schema = `
+  type EmailTemplatePreview {
+    subject: String!
+    html: String!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,5 @@
+module.exports = [
+  require('./emailTemplate'),
+  require('./emailTemplateInput'),
+  require('./emailTemplatePreview'),
+];
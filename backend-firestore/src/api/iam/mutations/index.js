@@ -4,4 +4,5 @@ module.exports = [
   require('./iamCreate'),
   require('./iamRemove'),
   require('./iamChangeStatus'),
+  require('./iamApprove'),
 ];
@@ -5,5 +5,6 @@ module.exports = [
   require('./iamListRolesFilterInput'),
   require('./iamCreateInput'),
   require('./iamEditInput'),
+  require('./userLocationRoleInput'),
   require('./iamImportInput'),
 ];
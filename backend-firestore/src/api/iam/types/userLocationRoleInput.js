@@ -0,0 +1,11 @@
+const schema = `
+  input UserLocationRoleInput {
+    location: String!
+    role: String!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
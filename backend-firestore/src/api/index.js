@@ -6,6 +6,7 @@ const schema = require('./schema');
 const config = require('../../config')();
 const authService = require('../auth/authService');
 const authMiddleware = require('../auth/authMiddleware');
+const locationMiddleware = require('./locationMiddleware');
 const {
   init: databaseInit,
   middleware: databaseMiddleware,
@@ -19,6 +20,7 @@ app.use(cors({ origin: true }));
 app.use(
   '/',
   databaseMiddleware,
+  locationMiddleware,
   authMiddleware,
   graphqlHTTP((req) => ({
     schema,
@@ -26,6 +28,7 @@ app.use(
     context: {
       currentUser: req.currentUser,
       language: req.headers['accept-language'] || 'en',
+      location: req.location,
     },
     formatError(error) {
       if (process.env.NODE_ENV !== 'test') {
@@ -0,0 +1,5 @@
+module.exports = [
+  require('./locationCreate'),
+  require('./locationUpdate'),
+  require('./locationDestroy'),
+];
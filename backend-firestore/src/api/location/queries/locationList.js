@@ -0,0 +1,20 @@
+const LocationService = require('../../../services/locationService');
+const ForbiddenError = require('../../../errors/forbiddenError');
+
+const schema = `
+  locationList: [Location!]!
+`;
+
+const resolver = {
+  locationList: async (root, args, context) => {
+    // Any signed in user picks a location in the header
+    if (!context.currentUser || !context.currentUser.id) {
+      throw new ForbiddenError(context.language);
+    }
+
+    return new LocationService(context).findAll();
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
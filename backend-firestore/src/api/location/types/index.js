@@ -0,0 +1,4 @@
+module.exports = [
+  require('./location'),
+  require('./locationInput'),
+];
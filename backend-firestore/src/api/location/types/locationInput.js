@@ -0,0 +1,11 @@
+const schema = `
+  input LocationInput {
+    name: String!
+    address: String
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,13 @@
+const LocationService = require('../services/locationService');
+
+/**
+ * Reads the location selected in the app header.
+ * Without one, the request sees every location.
+ */
+module.exports = async (req, res, next) => {
+  req.location = await LocationService.findSelected(
+    req.headers['x-location'],
+  );
+
+  return next();
+};
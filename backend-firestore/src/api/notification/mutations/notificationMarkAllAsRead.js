@@ -0,0 +1,27 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const NotificationService = require('../../../services/notificationService');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  notificationMarkAllAsRead: Boolean
+`;
+
+const resolver = {
+  notificationMarkAllAsRead: async (
+    root,
+    args,
+    context,
+  ) => {
+    new PermissionChecker(context).validateHas(
+      permissions.notificationRead,
+    );
+
+    await new NotificationService(context).markAllAsRead();
+
+    return true;
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
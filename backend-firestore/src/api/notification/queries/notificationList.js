@@ -0,0 +1,23 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const NotificationService = require('../../../services/notificationService');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  notificationList(limit: Int, offset: Int): NotificationPage!
+`;
+
+const resolver = {
+  notificationList: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.notificationRead,
+    );
+
+    return new NotificationService(context).findAndCountAll(
+      args,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,21 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const NotificationService = require('../../../services/notificationService');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  notificationUnreadCount: Int!
+`;
+
+const resolver = {
+  notificationUnreadCount: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.notificationRead,
+    );
+
+    return new NotificationService(context).countUnread();
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
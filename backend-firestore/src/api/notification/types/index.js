@@ -0,0 +1,5 @@
+module.exports = [
+  require('./notification'),
+  require('./notificationTypeEnum'),
+  require('./notificationPage'),
+];
@@ -0,0 +1,14 @@
+const schema = `
+  type Notification {
+    id: String!
+    type: NotificationTypeEnum!
+    data: JSON
+    readAt: DateTime
+    createdAt: DateTime
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,16 @@
+const notificationType = require('../../../enumerators/notificationType');
+
+const schema = `
+  enum NotificationTypeEnum {
+    ${notificationType.BOOKING_STATUS_CHANGED}
+    ${notificationType.BOOKING_PHOTOS_ADDED}
+    ${notificationType.BOOKING_WAITLIST_PROMOTED}
+    ${notificationType.INVITATION}
+    ${notificationType.ACCOUNT_APPROVED}
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
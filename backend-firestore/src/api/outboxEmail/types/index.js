@@ -0,0 +1,7 @@
+module.exports = [
+  require('./outboxEmail'),
+  require('./outboxEmailStatusEnum'),
+  require('./outboxEmailPage'),
+  require('./outboxEmailListFilterInput'),
+  require('./outboxEmailListOrderByEnum'),
+];
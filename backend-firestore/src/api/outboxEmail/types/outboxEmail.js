@@ -0,0 +1,20 @@
+const schema = `
+  type OutboxEmail {
+    id: String!
+    to: String!
+    subject: String!
+    html: String!
+    status: OutboxEmailStatusEnum!
+    attempts: Int!
+    lastError: String
+    nextAttemptAt: DateTime
+    sentAt: DateTime
+    createdAt: DateTime
+    updatedAt: DateTime
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
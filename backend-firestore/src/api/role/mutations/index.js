@@ -0,0 +1,5 @@
+module.exports = [
+  require('./roleCreate'),
+  require('./roleUpdate'),
+  require('./roleDestroy'),
+];
@@ -0,0 +1,21 @@
+const RoleService = require('../../../services/iam/roleService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  roleCreate(data: RoleInput!): Role!
+`;
+
+const resolver = {
+  roleCreate: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.roleEdit,
+    );
+
+    return new RoleService(context).create(args.data);
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
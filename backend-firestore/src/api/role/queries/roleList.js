@@ -0,0 +1,20 @@
+const RoleService = require('../../../services/iam/roleService');
+const ForbiddenError = require('../../../errors/forbiddenError');
+
+const schema = `
+  roleList: [Role!]!
+`;
+
+const resolver = {
+  roleList: async (root, args, context) => {
+    // Role names are shown wherever user roles are listed
+    if (!context.currentUser || !context.currentUser.id) {
+      throw new ForbiddenError(context.language);
+    }
+
+    return new RoleService(context).findAll();
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,16 @@
+const schema = `
+  type Role {
+    id: String!
+    name: String!
+    permissions: [String!]!
+    builtIn: Boolean!
+    editable: Boolean!
+    createdAt: DateTime
+    updatedAt: DateTime
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
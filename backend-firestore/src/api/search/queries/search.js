@@ -0,0 +1,24 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+const SearchService = require('../../../services/searchService');
+
+const schema = `
+  search(query: String!, limit: Int): [SearchResult!]!
+`;
+
+const resolver = {
+  search: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.search,
+    );
+
+    return new SearchService(context).search(
+      args.query,
+      args.limit,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,4 @@
+module.exports = [
+  require('./searchResult'),
+  require('./searchResultTypeEnum'),
+];
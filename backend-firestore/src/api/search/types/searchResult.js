@@ -0,0 +1,13 @@
+const schema = `
+  type SearchResult {
+    type: SearchResultTypeEnum!
+    id: String!
+    label: String!
+    description: String
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,14 @@
+const searchResultType = require('../../../enumerators/searchResultType');
+
+const schema = `
+  enum SearchResultTypeEnum {
+    ${searchResultType.CHILD}
+    ${searchResultType.OWNER}
+    ${searchResultType.BOOKING}
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
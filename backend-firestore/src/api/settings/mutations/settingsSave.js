@@ -1,4 +1,5 @@
 const SettingsService = require('../../../services/settingsService');
+const BookingService = require('../../../services/booking/bookingService');
 const PermissionChecker = require('../../../services/iam/permissionChecker');
 const permissions = require('../../../security/permissions')
   .values;
@@ -13,7 +14,14 @@ const resolver = {
       permissions.settingsEdit,
     );
 
-    await SettingsService.save(args.settings, context.currentUser);
+    await SettingsService.save(
+      args.settings,
+      context.currentUser,
+      context.location,
+    );
+
+    // A capacity increase may free spots for waitlisted bookings
+    await new BookingService(context).promoteWaitlisted();
 
     return true;
   },
@@ -0,0 +1,15 @@
+const pricingRuleType = require('../../../enumerators/pricingRuleType');
+
+const schema = `
+  enum PricingRuleTypeEnum {
+    ${pricingRuleType.WEEKEND_SURCHARGE}
+    ${pricingRuleType.HOLIDAY}
+    ${pricingRuleType.SIBLING_DISCOUNT}
+    ${pricingRuleType.LONG_STAY_DISCOUNT}
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
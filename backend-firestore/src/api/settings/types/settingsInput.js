@@ -2,7 +2,16 @@ const schema = `
   input SettingsInput {
     theme: String!
     dailyFee: Float!
-    capacity: Int!
+    capacityToddler: Int!
+    capacityPreschooler: Int!
+    capacitySchoolAged: Int!
+    pricingRules: [ PricingRuleInput! ]
+    minimumAge: Int
+    maximumAge: Int
+    arrivalReminderDays: Int
+    reminderHour: Int
+    dailyReportHour: Int
+    selfRegistration: Boolean
   }
 `;
 
@@ -2,10 +2,12 @@ module.exports = function mergeGraphqlResolvers(
   types,
   queries,
   mutations,
+  subscriptions = [],
 ) {
   const resolvers = {
     Query: {},
     Mutation: {},
+    Subscription: {},
   };
 
   types.forEach((type) => {
@@ -27,5 +29,12 @@ module.exports = function mergeGraphqlResolvers(
     });
   });
 
+  subscriptions.forEach((subscription) => {
+    Object.keys(subscription).forEach((subscriptionKey) => {
+      resolvers.Subscription[subscriptionKey] =
+        subscription[subscriptionKey];
+    });
+  });
+
   return resolvers;
 };
@@ -0,0 +1,61 @@
+/**
+ * Columns each collection is filtered by at Firestore (equality or
+ * array membership) and ordered by, as FirebaseQuery sends them.
+ * Run `npm run db:indexes` after changing them to regenerate the
+ * composite indexes at firestore.indexes.json.
+ */
+module.exports = {
+  booking: {
+    equal: ['owner', 'location', 'child', 'status'],
+    orderBy: [
+      'createdAt',
+      'id',
+      'arrival',
+      'departure',
+      'status',
+      'fee',
+      'balance',
+    ],
+  },
+  child: {
+    equal: ['owner', 'location', 'type', 'size'],
+    orderBy: [
+      'createdAt',
+      'name',
+      'type',
+      'birthdate',
+      'size',
+    ],
+  },
+  user: {
+    equal: ['approvalPending', 'disabled'],
+    arrayContains: ['roles'],
+    orderBy: ['createdAt', 'email', 'fullName', 'disabled'],
+  },
+  auditLogs: {
+    equal: ['action', 'entityId'],
+    orderBy: [
+      'timestamp',
+      'createdByEmail',
+      'entityName',
+      'action',
+      'entityId',
+    ],
+  },
+  outboxEmail: {
+    equal: ['status'],
+    orderBy: [
+      'createdAt',
+      'to',
+      'subject',
+      'status',
+      'attempts',
+      'sentAt',
+      'nextAttemptAt',
+    ],
+  },
+  notification: {
+    equal: ['user'],
+    orderBy: ['createdAt'],
+  },
+};
@@ -0,0 +1,16 @@
+const types = require('./types');
+const AbstractEntityModel = require('./abstractEntityModel');
+
+module.exports = class Attendance extends AbstractEntityModel {
+  constructor() {
+    super('attendance', 'attendance', {
+      booking: new types.RelationToOne(),
+      child: new types.RelationToOne(),
+      checkInAt: new types.DateTime(),
+      checkOutAt: new types.DateTime(),
+      droppedOffBy: new types.String(null, 255),
+      pickedUpBy: new types.String(null, 255),
+      notes: new types.String(null, 20000),
+    });
+  }
+};
@@ -1,11 +1,13 @@
 const types = require('./types');
 const AbstractEntityModel = require('./abstractEntityModel');
 const bookingStatus = require('../../enumerators/bookingStatus');
+const childSize = require('../../enumerators/childSize');
 
 module.exports = class Booking extends AbstractEntityModel {
   constructor() {
     super('booking', 'booking', {
       owner: new types.RelationToOne(),
+      location: new types.RelationToOne(),
       child: new types.RelationToOne(),
       arrival: new types.DateTime(),
       departure: new types.DateTime(),
@@ -14,12 +16,21 @@ module.exports = class Booking extends AbstractEntityModel {
       photos: new types.Files(),
       status: new types.Enumerator([
         bookingStatus.BOOKED,
+        bookingStatus.WAITLISTED,
         bookingStatus.PROGRESS,
         bookingStatus.CANCELLED,
         bookingStatus.COMPLETED,
       ]),
       cancellationNotes: new types.String(null, 20000),
       fee: new types.Number(null, null),
+      feeBreakdown: new types.ObjectArray(),
+      ageGroup: new types.Enumerator([
+        childSize.TODDLER,
+        childSize.PRESCHOOLER,
+        childSize.SCHOOL_AGED,
+      ]),
+      amountPaid: new types.Number(null, null),
+      balance: new types.Number(null, null),
       receipt: new types.Files(),
       importHash: new types.String(null, 255),
     });
@@ -1,19 +1,42 @@
 const types = require('./types');
 const AbstractEntityModel = require('./abstractEntityModel');
+const childSize = require('../../enumerators/childSize');
 
 module.exports = class Child extends AbstractEntityModel {
   constructor() {
     super('child', 'child', {
       owner: new types.RelationToOne(),
+      location: new types.RelationToOne(),
       name: new types.String(null, 255),
       type: new types.Enumerator(['boy', 'girl']),
       // breed: new types.String(null, 255),
+      birthdate: new types.Date(),
       size: new types.Enumerator([
-        'toddler',
-        'preschooler',
-        'schoolAged',
+        childSize.TODDLER,
+        childSize.PRESCHOOLER,
+        childSize.SCHOOL_AGED,
       ]),
       bookings: new types.RelationToMany(),
+      guardians: new types.ObjectArray({
+        name: new types.String(null, 255),
+        relationship: new types.String(null, 255),
+        phone: new types.String(null, 255),
+        photo: new types.Files(),
+      }),
+      allergies: new types.String(null, 20000),
+      dietaryRestrictions: new types.String(null, 20000),
+      medications: new types.ObjectArray({
+        name: new types.String(null, 255),
+        dosage: new types.String(null, 255),
+        schedule: new types.String(null, 255),
+      }),
+      doctorName: new types.String(null, 255),
+      doctorPhone: new types.String(null, 255),
+      emergencyContacts: new types.ObjectArray({
+        name: new types.String(null, 255),
+        relationship: new types.String(null, 255),
+        phone: new types.String(null, 255),
+      }),
       importHash: new types.String(null, 255),
     });
   }
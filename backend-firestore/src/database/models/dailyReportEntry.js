@@ -0,0 +1,31 @@
+const types = require('./types');
+const AbstractEntityModel = require('./abstractEntityModel');
+const dailyReportEntryType = require('../../enumerators/dailyReportEntryType');
+const dailyReportMealAmount = require('../../enumerators/dailyReportMealAmount');
+const dailyReportMood = require('../../enumerators/dailyReportMood');
+const dailyReportToiletType = require('../../enumerators/dailyReportToiletType');
+
+module.exports = class DailyReportEntry extends AbstractEntityModel {
+  constructor() {
+    super('dailyReportEntry', 'dailyReportEntry', {
+      booking: new types.RelationToOne(),
+      child: new types.RelationToOne(),
+      type: new types.Enumerator(
+        Object.values(dailyReportEntryType),
+      ),
+      time: new types.DateTime(),
+      endTime: new types.DateTime(),
+      mealAmount: new types.Enumerator(
+        Object.values(dailyReportMealAmount),
+      ),
+      mood: new types.Enumerator(
+        Object.values(dailyReportMood),
+      ),
+      toiletType: new types.Enumerator(
+        Object.values(dailyReportToiletType),
+      ),
+      description: new types.String(null, 2000),
+      reportedAt: new types.DateTime(),
+    });
+  }
+};
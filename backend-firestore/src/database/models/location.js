@@ -0,0 +1,11 @@
+const types = require('./types');
+const AbstractEntityModel = require('./abstractEntityModel');
+
+module.exports = class Location extends AbstractEntityModel {
+  constructor() {
+    super('location', 'location', {
+      name: new types.String(null, 255),
+      address: new types.String(null, 1024),
+    });
+  }
+};
@@ -0,0 +1,11 @@
+const types = require('./types');
+const AbstractEntityModel = require('./abstractEntityModel');
+
+module.exports = class Role extends AbstractEntityModel {
+  constructor() {
+    super('role', 'role', {
+      name: new types.String(null, 255),
+      permissions: new types.StringArray(),
+    });
+  }
+};
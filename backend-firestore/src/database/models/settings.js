@@ -6,7 +6,16 @@ module.exports = class Settings extends AbstractEntityModel {
     super('settings', 'settings', {
       theme: new types.String(null, 255),
       dailyFee: new types.Number(0.01, null),
-      capacity: new types.Number(1, null),
+      capacityToddler: new types.Number(0, null),
+      capacityPreschooler: new types.Number(0, null),
+      capacitySchoolAged: new types.Number(0, null),
+      pricingRules: new types.ObjectArray(),
+      minimumAge: new types.Number(0, null),
+      maximumAge: new types.Number(0, null),
+      arrivalReminderDays: new types.Number(0, null),
+      reminderHour: new types.Number(0, null),
+      dailyReportHour: new types.Number(0, null),
+      selfRegistration: new types.Boolean(),
     });
   }
 };
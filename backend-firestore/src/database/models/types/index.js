@@ -8,6 +8,7 @@ const DateTime = require('./dateTime');
 const RelationToMany = require('./relationToMany');
 const RelationToOne = require('./relationToOne');
 const StringArray = require('./stringArray');
+const ObjectArray = require('./objectArray');
 
 module.exports = {
   Boolean,
@@ -20,4 +21,5 @@ module.exports = {
   RelationToOne,
   RelationToMany,
   StringArray,
+  ObjectArray,
 };
@@ -0,0 +1,50 @@
+const lodash = require('lodash');
+const assert = require('assert');
+const uuid = require('uuid/v4');
+
+module.exports = class ObjectArray {
+  constructor(fields) {
+    this.fields = fields;
+  }
+
+  validate(data) {
+    if (!data) {
+      return;
+    }
+
+    assert(lodash.isArray(data));
+    data.forEach((item) =>
+      assert(lodash.isPlainObject(item)),
+    );
+
+    if (this.fields) {
+      data.forEach((item) =>
+        Object.keys(this.fields).forEach((key) =>
+          this.fields[key].validate(item[key]),
+        ),
+      );
+    }
+  }
+
+  cast(data) {
+    if (!data) {
+      return [];
+    }
+
+    if (this.fields) {
+      return data.map((item) => {
+        const result = { id: item.id || uuid() };
+
+        Object.keys(this.fields).forEach((key) => {
+          result[key] = this.fields[key].cast(item[key]);
+        });
+
+        return result;
+      });
+    }
+
+    return data.map((item) =>
+      lodash.omitBy(item, lodash.isUndefined),
+    );
+  }
+};
@@ -9,10 +9,15 @@ module.exports = class User extends AbstractEntityModel {
       lastName: new types.String(null, 175),
       fullName: new types.String(null, 255),
       disabled: new types.Boolean(),
+      approvalPending: new types.Boolean(),
       phoneNumber: new types.String(null, 24),
       avatars: new types.Files(),
       authenticationUid: new types.String(null, 255),
       roles: new types.StringArray(),
+      locationRoles: new types.ObjectArray({
+        location: new types.String(null, 255),
+        role: new types.String(null, 255),
+      }),
       importHash: new types.String(null, 255),
     });
   }
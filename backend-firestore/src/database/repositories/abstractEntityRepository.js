@@ -13,6 +13,7 @@ module.exports = class AbstractEntityRepository extends AbstractRepository {
     const record = {
       id: this.newId(),
       ...this.model.cast(data),
+      ...this.searchTokensOf(data),
       createdBy: this.getCurrentUser(options).id,
       createdAt: this.serverTimestamp(),
       updatedBy: this.getCurrentUser(options).id,
@@ -44,6 +45,7 @@ module.exports = class AbstractEntityRepository extends AbstractRepository {
     const record = {
       id,
       ...this.model.cast(data),
+      ...this.searchTokensOf(data),
       updatedBy: this.getCurrentUser(options).id,
       updatedAt: this.serverTimestamp(),
     };
@@ -88,6 +90,11 @@ module.exports = class AbstractEntityRepository extends AbstractRepository {
     await this.destroyFromRelations(id, options);
   }
 
+  // Fields kept for the global search, see SearchTokens
+  searchTokensOf(data) {
+    return {};
+  }
+
   async refreshTwoWayRelations(record, options) {}
 
   async destroyFromRelations(id, options) {}
@@ -107,7 +114,7 @@ module.exports = class AbstractEntityRepository extends AbstractRepository {
       });
     }
 
-    return (await chain.get()).size;
+    return (await chain.select().get()).size;
   }
 
   async _auditLogs(action, id, data, options) {
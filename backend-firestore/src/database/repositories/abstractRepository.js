@@ -50,14 +50,26 @@ module.exports = class AbstractRepository {
     return (options && options.currentUser) || { id: null };
   }
 
+  // The writes join the transaction, that takes them as a batch
   static getBatch(options) {
-    return (options && options.batch) || undefined;
+    return (
+      (options && (options.batch || options.transaction)) ||
+      undefined
+    );
+  }
+
+  static getTransaction(options) {
+    return (options && options.transaction) || undefined;
   }
 
   static async createBatch() {
     return admin.firestore().batch();
   }
 
+  static async runTransaction(callback) {
+    return admin.firestore().runTransaction(callback);
+  }
+
   static async commitBatch(batch) {
     return batch.commit();
   }
@@ -162,6 +174,10 @@ module.exports = class AbstractRepository {
     return AbstractRepository.getBatch(options);
   }
 
+  getTransaction(options) {
+    return AbstractRepository.getTransaction(options);
+  }
+
   async createBatch() {
     return AbstractRepository.createBatch();
   }
@@ -0,0 +1,69 @@
+const AbstractEntityRepository = require('./abstractEntityRepository');
+const AuditLogRepository = require('./auditLogRepository');
+const admin = require('firebase-admin');
+const Attendance = require('../models/attendance');
+const lodash = require('lodash');
+
+class AttendanceRepository extends AbstractEntityRepository {
+  constructor() {
+    super(new Attendance());
+  }
+
+  async findById(id) {
+    return this.findDocument('attendance', id);
+  }
+
+  async findAllByBooking(bookingId) {
+    const collection = await admin
+      .firestore()
+      .collection(`attendance`)
+      .where('booking', '==', bookingId)
+      .get();
+
+    return lodash
+      .sortBy(this.mapCollection(collection), (item) =>
+        item.checkInAt.getTime(),
+      )
+      .reverse();
+  }
+
+  async findOpenByBooking(bookingId) {
+    const collection = await admin
+      .firestore()
+      .collection(`attendance`)
+      .where('booking', '==', bookingId)
+      .where('checkOutAt', '==', null)
+      .limit(1)
+      .get();
+
+    const [record] = this.mapCollection(collection);
+
+    return record || null;
+  }
+
+  async checkOut(id, data, options) {
+    await this.executeOrAddToBatch(
+      'update',
+      admin.firestore().doc(`attendance/${id}`),
+      {
+        ...lodash.pick(data, [
+          'checkOutAt',
+          'pickedUpBy',
+          'notes',
+        ]),
+        updatedBy: this.getCurrentUser(options).id,
+        updatedAt: this.serverTimestamp(),
+      },
+      options,
+    );
+
+    await this._auditLogs(
+      AuditLogRepository.UPDATE,
+      id,
+      data,
+      options,
+    );
+  }
+}
+
+module.exports = AttendanceRepository;
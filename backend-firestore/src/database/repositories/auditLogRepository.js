@@ -49,11 +49,13 @@ module.exports = class AuditLogRepository extends AbstractRepository {
     limit = 0,
     offset = 0,
     orderBy = null,
+    after = null,
   }) {
     const query = FirebaseQuery.forList({
       limit,
       offset,
-      orderBy: orderBy || 'createdAt_DESC',
+      orderBy: orderBy || 'timestamp_DESC',
+      after,
     });
 
     if (filter) {
@@ -84,15 +86,6 @@ module.exports = class AuditLogRepository extends AbstractRepository {
       }
     }
 
-    const collection = await admin
-      .firestore()
-      .collection(`auditLogs`)
-      .get();
-
-    const all = this.mapCollection(collection);
-    const rows = query.rows(all);
-    const count = query.count(all);
-
-    return { rows, count };
+    return query.findAndCountAll('auditLogs');
   }
 };
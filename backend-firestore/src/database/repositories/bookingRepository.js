@@ -1,8 +1,14 @@
 const AbstractEntityRepository = require('./abstractEntityRepository');
+const AuditLogRepository = require('./auditLogRepository');
+const BookingStatusHistoryRepository = require('./bookingStatusHistoryRepository');
+const PaymentRepository = require('./paymentRepository');
+const InvoiceRepository = require('./invoiceRepository');
 const admin = require('firebase-admin');
 const FirebaseQuery = require('../utils/firebaseQuery');
+const SearchTokens = require('../utils/searchTokens');
 const Booking = require('../models/booking');
 const moment = require('moment');
+const lodash = require('lodash');
 const bookingStatus = require('../../enumerators/bookingStatus');
 
 class BookingRepository extends AbstractEntityRepository {
@@ -10,6 +16,30 @@ class BookingRepository extends AbstractEntityRepository {
     super(new Booking());
   }
 
+  async create(data, options) {
+    const record = await super.create(data, options);
+
+    await BookingStatusHistoryRepository.log(
+      {
+        bookingId: record.id,
+        fromStatus: null,
+        toStatus: record.status,
+      },
+      options,
+    );
+
+    return record;
+  }
+
+  searchTokensOf(data) {
+    return {
+      searchTokens: SearchTokens.ofDocument(
+        'booking',
+        data,
+      ),
+    };
+  }
+
   async refreshTwoWayRelations(record, options) {
     await this.refreshTwoWayRelationOneToMany(
       record,
@@ -30,8 +60,27 @@ class BookingRepository extends AbstractEntityRepository {
   }
 
   async findById(id) {
-    const record = await this.findDocument('booking', id);
-    return this.populate(record);
+    const record = await this.populate(
+      await this.findDocument('booking', id),
+    );
+
+    if (!record) {
+      return record;
+    }
+
+    record.statusHistory = await BookingStatusHistoryRepository.findAllByBooking(
+      id,
+    );
+
+    record.payments = await PaymentRepository.findAllByBooking(
+      id,
+    );
+
+    record.invoice = await InvoiceRepository.findByBooking(
+      id,
+    );
+
+    return record;
   }
 
   async findAndCountAll(
@@ -41,18 +90,21 @@ class BookingRepository extends AbstractEntityRepository {
       limit,
       offset,
       orderBy,
+      after,
     } = {
       requestedAttributes: null,
       filter: null,
       limit: 0,
       offset: 0,
       orderBy: null,
+      after: null,
     },
   ) {
     const query = FirebaseQuery.forList({
       limit,
       offset,
       orderBy: orderBy || 'createdAt_DESC',
+      after,
     });
 
     if (filter) {
@@ -64,6 +116,10 @@ class BookingRepository extends AbstractEntityRepository {
         query.appendId('owner', filter.owner);
       }
 
+      if (filter.location) {
+        query.appendId('location', filter.location);
+      }
+
       if (filter.child) {
         query.appendId('child', filter.child);
       }
@@ -95,6 +151,10 @@ class BookingRepository extends AbstractEntityRepository {
         query.appendRange('fee', filter.feeRange);
       }
 
+      if (filter.outstanding) {
+        query.appendGreaterThan('balance', 0);
+      }
+
       if (filter.createdAtRange) {
         query.appendRange(
           'createdAt',
@@ -103,16 +163,11 @@ class BookingRepository extends AbstractEntityRepository {
       }
     }
 
-    const collection = await admin
-      .firestore()
-      .collection(`booking`)
-      .get();
-
-    const all = this.mapCollection(collection);
-    const rows = await this.populateAll(query.rows(all));
-    const count = query.count(all);
+    const { rows, count } = await query.findAndCountAll(
+      'booking',
+    );
 
-    return { rows, count };
+    return { rows: await this.populateAll(rows), count };
   }
 
   async findAllAutocomplete(filter, limit) {
@@ -125,26 +180,35 @@ class BookingRepository extends AbstractEntityRepository {
       query.appendId('id', filter.search);
     }
 
-    const collection = await admin
-      .firestore()
-      .collection(`booking`)
-      .get();
-
-    const all = this.mapCollection(collection);
-    let rows = query.rows(all);
-
-    if (filter && filter.owner) {
-      rows = rows.filter(
-        (row) => row.owner === filter.owner,
-      );
+    if (filter) {
+      query.appendScope('owner', filter.owner);
+      query.appendScope('location', filter.location);
     }
 
+    const rows = await query.findAll('booking');
+
     return rows.map((record) => ({
       id: record.id,
       label: record['id'],
     }));
   }
 
+  async search(text, { location, owner, limit }) {
+    const rows = await SearchTokens.findAll(
+      'booking',
+      text,
+      {
+        limit,
+        scope: (query) => {
+          query.appendEqual('location', location);
+          query.appendId('owner', owner);
+        },
+      },
+    );
+
+    return this.populateAll(rows);
+  }
+
   async populateAll(records) {
     return await Promise.all(
       records.map((record) => this.populate(record)),
@@ -166,6 +230,11 @@ class BookingRepository extends AbstractEntityRepository {
       record.owner,
     );
 
+    record.location = await this.findRelation(
+      'location',
+      record.location,
+    );
+
     return record;
   }
 
@@ -180,10 +249,11 @@ class BookingRepository extends AbstractEntityRepository {
     return collection.size > 0;
   }
 
-  async countActiveBookingsInPeriod(
+  async findAllActiveInPeriod(
     start,
     end,
     idToExclude,
+    location,
   ) {
     // departure >= start and arrival <= end
     let query = await admin
@@ -195,7 +265,7 @@ class BookingRepository extends AbstractEntityRepository {
     const results = this.mapCollection(query);
 
     if (!results || !results.length) {
-      return 0;
+      return [];
     }
 
     const arrivalFilter = (item) =>
@@ -210,10 +280,286 @@ class BookingRepository extends AbstractEntityRepository {
     const idToExcludeFilter = (item) =>
       !idToExclude || item.id !== idToExclude;
 
-    return results
+    const locationFilter = (item) =>
+      (item.location || null) === (location || null);
+
+    const activeBookings = results
       .filter(arrivalFilter)
       .filter(idToExcludeFilter)
-      .filter(statusFilter).length;
+      .filter(statusFilter)
+      .filter(locationFilter);
+
+    const children = await this.findDocuments(
+      'child',
+      lodash.uniq(
+        activeBookings
+          .map((item) => item.child)
+          .filter(Boolean),
+      ),
+    );
+
+    return activeBookings.map((item) => {
+      const child = children.find(
+        (record) => record && record.id === item.child,
+      );
+
+      return {
+        id: item.id,
+        arrival: item.arrival,
+        departure: item.departure,
+        size: item.ageGroup || (child ? child.size : null),
+      };
+    });
+  }
+
+  async findAllInPeriod(start, end, location) {
+    // departure >= start and arrival <= end
+    let query = await admin
+      .firestore()
+      .collection(`booking`)
+      .where('departure', '>=', start)
+      .get();
+
+    const results = this.mapCollection(query)
+      .filter((item) =>
+        moment(item.arrival).isSameOrBefore(end),
+      )
+      .filter(
+        (item) => !location || item.location === location,
+      );
+
+    const children = await this.findDocuments(
+      'child',
+      lodash.uniq(
+        results.map((item) => item.child).filter(Boolean),
+      ),
+    );
+
+    return results.map((item) => {
+      const child = children.find(
+        (record) => record && record.id === item.child,
+      );
+
+      return {
+        id: item.id,
+        arrival: item.arrival,
+        departure: item.departure,
+        status: item.status,
+        fee: item.fee,
+        child: item.child,
+        size: item.ageGroup || (child ? child.size : null),
+      };
+    });
+  }
+
+  async findAllArrivingInPeriod(
+    start,
+    end,
+    statuses,
+    location,
+  ) {
+    const collection = await admin
+      .firestore()
+      .collection(`booking`)
+      .where('arrival', '>=', start)
+      .where('arrival', '<=', end)
+      .get();
+
+    return this._fillReminderRelations(
+      this.mapCollection(collection).filter(
+        (item) =>
+          statuses.includes(item.status) &&
+          (item.location || null) === (location || null),
+      ),
+    );
+  }
+
+  async findAllDepartingInPeriod(
+    start,
+    end,
+    statuses,
+    location,
+  ) {
+    const collection = await admin
+      .firestore()
+      .collection(`booking`)
+      .where('departure', '>=', start)
+      .where('departure', '<=', end)
+      .get();
+
+    return this._fillReminderRelations(
+      this.mapCollection(collection).filter(
+        (item) =>
+          statuses.includes(item.status) &&
+          (item.location || null) === (location || null),
+      ),
+    );
+  }
+
+  async findAllByIdsAtLocation(ids, location) {
+    const records = await this.findDocuments(
+      'booking',
+      ids,
+    );
+
+    return this._fillReminderRelations(
+      records.filter(
+        (item) =>
+          item &&
+          (item.location || null) === (location || null),
+      ),
+    );
+  }
+
+  async _fillReminderRelations(records) {
+    const children = await this.findDocuments(
+      'child',
+      lodash.uniq(records.map((item) => item.child)),
+    );
+
+    const owners = await this.findDocuments(
+      'user',
+      lodash.uniq(records.map((item) => item.owner)),
+    );
+
+    return lodash
+      .sortBy(records, (item) =>
+        moment(item.arrival).valueOf(),
+      )
+      .map((item) => {
+        const child = children.find(
+          (record) => record && record.id === item.child,
+        );
+
+        const owner = owners.find(
+          (record) => record && record.id === item.owner,
+        );
+
+        return {
+          id: item.id,
+          arrival: item.arrival,
+          departure: item.departure,
+          status: item.status,
+          arrivalReminderSentAt:
+            item.arrivalReminderSentAt || null,
+          departureReminderSentAt:
+            item.departureReminderSentAt || null,
+          child: child
+            ? { id: child.id, name: child.name }
+            : null,
+          owner: owner
+            ? {
+                id: owner.id,
+                email: owner.email,
+                fullName: owner.fullName,
+              }
+            : null,
+        };
+      });
+  }
+
+  /**
+   * Records the reminder as sent, unless another run did.
+   * Returns whether it was recorded.
+   */
+  async claimReminder(id, field, options) {
+    const transaction = this.getTransaction(options);
+    const ref = admin.firestore().doc(`booking/${id}`);
+    const doc = await transaction.get(ref);
+
+    if (!doc.exists || doc.data()[field]) {
+      return false;
+    }
+
+    transaction.update(ref, { [field]: new Date() });
+
+    return true;
+  }
+
+  async findAllWaitlisted() {
+    const collection = await admin
+      .firestore()
+      .collection(`booking`)
+      .where('status', '==', bookingStatus.WAITLISTED)
+      .get();
+
+    return lodash
+      .sortBy(this.mapCollection(collection), (item) =>
+        moment(item.createdAt).valueOf(),
+      )
+      .filter((item) => moment().isBefore(item.arrival))
+      .map((item) => ({
+        id: item.id,
+        arrival: item.arrival,
+        departure: item.departure,
+        child: item.child,
+      }));
+  }
+
+  async updateStatus(id, data, options) {
+    const existing = await this.findDocument('booking', id);
+
+    const values = lodash.pick(data, [
+      'status',
+      'cancellationNotes',
+    ]);
+
+    await this.executeOrAddToBatch(
+      'update',
+      admin.firestore().doc(`booking/${id}`),
+      {
+        ...values,
+        ...this.searchTokensOf({ ...existing, ...values }),
+        updatedBy: this.getCurrentUser(options).id,
+        updatedAt: this.serverTimestamp(),
+      },
+      options,
+    );
+
+    await this._auditLogs(
+      AuditLogRepository.UPDATE,
+      id,
+      data,
+      options,
+    );
+
+    await BookingStatusHistoryRepository.log(
+      {
+        bookingId: id,
+        fromStatus: existing.status,
+        toStatus: data.status,
+      },
+      options,
+    );
+  }
+
+  // Changes to the booking before the commit retry the transaction
+  async findByIdForUpdate(id, options) {
+    return this.mapDocument(
+      await this.getTransaction(options).get(
+        admin.firestore().doc(`booking/${id}`),
+      ),
+    );
+  }
+
+  async updateBalance(id, data, options) {
+    await this.executeOrAddToBatch(
+      'update',
+      admin.firestore().doc(`booking/${id}`),
+      {
+        ...lodash.pick(data, ['amountPaid', 'balance']),
+        updatedBy: this.getCurrentUser(options).id,
+        updatedAt: this.serverTimestamp(),
+      },
+      options,
+    );
+
+    await this._auditLogs(
+      AuditLogRepository.UPDATE,
+      id,
+      data,
+      options,
+    );
   }
 }
 
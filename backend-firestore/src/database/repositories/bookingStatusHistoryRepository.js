@@ -0,0 +1,50 @@
+const AbstractRepository = require('./abstractRepository');
+const admin = require('firebase-admin');
+const lodash = require('lodash');
+
+module.exports = class BookingStatusHistoryRepository extends AbstractRepository {
+  static async log(
+    { bookingId, fromStatus, toStatus },
+    options,
+  ) {
+    const log = {
+      id: this.newId(),
+      booking: bookingId,
+      fromStatus: fromStatus || null,
+      toStatus,
+      timestamp: new Date(),
+      createdById:
+        options && options.currentUser
+          ? options.currentUser.id
+          : null,
+      createdByEmail:
+        options && options.currentUser
+          ? options.currentUser.email
+          : null,
+    };
+
+    await this.executeOrAddToBatch(
+      'set',
+      admin
+        .firestore()
+        .doc(`bookingStatusHistory/${log.id}`),
+      log,
+      options,
+    );
+
+    return log;
+  }
+
+  static async findAllByBooking(bookingId) {
+    const collection = await admin
+      .firestore()
+      .collection(`bookingStatusHistory`)
+      .where('booking', '==', bookingId)
+      .get();
+
+    return lodash.sortBy(
+      this.mapCollection(collection),
+      (item) => item.timestamp,
+    );
+  }
+};
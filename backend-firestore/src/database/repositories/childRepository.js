@@ -1,6 +1,6 @@
 const AbstractEntityRepository = require('./abstractEntityRepository');
-const admin = require('firebase-admin');
 const FirebaseQuery = require('../utils/firebaseQuery');
+const SearchTokens = require('../utils/searchTokens');
 const Child = require('../models/child');
 
 class ChildRepository extends AbstractEntityRepository {
@@ -8,6 +8,12 @@ class ChildRepository extends AbstractEntityRepository {
     super(new Child());
   }
 
+  searchTokensOf(data) {
+    return {
+      searchTokens: SearchTokens.ofDocument('child', data),
+    };
+  }
+
   async refreshTwoWayRelations(record, options) {
     await this.refreshTwoWayRelationManyToOne(
       record,
@@ -40,18 +46,21 @@ class ChildRepository extends AbstractEntityRepository {
       limit,
       offset,
       orderBy,
+      after,
     } = {
       requestedAttributes: null,
       filter: null,
       limit: 0,
       offset: 0,
       orderBy: null,
+      after: null,
     },
   ) {
     const query = FirebaseQuery.forList({
       limit,
       offset,
       orderBy: orderBy || 'createdAt_DESC',
+      after,
     });
 
     if (filter) {
@@ -63,6 +72,10 @@ class ChildRepository extends AbstractEntityRepository {
         query.appendId('owner', filter.owner);
       }
 
+      if (filter.location) {
+        query.appendId('location', filter.location);
+      }
+
       if (filter.name) {
         query.appendIlike('name', filter.name);
       }
@@ -87,16 +100,11 @@ class ChildRepository extends AbstractEntityRepository {
       }
     }
 
-    const collection = await admin
-      .firestore()
-      .collection(`child`)
-      .get();
-
-    const all = this.mapCollection(collection);
-    const rows = await this.populateAll(query.rows(all));
-    const count = query.count(all);
+    const { rows, count } = await query.findAndCountAll(
+      'child',
+    );
 
-    return { rows, count };
+    return { rows: await this.populateAll(rows), count };
   }
 
   async findAllAutocomplete(filter, limit) {
@@ -110,26 +118,42 @@ class ChildRepository extends AbstractEntityRepository {
       firebaseQuery.appendIlike('name', filter.search);
     }
 
-    const collection = await admin
-      .firestore()
-      .collection(`child`)
-      .get();
-
-    const all = this.mapCollection(collection);
-    let rows = firebaseQuery.rows(all);
-
-    if (filter && filter.owner) {
-      rows = rows.filter(
-        (row) => row.owner === filter.owner,
+    if (filter) {
+      firebaseQuery.appendScope('owner', filter.owner);
+      firebaseQuery.appendScope(
+        'location',
+        filter.location,
       );
     }
 
+    const rows = await firebaseQuery.findAll('child');
+
     return rows.map((record) => ({
       id: record.id,
       label: record['name'],
     }));
   }
 
+  async search(text, { location, owner, limit }) {
+    const rows = await SearchTokens.findAll('child', text, {
+      limit,
+      scope: (query) => {
+        query.appendEqual('location', location);
+        query.appendId('owner', owner);
+      },
+    });
+
+    return Promise.all(
+      rows.map(async (record) => ({
+        ...record,
+        owner: await this.findRelation(
+          'user',
+          record.owner,
+        ),
+      })),
+    );
+  }
+
   async populateAll(records) {
     return await Promise.all(
       records.map((record) => this.populate(record)),
@@ -146,6 +170,11 @@ class ChildRepository extends AbstractEntityRepository {
       record.owner,
     );
 
+    record.location = await this.findRelation(
+      'location',
+      record.location,
+    );
+
     record.bookings =
       (await this.findRelation(
         'booking',
@@ -0,0 +1,92 @@
+const AbstractEntityRepository = require('./abstractEntityRepository');
+const admin = require('firebase-admin');
+const DailyReportEntry = require('../models/dailyReportEntry');
+const BookingRepository = require('./bookingRepository');
+const lodash = require('lodash');
+
+class DailyReportEntryRepository extends AbstractEntityRepository {
+  constructor() {
+    super(new DailyReportEntry());
+  }
+
+  async findById(id) {
+    return this.findDocument('dailyReportEntry', id);
+  }
+
+  async findAllByBooking(bookingId) {
+    const collection = await admin
+      .firestore()
+      .collection(`dailyReportEntry`)
+      .where('booking', '==', bookingId)
+      .get();
+
+    return lodash.sortBy(
+      this.mapCollection(collection),
+      (item) => item.time.getTime(),
+    );
+  }
+
+  /**
+   * Entries of the bookings at the location, or without one when
+   * it is empty, along with what the report shows of the booking.
+   * Firestore has no joins, each booking is read once.
+   */
+  async findAllNotReportedInPeriod(start, end, location) {
+    const collection = await admin
+      .firestore()
+      .collection(`dailyReportEntry`)
+      .where('time', '>=', start)
+      .where('time', '<=', end)
+      .get();
+
+    const entries = this.mapCollection(collection).filter(
+      (item) => !item.reportedAt,
+    );
+
+    const bookings = await new BookingRepository().findAllByIdsAtLocation(
+      lodash.uniq(entries.map((item) => item.booking)),
+      location,
+    );
+
+    return lodash.sortBy(
+      entries
+        .map((item) => ({
+          ...item,
+          booking: bookings.find(
+            (booking) => booking.id === item.booking,
+          ),
+        }))
+        .filter((item) => item.booking),
+      (item) => item.time.getTime(),
+    );
+  }
+
+  /**
+   * Records the entries as reported, but those another run did.
+   * Returns the ids it recorded.
+   */
+  async claimReported(ids, options) {
+    const transaction = this.getTransaction(options);
+    const refs = ids.map((id) =>
+      admin.firestore().doc(`dailyReportEntry/${id}`),
+    );
+
+    const claimed = [];
+
+    for (const ref of refs) {
+      const doc = await transaction.get(ref);
+
+      if (doc.exists && !doc.data().reportedAt) {
+        claimed.push(ref);
+      }
+    }
+
+    claimed.forEach((ref) =>
+      transaction.update(ref, { reportedAt: new Date() }),
+    );
+
+    return claimed.map((ref) => ref.id);
+  }
+}
+
+module.exports = DailyReportEntryRepository;
@@ -0,0 +1,82 @@
+const admin = require('firebase-admin');
+const AbstractRepository = require('./abstractRepository');
+const AuditLogRepository = require('./auditLogRepository');
+
+module.exports = class EmailTemplateRepository extends AbstractRepository {
+  static documentId(template, language) {
+    return `${template}_${language}`;
+  }
+
+  static async findByTemplateAndLanguage(
+    template,
+    language,
+  ) {
+    return this.findDocument(
+      'emailTemplate',
+      this.documentId(template, language),
+    );
+  }
+
+  static async save(template, language, data, options) {
+    const id = this.documentId(template, language);
+
+    const existing = await this.findDocument(
+      'emailTemplate',
+      id,
+    );
+
+    const record = {
+      id,
+      template,
+      language,
+      subject: data.subject,
+      body: data.body,
+      createdBy: existing
+        ? existing.createdBy
+        : this.getCurrentUser(options).id,
+      createdAt: existing ? existing.createdAt : new Date(),
+      updatedBy: this.getCurrentUser(options).id,
+      updatedAt: new Date(),
+    };
+
+    await this.executeOrAddToBatch(
+      'set',
+      admin.firestore().doc(`emailTemplate/${id}`),
+      record,
+      options,
+    );
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'emailTemplate',
+        entityId: id,
+        action: AuditLogRepository.UPDATE,
+        values: record,
+      },
+      options,
+    );
+
+    return record;
+  }
+
+  static async destroy(template, language, options) {
+    const id = this.documentId(template, language);
+
+    await this.executeOrAddToBatch(
+      'delete',
+      admin.firestore().doc(`emailTemplate/${id}`),
+      null,
+      options,
+    );
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'emailTemplate',
+        entityId: id,
+        action: AuditLogRepository.DELETE,
+        values: null,
+      },
+      options,
+    );
+  }
+};
@@ -0,0 +1,87 @@
+const AbstractRepository = require('./abstractRepository');
+const AuditLogRepository = require('./auditLogRepository');
+const admin = require('firebase-admin');
+
+module.exports = class InvoiceRepository extends AbstractRepository {
+  static async issue(
+    { bookingId, amount, items },
+    options,
+  ) {
+    const existing = await this.findByBooking(bookingId);
+    const currentUser = this.getCurrentUser(options);
+
+    const invoice = {
+      amount,
+      items: items || null,
+      issuedAt: new Date(),
+      updatedBy: currentUser.id,
+      updatedAt: this.serverTimestamp(),
+    };
+
+    if (existing) {
+      invoice.id = existing.id;
+
+      await this.executeOrAddToBatch(
+        'update',
+        admin.firestore().doc(`invoice/${invoice.id}`),
+        invoice,
+        options,
+      );
+    } else {
+      Object.assign(invoice, {
+        id: this.newId(),
+        booking: bookingId,
+        number: await this.nextNumber(),
+        createdBy: currentUser.id,
+        createdAt: this.serverTimestamp(),
+      });
+
+      await this.executeOrAddToBatch(
+        'set',
+        admin.firestore().doc(`invoice/${invoice.id}`),
+        invoice,
+        options,
+      );
+    }
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'invoice',
+        entityId: invoice.id,
+        action: existing
+          ? AuditLogRepository.UPDATE
+          : AuditLogRepository.CREATE,
+        values: { amount, items: invoice.items },
+      },
+      options,
+    );
+
+    return invoice;
+  }
+
+  static async nextNumber() {
+    const collection = await admin
+      .firestore()
+      .collection(`invoice`)
+      .orderBy('number', 'desc')
+      .limit(1)
+      .get();
+
+    const [last] = this.mapCollection(collection);
+
+    return last ? last.number + 1 : 1;
+  }
+
+  static async findByBooking(bookingId) {
+    const collection = await admin
+      .firestore()
+      .collection(`invoice`)
+      .where('booking', '==', bookingId)
+      .limit(1)
+      .get();
+
+    const [invoice] = this.mapCollection(collection);
+
+    return invoice || null;
+  }
+};
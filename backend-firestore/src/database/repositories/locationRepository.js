@@ -0,0 +1,28 @@
+const AbstractEntityRepository = require('./abstractEntityRepository');
+const admin = require('firebase-admin');
+const Location = require('../models/location');
+const lodash = require('lodash');
+
+class LocationRepository extends AbstractEntityRepository {
+  constructor() {
+    super(new Location());
+  }
+
+  async findById(id) {
+    return this.findDocument('location', id);
+  }
+
+  async findAll() {
+    const collection = await admin
+      .firestore()
+      .collection(`location`)
+      .get();
+
+    return lodash.sortBy(
+      this.mapCollection(collection),
+      (item) => item.name,
+    );
+  }
+}
+
+module.exports = LocationRepository;
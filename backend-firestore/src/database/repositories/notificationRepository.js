@@ -0,0 +1,94 @@
+const AbstractRepository = require('./abstractRepository');
+const admin = require('firebase-admin');
+const FirebaseQuery = require('../utils/firebaseQuery');
+const lodash = require('lodash');
+
+module.exports = class NotificationRepository extends AbstractRepository {
+  static async create(data, options) {
+    const notification = {
+      id: this.newId(),
+      ...lodash.pick(data, ['type', 'data']),
+      user: data.user,
+      readAt: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    await this.executeOrAddToBatch(
+      'set',
+      admin
+        .firestore()
+        .doc(`notification/${notification.id}`),
+      notification,
+      options,
+    );
+
+    return notification;
+  }
+
+  static async findAndCountAllByUser(
+    userId,
+    { limit = 0, offset = 0 } = {},
+  ) {
+    const query = FirebaseQuery.forList({
+      limit,
+      offset,
+      orderBy: 'createdAt_DESC',
+    });
+
+    query.appendEqual('user', userId);
+
+    return query.findAndCountAll('notification');
+  }
+
+  static async countUnreadByUser(userId) {
+    const all = await this._findAllByUser(userId);
+    return all.filter((item) => !item.readAt).length;
+  }
+
+  static async markAsRead(userId, ids, options) {
+    const all = await this._findAllByUser(userId);
+
+    await this._markAllAsRead(
+      all.filter((item) => ids.includes(item.id)),
+      options,
+    );
+  }
+
+  static async markAllAsRead(userId, options) {
+    await this._markAllAsRead(
+      await this._findAllByUser(userId),
+      options,
+    );
+  }
+
+  static async _markAllAsRead(notifications, options) {
+    for (const notification of notifications) {
+      if (notification.readAt) {
+        continue;
+      }
+
+      await this.executeOrAddToBatch(
+        'update',
+        admin
+          .firestore()
+          .doc(`notification/${notification.id}`),
+        {
+          readAt: new Date(),
+          updatedAt: new Date(),
+        },
+        options,
+      );
+    }
+  }
+
+  static async _findAllByUser(userId) {
+    const collection = await admin
+      .firestore()
+      .collection(`notification`)
+      .where('user', '==', userId)
+      .get();
+
+    return this.mapCollection(collection);
+  }
+};
@@ -0,0 +1,146 @@
+const AbstractRepository = require('./abstractRepository');
+const admin = require('firebase-admin');
+const FirebaseQuery = require('../utils/firebaseQuery');
+const outboxEmailStatus = require('../../enumerators/outboxEmailStatus');
+const lodash = require('lodash');
+
+module.exports = class OutboxEmailRepository extends AbstractRepository {
+  static async create(data, options) {
+    const outboxEmail = {
+      id: this.newId(),
+      ...lodash.pick(data, ['to', 'subject', 'html']),
+      status: outboxEmailStatus.PENDING,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: new Date(),
+      sentAt: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    await this.executeOrAddToBatch(
+      'set',
+      admin
+        .firestore()
+        .doc(`outboxEmail/${outboxEmail.id}`),
+      outboxEmail,
+      options,
+    );
+
+    return outboxEmail;
+  }
+
+  static async update(id, data, options) {
+    await this.executeOrAddToBatch(
+      'update',
+      admin.firestore().doc(`outboxEmail/${id}`),
+      {
+        ...lodash.pick(data, [
+          'status',
+          'attempts',
+          'lastError',
+          'nextAttemptAt',
+          'sentAt',
+        ]),
+        updatedAt: new Date(),
+      },
+      options,
+    );
+
+    return this.findById(id);
+  }
+
+  static async findById(id) {
+    return this.findDocument('outboxEmail', id);
+  }
+
+  /**
+   * Claims the due emails until the given date, so concurrent
+   * workers don't deliver them twice. The emails of a worker that
+   * stops before updating them are due again once it expires.
+   */
+  static async claimAllDue(date, limit, claimedUntil) {
+    const collection = await admin
+      .firestore()
+      .collection(`outboxEmail`)
+      .where('status', '==', outboxEmailStatus.PENDING)
+      .where('nextAttemptAt', '<=', date)
+      .orderBy('nextAttemptAt')
+      .limit(limit)
+      .get();
+
+    const claimed = [];
+
+    for (const doc of collection.docs) {
+      const outboxEmail = await admin
+        .firestore()
+        .runTransaction(async (transaction) => {
+          const current = this.mapDocument(
+            await transaction.get(doc.ref),
+          );
+
+          if (
+            !current ||
+            current.status !== outboxEmailStatus.PENDING ||
+            current.nextAttemptAt > date
+          ) {
+            return null;
+          }
+
+          transaction.update(doc.ref, {
+            nextAttemptAt: claimedUntil,
+            updatedAt: new Date(),
+          });
+
+          return {
+            ...current,
+            nextAttemptAt: claimedUntil,
+          };
+        });
+
+      if (outboxEmail) {
+        claimed.push(outboxEmail);
+      }
+    }
+
+    return claimed;
+  }
+
+  static async findAndCountAll({
+    filter,
+    limit = 0,
+    offset = 0,
+    orderBy = null,
+    after = null,
+  }) {
+    const query = FirebaseQuery.forList({
+      limit,
+      offset,
+      orderBy: orderBy || 'createdAt_DESC',
+      after,
+    });
+
+    if (filter) {
+      if (filter.createdAtRange) {
+        query.appendRange(
+          'createdAt',
+          filter.createdAtRange,
+        );
+      }
+
+      if (filter.to) {
+        query.appendIlike('to', filter.to);
+      }
+
+      if (filter.subject) {
+        query.appendIlike('subject', filter.subject);
+      }
+
+      if (filter.status) {
+        query.appendEqual('status', filter.status);
+      }
+    }
+
+    return query.findAndCountAll('outboxEmail');
+  }
+};
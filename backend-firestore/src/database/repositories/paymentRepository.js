@@ -0,0 +1,81 @@
+const AbstractRepository = require('./abstractRepository');
+const AuditLogRepository = require('./auditLogRepository');
+const admin = require('firebase-admin');
+const lodash = require('lodash');
+
+module.exports = class PaymentRepository extends AbstractRepository {
+  static async create(bookingId, data, options) {
+    const payment = {
+      id: this.newId(),
+      ...lodash.pick(data, [
+        'amount',
+        'method',
+        'paidAt',
+        'notes',
+      ]),
+      booking: bookingId,
+      createdBy: this.getCurrentUser(options).id,
+      createdAt: new Date(),
+    };
+
+    payment.notes = payment.notes || null;
+
+    await this.executeOrAddToBatch(
+      'set',
+      admin.firestore().doc(`payment/${payment.id}`),
+      payment,
+      options,
+    );
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'payment',
+        entityId: payment.id,
+        action: AuditLogRepository.CREATE,
+        values: payment,
+      },
+      options,
+    );
+
+    return payment;
+  }
+
+  static async destroy(id, options) {
+    await this.executeOrAddToBatch(
+      'delete',
+      admin.firestore().doc(`payment/${id}`),
+      null,
+      options,
+    );
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'payment',
+        entityId: id,
+        action: AuditLogRepository.DELETE,
+        values: null,
+      },
+      options,
+    );
+  }
+
+  static async findById(id) {
+    return this.findDocument('payment', id);
+  }
+
+  static async findAllByBooking(bookingId, options) {
+    const query = admin
+      .firestore()
+      .collection(`payment`)
+      .where('booking', '==', bookingId);
+
+    const collection = this.getTransaction(options)
+      ? await this.getTransaction(options).get(query)
+      : await query.get();
+
+    return lodash.sortBy(
+      this.mapCollection(collection),
+      (item) => item.paidAt,
+    );
+  }
+};
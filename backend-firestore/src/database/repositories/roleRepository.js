@@ -0,0 +1,75 @@
+const AbstractEntityRepository = require('./abstractEntityRepository');
+const AuditLogRepository = require('./auditLogRepository');
+const admin = require('firebase-admin');
+const Role = require('../models/role');
+const lodash = require('lodash');
+
+class RoleRepository extends AbstractEntityRepository {
+  constructor() {
+    super(new Role());
+  }
+
+  async findById(id) {
+    return this.findDocument('role', id);
+  }
+
+  async findAll() {
+    const collection = await admin
+      .firestore()
+      .collection(`role`)
+      .get();
+
+    return lodash.sortBy(
+      this.mapCollection(collection),
+      (item) => item.createdAt,
+    );
+  }
+
+  async findOrCreate(data, options) {
+    const existing = await this.findById(data.id);
+
+    if (existing) {
+      return existing;
+    }
+
+    await this._set(data, options);
+
+    return this.findById(data.id);
+  }
+
+  // Roles are keyed by the id stored in the users roles
+  async create(data, options) {
+    const record = await this._set(data, options);
+
+    await this._auditLogs(
+      AuditLogRepository.CREATE,
+      record.id,
+      data,
+      options,
+    );
+
+    return record;
+  }
+
+  async _set(data, options) {
+    const record = {
+      ...this.model.cast(data),
+      id: data.id,
+      createdBy: this.getCurrentUser(options).id,
+      createdAt: this.serverTimestamp(),
+      updatedBy: this.getCurrentUser(options).id,
+      updatedAt: this.serverTimestamp(),
+    };
+
+    await AbstractEntityRepository.executeOrAddToBatch(
+      'set',
+      admin.firestore().doc(`role/${record.id}`),
+      record,
+      options,
+    );
+
+    return record;
+  }
+}
+
+module.exports = RoleRepository;
@@ -2,6 +2,13 @@ const admin = require('firebase-admin');
 const AbstractRepository = require('./abstractRepository');
 const AuditLogRepository = require('./auditLogRepository');
 const Settings = require('../models/settings');
+const lodash = require('lodash');
+
+const CAPACITIES = [
+  'capacityToddler',
+  'capacityPreschooler',
+  'capacitySchoolAged',
+];
 
 module.exports = class SettingsRepository extends AbstractRepository {
   static async findOrCreateDefault(defaults, options) {
@@ -11,7 +18,7 @@ module.exports = class SettingsRepository extends AbstractRepository {
     );
 
     if (first) {
-      return first;
+      return this.withCapacities(first);
     }
 
     const settings = {
@@ -29,14 +36,69 @@ module.exports = class SettingsRepository extends AbstractRepository {
     return settings;
   }
 
-  static async save(data, options) {
+  static async findOrCreateForLocation(
+    location,
+    defaults,
+    options,
+  ) {
+    const first = await this.findDocument(
+      new Settings().collectionName,
+      location,
+    );
+
+    if (first) {
+      return this.withCapacities(first);
+    }
+
+    const settings = {
+      ...defaults,
+      id: location,
+    };
+
+    await this.executeOrAddToBatch(
+      'set',
+      admin.firestore().doc(`settings/${location}`),
+      settings,
+      options,
+    );
+
+    return settings;
+  }
+
+  /**
+   * Settings saved before the capacity per age group only have a
+   * single capacity, that each age group without its own gets.
+   */
+  static withCapacities(settings) {
+    if (
+      settings.capacity === null ||
+      settings.capacity === undefined
+    ) {
+      return settings;
+    }
+
+    const filled = lodash.omit(settings, ['capacity']);
+
+    CAPACITIES.forEach((field) => {
+      if (
+        filled[field] === null ||
+        filled[field] === undefined
+      ) {
+        filled[field] = settings.capacity;
+      }
+    });
+
+    return filled;
+  }
+
+  static async save(id, data, options) {
     data = new Settings().cast(data);
 
     await this.executeOrAddToBatch(
       'update',
       admin
         .firestore()
-        .doc(`${new Settings().collectionName}/default`),
+        .doc(`${new Settings().collectionName}/${id}`),
       data,
       options,
     );
@@ -44,7 +106,7 @@ module.exports = class SettingsRepository extends AbstractRepository {
     await AuditLogRepository.log(
       {
         entityName: 'settings',
-        entityId: 'default',
+        entityId: id,
         action: AuditLogRepository.UPDATE,
         values: data,
       },
@@ -52,7 +114,7 @@ module.exports = class SettingsRepository extends AbstractRepository {
     );
 
     return {
-      id: 'default',
+      id,
       ...data,
     };
   }
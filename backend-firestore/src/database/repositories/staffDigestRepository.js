@@ -0,0 +1,41 @@
+const AbstractRepository = require('./abstractRepository');
+const admin = require('firebase-admin');
+
+/**
+ * Records the staff digests already sent, one per date and
+ * location, so each digest is only sent once.
+ */
+module.exports = class StaffDigestRepository extends AbstractRepository {
+  static idOf(date, location) {
+    return `${date}_${location || 'default'}`;
+  }
+
+  static async exists(date, location) {
+    return !!(await this.findDocument(
+      'staffDigest',
+      this.idOf(date, location),
+    ));
+  }
+
+  // Fails when the digest was already recorded
+  static async create(date, location, options) {
+    const staffDigest = {
+      id: this.idOf(date, location),
+      date,
+      location: location || null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    await this.executeOrAddToBatch(
+      'create',
+      admin
+        .firestore()
+        .doc(`staffDigest/${staffDigest.id}`),
+      staffDigest,
+      options,
+    );
+
+    return staffDigest;
+  }
+};
@@ -3,7 +3,9 @@ const AuditLogRepository = require('./auditLogRepository');
 const admin = require('firebase-admin');
 const lodash = require('lodash');
 const FirebaseQuery = require('../utils/firebaseQuery');
+const SearchTokens = require('../utils/searchTokens');
 const User = require('../models/user');
+const Roles = require('../../security/roles');
 
 module.exports = class UserRepository extends AbstractRepository {
   static async create(data, options) {
@@ -22,7 +24,10 @@ module.exports = class UserRepository extends AbstractRepository {
     await this.executeOrAddToBatch(
       'set',
       admin.firestore().doc(`user/${user.id}`),
-      user,
+      {
+        ...user,
+        searchTokens: SearchTokens.ofDocument('user', user),
+      },
       options,
     );
 
@@ -51,6 +56,7 @@ module.exports = class UserRepository extends AbstractRepository {
       authenticationUid: data.authenticationUid,
       roles: data.roles || [],
       disabled: false,
+      approvalPending: !!data.approvalPending,
       createdAt: this.serverTimestamp(),
       updatedAt: this.serverTimestamp(),
     };
@@ -58,7 +64,10 @@ module.exports = class UserRepository extends AbstractRepository {
     await this.executeOrAddToBatch(
       'set',
       admin.firestore().doc(`user/${user.id}`),
-      user,
+      {
+        ...user,
+        searchTokens: SearchTokens.ofDocument('user', user),
+      },
       options,
     );
 
@@ -90,10 +99,19 @@ module.exports = class UserRepository extends AbstractRepository {
       updatedAt: this.serverTimestamp(),
     };
 
+    // The email can't change here, but is searched too
+    const existing = await this.findDocument('user', id);
+
     await this.executeOrAddToBatch(
       'update',
       admin.firestore().doc(`user/${user.id}`),
-      user,
+      {
+        ...user,
+        searchTokens: SearchTokens.ofDocument('user', {
+          ...existing,
+          ...user,
+        }),
+      },
       options,
     );
 
@@ -176,6 +194,41 @@ module.exports = class UserRepository extends AbstractRepository {
     return user;
   }
 
+  static async updateApprovalPending(
+    id,
+    approvalPending,
+    options,
+  ) {
+    const user = {
+      id,
+      approvalPending,
+      updatedBy: this.getCurrentUser(options).id,
+      updatedAt: this.serverTimestamp(),
+    };
+
+    await this.executeOrAddToBatch(
+      'update',
+      admin.firestore().doc(`user/${user.id}`),
+      user,
+      options,
+    );
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'user',
+        entityId: id,
+        action: AuditLogRepository.UPDATE,
+        values: {
+          id,
+          approvalPending,
+        },
+      },
+      options,
+    );
+
+    return user;
+  }
+
   static async updateRoles(id, roles, options) {
     const user = await this.findById(id);
 
@@ -212,6 +265,7 @@ module.exports = class UserRepository extends AbstractRepository {
   }
 
   static async update(id, data, options) {
+    const hasLocationRoles = !!data.locationRoles;
     data = this._preSave(data);
     data = new User().cast(data);
 
@@ -227,10 +281,23 @@ module.exports = class UserRepository extends AbstractRepository {
       updatedAt: this.serverTimestamp(),
     };
 
+    if (hasLocationRoles) {
+      user.locationRoles = data.locationRoles;
+    }
+
+    // The email can't change here, but is searched too
+    const existing = await this.findDocument('user', id);
+
     await this.executeOrAddToBatch(
       'update',
       admin.firestore().doc(`user/${user.id}`),
-      user,
+      {
+        ...user,
+        searchTokens: SearchTokens.ofDocument('user', {
+          ...existing,
+          ...user,
+        }),
+      },
       options,
     );
 
@@ -269,12 +336,20 @@ module.exports = class UserRepository extends AbstractRepository {
   }
 
   static async findAllWithCount(
-    { filter, limit, offset, orderBy, attributes } = {
+    {
+      filter,
+      limit,
+      offset,
+      orderBy,
+      after,
+      attributes,
+    } = {
       attributes: null,
       filter: null,
       limit: 0,
       offset: 0,
       orderBy: null,
+      after: null,
     },
     options,
   ) {
@@ -282,6 +357,7 @@ module.exports = class UserRepository extends AbstractRepository {
       limit,
       offset,
       orderBy: orderBy || 'createdAt_DESC',
+      after,
     });
 
     if (filter) {
@@ -298,10 +374,12 @@ module.exports = class UserRepository extends AbstractRepository {
       }
 
       if (filter.role) {
-        query.appendIn('roles', filter.role);
+        query.appendArrayContains('roles', filter.role);
       }
 
-      if (filter.status) {
+      if (filter.status === 'approvalPending') {
+        query.appendEqual('approvalPending', true);
+      } else if (filter.status) {
         const disabled = filter.status === 'disabled';
         query.appendEqual('disabled', disabled);
       }
@@ -314,16 +392,7 @@ module.exports = class UserRepository extends AbstractRepository {
       }
     }
 
-    const collection = await admin
-      .firestore()
-      .collection(`user`)
-      .get();
-
-    const all = this.mapCollection(collection);
-    const rows = query.rows(all);
-    const count = query.count(all);
-
-    return { rows, count };
+    return query.findAndCountAll('user');
   }
 
   static async findAllAutocomplete(search, limit) {
@@ -338,13 +407,7 @@ module.exports = class UserRepository extends AbstractRepository {
       query.appendIlike('email', search);
     }
 
-    const collection = await admin
-      .firestore()
-      .collection(`user`)
-      .get();
-
-    const all = this.mapCollection(collection);
-    const rows = query.rows(all);
+    const rows = await query.findAll('user');
 
     const buildText = (user) => {
       if (!user.fullName) {
@@ -360,6 +423,83 @@ module.exports = class UserRepository extends AbstractRepository {
     }));
   }
 
+  static async searchOwners(text, { location, limit }) {
+    const ids = location
+      ? await this._findAllIdsAtLocation(location)
+      : null;
+
+    return SearchTokens.findAll('user', text, {
+      limit,
+      scope: (query) => {
+        query.appendArrayContains(
+          'roles',
+          Roles.values.childOwner,
+        );
+        query.appendIn('id', ids);
+      },
+    });
+  }
+
+  /**
+   * Ids of the users with a role or a child at the location.
+   */
+  static async _findAllIdsAtLocation(location) {
+    const [users, children] = await Promise.all([
+      admin
+        .firestore()
+        .collection('user')
+        .get(),
+      admin
+        .firestore()
+        .collection('child')
+        .where('location', '==', location)
+        .get(),
+    ]);
+
+    return lodash.uniq([
+      ...this.mapCollection(users)
+        .filter((user) =>
+          (user.locationRoles || []).some(
+            (locationRole) =>
+              locationRole.location === location,
+          ),
+        )
+        .map((user) => user.id),
+      ...this.mapCollection(children).map(
+        (child) => child.owner,
+      ),
+    ]);
+  }
+
+  /**
+   * Emails of the enabled users with one of the roles, either
+   * global or at the location.
+   */
+  static async findAllEmailsWithRoles(roles, location) {
+    const collection = await admin
+      .firestore()
+      .collection('user')
+      .get();
+
+    const hasRole = (user) =>
+      (user.roles || []).some((role) =>
+        roles.includes(role),
+      ) ||
+      (!!location &&
+        (user.locationRoles || []).some(
+          (locationRole) =>
+            locationRole.location === location &&
+            roles.includes(locationRole.role),
+        ));
+
+    return lodash.uniq(
+      this.mapCollection(collection)
+        .filter((user) => !user.disabled && hasRole(user))
+        .map((user) => user.email)
+        .filter(Boolean),
+    );
+  }
+
   static async findById(id) {
     return this.findDocument('user', id);
   }
@@ -385,7 +525,7 @@ module.exports = class UserRepository extends AbstractRepository {
       });
     }
 
-    return (await chain.get()).size;
+    return (await chain.select().get()).size;
   }
 
   static _preSave(data) {
@@ -54,4 +54,24 @@ module.exports = class UserRoleRepository extends AbstractRepository {
 
     return user.get('roles');
   }
+
+  static async countByLocation(locationId, options) {
+    const users = this.mapCollection(
+      await admin
+        .firestore()
+        .collection(`user`)
+        .get(),
+    );
+
+    return users.filter((user) =>
+      (user.locationRoles || []).some(
+        (item) => item.location === locationId,
+      ),
+    ).length;
+  }
+
+  static async countByRole(role, options) {
+    return (await this.findAllUsersByRole(role, options))
+      .length;
+  }
 };
@@ -1,20 +1,40 @@
+const admin = require('firebase-admin');
 const lodash = require('lodash');
-
+const AbstractRepository = require('../repositories/abstractRepository');
+
+/**
+ * Turns list filters into a Firestore query.
+ *
+ * Equality, array membership and ranges on the ordered column run at
+ * Firestore, together with the ordering and the pagination.
+ * Whatever Firestore can't express (ilike, in, ranges on other
+ * columns, the alternatives of an autocomplete) filters the documents
+ * Firestore returns, and then the pagination happens in memory too.
+ */
 module.exports = class FirebaseQuery {
-  constructor(limit, offset, orderBy, isOr) {
+  constructor(limit, offset, orderBy, isOr, after) {
     this.limit = limit;
     this.offset = offset;
     this.orderBy = orderBy;
-    this.predicates = {};
     this.isOr = isOr;
+    this.after = after;
+    this.predicates = [];
+    this.scopes = [];
   }
 
   static forList({
     limit = null,
     offset = null,
     orderBy = null,
+    after = null,
   } = {}) {
-    return new FirebaseQuery(limit, offset, orderBy, false);
+    return new FirebaseQuery(
+      limit,
+      offset,
+      orderBy,
+      false,
+      after,
+    );
   }
 
   static forAutocomplete({
@@ -27,52 +47,14 @@ module.exports = class FirebaseQuery {
 
   get filters() {
     return {
-      equal: (search) => (value) => {
-        if (search === undefined || search === null) {
-          return true;
-        }
-
-        if (value === undefined || value === null) {
-          return false;
-        }
-
-        return value === search;
-      },
-      in: (search) => (value) => {
-        if (search === undefined || search === null) {
-          return true;
-        }
-
-        if (value === undefined || value === null) {
-          return false;
-        }
-
-        return value.includes(search);
-      },
-      range: (start, end) => (value) => {
-        if (!start && !end) {
-          return true;
-        }
-
-        if (start && end) {
-          return value >= start && value <= end;
-        }
-
-        if (start) {
-          return value >= start;
-        }
-
-        if (end) {
-          return value <= end;
-        }
-
-        return true;
-      },
+      equal: (search) => (value) => value === search,
+      in: (search) => (value) =>
+        value !== undefined &&
+        value !== null &&
+        search.includes(value),
+      arrayContains: (search) => (value) =>
+        Array.isArray(value) && value.includes(search),
       ilike: (search) => (value) => {
-        if (!search) {
-          return true;
-        }
-
         if (!value) {
           return false;
         }
@@ -81,125 +63,379 @@ module.exports = class FirebaseQuery {
           .toLowerCase()
           .includes(search.toLowerCase());
       },
-      lessThanOrEqual: (search) => (value) => {
-        if (!search) {
-          return false;
-        }
-
-        if (!value) {
-          return false;
-        }
-
-        return search <= value;
-      },
-      greaterThanOrEqual: (search) => (value) => {
-        if (!search) {
+      compare: (operator, search) => (value) => {
+        if (value === undefined || value === null) {
           return false;
         }
 
-        if (!value) {
-          return false;
+        switch (operator) {
+          case '>':
+            return value > search;
+          case '>=':
+            return value >= search;
+          case '<':
+            return value < search;
+          default:
+            return value <= search;
         }
-
-        return search >= value;
       },
     };
   }
 
+  _append(predicate) {
+    this.predicates.push(predicate);
+  }
+
   appendEqual(column, value) {
-    this.predicates = {
-      ...this.predicates,
-      [column]: this.filters.equal(value),
-    };
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    this._append({
+      column,
+      operator: '==',
+      value,
+      test: this.filters.equal(value),
+    });
   }
 
   appendId(column, value) {
-    this.predicates = {
-      ...this.predicates,
-      [column]: this.filters.equal(value),
-    };
+    this.appendEqual(column, value);
+  }
+
+  // Narrows autocomplete results, whatever the alternatives matched
+  appendScope(column, value) {
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    this.scopes.push({
+      column,
+      operator: '==',
+      value,
+      test: this.filters.equal(value),
+    });
   }
 
   appendIn(column, value) {
-    this.predicates = {
-      ...this.predicates,
-      [column]: this.filters.in(value),
-    };
+    if (!value) {
+      return;
+    }
+
+    this._append({ column, test: this.filters.in(value) });
+  }
+
+  appendArrayContains(column, value) {
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    this._append({
+      column,
+      operator: 'array-contains',
+      value,
+      test: this.filters.arrayContains(value),
+    });
   }
 
   appendIlike(column, value) {
-    this.predicates = {
-      ...this.predicates,
-      [column]: this.filters.ilike(value),
-    };
+    if (!value) {
+      return;
+    }
+
+    this._append({
+      column,
+      test: this.filters.ilike(value),
+    });
   }
 
   appendRange(column, value) {
-    const [start, end] = value;
-    this.predicates = {
-      ...this.predicates,
-      [column]: this.filters.range(start, end),
-    };
+    const [start, end] = value || [];
+
+    if (start) {
+      this._appendCompare(column, '>=', start);
+    }
+
+    if (end) {
+      this._appendCompare(column, '<=', end);
+    }
+  }
+
+  appendGreaterThan(column, value) {
+    this._appendCompare(column, '>', value);
   }
 
   appendOverlap(columnStart, columnEnd, value) {
-    const [start, end] = value;
-    this.predicates = {
-      ...this.predicates,
-      [columnStart]: this.filters.lessThanOrEqual(end),
-      [columnEnd]: this.filters.greaterThanOrEqual(start),
-    };
+    const [start, end] = value || [];
+
+    if (end) {
+      this._appendCompare(columnStart, '<=', end);
+    }
+
+    if (start) {
+      this._appendCompare(columnEnd, '>=', start);
+    }
   }
 
-  filter(collection) {
-    const predicates = this.predicates;
+  _appendCompare(column, operator, value) {
+    this._append({
+      column,
+      operator,
+      value,
+      range: true,
+      test: this.filters.compare(operator, value),
+    });
+  }
 
-    if (
-      !collection ||
-      !predicates ||
-      !Object.keys(predicates).length
-    ) {
-      return collection;
+  get _order() {
+    if (!this.orderBy) {
+      return null;
     }
 
-    const results = Object.keys(predicates).map((key) => {
-      return collection.filter((item) =>
-        predicates[key](item[key]),
+    const [column, direction] = this.orderBy.split('_');
+    return { column, direction: direction || 'ASC' };
+  }
+
+  /**
+   * Splits the predicates between Firestore and memory, respecting
+   * the Firestore rules: a single array-contains, ranges on a single
+   * column that must also be the first one ordered by.
+   */
+  _plan(ordered) {
+    const order = ordered ? this._order : null;
+
+    // A single alternative is just another condition
+    const alternatives =
+      this.isOr && this.predicates.length > 1
+        ? this.predicates
+        : [];
+    const required = alternatives.length
+      ? this.scopes
+      : [...this.scopes, ...this.predicates];
+
+    const isDocumentId = (predicate) =>
+      predicate.column === 'id' &&
+      predicate.operator === '==';
+
+    // Document ids can't contain slashes, such a search matches nothing
+    const byId = required.find(
+      (predicate) =>
+        isDocumentId(predicate) &&
+        !String(predicate.value).includes('/'),
+    );
+
+    // A single document at most, nothing else worth sending
+    if (byId) {
+      return {
+        server: [byId],
+        memory: required.filter((item) => item !== byId),
+        alternatives,
+        order: null,
+      };
+    }
+
+    const ranges = required.filter(
+      (predicate) => predicate.range,
+    );
+
+    const rangeColumn = order
+      ? ranges.some(
+          (predicate) => predicate.column === order.column,
+        ) && order.column
+      : ranges.length && ranges[0].column;
+
+    const server = [];
+    const memory = [];
+
+    required.forEach((predicate) => {
+      const isServer =
+        (predicate.operator === '==' &&
+          !isDocumentId(predicate)) ||
+        (predicate.operator === 'array-contains' &&
+          !server.some(
+            (item) => item.operator === 'array-contains',
+          )) ||
+        (predicate.range &&
+          predicate.column === rangeColumn);
+
+      (isServer ? server : memory).push(predicate);
+    });
+
+    // Ordering by a column filtered by equality is a no-op
+    const orderedAtServer =
+      order &&
+      !server.some(
+        (predicate) =>
+          predicate.operator === '==' &&
+          predicate.column === order.column,
+      );
+
+    return {
+      server,
+      memory,
+      alternatives,
+      order: orderedAtServer ? order : null,
+    };
+  }
+
+  _fieldPath(column) {
+    return column === 'id'
+      ? admin.firestore.FieldPath.documentId()
+      : column;
+  }
+
+  _query(collectionName, plan) {
+    let query = admin
+      .firestore()
+      .collection(collectionName);
+
+    plan.server.forEach((predicate) => {
+      query = query.where(
+        this._fieldPath(predicate.column),
+        predicate.operator,
+        predicate.value,
       );
     });
 
-    if (this.isOr) {
-      return lodash.union(...results);
+    if (plan.order) {
+      query = query.orderBy(
+        this._fieldPath(plan.order.column),
+        plan.order.direction.toLowerCase(),
+      );
     }
 
-    return lodash.intersection(...results);
+    return query;
   }
 
-  count(collection) {
-    return this.filter(collection).length;
+  _matches(plan, item) {
+    return (
+      plan.memory.every((predicate) =>
+        predicate.test(item[predicate.column]),
+      ) &&
+      (!plan.alternatives.length ||
+        plan.alternatives.some((predicate) =>
+          predicate.test(item[predicate.column]),
+        ))
+    );
   }
 
-  rows(collection) {
-    const filtered = this.filter(collection);
-    let result = filtered;
+  _isInMemory(plan) {
+    return Boolean(
+      plan.memory.length || plan.alternatives.length,
+    );
+  }
 
-    if (this.orderBy) {
-      const [column, direction] = this.orderBy.split('_');
-      result = lodash.sortBy(result, column);
+  async findAll(collectionName) {
+    const plan = this._plan(true);
+    let query = this._query(collectionName, plan);
+
+    const paginatedAtServer =
+      !this._isInMemory(plan) &&
+      (plan.order || !this.orderBy);
+
+    if (paginatedAtServer) {
+      if (this.after) {
+        query = query.startAfter(
+          await this._cursor(collectionName),
+        );
+      }
+
+      if (this.offset) {
+        query = query.offset(this.offset);
+      }
+
+      if (this.limit) {
+        query = query.limit(this.limit);
+      }
+
+      return AbstractRepository.mapCollection(
+        await query.get(),
+      );
+    }
+
+    let rows = AbstractRepository.mapCollection(
+      await query.get(),
+    ).filter((item) => this._matches(plan, item));
+
+    if (this.orderBy && !plan.order) {
+      const { column, direction } = this._order;
+      rows = lodash.sortBy(rows, column);
 
       if (direction === 'DESC') {
-        result = lodash.reverse(result);
+        rows = lodash.reverse(rows);
+      }
+    }
+
+    if (this.after) {
+      const index = rows.findIndex(
+        (row) => row.id === this.after,
+      );
+
+      if (index === -1) {
+        throw new Error(`Cursor ${this.after} not found`);
       }
+
+      rows = lodash.drop(rows, index + 1);
     }
 
     if (this.offset) {
-      result = lodash.drop(result, this.offset);
+      rows = lodash.drop(rows, this.offset);
     }
 
     if (this.limit) {
-      result = lodash.slice(result, 0, this.limit);
+      rows = lodash.slice(rows, 0, this.limit);
+    }
+
+    return rows;
+  }
+
+  // Only the columns filtered in memory are read
+  async count(collectionName) {
+    const plan = this._plan(false);
+
+    const columns = lodash.uniq(
+      [...plan.memory, ...plan.alternatives].map(
+        (predicate) => predicate.column,
+      ),
+    );
+
+    const collection = await this._query(
+      collectionName,
+      plan,
+    )
+      .select(
+        ...columns.filter((column) => column !== 'id'),
+      )
+      .get();
+
+    if (!this._isInMemory(plan)) {
+      return collection.size;
+    }
+
+    return AbstractRepository.mapCollection(
+      collection,
+    ).filter((item) => this._matches(plan, item)).length;
+  }
+
+  async findAndCountAll(collectionName) {
+    const [rows, count] = await Promise.all([
+      this.findAll(collectionName),
+      this.count(collectionName),
+    ]);
+
+    return { rows, count };
+  }
+
+  async _cursor(collectionName) {
+    const snapshot = await admin
+      .firestore()
+      .doc(`${collectionName}/${this.after}`)
+      .get();
+
+    if (!snapshot.exists) {
+      throw new Error(`Cursor ${this.after} not found`);
     }
 
-    return result;
+    return snapshot;
   }
 };
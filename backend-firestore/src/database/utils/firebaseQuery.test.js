@@ -0,0 +1,141 @@
+const assert = require('assert');
+const FirebaseQuery = require('./firebaseQuery');
+
+function describePredicates(predicates) {
+  return predicates.map(
+    (predicate) =>
+      `${predicate.column} ${predicate.operator || 'test'}`,
+  );
+}
+
+function planOf(query, ordered = true) {
+  const plan = query._plan(ordered);
+
+  return {
+    server: describePredicates(plan.server),
+    memory: describePredicates(plan.memory),
+    alternatives: describePredicates(plan.alternatives),
+    order: plan.order,
+  };
+}
+
+describe('FirebaseQuery plan', () => {
+  it('sends equalities and a single array-contains to Firestore', () => {
+    const query = FirebaseQuery.forList();
+    query.appendEqual('status', 'booked');
+    query.appendArrayContains('searchTokens', 'rex');
+    query.appendArrayContains('roles', 'childOwner');
+    query.appendIlike('name', 'rex');
+    query.appendIn('id', ['a', 'b']);
+
+    assert.deepStrictEqual(planOf(query), {
+      server: ['status ==', 'searchTokens array-contains'],
+      memory: [
+        'roles array-contains',
+        'name test',
+        'id test',
+      ],
+      alternatives: [],
+      order: null,
+    });
+  });
+
+  it('sends the ranges of the ordered column only', () => {
+    const query = FirebaseQuery.forList({
+      orderBy: 'arrival_DESC',
+    });
+    query.appendOverlap('arrival', 'departure', [
+      '2026-10-19',
+      '2026-10-21',
+    ]);
+
+    assert.deepStrictEqual(planOf(query), {
+      server: ['arrival <='],
+      memory: ['departure >='],
+      alternatives: [],
+      order: { column: 'arrival', direction: 'DESC' },
+    });
+  });
+
+  it('sends the ranges of the first column without an order', () => {
+    const query = FirebaseQuery.forList();
+    query.appendRange('departure', [
+      '2026-10-19',
+      '2026-10-21',
+    ]);
+    query.appendGreaterThan('arrival', '2026-10-01');
+
+    assert.deepStrictEqual(planOf(query).server, [
+      'departure >=',
+      'departure <=',
+    ]);
+  });
+
+  it('skips ordering by a column filtered by equality', () => {
+    const query = FirebaseQuery.forList({
+      orderBy: 'status',
+    });
+    query.appendEqual('status', 'booked');
+
+    assert.strictEqual(planOf(query).order, null);
+  });
+
+  it('sends only the document id when filtered by it', () => {
+    const query = FirebaseQuery.forList({
+      orderBy: 'name',
+    });
+    query.appendEqual('status', 'booked');
+    query.appendId('id', 'booking');
+
+    assert.deepStrictEqual(planOf(query), {
+      server: ['id =='],
+      memory: ['status =='],
+      alternatives: [],
+      order: null,
+    });
+  });
+
+  it('filters ids with a slash in memory, matching nothing', () => {
+    const query = FirebaseQuery.forList();
+    query.appendId('id', 'booking/other');
+
+    const plan = query._plan(true);
+
+    assert.deepStrictEqual(
+      describePredicates(plan.memory),
+      ['id =='],
+    );
+    assert.ok(!query._matches(plan, { id: 'booking' }));
+  });
+
+  it('matches the alternatives of an autocomplete in memory', () => {
+    const query = FirebaseQuery.forAutocomplete();
+    query.appendScope('owner', 'owner');
+    query.appendIlike('name', 'rex');
+    query.appendEqual('id', 'rex');
+
+    const plan = query._plan(true);
+
+    assert.deepStrictEqual(planOf(query), {
+      server: ['owner =='],
+      memory: [],
+      alternatives: ['name test', 'id =='],
+      order: null,
+    });
+    assert.ok(
+      query._matches(plan, { id: 'a', name: 'Rexy' }),
+    );
+    assert.ok(
+      !query._matches(plan, { id: 'a', name: 'Max' }),
+    );
+  });
+
+  it('keeps a single alternative as a required condition', () => {
+    const query = FirebaseQuery.forAutocomplete();
+    query.appendEqual('name', 'Rex');
+
+    assert.deepStrictEqual(planOf(query).server, [
+      'name ==',
+    ]);
+  });
+});
@@ -0,0 +1,139 @@
+const FirebaseQuery = require('./firebaseQuery');
+
+const WORD_SEPARATOR = /[^a-z0-9]+/;
+const MIN_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 15;
+const MAX_TOKENS = 500;
+
+// Texts each searchable collection is found by
+const SEARCHED_TEXTS = {
+  child: (record) => [record.name],
+  booking: (record) => [
+    record.clientNotes,
+    record.employeeNotes,
+    record.cancellationNotes,
+  ],
+  user: (record) => [
+    record.fullName,
+    record.email,
+    record.phoneNumber,
+    SearchTokens.digits(record.phoneNumber),
+  ],
+};
+
+/**
+ * Firestore has no full-text search, so searchable documents keep
+ * the prefixes of their words at a `searchTokens` array, that
+ * queries match with array-contains.
+ */
+class SearchTokens {
+  static get COLLECTIONS() {
+    return Object.keys(SEARCHED_TEXTS);
+  }
+
+  static ofDocument(collectionName, record) {
+    return this.of(SEARCHED_TEXTS[collectionName](record));
+  }
+
+  static words(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(WORD_SEPARATOR)
+      .filter((word) => word.length >= MIN_LENGTH);
+  }
+
+  // Phone numbers are also searched without their separators
+  static digits(text) {
+    return String(text || '').replace(/[^0-9]/g, '');
+  }
+
+  static of(texts) {
+    const tokens = new Set();
+
+    texts.forEach((text) => {
+      this.words(text).forEach((word) => {
+        const length = Math.min(
+          word.length,
+          MAX_PREFIX_LENGTH,
+        );
+
+        for (let end = MIN_LENGTH; end <= length; end++) {
+          tokens.add(word.slice(0, end));
+        }
+      });
+    });
+
+    return Array.from(tokens).slice(0, MAX_TOKENS);
+  }
+
+  /**
+   * Alternatives of the tokens a document must contain to match
+   * the text, the longest token first as it is the most selective.
+   * Numbers typed in parts (e.g. 555-1234) also match the same
+   * digits stored together.
+   */
+  static query(text) {
+    const words = this.words(text);
+
+    if (!words.length) {
+      return [];
+    }
+
+    const alternatives = [words];
+
+    if (
+      words.length > 1 &&
+      words.every((word) => /^[0-9]+$/.test(word))
+    ) {
+      alternatives.push([words.join('')]);
+    }
+
+    return alternatives.map((alternative) =>
+      Array.from(
+        new Set(
+          alternative.map((word) =>
+            word.slice(0, MAX_PREFIX_LENGTH),
+          ),
+        ),
+      ).sort((a, b) => b.length - a.length),
+    );
+  }
+
+  /**
+   * Documents of the collection matching the text, `scope`
+   * narrows the query of each alternative.
+   */
+  static async findAll(
+    collectionName,
+    text,
+    { limit, scope } = {},
+  ) {
+    const rows = [];
+
+    for (const tokens of this.query(text)) {
+      const query = FirebaseQuery.forList({ limit });
+
+      tokens.forEach((token) =>
+        query.appendArrayContains('searchTokens', token),
+      );
+
+      if (scope) {
+        scope(query);
+      }
+
+      (await query.findAll(collectionName)).forEach(
+        (row) => {
+          if (!rows.some((item) => item.id === row.id)) {
+            rows.push(row);
+          }
+        },
+      );
+    }
+
+    return limit ? rows.slice(0, limit) : rows;
+  }
+}
+
+module.exports = SearchTokens;
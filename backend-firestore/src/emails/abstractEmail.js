@@ -0,0 +1,102 @@
+const lodash = require('lodash');
+const { i18n } = require('../i18n');
+const EmailTemplateRepository = require('../database/repositories/emailTemplateRepository');
+
+function interpolate(text, variables) {
+  return text.replace(/{{\s*(\w+)\s*}}/g, (match, name) =>
+    typeof variables[name] !== 'undefined'
+      ? variables[name]
+      : match,
+  );
+}
+
+module.exports = class AbstractEmail {
+  constructor(language) {
+    this.language = language;
+  }
+
+  /**
+   * Name of the template. The bundled strings
+   * are read from `emails.<template>`.
+   */
+  static get template() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Names of the variables, in the same order as the
+   * positional placeholders of the bundled strings.
+   */
+  static get variableNames() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Instance with sample data, used to preview the template.
+   */
+  static sample(language) {
+    throw new Error('Not implemented');
+  }
+
+  static bundledTemplate(language) {
+    const placeholders = this.variableNames.map(
+      (name) => `{{${name}}}`,
+    );
+
+    return {
+      subject: i18n(
+        language,
+        `emails.${this.template}.subject`,
+        ...placeholders,
+      ),
+      body: i18n(
+        language,
+        `emails.${this.template}.body`,
+        ...placeholders,
+      ),
+    };
+  }
+
+  get variables() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * Names of the variables that are rendered as HTML,
+   * and are not escaped in the body.
+   */
+  static get htmlVariableNames() {
+    return [];
+  }
+
+  get htmlVariables() {
+    return lodash.mapValues(this.variables, (value, name) =>
+      this.constructor.htmlVariableNames.includes(name)
+        ? value
+        : lodash.escape(value),
+    );
+  }
+
+  async render(template) {
+    if (template === undefined) {
+      template = await EmailTemplateRepository.findByTemplateAndLanguage(
+        this.constructor.template,
+        this.language,
+      );
+    }
+
+    if (!template) {
+      template = this.constructor.bundledTemplate(
+        this.language,
+      );
+    }
+
+    return {
+      subject: interpolate(
+        template.subject,
+        this.variables,
+      ),
+      html: interpolate(template.body, this.htmlVariables),
+    };
+  }
+};
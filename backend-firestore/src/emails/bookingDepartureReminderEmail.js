@@ -0,0 +1,45 @@
+const { i18n } = require('../i18n');
+const config = require('../../config/index')();
+const moment = require('moment');
+const AbstractEmail = require('./abstractEmail');
+
+module.exports = class BookingDepartureReminderEmail extends AbstractEmail {
+  constructor(language, booking) {
+    super(language);
+    this.to = booking.owner.email;
+    this.booking = booking;
+  }
+
+  static get template() {
+    return 'bookingDepartureReminder';
+  }
+
+  static get variableNames() {
+    return ['appTitle', 'childName', 'departure', 'link'];
+  }
+
+  static sample(language) {
+    return new BookingDepartureReminderEmail(language, {
+      id: 'sample',
+      owner: { email: 'parent@example.com' },
+      child: { name: 'Emma' },
+      departure: moment()
+        .startOf('day')
+        .add(18, 'hours')
+        .toDate(),
+    });
+  }
+
+  get variables() {
+    return {
+      appTitle: i18n(this.language, 'app.title'),
+      childName: this.booking.child.name,
+      departure: moment(this.booking.departure).format(
+        'HH:mm',
+      ),
+      link: `${config.clientUrl}/booking/${
+        this.booking.id
+      }`,
+    };
+  }
+};
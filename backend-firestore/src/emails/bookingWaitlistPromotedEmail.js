@@ -0,0 +1,66 @@
+const { i18n } = require('../i18n');
+const config = require('../../config/index')();
+const moment = require('moment');
+const AbstractEmail = require('./abstractEmail');
+
+module.exports = class BookingWaitlistPromotedEmail extends AbstractEmail {
+  constructor(language, booking) {
+    super(language);
+    this.to = booking.owner.email;
+    this.booking = booking;
+  }
+
+  static get template() {
+    return 'bookingWaitlistPromoted';
+  }
+
+  static get variableNames() {
+    return [
+      'appTitle',
+      'childName',
+      'arrival',
+      'departure',
+      'link',
+    ];
+  }
+
+  static sample(language) {
+    return new BookingWaitlistPromotedEmail(language, {
+      id: 'sample',
+      owner: { email: 'parent@example.com' },
+      child: { name: 'Emma' },
+      arrival: moment()
+        .add(1, 'week')
+        .startOf('day')
+        .add(8, 'hours')
+        .toDate(),
+      departure: moment()
+        .add(1, 'week')
+        .startOf('day')
+        .add(18, 'hours')
+        .toDate(),
+    });
+  }
+
+  get variables() {
+    return {
+      appTitle: i18n(this.language, 'app.title'),
+      childName: this.childName,
+      arrival: this.formatDate(this.booking.arrival),
+      departure: this.formatDate(this.booking.departure),
+      link: this.link,
+    };
+  }
+
+  formatDate(value) {
+    return moment(value).format('YYYY-MM-DD HH:mm');
+  }
+
+  get link() {
+    return `${config.clientUrl}/booking/${this.booking.id}`;
+  }
+
+  get childName() {
+    return this.booking.child.name;
+  }
+};
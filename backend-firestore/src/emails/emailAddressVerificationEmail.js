@@ -1,26 +1,34 @@
+const config = require('../../config')();
 const { i18n } = require('../i18n');
+const AbstractEmail = require('./abstractEmail');
 
-module.exports = class EmailAddressVerificationEmail {
+module.exports = class EmailAddressVerificationEmail extends AbstractEmail {
   constructor(language, to, link) {
-    this.language = language;
+    super(language);
     this.to = to;
     this.link = link;
   }
 
-  get subject() {
-    return i18n(
-      this.language,
-      'emails.emailAddressVerification.subject',
-      i18n(this.language, 'app.title'),
-    );
+  static get template() {
+    return 'emailAddressVerification';
+  }
+
+  static get variableNames() {
+    return ['appTitle', 'link'];
   }
 
-  get html() {
-    return i18n(
-      this.language,
-      'emails.emailAddressVerification.body',
-      this.link,
-      i18n(this.language, 'app.title'),
+  static sample(language) {
+    return new EmailAddressVerificationEmail(
+      language,
+      'parent@example.com',
+      `${config.clientUrl}/auth/verify-email`,
     );
   }
+
+  get variables() {
+    return {
+      appTitle: i18n(this.language, 'app.title'),
+      link: this.link,
+    };
+  }
 };
@@ -0,0 +1,94 @@
+const { i18n } = require('../i18n');
+const config = require('../../config/index')();
+const moment = require('moment');
+const lodash = require('lodash');
+const AbstractEmail = require('./abstractEmail');
+
+module.exports = class StaffDailyDigestEmail extends AbstractEmail {
+  constructor(language, to, date, arrivals, departures) {
+    super(language);
+    this.to = to;
+    this.date = date;
+    this.arrivals = arrivals;
+    this.departures = departures;
+  }
+
+  static get template() {
+    return 'staffDailyDigest';
+  }
+
+  static get variableNames() {
+    return [
+      'appTitle',
+      'date',
+      'arrivals',
+      'departures',
+      'link',
+    ];
+  }
+
+  static sample(language) {
+    const today = moment().startOf('day');
+
+    return new StaffDailyDigestEmail(
+      language,
+      'employee@example.com',
+      today.toDate(),
+      [
+        {
+          arrival: moment(today).add(8, 'hours'),
+          child: { name: 'Emma' },
+          owner: { fullName: 'Olivia Smith' },
+        },
+      ],
+      [
+        {
+          departure: moment(today).add(17, 'hours'),
+          child: { name: 'Noah' },
+          owner: { fullName: 'Liam Johnson' },
+        },
+      ],
+    );
+  }
+
+  static get htmlVariableNames() {
+    return ['arrivals', 'departures'];
+  }
+
+  get variables() {
+    return {
+      appTitle: i18n(this.language, 'app.title'),
+      date: moment(this.date).format('YYYY-MM-DD'),
+      arrivals: this.list(this.arrivals, 'arrival'),
+      departures: this.list(this.departures, 'departure'),
+      link: `${config.clientUrl}/booking`,
+    };
+  }
+
+  list(bookings, dateField) {
+    if (!bookings.length) {
+      return i18n(
+        this.language,
+        'emails.staffDailyDigest.none',
+      );
+    }
+
+    return bookings
+      .map((booking) =>
+        i18n(
+          this.language,
+          'emails.staffDailyDigest.item',
+          moment(booking[dateField]).format('HH:mm'),
+          lodash.escape(
+            booking.child ? booking.child.name : '',
+          ),
+          lodash.escape(
+            booking.owner
+              ? booking.owner.fullName || ''
+              : '',
+          ),
+        ),
+      )
+      .join('\n');
+  }
+};
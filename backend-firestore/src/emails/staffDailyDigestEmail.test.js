@@ -0,0 +1,30 @@
+const assert = require('assert');
+const StaffDailyDigestEmail = require('./staffDailyDigestEmail');
+
+describe('StaffDailyDigestEmail', () => {
+  it('escapes the names inside the rendered lists', async () => {
+    const email = new StaffDailyDigestEmail(
+      'en',
+      'staff@example.com',
+      new Date(2026, 9, 19),
+      [
+        {
+          arrival: new Date(2026, 9, 19, 8),
+          child: { name: '<b>Emma</b>' },
+          owner: { fullName: 'Ann & Bob' },
+        },
+      ],
+      [],
+    );
+
+    const { html } = await email.render({
+      subject: '{{date}}',
+      body: '<ul>{{arrivals}}</ul>',
+    });
+
+    assert.strictEqual(
+      html,
+      '<ul><li>08:00 - &lt;b&gt;Emma&lt;/b&gt; (Ann &amp; Bob)</li></ul>',
+    );
+  });
+});
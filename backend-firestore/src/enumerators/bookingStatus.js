@@ -1,5 +1,6 @@
 module.exports = {
   BOOKED: 'booked',
+  WAITLISTED: 'waitlisted',
   PROGRESS: 'progress',
   CANCELLED: 'cancelled',
   COMPLETED: 'completed',
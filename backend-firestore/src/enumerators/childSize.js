@@ -0,0 +1,5 @@
+module.exports = {
+  TODDLER: 'toddler',
+  PRESCHOOLER: 'preschooler',
+  SCHOOL_AGED: 'schoolAged',
+};
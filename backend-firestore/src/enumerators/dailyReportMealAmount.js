@@ -0,0 +1,6 @@
+module.exports = {
+  ALL: 'all',
+  MOST: 'most',
+  SOME: 'some',
+  NONE: 'none',
+};
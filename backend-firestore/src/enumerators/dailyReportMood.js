@@ -0,0 +1,7 @@
+module.exports = {
+  HAPPY: 'happy',
+  CALM: 'calm',
+  TIRED: 'tired',
+  SAD: 'sad',
+  UPSET: 'upset',
+};
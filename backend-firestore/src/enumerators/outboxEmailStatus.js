@@ -0,0 +1,5 @@
+module.exports = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
@@ -0,0 +1,6 @@
+module.exports = {
+  CASH: 'cash',
+  CARD: 'card',
+  BANK_TRANSFER: 'bankTransfer',
+  OTHER: 'other',
+};
@@ -7,6 +7,9 @@ const en = {
     child: {
       validation: {
         bookingExists: `There is a booking for this child, so it can't be deleted`,
+        birthdateRequired: 'The date of birth is required',
+        birthdateInFuture:
+          'The date of birth cannot be in the future',
       },
     },
     booking: {
@@ -16,6 +19,77 @@ const en = {
         periodPast: 'The period must be in the future',
         periodFull:
           'Sorry, the Childcare Center is full at this time',
+        statusChangeNotAllowed:
+          'The status must be changed with check-in, check-out or cancel',
+        statusTransitionNotAllowed:
+          'This status change is not allowed for this booking',
+        paymentAmountInvalid:
+          'The payment amount must be greater than zero',
+        paymentNotFound:
+          'Payment not found for this booking',
+        invoiceWithoutFee:
+          'The invoice can only be issued once the booking has a fee',
+        childAgeNotAccepted:
+          'The child is outside the age range accepted by the Childcare Center',
+        approvalPending:
+          'Your account is waiting for approval by the Childcare Center',
+      },
+    },
+    attendance: {
+      validation: {
+        bookingNotInProgress:
+          'Check the booking in before recording attendance',
+        alreadyCheckedIn: 'The child is already checked in',
+        notCheckedIn: 'The child is not checked in',
+        pickUpNotAuthorized:
+          'The person picking up is not authorized for this child',
+      },
+    },
+    dailyReportEntry: {
+      validation: {
+        bookingNotInProgress:
+          'Check the booking in before adding report entries',
+        notFound: 'The report entry was not found',
+        mealAmountRequired:
+          'How much was eaten is required',
+        descriptionRequired: 'The description is required',
+        moodRequired: 'The mood is required',
+        toiletTypeRequired:
+          'The diaper/toilet event is required',
+        endTimeBeforeTime:
+          'The nap must end after it starts',
+      },
+    },
+    outboxEmail: {
+      validation: {
+        notFound: 'The email was not found',
+      },
+    },
+    emailTemplate: {
+      validation: {
+        templateNotFound:
+          'The email template was not found',
+        languageNotFound: 'The language was not found',
+      },
+    },
+    location: {
+      validation: {
+        notFound: 'The location was not found',
+        inUse:
+          'The location has children, bookings or staff and cannot be deleted',
+      },
+    },
+    role: {
+      validation: {
+        notFound: 'The role was not found',
+        invalidId:
+          'The role id must start with a letter and contain only letters and numbers',
+        alreadyExists: 'A role with this id already exists',
+        invalidPermission: 'Unknown permission',
+        notEditable: 'The manager role cannot be changed',
+        builtIn: 'Built-in roles cannot be deleted',
+        inUse:
+          'The role is granted to users and cannot be deleted',
       },
     },
   },
@@ -27,6 +101,12 @@ const en = {
     emailAddressVerificationEmail: {
       error: `Email not recognized`,
     },
+    registration: {
+      childrenRequired:
+        'Add at least one child to register',
+      alreadyRegistered:
+        'The registration is already complete',
+    },
   },
 
   iam: {
@@ -36,6 +116,9 @@ const en = {
       userNotFound: 'User not found',
       disablingHimself: `You can't disable yourself`,
       revokingOwnPermission: `You can't revoke your own manager permission`,
+      invalidLocationRole:
+        'Only manager and employee roles can be granted per location',
+      invalidRole: 'Unknown role',
     },
   },
 
@@ -77,10 +160,10 @@ const en = {
       body: `
         <p>Hello,</p>
         <p>Follow this link to verify your email address.</p>
-        <p><a href='{0}'>{0}</a></p>
+        <p><a href='{1}'>{1}</a></p>
         <p>If you didn’t ask to verify this address, you can ignore this email.</p>
         <p>Thanks,</p>
-        <p>Your {1} team</p>
+        <p>Your {0} team</p>
       `,
     },
     passwordReset: {
@@ -94,8 +177,53 @@ const en = {
         <p>Your {0} team</p>
       `,
     },
-    bookingUpdate: {
-      subject: 'We have news about {1} at {0}!',
+    bookingWaitlistPromoted: {
+      subject: `A spot opened up for {1} at {0}!`,
+      body: `
+        <p>Hello,</p>
+        <p>Good news! A spot opened up and the waitlisted booking of {1} from {2} to {3} is now confirmed.</p>
+        <p><a href='{4}'>{4}</a></p>
+        <p>Thanks,</p>
+        <p>Your {0} team</p>
+      `,
+    },
+    bookingArrivalReminder: {
+      subject: `{1} is expected at {0} soon`,
+      body: `
+        <p>Hello,</p>
+        <p>This is a reminder that {1} is expected to arrive on {2}.</p>
+        <p><a href='{3}'>{3}</a></p>
+        <p>Thanks,</p>
+        <p>Your {0} team</p>
+      `,
+    },
+    bookingDepartureReminder: {
+      subject: `{1} is ready to be picked up today at {0}`,
+      body: `
+        <p>Hello,</p>
+        <p>This is a reminder that {1} is due to be picked up today at {2}.</p>
+        <p>Only the authorized pick-up persons can pick {1} up.</p>
+        <p><a href='{3}'>{3}</a></p>
+        <p>Thanks,</p>
+        <p>Your {0} team</p>
+      `,
+    },
+    staffDailyDigest: {
+      subject: `{0} arrivals and departures for {1}`,
+      body: `
+        <p>Hello,</p>
+        <p>These are the arrivals and departures for {1}.</p>
+        <p><b>Arrivals</b></p>
+        <ul>{2}</ul>
+        <p><b>Departures</b></p>
+        <ul>{3}</ul>
+        <p><a href='{4}'>{4}</a></p>
+      `,
+      item: `<li>{0} - {1} ({2})</li>`,
+      none: `<li>None</li>`,
+    },
+    bookingDailyReport: {
+      subject: `{1}'s day at {0} on {2}`,
       body: `<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
 <html xmlns="http://www.w3.org/1999/xhtml">
   <head>
@@ -120,17 +248,16 @@ const en = {
                     <td
                       style="color: #153643; font-family: Arial, sans-serif; font-size: 24px;"
                     >
-                      <b>We have news about {1}</b>
+                      <b>This is how {1}'s day went</b>
                     </td>
                   </tr>
                   <tr>
                     <td
                       style="padding: 20px 0 30px 0; color: #153643; font-family: Arial, sans-serif; font-size: 16px; line-height: 20px;"
                     >
-                      {2}
+                      <ul>{3}</ul>
                     </td>
                   </tr>
-                  {3}
                   <tr>
                     <td
                       style="text-align: center; padding: 20px 0 30px 0; color: #153643; font-family: Arial, sans-serif; font-size: 16px; line-height: 20px;"
@@ -148,45 +275,34 @@ const en = {
   </body>
 </html>
       `,
-      twoImagesTr: `
-      <tr>
-      <td>
-        <table
-          border="0"
-          cellpadding="0"
-          cellspacing="0"
-          width="100%"
-        >
-          <tr>
-            {0}
-            <td style="font-size: 0; line-height: 0;" width="20">
-              &nbsp;
-            </td>
-            {1}
-          </tr>
-        </table>
-      </td>
-    </tr>
-      `,
-      imageTd: `<td width="260" valign="top">
-      <table
-        border="0"
-        cellpadding="0"
-        cellspacing="0"
-        width="100%"
-      >
-        <tr>
-          <td>
-            <img
-              src="{0}"
-              alt=""
-              width="100%"
-              style="display: block;"
-            />
-          </td>
-        </tr>
-      </table>
-    </td>`,
+      item: `<li><b>{0}</b> {1}: {2}</li>`,
+      napUntil: 'until {0}',
+      types: {
+        meal: 'Meal',
+        nap: 'Nap',
+        activity: 'Activity',
+        mood: 'Mood',
+        toilet: 'Diaper/Toilet',
+      },
+      mealAmounts: {
+        all: 'Ate all',
+        most: 'Ate most',
+        some: 'Ate some',
+        none: 'Ate none',
+      },
+      moods: {
+        happy: 'Happy',
+        calm: 'Calm',
+        tired: 'Tired',
+        sad: 'Sad',
+        upset: 'Upset',
+      },
+      toiletTypes: {
+        wet: 'Wet',
+        bowelMovement: 'Bowel movement',
+        dry: 'Dry',
+        potty: 'Used the potty',
+      },
     },
   },
 };
@@ -7,6 +7,10 @@ const en = {
     child: {
       validation: {
         bookingExists: `O child não pode ser deletado pois existe uma reserva para ele.`,
+        birthdateRequired:
+          'A data de nascimento é obrigatória',
+        birthdateInFuture:
+          'A data de nascimento não pode estar no futuro',
       },
     },
     booking: {
@@ -16,6 +20,79 @@ const en = {
         periodPast: 'O período deve estar no futuro',
         periodFull:
           'Desculpe, o Childcare Center está cheio neste período',
+        statusChangeNotAllowed:
+          'O status deve ser alterado por check-in, check-out ou cancelamento',
+        statusTransitionNotAllowed:
+          'Esta mudança de status não é permitida para esta reserva',
+        paymentAmountInvalid:
+          'O valor do pagamento deve ser maior que zero',
+        paymentNotFound:
+          'Pagamento não encontrado para esta reserva',
+        invoiceWithoutFee:
+          'A fatura só pode ser emitida quando a reserva tiver um valor',
+        childAgeNotAccepted:
+          'A criança está fora da faixa etária aceita pelo Childcare Center',
+        approvalPending:
+          'Sua conta está aguardando aprovação do Childcare Center',
+      },
+    },
+    attendance: {
+      validation: {
+        bookingNotInProgress:
+          'Faça o check-in da reserva antes de registrar a presença',
+        alreadyCheckedIn: 'A criança já está com check-in',
+        notCheckedIn: 'A criança não está com check-in',
+        pickUpNotAuthorized:
+          'A pessoa que está buscando não está autorizada para esta criança',
+      },
+    },
+    dailyReportEntry: {
+      validation: {
+        bookingNotInProgress:
+          'Faça o check-in da reserva antes de adicionar registros ao relatório',
+        notFound:
+          'O registro do relatório não foi encontrado',
+        mealAmountRequired:
+          'O quanto foi comido é obrigatório',
+        descriptionRequired: 'A descrição é obrigatória',
+        moodRequired: 'O humor é obrigatório',
+        toiletTypeRequired:
+          'O evento de fralda/banheiro é obrigatório',
+        endTimeBeforeTime:
+          'A soneca deve terminar depois de começar',
+      },
+    },
+    outboxEmail: {
+      validation: {
+        notFound: 'O email não foi encontrado',
+      },
+    },
+    emailTemplate: {
+      validation: {
+        templateNotFound:
+          'O modelo de email não foi encontrado',
+        languageNotFound: 'O idioma não foi encontrado',
+      },
+    },
+    location: {
+      validation: {
+        notFound: 'O local não foi encontrado',
+        inUse:
+          'O local possui crianças, reservas ou equipe e não pode ser excluído',
+      },
+    },
+    role: {
+      validation: {
+        notFound: 'A função não foi encontrada',
+        invalidId:
+          'O id da função deve começar com uma letra e conter apenas letras e números',
+        alreadyExists: 'Já existe uma função com este id',
+        invalidPermission: 'Permissão desconhecida',
+        notEditable:
+          'A função de gerente não pode ser alterada',
+        builtIn: 'Funções padrão não podem ser excluídas',
+        inUse:
+          'A função está concedida a usuários e não pode ser excluída',
       },
     },
   },
@@ -27,6 +104,11 @@ const en = {
     emailAddressVerificationEmail: {
       error: `Email não encontrado`,
     },
+    registration: {
+      childrenRequired:
+        'Adicione pelo menos uma criança para se registrar',
+      alreadyRegistered: 'O registro já foi concluído',
+    },
   },
 
   iam: {
@@ -35,6 +117,9 @@ const en = {
       userNotFound: 'Usuário não encontrado',
       disablingHimself: `Você não pode desativar-se`,
       revokingOwnPermission: `Você não pode revogar sua própria permissão de proprietário`,
+      invalidLocationRole:
+        'Somente as funções de gerente e funcionário podem ser concedidas por local',
+      invalidRole: 'Função desconhecida',
     },
   },
 
@@ -76,10 +161,10 @@ const en = {
       body: `
         <p>Olá,</p>
         <p>Clique neste link para verificar seu endereço de e-mail.</p>
-        <p><a href='{0}'>{0}</a></p>
+        <p><a href='{1}'>{1}</a></p>
         <p>Se você não solicitou a verificação deste endereço, ignore este e-mail.</p>
         <p>Obrigado,</p>
-        <p>Equipe do app {1}</p>
+        <p>Equipe do app {0}</p>
       `,
     },
     passwordReset: {
@@ -93,8 +178,53 @@ const en = {
         <p>Equipe do app {0}</p>
       `,
     },
-    bookingUpdate: {
-      subject: 'Temos notícias sobre {1} em {0}!',
+    bookingWaitlistPromoted: {
+      subject: `Uma vaga foi liberada para {1} em {0}!`,
+      body: `
+        <p>Olá,</p>
+        <p>Boas notícias! Uma vaga foi liberada e a reserva de {1} na lista de espera, de {2} a {3}, agora está confirmada.</p>
+        <p><a href='{4}'>{4}</a></p>
+        <p>Obrigado,</p>
+        <p>Equipe do app {0}</p>
+      `,
+    },
+    bookingArrivalReminder: {
+      subject: `Lembrete da chegada de {1} em {0}`,
+      body: `
+        <p>Olá,</p>
+        <p>Este é um lembrete de que a chegada de {1} está prevista para {2}.</p>
+        <p><a href='{3}'>{3}</a></p>
+        <p>Obrigado,</p>
+        <p>Equipe do app {0}</p>
+      `,
+    },
+    bookingDepartureReminder: {
+      subject: `{1} pode ser buscado(a) hoje em {0}`,
+      body: `
+        <p>Olá,</p>
+        <p>Este é um lembrete de que {1} deve ser buscado(a) hoje às {2}.</p>
+        <p>Somente as pessoas autorizadas podem buscar {1}.</p>
+        <p><a href='{3}'>{3}</a></p>
+        <p>Obrigado,</p>
+        <p>Equipe do app {0}</p>
+      `,
+    },
+    staffDailyDigest: {
+      subject: `Chegadas e saídas em {0} no dia {1}`,
+      body: `
+        <p>Olá,</p>
+        <p>Estas são as chegadas e saídas de {1}.</p>
+        <p><b>Chegadas</b></p>
+        <ul>{2}</ul>
+        <p><b>Saídas</b></p>
+        <ul>{3}</ul>
+        <p><a href='{4}'>{4}</a></p>
+      `,
+      item: `<li>{0} - {1} ({2})</li>`,
+      none: `<li>Nenhuma</li>`,
+    },
+    bookingDailyReport: {
+      subject: 'O dia de {1} em {0} - {2}',
       body: `<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
 <html xmlns="http://www.w3.org/1999/xhtml">
   <head>
@@ -119,17 +249,16 @@ const en = {
                     <td
                       style="color: #153643; font-family: Arial, sans-serif; font-size: 24px;"
                     >
-                      <b>Temos notícias sobre {1}</b>
+                      <b>Veja como foi o dia de {1}</b>
                     </td>
                   </tr>
                   <tr>
                     <td
                       style="padding: 20px 0 30px 0; color: #153643; font-family: Arial, sans-serif; font-size: 16px; line-height: 20px;"
                     >
-                      {2}
+                      <ul>{3}</ul>
                     </td>
                   </tr>
-                  {3}
                   <tr>
                     <td
                       style="text-align: center; padding: 20px 0 30px 0; color: #153643; font-family: Arial, sans-serif; font-size: 16px; line-height: 20px;"
@@ -147,45 +276,34 @@ const en = {
   </body>
 </html>
       `,
-      twoImagesTr: `
-      <tr>
-      <td>
-        <table
-          border="0"
-          cellpadding="0"
-          cellspacing="0"
-          width="100%"
-        >
-          <tr>
-            {0}
-            <td style="font-size: 0; line-height: 0;" width="20">
-              &nbsp;
-            </td>
-            {1}
-          </tr>
-        </table>
-      </td>
-    </tr>
-      `,
-      imageTd: `<td width="260" valign="top">
-      <table
-        border="0"
-        cellpadding="0"
-        cellspacing="0"
-        width="100%"
-      >
-        <tr>
-          <td>
-            <img
-              src="{0}"
-              alt=""
-              width="100%"
-              style="display: block;"
-            />
-          </td>
-        </tr>
-      </table>
-    </td>`,
+      item: `<li><b>{0}</b> {1}: {2}</li>`,
+      napUntil: 'até {0}',
+      types: {
+        meal: 'Refeição',
+        nap: 'Soneca',
+        activity: 'Atividade',
+        mood: 'Humor',
+        toilet: 'Fralda/Banheiro',
+      },
+      mealAmounts: {
+        all: 'Comeu tudo',
+        most: 'Comeu quase tudo',
+        some: 'Comeu pouco',
+        none: 'Não comeu',
+      },
+      moods: {
+        happy: 'Feliz',
+        calm: 'Calmo',
+        tired: 'Cansado',
+        sad: 'Triste',
+        upset: 'Chateado',
+      },
+      toiletTypes: {
+        wet: 'Molhada',
+        bowelMovement: 'Evacuação',
+        dry: 'Seca',
+        potty: 'Usou o penico',
+      },
     },
   },
 };
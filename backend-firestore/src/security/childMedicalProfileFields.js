@@ -0,0 +1,8 @@
+module.exports = [
+  'allergies',
+  'dietaryRestrictions',
+  'medications',
+  'doctorName',
+  'doctorPhone',
+  'emergencyContacts',
+];
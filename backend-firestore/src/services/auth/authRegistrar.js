@@ -0,0 +1,127 @@
+const assert = require('assert');
+const UserRepository = require('../../database/repositories/userRepository');
+const ChildRepository = require('../../database/repositories/childRepository');
+const AuthService = require('../../auth/authService');
+const ValidationError = require('../../errors/validationError');
+const ForbiddenError = require('../../errors/forbiddenError');
+const UserRoleChecker = require('../iam/userRoleChecker');
+const ChildService = require('../childService');
+
+/**
+ * Completes a self-registration: saves the profile and creates
+ * the children of the pending account in one batch.
+ */
+module.exports = class AuthRegistrar {
+  constructor(currentUser, language, location) {
+    this.currentUser = currentUser;
+    this.language = language;
+    this.location = location || null;
+
+    this.batch = null;
+    this.children = [];
+    this.childRepository = new ChildRepository();
+  }
+
+  async execute(data) {
+    this.data = data;
+
+    await this._validate();
+
+    try {
+      this.batch = await UserRepository.createBatch();
+
+      await this._updateProfile();
+      await this._createChildren();
+
+      await UserRepository.commitBatch(this.batch);
+    } catch (error) {
+      throw error;
+    }
+
+    await this._updateAtAuthentication();
+  }
+
+  async _updateProfile() {
+    this.user = await UserRepository.updateProfile(
+      this.currentUser.id,
+      {
+        firstName: this.data.firstName,
+        lastName: this.data.lastName,
+        phoneNumber: this.data.phoneNumber,
+      },
+      {
+        currentUser: this.currentUser,
+        batch: this.batch,
+      },
+    );
+  }
+
+  async _createChildren() {
+    for (const child of this.children) {
+      await this.childRepository.create(child, {
+        currentUser: this.currentUser,
+        batch: this.batch,
+      });
+    }
+  }
+
+  async _updateAtAuthentication() {
+    if (this.currentUser.authenticationUid) {
+      await AuthService.updateUser(
+        this.currentUser.authenticationUid,
+        this.user,
+      );
+    }
+  }
+
+  async _validate() {
+    assert(this.currentUser, 'currentUser is required');
+    assert(
+      this.currentUser.id,
+      'currentUser.id is required',
+    );
+    assert(this.data, 'data is required');
+
+    if (
+      !UserRoleChecker.isChildOwner(this.currentUser) ||
+      !this.currentUser.approvalPending
+    ) {
+      throw new ForbiddenError(this.language);
+    }
+
+    const childrenCount = await this.childRepository.count({
+      owner: this.currentUser.id,
+    });
+
+    if (childrenCount) {
+      throw new ValidationError(
+        this.language,
+        'auth.registration.alreadyRegistered',
+      );
+    }
+
+    this.children = (this.data.children || []).map(
+      (child) => ({
+        ...child,
+        owner: this.currentUser.id,
+      }),
+    );
+
+    if (!this.children.length) {
+      throw new ValidationError(
+        this.language,
+        'auth.registration.childrenRequired',
+      );
+    }
+
+    const childService = new ChildService({
+      currentUser: this.currentUser,
+      language: this.language,
+      location: this.location,
+    });
+
+    for (const child of this.children) {
+      await childService.validateCreate(child);
+    }
+  }
+};
@@ -1,7 +1,76 @@
 const moment = require('moment');
+const pricingRuleType = require('../../enumerators/pricingRuleType');
+
+const BASE = 'base';
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percentageOf(value, percentage) {
+  return (value * (percentage || 0)) / 100;
+}
+
+// Discounts without their threshold don't apply
+function bestRule(rules, property, value) {
+  return rules
+    .filter(
+      (rule) => rule[property] && rule[property] <= value,
+    )
+    .sort((a, b) => b[property] - a[property])[0];
+}
 
 module.exports = class BookingFeeCalculator {
-  static calculate(arrivalRaw, departureRaw, dailyFee) {
+  static get BASE() {
+    return BASE;
+  }
+
+  static calculate(
+    arrivalRaw,
+    departureRaw,
+    dailyFee,
+    pricingRules,
+    options,
+  ) {
+    const items = this.breakdown(
+      arrivalRaw,
+      departureRaw,
+      dailyFee,
+      pricingRules,
+      options,
+    );
+
+    return this.total(items);
+  }
+
+  static total(items) {
+    if (!items) {
+      return null;
+    }
+
+    return round(
+      items.reduce((sum, item) => sum + item.amount, 0),
+    );
+  }
+
+  static balance(fee, amountPaid) {
+    return round(
+      Number(fee || 0) - Number(amountPaid || 0),
+    );
+  }
+
+  /**
+   * Itemizes the fee of a booking: the base daily fee,
+   * the holiday and weekend rates of the days it covers,
+   * and the sibling and long-stay discounts over that subtotal.
+   */
+  static breakdown(
+    arrivalRaw,
+    departureRaw,
+    dailyFee,
+    pricingRules,
+    { siblingCount = 1 } = {},
+  ) {
     if (!arrivalRaw || !departureRaw || !dailyFee) {
       return null;
     }
@@ -14,9 +83,99 @@ module.exports = class BookingFeeCalculator {
     }
 
     const diffInDays = departure
+      .clone()
       .endOf('day')
-      .diff(arrival.startOf('day'), 'days');
+      .diff(arrival.clone().startOf('day'), 'days');
+
+    const days = diffInDays || 1;
+    const rules = pricingRules || [];
+    const rulesOf = (type) =>
+      rules.filter((rule) => rule.type === type);
+
+    const items = [
+      {
+        type: BASE,
+        quantity: days,
+        amount: round(dailyFee * days),
+      },
+    ];
+
+    const holidays = rulesOf(pricingRuleType.HOLIDAY);
+    const weekendSurcharge = rulesOf(
+      pricingRuleType.WEEKEND_SURCHARGE,
+    )[0];
+
+    const surcharges = {
+      [pricingRuleType.HOLIDAY]: { quantity: 0, amount: 0 },
+      [pricingRuleType.WEEKEND_SURCHARGE]: {
+        quantity: 0,
+        amount: 0,
+      },
+    };
+
+    for (let i = 0; i < days; i++) {
+      const day = arrival
+        .clone()
+        .startOf('day')
+        .add(i, 'days');
+
+      // Holiday rates take precedence over the weekend surcharge
+      const holiday = holidays.find((rule) =>
+        (rule.dates || []).includes(
+          day.format('YYYY-MM-DD'),
+        ),
+      );
+
+      const rule =
+        holiday ||
+        ([0, 6].includes(day.day())
+          ? weekendSurcharge
+          : null);
+
+      if (rule) {
+        surcharges[rule.type].quantity++;
+        surcharges[rule.type].amount += percentageOf(
+          dailyFee,
+          rule.percentage,
+        );
+      }
+    }
+
+    Object.keys(surcharges)
+      .filter((type) => surcharges[type].quantity)
+      .forEach((type) => {
+        items.push({
+          type,
+          quantity: surcharges[type].quantity,
+          amount: round(surcharges[type].amount),
+        });
+      });
+
+    const subtotal = this.total(items);
+
+    const discounts = [
+      bestRule(
+        rulesOf(pricingRuleType.SIBLING_DISCOUNT),
+        'minChildren',
+        siblingCount,
+      ),
+      bestRule(
+        rulesOf(pricingRuleType.LONG_STAY_DISCOUNT),
+        'minDays',
+        days,
+      ),
+    ].filter(Boolean);
+
+    discounts.forEach((rule) => {
+      items.push({
+        type: rule.type,
+        quantity: 1,
+        amount: -round(
+          percentageOf(subtotal, rule.percentage),
+        ),
+      });
+    });
 
-    return dailyFee * (diffInDays || 1);
+    return items;
   }
 };
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const BookingFeeCalculator = require('./bookingFeeCalculator');
+const pricingRuleType = require('../../enumerators/pricingRuleType');
+
+// Charged as two weekdays
+const ARRIVAL = '2026-10-19T08:00:00';
+const DEPARTURE = '2026-10-21T17:00:00';
+const DAILY_FEE = 50;
+
+function typesOf(pricingRules, options) {
+  return BookingFeeCalculator.breakdown(
+    ARRIVAL,
+    DEPARTURE,
+    DAILY_FEE,
+    pricingRules,
+    options,
+  ).map((item) => item.type);
+}
+
+describe('BookingFeeCalculator discounts', () => {
+  it('ignore a long stay discount without its minimum days', () => {
+    assert.deepStrictEqual(
+      typesOf([
+        {
+          type: pricingRuleType.LONG_STAY_DISCOUNT,
+          percentage: 10,
+          minDays: null,
+        },
+      ]),
+      [BookingFeeCalculator.BASE],
+    );
+  });
+
+  it('ignore a sibling discount without its minimum children', () => {
+    assert.deepStrictEqual(
+      typesOf(
+        [
+          {
+            type: pricingRuleType.SIBLING_DISCOUNT,
+            percentage: 10,
+          },
+        ],
+        { siblingCount: 1 },
+      ),
+      [BookingFeeCalculator.BASE],
+    );
+  });
+
+  it('apply the highest threshold reached', () => {
+    const items = BookingFeeCalculator.breakdown(
+      ARRIVAL,
+      DEPARTURE,
+      DAILY_FEE,
+      [
+        {
+          type: pricingRuleType.LONG_STAY_DISCOUNT,
+          percentage: 10,
+          minDays: 2,
+        },
+        {
+          type: pricingRuleType.LONG_STAY_DISCOUNT,
+          percentage: 20,
+          minDays: 5,
+        },
+      ],
+    );
+
+    assert.deepStrictEqual(items[1], {
+      type: pricingRuleType.LONG_STAY_DISCOUNT,
+      quantity: 1,
+      amount: -10,
+    });
+  });
+});
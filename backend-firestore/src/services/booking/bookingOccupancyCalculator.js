@@ -0,0 +1,66 @@
+const moment = require('moment');
+
+module.exports = class BookingOccupancyCalculator {
+  static calculate(startRaw, endRaw, bookings, capacities) {
+    if (!startRaw || !endRaw) {
+      return [];
+    }
+
+    const start = moment(startRaw).startOf('day');
+    const end = moment(endRaw).endOf('day');
+    const day = start.clone();
+    const days = [];
+
+    while (day.isSameOrBefore(end)) {
+      days.push(
+        this._calculateDay(
+          day.clone(),
+          bookings,
+          capacities,
+        ),
+      );
+      day.add(1, 'day');
+    }
+
+    return days;
+  }
+
+  static _calculateDay(day, bookings, capacities) {
+    const dayStart = day.clone().startOf('day');
+    const dayEnd = day.clone().endOf('day');
+
+    const bookingsOfDay = bookings.filter(
+      (booking) =>
+        moment(booking.arrival).isSameOrBefore(dayEnd) &&
+        moment(booking.departure).isSameOrAfter(dayStart),
+    );
+
+    const groups = Object.keys(capacities).map((size) => {
+      const capacity = capacities[size];
+      const booked = bookingsOfDay.filter(
+        (booking) => booking.size === size,
+      ).length;
+
+      return {
+        size,
+        capacity,
+        booked,
+        remaining: Math.max(capacity - booked, 0),
+      };
+    });
+
+    const sum = (field) =>
+      groups.reduce(
+        (total, group) => total + group[field],
+        0,
+      );
+
+    return {
+      date: dayStart.format('YYYY-MM-DD'),
+      capacity: sum('capacity'),
+      booked: sum('booked'),
+      remaining: sum('remaining'),
+      groups,
+    };
+  }
+};
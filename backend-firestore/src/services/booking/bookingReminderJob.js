@@ -0,0 +1,57 @@
+const SettingsService = require('../settingsService');
+const LocationRepository = require('../../database/repositories/locationRepository');
+const BookingReminderService = require('./bookingReminderService');
+const moment = require('moment');
+
+const INTERVAL = 60 * 60 * 1000;
+const DEFAULT_REMINDER_HOUR = 7;
+const LANGUAGE = 'en';
+
+module.exports = class BookingReminderJob {
+  static start(interval = INTERVAL) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => console.error(error));
+    }, interval);
+  }
+
+  static stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Meant to run once an hour. Only sends the reminders of each
+   * location during the hour configured in its settings, the
+   * bookings without a location follow the default settings.
+   */
+  static async run(date = new Date()) {
+    const locations = await new LocationRepository().findAll();
+
+    for (const location of [
+      null,
+      ...locations.map((item) => item.id),
+    ]) {
+      const settings = await SettingsService.findOrCreateDefault(
+        null,
+        location,
+      );
+
+      const reminderHour =
+        settings.reminderHour || settings.reminderHour === 0
+          ? settings.reminderHour
+          : DEFAULT_REMINDER_HOUR;
+
+      if (moment(date).hour() !== reminderHour) {
+        continue;
+      }
+
+      await new BookingReminderService({
+        language: LANGUAGE,
+      }).sendAll(settings, date, location);
+    }
+  }
+};
@@ -1,27 +1,46 @@
 const BookingRepository = require('../../database/repositories/bookingRepository');
 const ChildRepository = require('../../database/repositories/childRepository');
+const LocationRepository = require('../../database/repositories/locationRepository');
 const ValidationError = require('../../errors/validationError');
 const AbstractRepository = require('../../database/repositories/abstractRepository');
-const UserRoleChecker = require('../iam/userRoleChecker');
+const PermissionChecker = require('../iam/permissionChecker');
+const permissions = require('../../security/permissions')
+  .values;
 const ForbiddenError = require('../../errors/forbiddenError');
 const bookingStatus = require('../../enumerators/bookingStatus');
+const childSize = require('../../enumerators/childSize');
 const moment = require('moment');
 const SettingsService = require('../settingsService');
+const ChildAgeGroupCalculator = require('../childAgeGroupCalculator');
 const BookingFeeCalculator = require('./bookingFeeCalculator');
-const BookingUpdateEmail = require('../../emails/bookingUpdateEmail');
+const BookingOccupancyCalculator = require('./bookingOccupancyCalculator');
+const BookingStatusTransitions = require('./bookingStatusTransitions');
+const BookingWaitlistPromotedEmail = require('../../emails/bookingWaitlistPromotedEmail');
 const EmailSender = require('../shared/email/emailSender');
+const NotificationService = require('../notificationService');
+const notificationType = require('../../enumerators/notificationType');
+const bookingChange = require('../../enumerators/bookingChange');
+const BookingEvents = require('./bookingEvents');
 
 module.exports = class BookingService {
-  constructor({ currentUser, language }) {
+  constructor({ currentUser, language, location }) {
     this.repository = new BookingRepository();
     this.childRepository = new ChildRepository();
+    this.locationRepository = new LocationRepository();
     this.currentUser = currentUser;
     this.language = language;
+    this.location = location || null;
   }
 
   async create(data) {
     await this._validateCreate(data);
-    data.fee = await this.calculateFee(data);
+    data.feeBreakdown = await this.calculateFeeBreakdown(data);
+    data.fee = BookingFeeCalculator.total(data.feeBreakdown);
+    data.amountPaid = 0;
+    data.balance = BookingFeeCalculator.balance(
+      data.fee,
+      data.amountPaid,
+    );
 
     const batch = await AbstractRepository.createBatch();
 
@@ -33,29 +52,116 @@ module.exports = class BookingService {
 
       await AbstractRepository.commitBatch(batch);
 
-      return this.repository.findById(record.id);
+      const createdRecord = await this.repository.findById(
+        record.id,
+      );
+
+      BookingEvents.publishChanged(
+        createdRecord,
+        bookingChange.CREATED,
+      );
+
+      return createdRecord;
     } catch (error) {
       throw error;
     }
   }
 
   async _validateCreate(data) {
+    data.status = data.status || bookingStatus.BOOKED;
+
+    if (
+      !BookingStatusTransitions.isInitialAllowed(
+        this.currentUser,
+        data.status,
+      )
+    ) {
+      throw new ForbiddenError(this.language);
+    }
+
+    if (
+      this._isScopedToOwner() &&
+      this.currentUser.approvalPending
+    ) {
+      throw new ValidationError(
+        this.language,
+        'entities.booking.validation.approvalPending',
+      );
+    }
+
+    data.location = await this._findChildLocation(data.child);
+    this._validateLocation(data.location);
+
     await this._validatePeriodFuture(data);
+    await this._validateChildAge(data);
+    await this._waitlistIfPeriodFull(data);
     await this._validatePeriodAvailable(null, data);
 
-    if (UserRoleChecker.isChildOwner(this.currentUser)) {
+    if (this._isScopedToOwner()) {
       if (data.owner !== this.currentUser.id) {
         throw new ForbiddenError(this.language);
       }
-
-      if (data.status !== bookingStatus.BOOKED) {
-        throw new ForbiddenError(this.language);
-      }
     }
 
     await this._validateChildAndOwnerMatch(data);
   }
 
+  async _validateChildAge(data) {
+    const child = await this.childRepository.findById(
+      data.child,
+    );
+
+    if (!child) {
+      return;
+    }
+
+    const settings = await SettingsService.findOrCreateDefault(
+      this.currentUser,
+      data.location,
+    );
+
+    const age = ChildAgeGroupCalculator.age(
+      child.birthdate,
+      data.arrival,
+    );
+
+    if (!ChildAgeGroupCalculator.isAccepted(age, settings)) {
+      throw new ValidationError(
+        this.language,
+        'entities.booking.validation.childAgeNotAccepted',
+      );
+    }
+
+    data.ageGroup = ChildAgeGroupCalculator.ageGroup(
+      child,
+      data.arrival,
+    );
+  }
+
+  async _waitlistIfPeriodFull(data) {
+    if (data.status !== bookingStatus.BOOKED) {
+      return;
+    }
+
+    if (
+      !(await this.isPeriodAvailable(
+        data.arrival,
+        data.departure,
+        data.child,
+      ))
+    ) {
+      data.status = bookingStatus.WAITLISTED;
+    }
+  }
+
+  async _findChildLocation(childId) {
+    const child = childId
+      ? await this.childRepository.findById(childId)
+      : null;
+
+    return child && child.location ? child.location.id : null;
+  }
+
   async _validateChildAndOwnerMatch(data) {
     const child = await this.childRepository.findById(
       data.child,
@@ -68,41 +174,68 @@ module.exports = class BookingService {
 
   async update(id, data) {
     await this._validateUpdate(id, data);
-    data.fee = await this.calculateFee(data);
-    const mustSendBookingUpdateEmail = await this._mustSendBookingUpdateEmail(
+    data.feeBreakdown = await this.calculateFeeBreakdown(data);
+    data.fee = BookingFeeCalculator.total(data.feeBreakdown);
+    data.balance = BookingFeeCalculator.balance(
+      data.fee,
+      data.amountPaid,
+    );
+    const mustPromoteWaitlisted = await this._mustPromoteWaitlisted(
+      id,
+    );
+    const newPhotosCount = await this._countNewPhotos(
       id,
       data,
     );
 
     const batch = await AbstractRepository.createBatch();
 
-    try {
-      let record = await this.repository.update(id, data, {
-        batch,
-        currentUser: this.currentUser,
-      });
+    await this.repository.update(id, data, {
+      batch,
+      currentUser: this.currentUser,
+    });
 
-      await AbstractRepository.commitBatch(batch);
+    await AbstractRepository.commitBatch(batch);
 
-      record = await this.repository.findById(record.id);
+    const record = await this.repository.findById(id);
 
-      if (mustSendBookingUpdateEmail) {
-        await this._sendBookingUpdateEmail(record);
-      }
+    BookingEvents.publishChanged(record, bookingChange.UPDATED);
 
-      return record;
-    } catch (error) {
-      throw error;
+    if (newPhotosCount) {
+      await this._notifyOwner(
+        record,
+        notificationType.BOOKING_PHOTOS_ADDED,
+        { photosCount: newPhotosCount },
+      );
+    }
+
+    if (mustPromoteWaitlisted) {
+      await this.promoteWaitlisted();
     }
+
+    return record;
   }
 
   async _validateUpdate(id, data) {
+    const existingData = await this.findById(id);
+
+    if (data.status && data.status !== existingData.status) {
+      throw new ValidationError(
+        this.language,
+        'entities.booking.validation.statusChangeNotAllowed',
+      );
+    }
+
+    data.status = existingData.status;
+    data.amountPaid = existingData.amountPaid;
+    data.location = await this._findChildLocation(data.child);
+    this._validateLocation(data.location);
+
     await this._validatePeriodFuture(data);
+    await this._validateChildAge(data);
     await this._validatePeriodAvailable(id, data);
 
-    const existingData = await this.findById(id);
-
-    if (UserRoleChecker.isChildOwner(this.currentUser)) {
+    if (this._isScopedToOwner()) {
       await this._validateUpdateForChildOwner(
         id,
         data,
@@ -110,8 +243,11 @@ module.exports = class BookingService {
       );
     }
 
-    if (UserRoleChecker.isEmployee(this.currentUser)) {
-      await this._validateUpdateForEmployee(
+    if (
+      !this._isScopedToOwner() &&
+      !this._has(permissions.bookingEditAnyStatus)
+    ) {
+      await this._validateUpdateForStaff(
         id,
         data,
         existingData,
@@ -129,21 +265,17 @@ module.exports = class BookingService {
     data.owner = this.currentUser.id;
     await this._validateIsSameOwner(id);
 
-    if (existingData.status !== bookingStatus.BOOKED) {
-      throw new ForbiddenError(this.language);
-    }
-
     if (
       ![
-        bookingStatus.CANCELLED,
         bookingStatus.BOOKED,
-      ].includes(data.status)
+        bookingStatus.WAITLISTED,
+      ].includes(existingData.status)
     ) {
       throw new ForbiddenError(this.language);
     }
   }
 
-  async _validateUpdateForEmployee(id, data, existingData) {
+  async _validateUpdateForStaff(id, data, existingData) {
     if (
       [
         bookingStatus.CANCELLED,
@@ -153,11 +285,12 @@ module.exports = class BookingService {
       throw new ForbiddenError(this.language);
     }
 
-    if (existingData.status !== bookingStatus.BOOKED) {
-      if (data.status === bookingStatus.BOOKED) {
-        throw new ForbiddenError(this.language);
-      }
-
+    if (
+      ![
+        bookingStatus.BOOKED,
+        bookingStatus.WAITLISTED,
+      ].includes(existingData.status)
+    ) {
       if (data.owner !== existingData.owner.id) {
         throw new ForbiddenError(this.language);
       }
@@ -168,11 +301,94 @@ module.exports = class BookingService {
     }
   }
 
+  async checkIn(id) {
+    return this._changeStatus(id, {
+      status: bookingStatus.PROGRESS,
+    });
+  }
+
+  async checkOut(id) {
+    const record = await this._changeStatus(id, {
+      status: bookingStatus.COMPLETED,
+    });
+
+    await this.promoteWaitlisted();
+
+    return record;
+  }
+
+  async cancel(id, cancellationNotes) {
+    const record = await this._changeStatus(id, {
+      status: bookingStatus.CANCELLED,
+      cancellationNotes,
+    });
+
+    await this.promoteWaitlisted();
+
+    return record;
+  }
+
+  async _changeStatus(id, data) {
+    const existingData = await this.findById(id);
+
+    if (
+      !BookingStatusTransitions.isAllowed(
+        this.currentUser,
+        existingData.status,
+        data.status,
+      )
+    ) {
+      throw new ValidationError(
+        this.language,
+        'entities.booking.validation.statusTransitionNotAllowed',
+      );
+    }
+
+    const batch = await AbstractRepository.createBatch();
+
+    await this.repository.updateStatus(id, data, {
+      batch,
+      currentUser: this.currentUser,
+    });
+
+    await AbstractRepository.commitBatch(batch);
+
+    const record = await this.repository.findById(id);
+
+    BookingEvents.publishChanged(record, bookingChange.UPDATED);
+
+    await this._notifyOwner(
+      record,
+      notificationType.BOOKING_STATUS_CHANGED,
+      { status: record.status },
+    );
+
+    return record;
+  }
+
+  // Users who can't read every booking only reach their own
+  _isScopedToOwner() {
+    return !this._has(permissions.bookingReadAll);
+  }
+
+  _has(permission) {
+    return new PermissionChecker({
+      currentUser: this.currentUser,
+      language: this.language,
+    }).has(permission);
+  }
+
   async _validateIsSameOwner(id) {
     await this.findById(id);
   }
 
   async destroyAll(ids) {
+    const records = [];
+
+    for (const id of ids) {
+      records.push(await this.findById(id));
+    }
+
     const batch = await AbstractRepository.createBatch();
 
     try {
@@ -187,6 +403,15 @@ module.exports = class BookingService {
     } catch (error) {
       throw error;
     }
+
+    records.forEach((record) =>
+      BookingEvents.publishChanged(
+        record,
+        bookingChange.DESTROYED,
+      ),
+    );
+
+    await this.promoteWaitlisted();
   }
 
   async findById(id) {
@@ -196,7 +421,7 @@ module.exports = class BookingService {
   }
 
   async _validateFindById(record) {
-    if (UserRoleChecker.isChildOwner(this.currentUser)) {
+    if (this._isScopedToOwner()) {
       if (
         record.owner &&
         record.owner.id !== this.currentUser.id
@@ -204,10 +429,27 @@ module.exports = class BookingService {
         throw new ForbiddenError(this.language);
       }
     }
+
+    this._validateLocation(
+      record.location ? record.location.id : null,
+    );
+  }
+
+  // Staff with a role at the selected location only reach its bookings
+  _validateLocation(location) {
+    if (
+      new PermissionChecker({
+        currentUser: this.currentUser,
+        language: this.language,
+      }).isLocationOnly(permissions.bookingReadAll) &&
+      (location || null) !== this.location
+    ) {
+      throw new ForbiddenError(this.language);
+    }
   }
 
   async findAllAutocomplete(filter, limit) {
-    if (UserRoleChecker.isChildOwner(this.currentUser)) {
+    if (this._isScopedToOwner()) {
       if (
         !filter ||
         !filter.owner ||
@@ -217,6 +459,10 @@ module.exports = class BookingService {
       }
     }
 
+    if (this.location) {
+      filter = { ...filter, location: this.location };
+    }
+
     return this.repository.findAllAutocomplete(
       filter,
       limit,
@@ -224,13 +470,20 @@ module.exports = class BookingService {
   }
 
   async findAndCountAll(args) {
-    if (UserRoleChecker.isChildOwner(this.currentUser)) {
+    if (this._isScopedToOwner()) {
       args.filter = {
         ...args.filter,
         owner: this.currentUser.id,
       };
     }
 
+    if (this.location) {
+      args.filter = {
+        ...args.filter,
+        location: this.location,
+      };
+    }
+
     return this.repository.findAndCountAll(args);
   }
 
@@ -268,7 +521,12 @@ module.exports = class BookingService {
   async _validatePeriodFuture(data) {
     const { arrival, departure, status } = data;
 
-    if (status !== bookingStatus.BOOKED) {
+    if (
+      ![
+        bookingStatus.BOOKED,
+        bookingStatus.WAITLISTED,
+      ].includes(status)
+    ) {
       return;
     }
 
@@ -301,6 +559,7 @@ module.exports = class BookingService {
       !(await this.isPeriodAvailable(
         data.arrival,
         data.departure,
+        data.child,
         id,
       ))
     ) {
@@ -311,78 +570,287 @@ module.exports = class BookingService {
     }
   }
 
-  async isPeriodAvailable(start, end, idToExclude) {
-    const bookingsAtPeriod = await this.repository.countActiveBookingInPeriod(
+  async isPeriodAvailable(start, end, child, idToExclude) {
+    const availability = await this.findPeriodAvailability(
       start,
       end,
+      child,
       idToExclude,
     );
 
-    const capacity = (
-      await SettingsService.findOrCreateDefault(
-        this.currentUser,
-      )
-    ).capacity;
+    return availability.every((group) => group.remaining > 0);
+  }
+
+  async findPeriodAvailability(
+    start,
+    end,
+    child,
+    idToExclude,
+  ) {
+    let sizes = Object.values(childSize);
+    let locations = await this._locationsInView();
+
+    if (child) {
+      const childRecord = await this.childRepository.findById(
+        child,
+      );
+
+      sizes = [
+        ChildAgeGroupCalculator.ageGroup(childRecord, start),
+      ];
+
+      locations = [
+        childRecord.location ? childRecord.location.id : null,
+      ];
+    }
+
+    const capacities = await this._capacitiesOf(
+      sizes,
+      locations,
+    );
+
+    const occupancy = await this.findOccupancy(
+      start,
+      end,
+      sizes,
+      idToExclude,
+      locations,
+    );
+
+    return sizes.map((size) => {
+      const capacity = capacities[size];
+
+      // The busiest day of the period is what limits new bookings
+      const booked = Math.max(
+        0,
+        ...occupancy.map(
+          (day) =>
+            day.groups.find((group) => group.size === size)
+              .booked,
+        ),
+      );
 
-    return bookingsAtPeriod < capacity;
+      return {
+        size,
+        capacity,
+        booked,
+        remaining: Math.max(capacity - booked, 0),
+      };
+    });
   }
 
-  async calculateFee(data) {
-    const { arrival, departure } = data;
+  async findOccupancy(
+    start,
+    end,
+    sizes,
+    idToExclude,
+    locations,
+  ) {
+    locations = locations || (await this._locationsInView());
+
+    const capacities = await this._capacitiesOf(
+      sizes || Object.values(childSize),
+      locations,
+    );
+
+    const bookings = [];
+
+    for (const location of locations) {
+      bookings.push(
+        ...(await this.repository.findAllActiveInPeriod(
+          start,
+          end,
+          idToExclude,
+          location,
+        )),
+      );
+    }
+
+    return BookingOccupancyCalculator.calculate(
+      start,
+      end,
+      bookings,
+      capacities,
+    );
+  }
+
+  /**
+   * Without a selected location the occupancy adds up every
+   * location, bookings without one count against the default
+   * settings.
+   */
+  async _locationsInView() {
+    if (this.location) {
+      return [this.location];
+    }
 
-    const dailyFee = (
-      await SettingsService.findOrCreateDefault(
+    const locations = await this.locationRepository.findAll();
+
+    return [null, ...locations.map((location) => location.id)];
+  }
+
+  async _capacitiesOf(sizes, locations) {
+    const capacities = {};
+
+    sizes.forEach((size) => {
+      capacities[size] = 0;
+    });
+
+    for (const location of locations) {
+      const settings = await SettingsService.findOrCreateDefault(
         this.currentUser,
-      )
-    ).dailyFee;
+        location,
+      );
+
+      sizes.forEach((size) => {
+        capacities[size] += SettingsService.capacityForChildSize(
+          settings,
+          size,
+        );
+      });
+    }
+
+    return capacities;
+  }
+
+  async promoteWaitlisted() {
+    const waitlisted = await this.repository.findAllWaitlisted();
+
+    // Oldest first, so the waitlist is served in the order it was joined
+    for (const booking of waitlisted) {
+      const isAvailable = await this.isPeriodAvailable(
+        booking.arrival,
+        booking.departure,
+        booking.child,
+        booking.id,
+      );
+
+      if (!isAvailable) {
+        continue;
+      }
+
+      const record = await this._promote(booking.id);
+      await this._sendBookingWaitlistPromotedEmail(record);
+      await this._notifyOwner(
+        record,
+        notificationType.BOOKING_WAITLIST_PROMOTED,
+      );
+    }
+  }
+
+  async _promote(id) {
+    const batch = await AbstractRepository.createBatch();
+
+    await this.repository.updateStatus(
+      id,
+      { status: bookingStatus.BOOKED },
+      {
+        batch,
+        currentUser: this.currentUser,
+      },
+    );
+
+    await AbstractRepository.commitBatch(batch);
+
+    const record = await this.repository.findById(id);
+
+    BookingEvents.publishChanged(record, bookingChange.UPDATED);
+
+    return record;
+  }
+
+  async _mustPromoteWaitlisted(id) {
+    const oldRecord = await this.repository.findById(id);
+
+    return [
+      bookingStatus.BOOKED,
+      bookingStatus.PROGRESS,
+    ].includes(oldRecord.status);
+  }
+
+  async findFeeBreakdown(arrival, departure, owner, child) {
+    if (this._isScopedToOwner()) {
+      owner = this.currentUser.id;
+    }
+
+    const location = child
+      ? await this._findChildLocation(child)
+      : this.location;
+
+    this._validateLocation(location);
+
+    return this.calculateFeeBreakdown({
+      arrival,
+      departure,
+      owner,
+      location,
+    });
+  }
+
+  async calculateFeeBreakdown(data) {
+    const { arrival, departure, owner, location } = data;
+
+    const settings = await SettingsService.findOrCreateDefault(
+      this.currentUser,
+      location,
+    );
 
-    return BookingFeeCalculator.calculate(
+    const siblingCount = owner
+      ? await this.childRepository.count({ owner })
+      : 1;
+
+    return BookingFeeCalculator.breakdown(
       arrival,
       departure,
-      dailyFee,
+      settings.dailyFee,
+      settings.pricingRules,
+      { siblingCount },
     );
   }
 
-  async _sendBookingUpdateEmail(booking) {
-    const email = new BookingUpdateEmail(
+  async _sendBookingWaitlistPromotedEmail(booking) {
+    const email = new BookingWaitlistPromotedEmail(
       this.language,
       booking,
     );
 
-    return new EmailSender(email).send();
-  }
-
-  async _mustSendBookingUpdateEmail(id, newRecord) {
-    if (newRecord.status !== bookingStatus.PROGRESS) {
-      return false;
+    try {
+      await new EmailSender(email).send();
+    } catch (error) {
+      console.error(error);
     }
-
-    return this._hasChangedEmployeeNotesOrPhotos(
-      id,
-      newRecord,
-    );
   }
 
-  async _hasChangedEmployeeNotesOrPhotos(id, newRecord) {
-    const oldRecord = await this.findById(id);
+  async _notifyOwner(booking, type, data = {}) {
+    if (!booking.owner) {
+      return;
+    }
 
     if (
-      newRecord.employeeNotes &&
-      oldRecord.employeeNotes !== newRecord.employeeNotes
+      this.currentUser &&
+      this.currentUser.id === booking.owner.id
     ) {
-      return true;
+      return;
     }
 
+    await NotificationService.notify(booking.owner.id, type, {
+      bookingId: booking.id,
+      childName: booking.child ? booking.child.name : null,
+      ...data,
+    });
+  }
+
+  async _countNewPhotos(id, newRecord) {
     if (!newRecord.photos || !newRecord.photos.length) {
-      return false;
+      return 0;
     }
 
-    return newRecord.photos.some((photo) => {
-      const notInOldRecord = !oldRecord.photos.some(
-        (oldPhoto) => oldPhoto.id === photo.id,
-      );
+    const oldRecord = await this.repository.findById(id);
+    const oldPhotos = oldRecord.photos || [];
 
-      return notInOldRecord;
-    });
+    return newRecord.photos.filter(
+      (photo) =>
+        !oldPhotos.some((oldPhoto) => oldPhoto.id === photo.id),
+    ).length;
   }
 };
@@ -0,0 +1,83 @@
+const bookingStatus = require('../../enumerators/bookingStatus');
+const PermissionChecker = require('../iam/permissionChecker');
+const permissions = require('../../security/permissions')
+  .values;
+
+const {
+  BOOKED,
+  WAITLISTED,
+  PROGRESS,
+  CANCELLED,
+  COMPLETED,
+} = bookingStatus;
+
+const STAFF_TRANSITIONS = {
+  [BOOKED]: [PROGRESS, CANCELLED],
+  [WAITLISTED]: [CANCELLED],
+  [PROGRESS]: [COMPLETED, CANCELLED],
+  [CANCELLED]: [],
+  [COMPLETED]: [],
+};
+
+const OWN_BOOKING = 'ownBooking';
+
+// Statuses a booking may move to, keyed by the permission that
+// grants them and then by its current status. `initial` lists the
+// statuses a booking may be created with. Users without any of
+// these permissions only move their own bookings.
+const TRANSITIONS = {
+  [permissions.bookingEditAnyStatus.id]: {
+    initial: Object.values(bookingStatus),
+    ...STAFF_TRANSITIONS,
+  },
+  [permissions.bookingManageStatus.id]: {
+    initial: [BOOKED, PROGRESS],
+    ...STAFF_TRANSITIONS,
+  },
+  [OWN_BOOKING]: {
+    initial: [BOOKED],
+    [BOOKED]: [CANCELLED],
+    [WAITLISTED]: [CANCELLED],
+    [PROGRESS]: [],
+    [CANCELLED]: [],
+    [COMPLETED]: [],
+  },
+};
+
+module.exports = class BookingStatusTransitions {
+  static keyOf(currentUser) {
+    const permissionChecker = new PermissionChecker({
+      currentUser,
+    });
+
+    const permission = [
+      permissions.bookingEditAnyStatus,
+      permissions.bookingManageStatus,
+    ].find((item) => permissionChecker.has(item));
+
+    return permission ? permission.id : OWN_BOOKING;
+  }
+
+  static initialStatuses(currentUser) {
+    return TRANSITIONS[this.keyOf(currentUser)].initial;
+  }
+
+  static nextStatuses(currentUser, fromStatus) {
+    return (
+      TRANSITIONS[this.keyOf(currentUser)][fromStatus] || []
+    );
+  }
+
+  static isInitialAllowed(currentUser, status) {
+    return this.initialStatuses(currentUser).includes(
+      status,
+    );
+  }
+
+  static isAllowed(currentUser, fromStatus, toStatus) {
+    return this.nextStatuses(
+      currentUser,
+      fromStatus,
+    ).includes(toStatus);
+  }
+};
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const ChildAgeGroupCalculator = require('./childAgeGroupCalculator');
+const childSize = require('../enumerators/childSize');
+
+describe('ChildAgeGroupCalculator', () => {
+  it('turns a year older on the birthday', () => {
+    assert.strictEqual(
+      ChildAgeGroupCalculator.age(
+        '2023-10-20',
+        '2026-10-19',
+      ),
+      2,
+    );
+    assert.strictEqual(
+      ChildAgeGroupCalculator.age(
+        '2023-10-20',
+        '2026-10-20',
+      ),
+      3,
+    );
+  });
+
+  it('finds the age group at the date of the booking', () => {
+    const child = {
+      birthdate: '2023-10-20',
+      size: childSize.SCHOOL_AGED,
+    };
+
+    assert.strictEqual(
+      ChildAgeGroupCalculator.ageGroup(child, '2026-10-19'),
+      childSize.TODDLER,
+    );
+    assert.strictEqual(
+      ChildAgeGroupCalculator.ageGroup(child, '2026-10-20'),
+      childSize.PRESCHOOLER,
+    );
+    assert.strictEqual(
+      ChildAgeGroupCalculator.ageGroup(child, '2029-10-20'),
+      childSize.SCHOOL_AGED,
+    );
+  });
+
+  it('keeps the manual size of children without a birthdate', () => {
+    assert.strictEqual(
+      ChildAgeGroupCalculator.ageGroup(
+        { size: childSize.PRESCHOOLER },
+        '2026-10-19',
+      ),
+      childSize.PRESCHOOLER,
+    );
+  });
+
+  it('accepts the ages within the limits, both included', () => {
+    const settings = { minimumAge: 0, maximumAge: 5 };
+
+    assert.ok(
+      ChildAgeGroupCalculator.isAccepted(0, settings),
+    );
+    assert.ok(
+      ChildAgeGroupCalculator.isAccepted(5, settings),
+    );
+    assert.ok(
+      !ChildAgeGroupCalculator.isAccepted(6, settings),
+    );
+    assert.ok(
+      ChildAgeGroupCalculator.isAccepted(null, settings),
+    );
+  });
+});
@@ -1,20 +1,26 @@
 const ChildRepository = require('../database/repositories/childRepository');
 const ValidationError = require('../errors/validationError');
 const AbstractRepository = require('../database/repositories/abstractRepository');
-const UserRoleChecker = require('./iam/userRoleChecker');
+const PermissionChecker = require('./iam/permissionChecker');
+const permissions = require('../security/permissions')
+  .values;
+const childMedicalProfileFields = require('../security/childMedicalProfileFields');
+const ChildAgeGroupCalculator = require('./childAgeGroupCalculator');
+const moment = require('moment');
 const ForbiddenError = require('../errors/forbiddenError');
 const BookingRepository = require('../database/repositories/bookingRepository');
 
 module.exports = class ChildService {
-  constructor({ currentUser, language }) {
+  constructor({ currentUser, language, location }) {
     this.repository = new ChildRepository();
     this.bookingRepository = new BookingRepository();
     this.currentUser = currentUser;
     this.language = language;
+    this.location = location || null;
   }
 
   async create(data) {
-    await this._validateCreate(data);
+    await this.validateCreate(data);
 
     const batch = await AbstractRepository.createBatch();
 
@@ -32,12 +38,22 @@ module.exports = class ChildService {
     }
   }
 
-  async _validateCreate(data) {
-    if (UserRoleChecker.isChildOwner(this.currentUser)) {
+  async validateCreate(data) {
+    if (this._isScopedToOwner()) {
       if (data.owner !== this.currentUser.id) {
         throw new ForbiddenError(this.language);
       }
     }
+
+    if (!this._canEditMedicalProfile()) {
+      this._restrictMedicalProfile(data);
+    }
+
+    data.location = this._isScopedToLocation()
+      ? this.location
+      : data.location || this.location;
+
+    this._deriveAgeGroup(data);
   }
 
   async update(id, data) {
@@ -64,10 +80,86 @@ module.exports = class ChildService {
   }
 
   async _validateUpdate(id, data) {
-    if (UserRoleChecker.isChildOwner(this.currentUser)) {
+    if (this._isScopedToOwner()) {
       data.owner = this.currentUser.id;
       await this._validateIsSameOwner(id);
     }
+
+    if (!this._canEditMedicalProfile()) {
+      const existingData = await this.findById(id);
+      this._restrictMedicalProfile(data, existingData);
+    }
+
+    if (this._isScopedToLocation()) {
+      await this.findById(id);
+      data.location = this.location;
+    }
+
+    if (data.location === undefined) {
+      const existingData = await this.repository.findById(
+        id,
+      );
+      data.location = existingData.location
+        ? existingData.location.id
+        : null;
+    }
+
+    this._deriveAgeGroup(data);
+  }
+
+  _deriveAgeGroup(data) {
+    if (!data.birthdate) {
+      if (!data.size) {
+        throw new ValidationError(
+          this.language,
+          'entities.child.validation.birthdateRequired',
+        );
+      }
+
+      return;
+    }
+
+    if (
+      moment(data.birthdate, 'YYYY-MM-DD').isAfter(moment())
+    ) {
+      throw new ValidationError(
+        this.language,
+        'entities.child.validation.birthdateInFuture',
+      );
+    }
+
+    data.size = ChildAgeGroupCalculator.ageGroup(data);
+  }
+
+  // Users who can't read every child only reach their own
+  _isScopedToOwner() {
+    return !new PermissionChecker({
+      currentUser: this.currentUser,
+      language: this.language,
+    }).has(permissions.childReadAll);
+  }
+
+  // Staff with a role at the selected location only reach its children
+  _isScopedToLocation() {
+    return new PermissionChecker({
+      currentUser: this.currentUser,
+      language: this.language,
+    }).isLocationOnly(permissions.childReadAll);
+  }
+
+  _canEditMedicalProfile() {
+    return new PermissionChecker({
+      currentUser: this.currentUser,
+      language: this.language,
+    }).has(permissions.childMedicalEdit);
+  }
+
+  _restrictMedicalProfile(data, existingData) {
+    childMedicalProfileFields.forEach((field) => {
+      data[field] = existingData
+        ? existingData[field]
+        : null;
+    });
   }
 
   async _validateIsSameOwner(id) {
@@ -94,10 +186,14 @@ module.exports = class ChildService {
   }
 
   async _validateDestroy(id) {
-    if (UserRoleChecker.isChildOwner(this.currentUser)) {
+    if (this._isScopedToOwner()) {
       await this._validateIsSameOwner(id);
     }
 
+    if (this._isScopedToLocation()) {
+      await this.findById(id);
+    }
+
     const existsBookingForChild = await this.bookingRepository.existsForChild(
       id,
     );
@@ -117,7 +213,7 @@ module.exports = class ChildService {
   }
 
   async _validateFindById(record) {
-    if (UserRoleChecker.isChildOwner(this.currentUser)) {
+    if (this._isScopedToOwner()) {
       if (
         record.owner &&
         record.owner.id !== this.currentUser.id
@@ -125,10 +221,18 @@ module.exports = class ChildService {
         throw new ForbiddenError(this.language);
       }
     }
+
+    if (
+      this._isScopedToLocation() &&
+      (record.location ? record.location.id : null) !==
+        this.location
+    ) {
+      throw new ForbiddenError(this.language);
+    }
   }
 
   async findAllAutocomplete(filter, limit) {
-    if (UserRoleChecker.isChildOwner(this.currentUser)) {
+    if (this._isScopedToOwner()) {
       if (
         !filter ||
         !filter.owner ||
@@ -138,6 +242,10 @@ module.exports = class ChildService {
       }
     }
 
+    if (this.location) {
+      filter = { ...filter, location: this.location };
+    }
+
     return this.repository.findAllAutocomplete(
       filter,
       limit,
@@ -145,13 +253,20 @@ module.exports = class ChildService {
   }
 
   async findAndCountAll(args) {
-    if (UserRoleChecker.isChildOwner(this.currentUser)) {
+    if (this._isScopedToOwner()) {
       args.filter = {
         ...args.filter,
         owner: this.currentUser.id,
       };
     }
 
+    if (this.location) {
+      args.filter = {
+        ...args.filter,
+        location: this.location,
+      };
+    }
+
     return this.repository.findAndCountAll(args);
   }
 
@@ -0,0 +1,128 @@
+const BookingRepository = require('../database/repositories/bookingRepository');
+const BookingService = require('./booking/bookingService');
+const bookingStatus = require('../enumerators/bookingStatus');
+const childSize = require('../enumerators/childSize');
+const moment = require('moment');
+const lodash = require('lodash');
+
+const REVENUE_STATUSES = [
+  bookingStatus.BOOKED,
+  bookingStatus.PROGRESS,
+  bookingStatus.COMPLETED,
+];
+
+module.exports = class DashboardService {
+  constructor({ currentUser, language, location }) {
+    this.repository = new BookingRepository();
+    this.bookingService = new BookingService({
+      currentUser,
+      language,
+      location,
+    });
+    this.currentUser = currentUser;
+    this.language = language;
+    this.location = location || null;
+  }
+
+  async find(start, end) {
+    const bookings = await this.repository.findAllInPeriod(
+      start,
+      end,
+      this.location,
+    );
+
+    const occupancy = await this.bookingService.findOccupancy(
+      start,
+      end,
+    );
+
+    return {
+      occupancy,
+      revenueByMonth: this._revenueByMonth(
+        start,
+        end,
+        bookings,
+      ),
+      bookingsByStatus: this._bookingsByStatus(bookings),
+      cancellationRate: this._cancellationRate(bookings),
+      childrenByAgeGroup: this._childrenByAgeGroup(
+        bookings,
+      ),
+    };
+  }
+
+  _revenueByMonth(start, end, bookings) {
+    const month = moment(start).startOf('month');
+    const lastMonth = moment(end).startOf('month');
+    const months = [];
+
+    while (month.isSameOrBefore(lastMonth)) {
+      const key = month.format('YYYY-MM');
+
+      const revenue = bookings
+        .filter(
+          (booking) =>
+            REVENUE_STATUSES.includes(booking.status) &&
+            moment(booking.arrival).format('YYYY-MM') ===
+              key,
+        )
+        .reduce(
+          (total, booking) =>
+            total + Number(booking.fee || 0),
+          0,
+        );
+
+      months.push({
+        month: key,
+        revenue: Math.round(revenue * 100) / 100,
+      });
+
+      month.add(1, 'month');
+    }
+
+    return months;
+  }
+
+  _bookingsByStatus(bookings) {
+    const counts = lodash.countBy(bookings, 'status');
+
+    return Object.values(bookingStatus).map((status) => ({
+      status,
+      count: counts[status] || 0,
+    }));
+  }
+
+  _cancellationRate(bookings) {
+    if (!bookings.length) {
+      return 0;
+    }
+
+    const cancelled = bookings.filter(
+      (booking) =>
+        booking.status === bookingStatus.CANCELLED,
+    ).length;
+
+    return (
+      Math.round((cancelled / bookings.length) * 10000) /
+      100
+    );
+  }
+
+  _childrenByAgeGroup(bookings) {
+    const children = lodash.uniqBy(
+      bookings.filter(
+        (booking) =>
+          booking.child &&
+          booking.status !== bookingStatus.CANCELLED,
+      ),
+      'child',
+    );
+
+    const counts = lodash.countBy(children, 'size');
+
+    return Object.values(childSize).map((ageGroup) => ({
+      ageGroup,
+      count: counts[ageGroup] || 0,
+    }));
+  }
+};
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const UserRepository = require('../../database/repositories/userRepository');
+const NotificationService = require('../notificationService');
+const notificationType = require('../../enumerators/notificationType');
+
+module.exports = class IamApprover {
+  constructor(currentUser, language) {
+    this.currentUser = currentUser;
+    this.language = language;
+    this.batch = null;
+  }
+
+  async approve(ids) {
+    this.ids = [...new Set(ids)];
+
+    await this._validate();
+
+    try {
+      this.batch = await UserRepository.createBatch();
+
+      await this._loadUsers();
+      await this._approveAtDatabase();
+      await UserRepository.commitBatch(this.batch);
+    } catch (error) {
+      throw error;
+    }
+
+    await this._notifyAllApproved();
+  }
+
+  async _loadUsers() {
+    const users = [];
+
+    for (const id of this.ids) {
+      const user = await UserRepository.findById(id);
+
+      if (user && user.approvalPending) {
+        users.push(user);
+      }
+    }
+
+    this.users = users;
+  }
+
+  async _approveAtDatabase() {
+    for (const user of this.users) {
+      await UserRepository.updateApprovalPending(
+        user.id,
+        false,
+        {
+          batch: this.batch,
+          currentUser: this.currentUser,
+        },
+      );
+    }
+  }
+
+  async _notifyAllApproved() {
+    for (const user of this.users) {
+      await NotificationService.notify(
+        user.id,
+        notificationType.ACCOUNT_APPROVED,
+        {},
+      );
+    }
+  }
+
+  async _validate() {
+    assert(this.currentUser, 'currentUser is required');
+    assert(
+      this.currentUser.id,
+      'currentUser.id is required',
+    );
+    assert(this.ids && this.ids.length, 'ids is required');
+  }
+};
@@ -5,6 +5,7 @@ const UserRepository = require('../../database/repositories/userRepository');
 const UserRoleRepository = require('../../database/repositories/userRoleRepository');
 const AuthService = require('../../auth/authService');
 const UserRoleChecker = require('./userRoleChecker');
+const RoleService = require('./roleService');
 const ForbiddenError = require('../../errors/forbiddenError');
 
 module.exports = class IamEditor {
@@ -110,6 +111,11 @@ module.exports = class IamEditor {
     assert(this.data.id, 'id is required');
     assert(this._roles, 'roles is required (can be empty)');
 
+    await RoleService.validateExist(
+      this._roles,
+      this.language,
+    );
+
     if (await this._isRemovingOwnManagerRole()) {
       throw new ValidationError(
         this.language,
@@ -119,10 +125,19 @@ module.exports = class IamEditor {
   }
 
   _validateAllowedRoles() {
+    this._validateLocationRoles();
+
     if (UserRoleChecker.isManager(this.currentUser)) {
       return;
     }
 
+    if (
+      (this.data.locationRoles || []).length ||
+      (this.user.locationRoles || []).length
+    ) {
+      throw new ForbiddenError(this.language);
+    }
+
     const pastRoles = this.user.roles || [];
 
     if (
@@ -143,4 +158,21 @@ module.exports = class IamEditor {
       throw new ForbiddenError(this.language);
     }
   }
+
+  // Only staff roles can be limited to one location
+  _validateLocationRoles() {
+    const staffRoles = [
+      Roles.values.manager,
+      Roles.values.employee,
+    ];
+
+    (this.data.locationRoles || []).forEach(({ role }) => {
+      if (!staffRoles.includes(role)) {
+        throw new ValidationError(
+          this.language,
+          'iam.errors.invalidLocationRole',
+        );
+      }
+    });
+  }
 };
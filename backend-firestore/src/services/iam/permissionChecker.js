@@ -16,18 +16,33 @@ module.exports = class PermissionChecker {
   has(permission) {
     assert(permission, 'permission is required');
 
-    return this.currentUserRolesIds.some((role) =>
-      permission.allowedRoles.some(
-        (allowedRole) => allowedRole === role,
-      ),
+    return this.currentUserPermissionsIds.includes(
+      permission.id,
     );
   }
 
-  get currentUserRolesIds() {
-    if (!this.currentUser || !this.currentUser.roles) {
+  /**
+   * Permissions only granted by a role at the selected location,
+   * that don't reach the records of other locations.
+   */
+  isLocationOnly(permission) {
+    assert(permission, 'permission is required');
+
+    return (
+      (this.currentUser &&
+        this.currentUser.locationPermissions) ||
+      []
+    ).includes(permission.id);
+  }
+
+  get currentUserPermissionsIds() {
+    if (
+      !this.currentUser ||
+      !this.currentUser.permissions
+    ) {
       return [];
     }
 
-    return this.currentUser.roles;
+    return this.currentUser.permissions;
   }
 };
@@ -0,0 +1,252 @@
+const RoleRepository = require('../../database/repositories/roleRepository');
+const UserRoleRepository = require('../../database/repositories/userRoleRepository');
+const AbstractRepository = require('../../database/repositories/abstractRepository');
+const ValidationError = require('../../errors/validationError');
+const Roles = require('../../security/roles');
+const Permissions = require('../../security/permissions');
+const lodash = require('lodash');
+
+const ID_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*$/;
+
+module.exports = class RoleService {
+  constructor({ currentUser, language }) {
+    this.repository = new RoleRepository();
+    this.currentUser = currentUser;
+    this.language = language;
+  }
+
+  /**
+   * Built-in roles are seeded from the static permissions map
+   * the first time they are read.
+   */
+  static async findAll() {
+    const repository = new RoleRepository();
+    const records = await repository.findAll();
+
+    for (const role of Object.values(Roles.values)) {
+      if (!records.some((record) => record.id === role)) {
+        records.push(
+          await repository.findOrCreate({
+            id: role,
+            name: role,
+            permissions: this.defaultPermissionsOf(role),
+          }),
+        );
+      }
+    }
+
+    return lodash
+      .sortBy(
+        records,
+        (record) => !this.isBuiltIn(record.id),
+      )
+      .map((record) => this._present(record));
+  }
+
+  static async permissionsOf(roles) {
+    const records = (await this.findAll()).filter(
+      (record) => (roles || []).includes(record.id),
+    );
+
+    return lodash.uniq(
+      lodash.flatMap(
+        records,
+        (record) => record.permissions,
+      ),
+    );
+  }
+
+  static async validateExist(roles, language) {
+    const ids = (await this.findAll()).map(
+      (record) => record.id,
+    );
+
+    if ((roles || []).some((role) => !ids.includes(role))) {
+      throw new ValidationError(
+        language,
+        'iam.errors.invalidRole',
+      );
+    }
+  }
+
+  static defaultPermissionsOf(role) {
+    return Permissions.asArray
+      .filter((permission) =>
+        permission.allowedRoles.includes(role),
+      )
+      .map((permission) => permission.id);
+  }
+
+  static isBuiltIn(id) {
+    return Object.values(Roles.values).includes(id);
+  }
+
+  // The manager role always keeps every permission,
+  // so nobody can lock themselves out of the role editor
+  static _present(record) {
+    const permissionIds = Object.keys(Permissions.values);
+
+    return {
+      ...record,
+      builtIn: this.isBuiltIn(record.id),
+      editable: record.id !== Roles.values.manager,
+      permissions:
+        record.id === Roles.values.manager
+          ? permissionIds
+          : lodash.intersection(
+              record.permissions || [],
+              permissionIds,
+            ),
+    };
+  }
+
+  async findAll() {
+    return RoleService.findAll();
+  }
+
+  async create(data) {
+    await this._validateCreate(data);
+
+    const batch = await AbstractRepository.createBatch();
+
+    await this.repository.create(
+      {
+        id: data.id,
+        name: data.name,
+        permissions: lodash.uniq(data.permissions),
+      },
+      {
+        batch,
+        currentUser: this.currentUser,
+      },
+    );
+
+    await AbstractRepository.commitBatch(batch);
+
+    return RoleService._present(
+      await this.repository.findById(data.id),
+    );
+  }
+
+  async update(id, data) {
+    const existing = await this._validateUpdate(id, data);
+
+    const batch = await AbstractRepository.createBatch();
+
+    await this.repository.update(
+      id,
+      {
+        name: existing.builtIn ? existing.name : data.name,
+        permissions: lodash.uniq(data.permissions),
+      },
+      {
+        batch,
+        currentUser: this.currentUser,
+      },
+    );
+
+    await AbstractRepository.commitBatch(batch);
+
+    return RoleService._present(
+      await this.repository.findById(id),
+    );
+  }
+
+  async destroy(id) {
+    await this._validateDestroy(id);
+
+    const batch = await AbstractRepository.createBatch();
+
+    await this.repository.destroy(id, {
+      batch,
+      currentUser: this.currentUser,
+    });
+
+    await AbstractRepository.commitBatch(batch);
+  }
+
+  async _findExisting(id) {
+    const record = (await RoleService.findAll()).find(
+      (item) => item.id === id,
+    );
+
+    if (!record) {
+      throw new ValidationError(
+        this.language,
+        'entities.role.validation.notFound',
+      );
+    }
+
+    return record;
+  }
+
+  async _validateCreate(data) {
+    if (!data.id || !ID_PATTERN.test(data.id)) {
+      throw new ValidationError(
+        this.language,
+        'entities.role.validation.invalidId',
+      );
+    }
+
+    const ids = (await RoleService.findAll()).map(
+      (record) => record.id,
+    );
+
+    if (ids.includes(data.id)) {
+      throw new ValidationError(
+        this.language,
+        'entities.role.validation.alreadyExists',
+      );
+    }
+
+    this._validatePermissions(data.permissions);
+  }
+
+  async _validateUpdate(id, data) {
+    const existing = await this._findExisting(id);
+
+    if (!existing.editable) {
+      throw new ValidationError(
+        this.language,
+        'entities.role.validation.notEditable',
+      );
+    }
+
+    this._validatePermissions(data.permissions);
+
+    return existing;
+  }
+
+  async _validateDestroy(id) {
+    const existing = await this._findExisting(id);
+
+    if (existing.builtIn) {
+      throw new ValidationError(
+        this.language,
+        'entities.role.validation.builtIn',
+      );
+    }
+
+    if ((await UserRoleRepository.countByRole(id)) > 0) {
+      throw new ValidationError(
+        this.language,
+        'entities.role.validation.inUse',
+      );
+    }
+  }
+
+  _validatePermissions(permissions) {
+    const permissionIds = Object.keys(Permissions.values);
+
+    if (
+      (permissions || []).some(
+        (permission) => !permissionIds.includes(permission),
+      )
+    ) {
+      throw new ValidationError(
+        this.language,
+        'entities.role.validation.invalidPermission',
+      );
+    }
+  }
+};
@@ -0,0 +1,120 @@
+const ChildRepository = require('../database/repositories/childRepository');
+const BookingRepository = require('../database/repositories/bookingRepository');
+const UserRepository = require('../database/repositories/userRepository');
+const PermissionChecker = require('./iam/permissionChecker');
+const permissions = require('../security/permissions')
+  .values;
+const searchResultType = require('../enumerators/searchResultType');
+const moment = require('moment');
+
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+module.exports = class SearchService {
+  constructor({ currentUser, language, location }) {
+    this.childRepository = new ChildRepository();
+    this.bookingRepository = new BookingRepository();
+    this.currentUser = currentUser;
+    this.language = language;
+    this.location = location || null;
+  }
+
+  /**
+   * Finds children by name, owners by name, email or phone and
+   * bookings by notes. Each type is limited on its own and only
+   * searched when the current user can read it, users who can't
+   * read every child or booking only find their own.
+   */
+  async search(query, limit) {
+    const text = String(query || '').trim();
+
+    if (text.length < MIN_QUERY_LENGTH) {
+      return [];
+    }
+
+    const options = {
+      location: this.location,
+      limit: Math.min(limit || DEFAULT_LIMIT, MAX_LIMIT),
+    };
+
+    const [children, owners, bookings] = await Promise.all([
+      this._has(permissions.childRead)
+        ? this.childRepository.search(text, {
+            ...options,
+            owner: this._ownerUnless(
+              permissions.childReadAll,
+            ),
+          })
+        : [],
+      this._has(permissions.iamRead)
+        ? UserRepository.searchOwners(text, options)
+        : [],
+      this._has(permissions.bookingRead)
+        ? this.bookingRepository.search(text, {
+            ...options,
+            owner: this._ownerUnless(
+              permissions.bookingReadAll,
+            ),
+          })
+        : [],
+    ]);
+
+    return [
+      ...children.map((child) => ({
+        type: searchResultType.CHILD,
+        id: child.id,
+        label: child.name,
+        description: this._userLabel(child.owner),
+      })),
+      ...owners.map((owner) => ({
+        type: searchResultType.OWNER,
+        id: owner.id,
+        label: owner.fullName || owner.email,
+        description: [owner.email, owner.phoneNumber]
+          .filter(Boolean)
+          .join(' · '),
+      })),
+      ...bookings.map((booking) => ({
+        type: searchResultType.BOOKING,
+        id: booking.id,
+        label: booking.child
+          ? booking.child.name
+          : booking.id,
+        description: [
+          `${this._date(booking.arrival)} - ${this._date(
+            booking.departure,
+          )}`,
+          this._userLabel(booking.owner),
+        ]
+          .filter(Boolean)
+          .join(' · '),
+      })),
+    ];
+  }
+
+  _has(permission) {
+    return new PermissionChecker({
+      currentUser: this.currentUser,
+      language: this.language,
+    }).has(permission);
+  }
+
+  _ownerUnless(permission) {
+    return this._has(permission)
+      ? null
+      : this.currentUser.id;
+  }
+
+  _userLabel(user) {
+    if (!user) {
+      return null;
+    }
+
+    return user.fullName || user.email;
+  }
+
+  _date(value) {
+    return moment(value).format('YYYY-MM-DD');
+  }
+};
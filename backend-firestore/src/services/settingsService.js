@@ -1,4 +1,5 @@
 const SettingsRepository = require('../database/repositories/settingsRepository');
+const lodash = require('lodash');
 
 const DEFAULT_SETTINGS = {
   id: 'default',
@@ -6,25 +7,52 @@ const DEFAULT_SETTINGS = {
 };
 
 class SettingsService {
-  static async findOrCreateDefault(currentUser) {
-    return SettingsRepository.findOrCreateDefault(
+  static async findOrCreateDefault(currentUser, location) {
+    const settings = await SettingsRepository.findOrCreateDefault(
       DEFAULT_SETTINGS,
       { currentUser },
     );
+
+    if (!location) {
+      return settings;
+    }
+
+    // A new location starts with a copy of the default settings
+    return SettingsRepository.findOrCreateForLocation(
+      location,
+      settings,
+      { currentUser },
+    );
   }
 
-  static async save(data, currentUser) {
+  static async save(data, currentUser, location) {
+    await this.findOrCreateDefault(currentUser, location);
+
     const batch = await SettingsRepository.createBatch();
 
-    const settings = await SettingsRepository.save(data, {
-      currentUser,
-      batch,
-    });
+    const settings = await SettingsRepository.save(
+      location || DEFAULT_SETTINGS.id,
+      data,
+      {
+        currentUser,
+        batch,
+      },
+    );
 
     await SettingsRepository.commitBatch(batch);
 
     return settings;
   }
+
+  static capacityForChildSize(settings, size) {
+    if (!settings) {
+      return 0;
+    }
+
+    return (
+      settings[`capacity${lodash.upperFirst(size)}`] || 0
+    );
+  }
 }
 
 module.exports = SettingsService;
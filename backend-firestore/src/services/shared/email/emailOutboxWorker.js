@@ -0,0 +1,104 @@
+const OutboxEmailRepository = require('../../../database/repositories/outboxEmailRepository');
+const outboxEmailStatus = require('../../../enumerators/outboxEmailStatus');
+const EmailSender = require('./emailSender');
+
+const INTERVAL = 60 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 6;
+
+// The first retry waits one minute and each following one doubles it.
+const RETRY_BASE_DELAY = 60 * 1000;
+
+// Longer than a delivery takes, other workers skip the claimed emails
+const CLAIM_DURATION = 10 * 60 * 1000;
+
+module.exports = class EmailOutboxWorker {
+  static start(interval = INTERVAL) {
+    if (this.timer || !this.isConfigured()) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => console.error(error));
+    }, interval);
+  }
+
+  static stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  static async run() {
+    if (this.running || !this.isConfigured()) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      const records = await OutboxEmailRepository.claimAllDue(
+        new Date(),
+        BATCH_SIZE,
+        this.claimedUntil(),
+      );
+
+      for (const record of records) {
+        await this.process(record);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  static async process(record) {
+    const attempts = record.attempts + 1;
+
+    try {
+      await EmailSender.deliver(record);
+    } catch (error) {
+      const hasFailed = attempts >= MAX_ATTEMPTS;
+
+      return OutboxEmailRepository.update(record.id, {
+        status: hasFailed
+          ? outboxEmailStatus.FAILED
+          : outboxEmailStatus.PENDING,
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: hasFailed
+          ? null
+          : this.nextAttemptAt(attempts),
+      });
+    }
+
+    return OutboxEmailRepository.update(record.id, {
+      status: outboxEmailStatus.SENT,
+      attempts,
+      lastError: null,
+      nextAttemptAt: null,
+      sentAt: new Date(),
+    });
+  }
+
+  // Warns once, the configuration doesn't change while running
+  static isConfigured() {
+    if (!EmailSender.isConfigured && !this.hasWarned) {
+      console.error(
+        `Email provider is not configured. Pending emails will be sent once it is configured.`,
+      );
+      this.hasWarned = true;
+    }
+
+    return EmailSender.isConfigured;
+  }
+
+  static claimedUntil() {
+    return new Date(Date.now() + CLAIM_DURATION);
+  }
+
+  static nextAttemptAt(attempts) {
+    return new Date(
+      Date.now() +
+        RETRY_BASE_DELAY * Math.pow(2, attempts - 1),
+    );
+  }
+};
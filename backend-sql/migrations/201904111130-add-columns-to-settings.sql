@@ -1,5 +0,0 @@
-ALTER TABLE public.settings
-    ADD COLUMN "dailyFee" numeric(24, 2);
-
-ALTER TABLE public.settings
-    ADD COLUMN capacity integer;
\ No newline at end of file
@@ -0,0 +1,64 @@
+const models = require('../src/database/models');
+const Migrator = require('./migrator');
+
+const BASELINE = '201904111130-baseline';
+
+const commands = {
+  async up(migrator) {
+    const names = await migrator.up();
+    console.log(
+      names.length
+        ? `Applied ${names.length} migration(s)`
+        : 'Nothing to migrate',
+    );
+  },
+
+  async down(migrator) {
+    const name = await migrator.down();
+    console.log(
+      name ? `Rolled back ${name}` : 'Nothing to roll back',
+    );
+  },
+
+  async status(migrator) {
+    const applied = await migrator.applied();
+
+    migrator.names.forEach((name) => {
+      console.log(
+        `${
+          applied.includes(name) ? 'applied' : 'pending'
+        } ${name}`,
+      );
+    });
+  },
+
+  // Databases created before the migrations were versioned already have the baseline
+  // schema, the migrations after it are applied by the up command
+  async baseline(migrator) {
+    await migrator.markAsApplied(BASELINE);
+    console.log(`Marked ${BASELINE} as applied`);
+  },
+};
+
+const command = process.argv[2] || 'up';
+
+if (!commands[command]) {
+  console.error(
+    `Unknown command ${command}, use one of: ${Object.keys(
+      commands,
+    ).join(', ')}`,
+  );
+  process.exit(1);
+}
+
+console.log(`Migrating ${process.env.MIGRATION_ENV}...`);
+
+commands[command](new Migrator(models.sequelize))
+  .then(() => {
+    console.log('OK');
+    process.exit();
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
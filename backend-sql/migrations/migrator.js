@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+const VERSIONS_DIR = path.join(__dirname, 'versions');
+const SQL_SUFFIXES = ['.up.sql', '.down.sql'];
+
+/**
+ * Runs the migrations of the versions folder in name order.
+ *
+ * A migration is either a `<name>.js` module exporting
+ * `up(queryInterface, Sequelize, transaction)` and `down(...)`,
+ * or a `<name>.up.sql` and `<name>.down.sql` pair.
+ * Applied migrations are recorded at the schemaMigrations table.
+ */
+module.exports = class Migrator {
+  constructor(sequelize) {
+    this.sequelize = sequelize;
+
+    this.schemaMigration = sequelize.define(
+      'schemaMigration',
+      {
+        name: {
+          type: sequelize.Sequelize.STRING(255),
+          primaryKey: true,
+        },
+        appliedAt: {
+          type: sequelize.Sequelize.DATE,
+          allowNull: false,
+        },
+      },
+      {
+        timestamps: false,
+      },
+    );
+  }
+
+  get names() {
+    const names = fs
+      .readdirSync(VERSIONS_DIR)
+      .map((file) => {
+        const suffix = SQL_SUFFIXES.find((item) =>
+          file.endsWith(item),
+        );
+
+        if (suffix) {
+          return file.slice(0, -suffix.length);
+        }
+
+        if (file.endsWith('.js')) {
+          return file.slice(0, -'.js'.length);
+        }
+
+        return null;
+      })
+      .filter(Boolean);
+
+    return [...new Set(names)].sort();
+  }
+
+  async applied() {
+    await this.schemaMigration.sync();
+
+    const records = await this.schemaMigration.findAll({
+      order: [['name', 'ASC']],
+    });
+
+    return records.map((record) => record.name);
+  }
+
+  async pending() {
+    const applied = await this.applied();
+    return this.names.filter(
+      (name) => !applied.includes(name),
+    );
+  }
+
+  async up() {
+    const pending = await this.pending();
+
+    for (const name of pending) {
+      await this._run(name, 'up');
+    }
+
+    return pending;
+  }
+
+  async down() {
+    const applied = await this.applied();
+    const name = applied[applied.length - 1];
+
+    if (!name) {
+      return null;
+    }
+
+    await this._run(name, 'down');
+    return name;
+  }
+
+  async reset() {
+    const queryInterface = this.sequelize.getQueryInterface();
+
+    await queryInterface.dropAllTables();
+
+    if (this.sequelize.getDialect() === 'postgres') {
+      await queryInterface.dropAllEnums();
+    }
+
+    return this.up();
+  }
+
+  /**
+   * Marks a migration as applied without running it,
+   * for databases created before the migrations were versioned.
+   */
+  async markAsApplied(name) {
+    if (!this.names.includes(name)) {
+      throw new Error(`Migration ${name} not found`);
+    }
+
+    await this.schemaMigration.sync();
+    await this.schemaMigration.upsert({
+      name,
+      appliedAt: new Date(),
+    });
+  }
+
+  async _run(name, direction) {
+    console.log(`${direction} ${name}...`);
+
+    await this.sequelize.transaction(
+      async (transaction) => {
+        await this._execute(name, direction, transaction);
+
+        if (direction === 'up') {
+          await this.schemaMigration.create(
+            { name, appliedAt: new Date() },
+            { transaction },
+          );
+        } else {
+          await this.schemaMigration.destroy({
+            where: { name },
+            transaction,
+          });
+        }
+      },
+    );
+  }
+
+  async _execute(name, direction, transaction) {
+    const modulePath = path.join(
+      VERSIONS_DIR,
+      `${name}.js`,
+    );
+
+    if (fs.existsSync(modulePath)) {
+      const migration = require(modulePath);
+
+      if (!migration[direction]) {
+        throw new Error(
+          `Migration ${name} has no ${direction} step`,
+        );
+      }
+
+      return migration[direction](
+        this.sequelize.getQueryInterface(),
+        this.sequelize.Sequelize,
+        transaction,
+      );
+    }
+
+    const sqlPath = path.join(
+      VERSIONS_DIR,
+      `${name}.${direction}.sql`,
+    );
+
+    if (!fs.existsSync(sqlPath)) {
+      throw new Error(
+        `Migration ${name} has no ${direction} step`,
+      );
+    }
+
+    return this.sequelize.query(
+      fs.readFileSync(sqlPath, 'utf8'),
+      { transaction },
+    );
+  }
+};
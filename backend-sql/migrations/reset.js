@@ -1,9 +1,10 @@
 const models = require('../src/database/models');
+const Migrator = require('./migrator');
 
 console.log(`Reseting ${process.env.MIGRATION_ENV}...`);
 
-models.sequelize
-  .sync({ force: true })
+new Migrator(models.sequelize)
+  .reset()
   .then(() => {
     console.log('OK');
     process.exit();
@@ -0,0 +1,868 @@
+const crypto = require('crypto');
+const lodash = require('lodash');
+const models = require('../../src/database/models');
+const Archive = require('../../../transfer/archive');
+
+const { Op } = models.Sequelize;
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Entities with UUID primary keys, their audit logs point to the mapped ids
+const UUID_ENTITIES = [
+  'location',
+  'child',
+  'booking',
+  'payment',
+  'invoice',
+  'attendance',
+  'dailyReportEntry',
+  'emailTemplate',
+];
+
+// Models archived within the records of another entity
+const EMBEDDED_MODELS = [
+  'userRole',
+  'childGuardian',
+  'file',
+];
+
+/**
+ * Maps ids that are not UUIDs (e.g. Firestore document ids) to a
+ * name based UUID, so the same id always maps to the same UUID.
+ */
+function toUuid(id) {
+  if (!id || UUID.test(id)) {
+    return id;
+  }
+
+  const hex = crypto
+    .createHash('sha1')
+    .update(String(id))
+    .digest('hex');
+
+  const variant = (
+    (parseInt(hex.substr(16, 2), 16) & 0x3f) |
+    0x80
+  ).toString(16);
+
+  return [
+    hex.substr(0, 8),
+    hex.substr(8, 4),
+    `5${hex.substr(13, 3)}`,
+    `${variant}${hex.substr(18, 2)}`,
+    hex.substr(20, 12),
+  ].join('-');
+}
+
+function toNumber(value) {
+  return value === null || value === undefined
+    ? null
+    : Number(value);
+}
+
+/**
+ * Fails on models the archive doesn't know, so a transfer never
+ * silently leaves a table behind.
+ */
+function validateModelsArchived() {
+  const unsupported = Object.keys(models).filter(
+    (name) =>
+      !['sequelize', 'Sequelize'].includes(name) &&
+      !Archive.ENTITIES.includes(name) &&
+      !EMBEDDED_MODELS.includes(name),
+  );
+
+  if (unsupported.length) {
+    throw new Error(
+      `The archive doesn't support the ${unsupported.join(
+        ', ',
+      )} models`,
+    );
+  }
+}
+
+function audited(row) {
+  return {
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+    createdBy: row.createdById,
+    updatedBy: row.updatedById,
+  };
+}
+
+module.exports = class SqlStore {
+  get name() {
+    return 'sql';
+  }
+
+  async exportAll() {
+    validateModelsArchived();
+
+    const options = { raw: true, order: [['id', 'ASC']] };
+
+    const [
+      roles,
+      locations,
+      users,
+      userRoles,
+      children,
+      guardians,
+      bookings,
+      payments,
+      invoices,
+      attendances,
+      statusHistories,
+      dailyReportEntries,
+      notifications,
+      settings,
+      emailTemplates,
+      outboxEmails,
+      staffDigests,
+      auditLogs,
+      files,
+    ] = await Promise.all([
+      models.role.findAll(options),
+      models.location.findAll(options),
+      models.user.findAll(options),
+      models.userRole.findAll(options),
+      models.child.findAll(options),
+      models.childGuardian.findAll(options),
+      models.booking.findAll(options),
+      models.payment.findAll(options),
+      models.invoice.findAll(options),
+      models.attendance.findAll(options),
+      models.bookingStatusHistory.findAll(options),
+      models.dailyReportEntry.findAll(options),
+      models.notification.findAll(options),
+      models.settings.findAll(options),
+      models.emailTemplate.findAll(options),
+      models.outboxEmail.findAll(options),
+      models.staffDigest.findAll(options),
+      models.auditLog.findAll(options),
+      models.file.findAll(options),
+    ]);
+
+    const filesByRelation = lodash.groupBy(
+      files,
+      (file) =>
+        `${file.belongsTo}/${file.belongsToId}/${
+          file.belongsToColumn
+        }`,
+    );
+
+    const filesOf = (model, id, column) =>
+      (
+        filesByRelation[
+          `${model.getTableName()}/${id}/${column}`
+        ] || []
+      ).map((file) => ({
+        ...file,
+        sizeInBytes: toNumber(file.sizeInBytes),
+      }));
+
+    const rolesByUser = lodash.groupBy(userRoles, 'userId');
+    const guardiansByChild = lodash.groupBy(
+      guardians,
+      'childId',
+    );
+
+    const records = {
+      role: roles.map((row) => ({
+        ...row,
+        ...audited(row),
+      })),
+
+      location: locations.map((row) => ({
+        ...row,
+        ...audited(row),
+      })),
+
+      user: users.map((row) => {
+        const rows = rolesByUser[row.id] || [];
+
+        return {
+          ...row,
+          ...audited(row),
+          roles: rows
+            .filter((userRole) => !userRole.locationId)
+            .map((userRole) => userRole.role),
+          locationRoles: rows
+            .filter((userRole) => userRole.locationId)
+            .map((userRole) => ({
+              id: userRole.id,
+              location: userRole.locationId,
+              role: userRole.role,
+            })),
+          avatars: filesOf(models.user, row.id, 'avatars'),
+        };
+      }),
+
+      child: children.map((row) => ({
+        ...row,
+        ...audited(row),
+        owner: row.ownerId,
+        location: row.locationId,
+        guardians: (guardiansByChild[row.id] || []).map(
+          (guardian) => ({
+            ...guardian,
+            photo: filesOf(
+              models.childGuardian,
+              guardian.id,
+              'photo',
+            ),
+          }),
+        ),
+      })),
+
+      booking: bookings.map((row) => ({
+        ...row,
+        ...audited(row),
+        owner: row.ownerId,
+        location: row.locationId,
+        child: row.childId,
+        fee: toNumber(row.fee),
+        amountPaid: toNumber(row.amountPaid),
+        balance: toNumber(row.balance),
+        photos: filesOf(models.booking, row.id, 'photos'),
+        receipt: filesOf(models.booking, row.id, 'receipt'),
+      })),
+
+      payment: payments.map((row) => ({
+        ...row,
+        booking: row.bookingId,
+        createdBy: row.createdById,
+        amount: toNumber(row.amount),
+      })),
+
+      invoice: invoices.map((row) => ({
+        ...row,
+        ...audited(row),
+        booking: row.bookingId,
+        amount: toNumber(row.amount),
+      })),
+
+      attendance: attendances.map((row) => ({
+        ...row,
+        ...audited(row),
+        booking: row.bookingId,
+        child: row.childId,
+      })),
+
+      bookingStatusHistory: statusHistories.map((row) => ({
+        ...row,
+        booking: row.bookingId,
+      })),
+
+      dailyReportEntry: dailyReportEntries.map((row) => ({
+        ...row,
+        ...audited(row),
+        booking: row.bookingId,
+        child: row.childId,
+      })),
+
+      notification: notifications.map((row) => ({
+        ...row,
+        user: row.userId,
+      })),
+
+      settings: settings.map((row) => ({
+        ...row,
+        ...audited(row),
+        dailyFee: toNumber(row.dailyFee),
+      })),
+
+      emailTemplate: emailTemplates.map((row) => ({
+        ...row,
+        ...audited(row),
+      })),
+
+      outboxEmail: outboxEmails,
+
+      staffDigest: staffDigests.map((row) => ({
+        ...row,
+        location: row.locationId,
+      })),
+
+      auditLog: auditLogs,
+    };
+
+    return lodash.mapValues(records, (rows, entity) =>
+      rows.map((row) => Archive.normalize(entity, row)),
+    );
+  }
+
+  /**
+   * UUID columns can't hold Firestore ids, so those are mapped,
+   * along with every reference to them.
+   */
+  prepare(records) {
+    const mapped = new Set();
+    let unlinkedAuditLogs = 0;
+    let unlinkedStatusHistories = 0;
+
+    const mapId = (id) => {
+      const uuid = toUuid(id);
+
+      if (uuid !== id) {
+        mapped.add(id);
+      }
+
+      return uuid;
+    };
+
+    const mapFiles = (files) =>
+      files.map((file) => ({
+        ...file,
+        id: mapId(file.id),
+      }));
+
+    const prepared = {
+      role: records.role,
+
+      location: records.location.map((record) => ({
+        ...record,
+        id: mapId(record.id),
+      })),
+
+      user: records.user.map((record) => ({
+        ...record,
+        disabled: Boolean(record.disabled),
+        approvalPending: Boolean(record.approvalPending),
+        locationRoles: record.locationRoles.map(
+          (locationRole) => ({
+            ...locationRole,
+            id: mapId(locationRole.id),
+            location: mapId(locationRole.location),
+          }),
+        ),
+        avatars: mapFiles(record.avatars),
+      })),
+
+      child: records.child.map((record) => ({
+        ...record,
+        id: mapId(record.id),
+        location: mapId(record.location),
+        guardians: record.guardians.map((guardian) => ({
+          ...guardian,
+          id: mapId(guardian.id),
+          photo: mapFiles(guardian.photo),
+        })),
+      })),
+
+      booking: records.booking.map((record) => ({
+        ...record,
+        id: mapId(record.id),
+        child: mapId(record.child),
+        location: mapId(record.location),
+        photos: mapFiles(record.photos),
+        receipt: mapFiles(record.receipt),
+      })),
+
+      payment: records.payment.map((record) => ({
+        ...record,
+        id: mapId(record.id),
+        booking: mapId(record.booking),
+      })),
+
+      invoice: records.invoice.map((record) => ({
+        ...record,
+        id: mapId(record.id),
+        booking: mapId(record.booking),
+      })),
+
+      attendance: records.attendance.map((record) => ({
+        ...record,
+        id: mapId(record.id),
+        booking: mapId(record.booking),
+        child: mapId(record.child),
+      })),
+
+      bookingStatusHistory: records.bookingStatusHistory.map(
+        (record) => {
+          if (
+            record.createdById &&
+            !UUID.test(record.createdById)
+          ) {
+            unlinkedStatusHistories++;
+          }
+
+          return {
+            ...record,
+            id: mapId(record.id),
+            booking: mapId(record.booking),
+            createdById: UUID.test(record.createdById)
+              ? record.createdById
+              : null,
+          };
+        },
+      ),
+
+      dailyReportEntry: records.dailyReportEntry.map(
+        (record) => ({
+          ...record,
+          id: mapId(record.id),
+          booking: mapId(record.booking),
+          child: mapId(record.child),
+        }),
+      ),
+
+      notification: records.notification.map((record) => ({
+        ...record,
+        id: mapId(record.id),
+      })),
+
+      settings: records.settings.map((record) => ({
+        ...record,
+        id:
+          record.id === 'default'
+            ? record.id
+            : mapId(record.id),
+      })),
+
+      emailTemplate: records.emailTemplate.map(
+        (record) => ({
+          ...record,
+          id: mapId(record.id),
+        }),
+      ),
+
+      outboxEmail: records.outboxEmail.map((record) => ({
+        ...record,
+        id: mapId(record.id),
+      })),
+
+      // Keyed by date and location, so the key follows the location
+      staffDigest: records.staffDigest.map((record) => ({
+        ...record,
+        id: `${record.date}_${mapId(record.location) ||
+          'default'}`,
+        location: mapId(record.location),
+      })),
+
+      auditLog: records.auditLog.map((record) => {
+        if (
+          record.createdById &&
+          !UUID.test(record.createdById)
+        ) {
+          unlinkedAuditLogs++;
+        }
+
+        return {
+          ...record,
+          id: mapId(record.id),
+          entityId: UUID_ENTITIES.includes(
+            record.entityName,
+          )
+            ? mapId(record.entityId)
+            : record.entityId,
+          createdById: UUID.test(record.createdById)
+            ? record.createdById
+            : null,
+        };
+      }),
+    };
+
+    const notes = [];
+
+    if (mapped.size) {
+      notes.push(
+        `${
+          mapped.size
+        } ids that are not UUIDs were mapped to name based UUIDs`,
+      );
+    }
+
+    if (unlinkedAuditLogs) {
+      notes.push(
+        `${unlinkedAuditLogs} audit logs keep only the author email, their author id is not a UUID`,
+      );
+    }
+
+    if (unlinkedStatusHistories) {
+      notes.push(
+        `${unlinkedStatusHistories} booking status changes keep only the author email, their author id is not a UUID`,
+      );
+    }
+
+    return { records: prepared, notes };
+  }
+
+  async importAll(records) {
+    validateModelsArchived();
+
+    const transaction = await models.sequelize.transaction();
+
+    try {
+      for (const record of records.role) {
+        await this._upsert(
+          models.role,
+          {
+            ...this._audited(record),
+            id: record.id,
+            name: record.name,
+            permissions: record.permissions,
+          },
+          transaction,
+        );
+      }
+
+      for (const record of records.location) {
+        await this._upsert(
+          models.location,
+          {
+            ...this._audited(record),
+            id: record.id,
+            name: record.name,
+            address: record.address,
+          },
+          transaction,
+        );
+      }
+
+      for (const record of records.user) {
+        await this._importUser(record, transaction);
+      }
+
+      for (const record of records.child) {
+        await this._importChild(record, transaction);
+      }
+
+      for (const record of records.booking) {
+        await this._upsert(
+          models.booking,
+          {
+            ...lodash.omit(record, [
+              'owner',
+              'location',
+              'child',
+              'photos',
+              'receipt',
+            ]),
+            ...this._audited(record),
+            ownerId: record.owner,
+            locationId: record.location,
+            childId: record.child,
+          },
+          transaction,
+        );
+
+        await this._replaceFiles(
+          models.booking,
+          record.id,
+          'photos',
+          record.photos,
+          transaction,
+        );
+
+        await this._replaceFiles(
+          models.booking,
+          record.id,
+          'receipt',
+          record.receipt,
+          transaction,
+        );
+      }
+
+      for (const record of records.payment) {
+        await this._upsert(
+          models.payment,
+          {
+            ...lodash.omit(record, ['booking']),
+            bookingId: record.booking,
+            createdById: record.createdBy,
+          },
+          transaction,
+        );
+      }
+
+      for (const record of records.invoice) {
+        await this._upsert(
+          models.invoice,
+          {
+            ...lodash.omit(record, ['booking']),
+            ...this._audited(record),
+            bookingId: record.booking,
+          },
+          transaction,
+        );
+      }
+
+      for (const record of records.attendance) {
+        await this._upsert(
+          models.attendance,
+          {
+            ...lodash.omit(record, ['booking', 'child']),
+            ...this._audited(record),
+            bookingId: record.booking,
+            childId: record.child,
+          },
+          transaction,
+        );
+      }
+
+      for (const record of records.bookingStatusHistory) {
+        await this._upsert(
+          models.bookingStatusHistory,
+          {
+            ...lodash.omit(record, ['booking']),
+            bookingId: record.booking,
+          },
+          transaction,
+        );
+      }
+
+      for (const record of records.dailyReportEntry) {
+        await this._upsert(
+          models.dailyReportEntry,
+          {
+            ...lodash.omit(record, ['booking', 'child']),
+            ...this._audited(record),
+            bookingId: record.booking,
+            childId: record.child,
+          },
+          transaction,
+        );
+      }
+
+      for (const record of records.notification) {
+        await this._upsert(
+          models.notification,
+          {
+            ...lodash.omit(record, ['user']),
+            userId: record.user,
+          },
+          transaction,
+        );
+      }
+
+      for (const record of records.settings) {
+        await this._upsert(
+          models.settings,
+          {
+            ...record,
+            ...this._audited(record),
+          },
+          transaction,
+        );
+      }
+
+      for (const record of records.emailTemplate) {
+        await this._importEmailTemplate(
+          record,
+          transaction,
+        );
+      }
+
+      for (const record of records.outboxEmail) {
+        await this._upsert(
+          models.outboxEmail,
+          record,
+          transaction,
+        );
+      }
+
+      for (const record of records.staffDigest) {
+        await this._upsert(
+          models.staffDigest,
+          {
+            ...lodash.omit(record, ['location']),
+            locationId: record.location,
+          },
+          transaction,
+        );
+      }
+
+      for (const record of records.auditLog) {
+        await this._upsert(
+          models.auditLog,
+          record,
+          transaction,
+        );
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  async _importUser(record, transaction) {
+    await this._upsert(
+      models.user,
+      {
+        ...lodash.omit(record, [
+          'roles',
+          'locationRoles',
+          'avatars',
+        ]),
+        ...this._audited(record),
+      },
+      transaction,
+    );
+
+    await models.userRole.destroy({
+      where: { userId: record.id },
+      force: true,
+      transaction,
+    });
+
+    await models.userRole.bulkCreate(
+      [
+        ...record.roles.map((role) => ({
+          role,
+          userId: record.id,
+        })),
+        ...record.locationRoles.map((locationRole) => ({
+          id: locationRole.id,
+          role: locationRole.role,
+          userId: record.id,
+          locationId: locationRole.location,
+        })),
+      ],
+      { transaction },
+    );
+
+    await this._replaceFiles(
+      models.user,
+      record.id,
+      'avatars',
+      record.avatars,
+      transaction,
+    );
+  }
+
+  async _importChild(record, transaction) {
+    await this._upsert(
+      models.child,
+      {
+        ...lodash.omit(record, [
+          'owner',
+          'location',
+          'guardians',
+        ]),
+        ...this._audited(record),
+        ownerId: record.owner,
+        locationId: record.location,
+      },
+      transaction,
+    );
+
+    const previous = await models.childGuardian.findAll({
+      where: { childId: record.id },
+      transaction,
+    });
+
+    for (const guardian of previous) {
+      await this._replaceFiles(
+        models.childGuardian,
+        guardian.id,
+        'photo',
+        [],
+        transaction,
+      );
+    }
+
+    await models.childGuardian.destroy({
+      where: { childId: record.id },
+      transaction,
+    });
+
+    for (const guardian of record.guardians) {
+      await models.childGuardian.create(
+        {
+          id: guardian.id,
+          name: guardian.name,
+          relationship: guardian.relationship,
+          phone: guardian.phone,
+          childId: record.id,
+        },
+        { transaction },
+      );
+
+      await this._replaceFiles(
+        models.childGuardian,
+        guardian.id,
+        'photo',
+        guardian.photo,
+        transaction,
+      );
+    }
+  }
+
+  // A template is unique per language, whatever its id
+  async _importEmailTemplate(record, transaction) {
+    await models.emailTemplate.destroy({
+      where: {
+        template: record.template,
+        language: record.language,
+        id: { [Op.ne]: record.id },
+      },
+      transaction,
+    });
+
+    await this._upsert(
+      models.emailTemplate,
+      {
+        ...record,
+        ...this._audited(record),
+      },
+      transaction,
+    );
+  }
+
+  async _replaceFiles(
+    model,
+    id,
+    column,
+    files,
+    transaction,
+  ) {
+    const relation = {
+      belongsTo: model.getTableName(),
+      belongsToId: id,
+      belongsToColumn: column,
+    };
+
+    await models.file.destroy({
+      where: {
+        [Op.or]: [
+          relation,
+          { id: files.map((file) => file.id) },
+        ],
+      },
+      force: true,
+      transaction,
+    });
+
+    await models.file.bulkCreate(
+      files.map((file) => ({ ...file, ...relation })),
+      { transaction },
+    );
+  }
+
+  _audited(record) {
+    return {
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      createdById: record.createdBy,
+      updatedById: record.updatedBy,
+    };
+  }
+
+  // Soft deleted rows with the same id are restored
+  _upsert(model, values, transaction) {
+    return model.upsert(
+      lodash.omit(
+        {
+          ...values,
+          ...(model.options.paranoid
+            ? { deletedAt: null }
+            : {}),
+        },
+        ['createdBy', 'updatedBy'],
+      ),
+      { transaction },
+    );
+  }
+};
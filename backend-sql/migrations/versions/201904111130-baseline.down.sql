@@ -0,0 +1,10 @@
+DROP TABLE IF EXISTS public."userRoles" CASCADE;
+DROP TABLE IF EXISTS public."settings" CASCADE;
+DROP TABLE IF EXISTS public."files" CASCADE;
+DROP TABLE IF EXISTS public."children" CASCADE;
+DROP TABLE IF EXISTS public."bookings" CASCADE;
+DROP TABLE IF EXISTS public."auditLogs" CASCADE;
+DROP TABLE IF EXISTS public."users" CASCADE;
+DROP TYPE IF EXISTS public."enum_bookings_status";
+DROP TYPE IF EXISTS public."enum_children_type";
+DROP TYPE IF EXISTS public."enum_children_size";
@@ -0,0 +1,112 @@
+CREATE TABLE public."users" (
+    "id" VARCHAR(255),
+    "fullName" VARCHAR(255),
+    "firstName" VARCHAR(80),
+    "lastName" VARCHAR(175),
+    "phoneNumber" VARCHAR(24),
+    "email" VARCHAR(255) NOT NULL UNIQUE,
+    "authenticationUid" VARCHAR(255),
+    "disabled" BOOLEAN NOT NULL DEFAULT false,
+    "importHash" VARCHAR(255) UNIQUE,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "deletedAt" TIMESTAMP WITH TIME ZONE,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
+
+CREATE TABLE public."auditLogs" (
+    "id" UUID,
+    "entityName" VARCHAR(255) NOT NULL,
+    "entityId" VARCHAR(255) NOT NULL,
+    "action" VARCHAR(32) NOT NULL,
+    "createdById" UUID,
+    "createdByEmail" VARCHAR(255),
+    "timestamp" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "values" JSON NOT NULL,
+    PRIMARY KEY ("id")
+);
+
+CREATE TYPE public."enum_bookings_status" AS ENUM('booked', 'cancelled', 'completed', 'progress');
+
+CREATE TABLE public."bookings" (
+    "id" UUID,
+    "arrival" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "departure" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "clientNotes" TEXT,
+    "employeeNotes" TEXT,
+    "status" "public"."enum_bookings_status" NOT NULL,
+    "cancellationNotes" TEXT,
+    "fee" DECIMAL(24,2),
+    "importHash" VARCHAR(255) UNIQUE,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "deletedAt" TIMESTAMP WITH TIME ZONE,
+    "ownerId" VARCHAR(255),
+    "childId" UUID,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
+
+CREATE TYPE public."enum_children_type" AS ENUM('boy', 'girl');
+
+CREATE TYPE public."enum_children_size" AS ENUM('toddler', 'preschooler', 'schoolAged');
+
+CREATE TABLE public."children" (
+    "id" UUID,
+    "name" VARCHAR(255) NOT NULL,
+    "type" "public"."enum_children_type" NOT NULL,
+    "size" "public"."enum_children_size" NOT NULL,
+    "importHash" VARCHAR(255) UNIQUE,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "deletedAt" TIMESTAMP WITH TIME ZONE,
+    "ownerId" VARCHAR(255),
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
+
+CREATE TABLE public."files" (
+    "id" UUID,
+    "belongsTo" VARCHAR(255),
+    "belongsToId" VARCHAR(255),
+    "belongsToColumn" VARCHAR(255),
+    "name" VARCHAR(2083) NOT NULL,
+    "sizeInBytes" INTEGER,
+    "privateUrl" VARCHAR(2083),
+    "publicUrl" VARCHAR(2083) NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "deletedAt" TIMESTAMP WITH TIME ZONE,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
+
+CREATE TABLE public."settings" (
+    "id" VARCHAR(255) DEFAULT 'default',
+    "theme" VARCHAR(255) NOT NULL,
+    "dailyFee" DECIMAL(24,2),
+    "capacity" INTEGER,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "deletedAt" TIMESTAMP WITH TIME ZONE,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
+
+CREATE TABLE public."userRoles" (
+    "id" UUID,
+    "role" VARCHAR(255) NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "deletedAt" TIMESTAMP WITH TIME ZONE,
+    "userId" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
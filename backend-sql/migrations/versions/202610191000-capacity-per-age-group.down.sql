@@ -0,0 +1,14 @@
+ALTER TABLE public."settings"
+    ADD COLUMN "capacity" INTEGER;
+
+UPDATE public."settings"
+    SET "capacity" = GREATEST(
+        coalesce("capacityToddler", 0),
+        coalesce("capacityPreschooler", 0),
+        coalesce("capacitySchoolAged", 0)
+    );
+
+ALTER TABLE public."settings"
+    DROP COLUMN "capacityToddler",
+    DROP COLUMN "capacityPreschooler",
+    DROP COLUMN "capacitySchoolAged";
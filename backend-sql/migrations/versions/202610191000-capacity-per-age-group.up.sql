@@ -0,0 +1,12 @@
+ALTER TABLE public."settings"
+    ADD COLUMN "capacityToddler" INTEGER,
+    ADD COLUMN "capacityPreschooler" INTEGER,
+    ADD COLUMN "capacitySchoolAged" INTEGER;
+
+UPDATE public."settings"
+    SET "capacityToddler" = "capacity",
+        "capacityPreschooler" = "capacity",
+        "capacitySchoolAged" = "capacity";
+
+ALTER TABLE public."settings"
+    DROP COLUMN "capacity";
@@ -0,0 +1,14 @@
+UPDATE public."bookings"
+    SET "status" = 'booked'
+    WHERE "status" = 'waitlisted';
+
+ALTER TYPE public."enum_bookings_status"
+    RENAME TO "enum_bookings_status_old";
+
+CREATE TYPE public."enum_bookings_status" AS ENUM('booked', 'cancelled', 'completed', 'progress');
+
+ALTER TABLE public."bookings"
+    ALTER COLUMN "status" TYPE "public"."enum_bookings_status"
+    USING "status"::text::"public"."enum_bookings_status";
+
+DROP TYPE public."enum_bookings_status_old";
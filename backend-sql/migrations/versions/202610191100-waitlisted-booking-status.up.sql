@@ -0,0 +1,2 @@
+ALTER TYPE public."enum_bookings_status"
+    ADD VALUE IF NOT EXISTS 'waitlisted' AFTER 'booked';
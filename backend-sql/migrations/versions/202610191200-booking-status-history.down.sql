@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS public."bookingStatusHistories";
+DROP TYPE IF EXISTS public."enum_bookingStatusHistories_fromStatus";
+DROP TYPE IF EXISTS public."enum_bookingStatusHistories_toStatus";
@@ -0,0 +1,23 @@
+CREATE TYPE public."enum_bookingStatusHistories_fromStatus" AS ENUM('booked', 'waitlisted', 'progress', 'cancelled', 'completed');
+
+CREATE TYPE public."enum_bookingStatusHistories_toStatus" AS ENUM('booked', 'waitlisted', 'progress', 'cancelled', 'completed');
+
+CREATE TABLE public."bookingStatusHistories" (
+    "id" UUID,
+    "fromStatus" "public"."enum_bookingStatusHistories_fromStatus",
+    "toStatus" "public"."enum_bookingStatusHistories_toStatus" NOT NULL,
+    "createdById" UUID,
+    "createdByEmail" VARCHAR(255),
+    "timestamp" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "bookingId" UUID,
+    PRIMARY KEY ("id")
+);
+
+INSERT INTO public."bookingStatusHistories"
+    ("id", "toStatus", "createdById", "timestamp", "bookingId")
+SELECT md5(random()::text || "id"::text)::uuid,
+       "status"::text::"public"."enum_bookingStatusHistories_toStatus",
+       "createdById"::uuid,
+       "createdAt",
+       "id"
+  FROM public."bookings";
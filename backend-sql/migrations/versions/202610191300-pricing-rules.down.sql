@@ -0,0 +1,5 @@
+ALTER TABLE public."bookings"
+    DROP COLUMN "feeBreakdown";
+
+ALTER TABLE public."settings"
+    DROP COLUMN "pricingRules";
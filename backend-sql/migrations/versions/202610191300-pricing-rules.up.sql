@@ -0,0 +1,5 @@
+ALTER TABLE public."settings"
+    ADD COLUMN "pricingRules" JSON;
+
+ALTER TABLE public."bookings"
+    ADD COLUMN "feeBreakdown" JSON;
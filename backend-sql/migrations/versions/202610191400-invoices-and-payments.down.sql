@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS public."invoices";
+DROP TABLE IF EXISTS public."payments";
+DROP TYPE IF EXISTS public."enum_payments_method";
+
+ALTER TABLE public."bookings"
+    DROP COLUMN "amountPaid",
+    DROP COLUMN "balance";
@@ -0,0 +1,35 @@
+ALTER TABLE public."bookings"
+    ADD COLUMN "amountPaid" DECIMAL(24,2) NOT NULL DEFAULT 0,
+    ADD COLUMN "balance" DECIMAL(24,2);
+
+UPDATE public."bookings"
+    SET "balance" = "fee";
+
+CREATE TYPE public."enum_payments_method" AS ENUM('cash', 'card', 'bankTransfer', 'other');
+
+CREATE TABLE public."payments" (
+    "id" UUID,
+    "amount" DECIMAL(24,2) NOT NULL,
+    "method" "public"."enum_payments_method" NOT NULL,
+    "paidAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "bookingId" UUID,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
+
+CREATE TABLE public."invoices" (
+    "id" UUID,
+    "number" INTEGER NOT NULL UNIQUE,
+    "issuedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "amount" DECIMAL(24,2) NOT NULL,
+    "items" JSON,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "bookingId" UUID,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
@@ -0,0 +1,15 @@
+CREATE TABLE public."attendances" (
+    "id" UUID,
+    "checkInAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "checkOutAt" TIMESTAMP WITH TIME ZONE,
+    "droppedOffBy" VARCHAR(255) NOT NULL,
+    "pickedUpBy" VARCHAR(255),
+    "notes" TEXT,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "bookingId" UUID,
+    "childId" UUID,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
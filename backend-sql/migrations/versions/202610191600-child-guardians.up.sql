@@ -0,0 +1,10 @@
+CREATE TABLE public."childGuardians" (
+    "id" UUID,
+    "name" VARCHAR(255) NOT NULL,
+    "relationship" VARCHAR(255) NOT NULL,
+    "phone" VARCHAR(255),
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "childId" UUID,
+    PRIMARY KEY ("id")
+);
@@ -0,0 +1,7 @@
+ALTER TABLE public."children"
+    DROP COLUMN "allergies",
+    DROP COLUMN "dietaryRestrictions",
+    DROP COLUMN "medications",
+    DROP COLUMN "doctorName",
+    DROP COLUMN "doctorPhone",
+    DROP COLUMN "emergencyContacts";
@@ -0,0 +1,7 @@
+ALTER TABLE public."children"
+    ADD COLUMN "allergies" TEXT,
+    ADD COLUMN "dietaryRestrictions" TEXT,
+    ADD COLUMN "medications" JSON,
+    ADD COLUMN "doctorName" VARCHAR(255),
+    ADD COLUMN "doctorPhone" VARCHAR(255),
+    ADD COLUMN "emergencyContacts" JSON;
@@ -0,0 +1,11 @@
+ALTER TABLE public."settings"
+    DROP COLUMN "minimumAge",
+    DROP COLUMN "maximumAge";
+
+ALTER TABLE public."bookings"
+    DROP COLUMN "ageGroup";
+
+DROP TYPE IF EXISTS public."enum_bookings_ageGroup";
+
+ALTER TABLE public."children"
+    DROP COLUMN "birthdate";
@@ -0,0 +1,11 @@
+ALTER TABLE public."children"
+    ADD COLUMN "birthdate" DATE;
+
+CREATE TYPE public."enum_bookings_ageGroup" AS ENUM('toddler', 'preschooler', 'schoolAged');
+
+ALTER TABLE public."bookings"
+    ADD COLUMN "ageGroup" "public"."enum_bookings_ageGroup";
+
+ALTER TABLE public."settings"
+    ADD COLUMN "minimumAge" INTEGER,
+    ADD COLUMN "maximumAge" INTEGER;
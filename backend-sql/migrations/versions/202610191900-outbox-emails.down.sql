@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS public."outboxEmails";
+DROP TYPE IF EXISTS public."enum_outboxEmails_status";
@@ -0,0 +1,19 @@
+CREATE TYPE public."enum_outboxEmails_status" AS ENUM('pending', 'sent', 'failed');
+
+CREATE TABLE public."outboxEmails" (
+    "id" UUID,
+    "to" VARCHAR(255) NOT NULL,
+    "subject" VARCHAR(1024) NOT NULL,
+    "html" TEXT NOT NULL,
+    "status" "public"."enum_outboxEmails_status" NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "nextAttemptAt" TIMESTAMP WITH TIME ZONE,
+    "sentAt" TIMESTAMP WITH TIME ZONE,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY ("id")
+);
+
+CREATE INDEX "outboxEmails_status_nextAttemptAt"
+    ON public."outboxEmails" ("status", "nextAttemptAt");
@@ -0,0 +1,15 @@
+CREATE TABLE public."emailTemplates" (
+    "id" UUID,
+    "template" VARCHAR(255) NOT NULL,
+    "language" VARCHAR(32) NOT NULL,
+    "subject" VARCHAR(1024) NOT NULL,
+    "body" TEXT NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "email_templates_template_language"
+    ON public."emailTemplates" ("template", "language");
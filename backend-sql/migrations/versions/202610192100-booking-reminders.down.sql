@@ -0,0 +1,7 @@
+ALTER TABLE public."settings"
+    DROP COLUMN "arrivalReminderDays",
+    DROP COLUMN "reminderHour";
+
+ALTER TABLE public."bookings"
+    DROP COLUMN "arrivalReminderSentAt",
+    DROP COLUMN "departureReminderSentAt";
@@ -0,0 +1,7 @@
+ALTER TABLE public."bookings"
+    ADD COLUMN "arrivalReminderSentAt" TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN "departureReminderSentAt" TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public."settings"
+    ADD COLUMN "arrivalReminderDays" INTEGER,
+    ADD COLUMN "reminderHour" INTEGER;
@@ -0,0 +1,8 @@
+ALTER TABLE public."settings"
+    DROP COLUMN "dailyReportHour";
+
+DROP TABLE IF EXISTS public."dailyReportEntries";
+DROP TYPE IF EXISTS public."enum_dailyReportEntries_type";
+DROP TYPE IF EXISTS public."enum_dailyReportEntries_mealAmount";
+DROP TYPE IF EXISTS public."enum_dailyReportEntries_mood";
+DROP TYPE IF EXISTS public."enum_dailyReportEntries_toiletType";
@@ -0,0 +1,35 @@
+CREATE TYPE public."enum_dailyReportEntries_type" AS ENUM('meal', 'nap', 'activity', 'mood', 'toilet');
+
+CREATE TYPE public."enum_dailyReportEntries_mealAmount" AS ENUM('all', 'most', 'some', 'none');
+
+CREATE TYPE public."enum_dailyReportEntries_mood" AS ENUM('happy', 'calm', 'tired', 'sad', 'upset');
+
+CREATE TYPE public."enum_dailyReportEntries_toiletType" AS ENUM('wet', 'bowelMovement', 'dry', 'potty');
+
+CREATE TABLE public."dailyReportEntries" (
+    "id" UUID,
+    "type" "public"."enum_dailyReportEntries_type" NOT NULL,
+    "time" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "endTime" TIMESTAMP WITH TIME ZONE,
+    "mealAmount" "public"."enum_dailyReportEntries_mealAmount",
+    "mood" "public"."enum_dailyReportEntries_mood",
+    "toiletType" "public"."enum_dailyReportEntries_toiletType",
+    "description" TEXT,
+    "reportedAt" TIMESTAMP WITH TIME ZONE,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "bookingId" UUID,
+    "childId" UUID,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
+
+CREATE INDEX "dailyReportEntries_bookingId"
+    ON public."dailyReportEntries" ("bookingId");
+
+CREATE INDEX "dailyReportEntries_time"
+    ON public."dailyReportEntries" ("time");
+
+ALTER TABLE public."settings"
+    ADD COLUMN "dailyReportHour" INTEGER;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS public."notifications";
+DROP TYPE IF EXISTS public."enum_notifications_type";
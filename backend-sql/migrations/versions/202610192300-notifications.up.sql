@@ -0,0 +1,15 @@
+CREATE TYPE public."enum_notifications_type" AS ENUM('bookingStatusChanged', 'bookingPhotosAdded', 'bookingWaitlistPromoted', 'invitation');
+
+CREATE TABLE public."notifications" (
+    "id" UUID,
+    "type" "public"."enum_notifications_type" NOT NULL,
+    "data" JSON,
+    "readAt" TIMESTAMP WITH TIME ZONE,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "userId" VARCHAR(255),
+    PRIMARY KEY ("id")
+);
+
+CREATE INDEX "notifications_userId_readAt"
+    ON public."notifications" ("userId", "readAt");
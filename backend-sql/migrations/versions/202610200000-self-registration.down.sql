@@ -0,0 +1,19 @@
+DELETE FROM public."notifications"
+    WHERE "type" = 'accountApproved';
+
+ALTER TYPE public."enum_notifications_type"
+    RENAME TO "enum_notifications_type_old";
+
+CREATE TYPE public."enum_notifications_type" AS ENUM('bookingStatusChanged', 'bookingPhotosAdded', 'bookingWaitlistPromoted', 'invitation');
+
+ALTER TABLE public."notifications"
+    ALTER COLUMN "type" TYPE "public"."enum_notifications_type"
+    USING "type"::text::"public"."enum_notifications_type";
+
+DROP TYPE public."enum_notifications_type_old";
+
+ALTER TABLE public."users"
+    DROP COLUMN "approvalPending";
+
+ALTER TABLE public."settings"
+    DROP COLUMN "selfRegistration";
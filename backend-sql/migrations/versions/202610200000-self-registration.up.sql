@@ -0,0 +1,8 @@
+ALTER TABLE public."settings"
+    ADD COLUMN "selfRegistration" BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE public."users"
+    ADD COLUMN "approvalPending" BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TYPE public."enum_notifications_type"
+    ADD VALUE IF NOT EXISTS 'accountApproved';
@@ -0,0 +1,10 @@
+ALTER TABLE public."userRoles"
+    DROP COLUMN "locationId";
+
+ALTER TABLE public."bookings"
+    DROP COLUMN "locationId";
+
+ALTER TABLE public."children"
+    DROP COLUMN "locationId";
+
+DROP TABLE IF EXISTS public."locations";
@@ -0,0 +1,26 @@
+CREATE TABLE public."locations" (
+    "id" UUID,
+    "name" VARCHAR(255) NOT NULL,
+    "address" VARCHAR(1024),
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "deletedAt" TIMESTAMP WITH TIME ZONE,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
+
+ALTER TABLE public."children"
+    ADD COLUMN "locationId" UUID;
+
+ALTER TABLE public."bookings"
+    ADD COLUMN "locationId" UUID;
+
+ALTER TABLE public."userRoles"
+    ADD COLUMN "locationId" UUID;
+
+CREATE INDEX "children_locationId"
+    ON public."children" ("locationId");
+
+CREATE INDEX "bookings_locationId"
+    ON public."bookings" ("locationId");
@@ -0,0 +1,10 @@
+CREATE TABLE public."roles" (
+    "id" VARCHAR(255),
+    "name" VARCHAR(255) NOT NULL,
+    "permissions" JSON NOT NULL DEFAULT '[]',
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "createdById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    "updatedById" VARCHAR(255) REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    PRIMARY KEY ("id")
+);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS public."bookings_search";
+DROP INDEX IF EXISTS public."users_search";
+DROP INDEX IF EXISTS public."children_search";
@@ -0,0 +1,11 @@
+CREATE INDEX "children_search"
+    ON public.children
+    USING GIN (to_tsvector('simple', coalesce("name", '')));
+
+CREATE INDEX "users_search"
+    ON public.users
+    USING GIN (to_tsvector('simple', coalesce("fullName", '') || ' ' || translate(coalesce("email", ''), '@.', '  ') || ' ' || translate(coalesce("phoneNumber", ''), '+-().', '     ') || ' ' || regexp_replace(coalesce("phoneNumber", ''), '[^0-9]', '', 'g')));
+
+CREATE INDEX "bookings_search"
+    ON public.bookings
+    USING GIN (to_tsvector('simple', coalesce("clientNotes", '') || ' ' || coalesce("employeeNotes", '') || ' ' || coalesce("cancellationNotes", '')));
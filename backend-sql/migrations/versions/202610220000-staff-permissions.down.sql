@@ -0,0 +1,3 @@
+UPDATE public."roles"
+    SET "permissions" = ("permissions"::jsonb - 'childReadAll' - 'bookingReadAll' - 'bookingManageStatus')::json
+    WHERE "id" = 'employee';
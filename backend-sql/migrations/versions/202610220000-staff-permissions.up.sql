@@ -0,0 +1,12 @@
+-- The employee role used to read every child and booking and to
+-- change booking statuses by its name, it keeps doing so through
+-- the permissions that replaced those checks
+UPDATE public."roles"
+    SET "permissions" = (
+        SELECT json_agg(DISTINCT "permission")
+          FROM jsonb_array_elements_text(
+              "permissions"::jsonb ||
+              '["childReadAll", "bookingReadAll", "bookingManageStatus"]'::jsonb
+          ) AS "permission"
+    )
+    WHERE "id" = 'employee';
@@ -0,0 +1,4 @@
+UPDATE public."roles"
+    SET "permissions" = ("permissions"::jsonb || '["childMedicalRead"]'::jsonb)::json
+    WHERE "id" = 'childOwner'
+    AND NOT "permissions"::jsonb @> '["childMedicalRead"]'::jsonb;
@@ -0,0 +1,4 @@
+-- Parents only read the medical profile of their own children
+UPDATE public."roles"
+    SET "permissions" = ("permissions"::jsonb - 'childMedicalRead')::json
+    WHERE "id" = 'childOwner';
@@ -0,0 +1,8 @@
+CREATE TABLE public."staffDigests" (
+    "id" VARCHAR(255),
+    "date" DATE NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "locationId" UUID,
+    PRIMARY KEY ("id")
+);
@@ -0,0 +1,23 @@
+const AttendanceService = require('../../../services/attendanceService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  attendanceList(bookingId: String!): [Attendance!]!
+`;
+
+const resolver = {
+  attendanceList: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.attendanceRead,
+    );
+
+    return new AttendanceService(context).findAllByBooking(
+      args.bookingId,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,11 @@
+const schema = `
+  input AttendanceCheckInInput {
+    droppedOffBy: String!
+    notes: String
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
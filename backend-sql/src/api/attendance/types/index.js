@@ -0,0 +1,5 @@
+module.exports = [
+  require('./attendance'),
+  require('./attendanceCheckInInput'),
+  require('./attendanceCheckOutInput'),
+];
@@ -0,0 +1,27 @@
+const AuthRegistrar = require('../../../services/auth/authRegistrar');
+const ForbiddenError = require('../../../errors/forbiddenError');
+
+const schema = `
+  authRegister(data: AuthRegistrationInput!): Boolean
+`;
+
+const resolver = {
+  authRegister: async (root, args, context) => {
+    if (!context.currentUser || !context.currentUser.id) {
+      throw new ForbiddenError(context.language);
+    }
+
+    let registrar = new AuthRegistrar(
+      context.currentUser,
+      context.language,
+      context.location,
+    );
+
+    await registrar.execute(args.data);
+
+    return true;
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
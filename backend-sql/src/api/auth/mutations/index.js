@@ -2,4 +2,5 @@ module.exports = [
   require('./authSendPasswordResetEmail'),
   require('./authSendEmailAddressVerificationEmail'),
   require('./authUpdateProfile'),
+  require('./authRegister'),
 ];
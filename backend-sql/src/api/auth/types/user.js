@@ -9,6 +9,7 @@ const schema = `
     avatars: [File!]
     authenticationUid: String
     disabled: Boolean
+    approvalPending: Boolean
     createdAt: DateTime
     updatedAt: DateTime    
   }
@@ -0,0 +1,21 @@
+const BookingService = require('../../../services/booking/bookingService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  bookingCheckOut(id: String!): Booking!
+`;
+
+const resolver = {
+  bookingCheckOut: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.bookingEdit,
+    );
+
+    return new BookingService(context).checkOut(args.id);
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,23 @@
+const BookingPaymentService = require('../../../services/booking/bookingPaymentService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  bookingInvoiceIssue(bookingId: String!): Booking!
+`;
+
+const resolver = {
+  bookingInvoiceIssue: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.bookingPaymentEdit,
+    );
+
+    return new BookingPaymentService(context).issueInvoice(
+      args.bookingId,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,24 @@
+const BookingPaymentService = require('../../../services/booking/bookingPaymentService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  bookingPaymentDestroy(bookingId: String!, id: String!): Booking!
+`;
+
+const resolver = {
+  bookingPaymentDestroy: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.bookingPaymentEdit,
+    );
+
+    return new BookingPaymentService(context).destroy(
+      args.bookingId,
+      args.id,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -3,4 +3,10 @@ module.exports = [
   require('./bookingDestroy'),
   require('./bookingUpdate'),
   require('./bookingImport'),
+  require('./bookingCheckIn'),
+  require('./bookingCheckOut'),
+  require('./bookingCancel'),
+  require('./bookingPaymentCreate'),
+  require('./bookingPaymentDestroy'),
+  require('./bookingInvoiceIssue'),
 ];
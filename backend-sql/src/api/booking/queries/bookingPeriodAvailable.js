@@ -4,7 +4,7 @@ const permissions = require('../../../security/permissions')
 const BookingService = require('../../../services/booking/bookingService');
 
 const schema = `
-  bookingPeriodAvailable(arrival: DateTime!, departure: DateTime!, idToExclude: String): Boolean!
+  bookingPeriodAvailable(arrival: DateTime!, departure: DateTime!, child: String, idToExclude: String): [BookingPeriodAvailability!]!
 `;
 
 const resolver = {
@@ -13,9 +13,12 @@ const resolver = {
       permissions.bookingRead,
     );
 
-    return new BookingService(context).isPeriodAvailable(
+    return new BookingService(
+      context,
+    ).findPeriodAvailability(
       args.arrival,
       args.departure,
+      args.child,
       args.idToExclude,
     );
   },
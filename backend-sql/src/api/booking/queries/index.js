@@ -3,4 +3,6 @@ module.exports = [
   require('./bookingList'),
   require('./bookingAutocomplete'),
   require('./bookingPeriodAvailable'),
+  require('./bookingFeeBreakdown'),
+  require('./bookingOccupancy'),
 ];
@@ -0,0 +1,31 @@
+const { withFilter } = require('graphql-subscriptions');
+const BookingEvents = require('../../../services/booking/bookingEvents');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  occupancyChanged: OccupancyChangedEvent!
+`;
+
+const resolver = {
+  occupancyChanged: {
+    subscribe: withFilter(
+      (root, args, context) => {
+        new PermissionChecker(context).validateHas(
+          permissions.bookingRead,
+        );
+
+        return BookingEvents.occupancyChangedIterator();
+      },
+      (payload, args, context) =>
+        BookingEvents.isAtLocation(
+          payload.occupancyChanged,
+          context.location,
+        ),
+    ),
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
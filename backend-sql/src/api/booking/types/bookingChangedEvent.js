@@ -0,0 +1,20 @@
+const bookingChange = require('../../../enumerators/bookingChange');
+
+const schema = `
+  enum BookingChangeEnum {
+    ${bookingChange.CREATED}
+    ${bookingChange.UPDATED}
+    ${bookingChange.DESTROYED}
+  }
+
+  type BookingChangedEvent {
+    id: String!
+    change: BookingChangeEnum!
+    status: BookingStatusEnum
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -3,6 +3,7 @@ const bookingStatus = require('../../../enumerators/bookingStatus');
 const schema = `
   enum BookingStatusEnum {
     ${bookingStatus.BOOKED}
+    ${bookingStatus.WAITLISTED}
     ${bookingStatus.PROGRESS}
     ${bookingStatus.CANCELLED}
     ${bookingStatus.COMPLETED}
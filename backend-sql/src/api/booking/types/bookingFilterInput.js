@@ -3,10 +3,12 @@ const schema = `
     id: String
     owner: String
     child: String
+    location: String
     arrivalRange: [ DateTime ]
     departureRange: [ DateTime ]
     status: BookingStatusEnum
     feeRange: [ Float ]
+    outstanding: Boolean
     createdAtRange: [ DateTime ]
     period: [ DateTime ]
   }
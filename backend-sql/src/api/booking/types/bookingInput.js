@@ -7,7 +7,7 @@ const schema = `
     clientNotes: String
     employeeNotes: String
     photos: [ FileInput! ]
-    status: BookingStatusEnum!
+    status: BookingStatusEnum
     cancellationNotes: String
     fee: Float
     receipt: [ FileInput! ]
@@ -0,0 +1,14 @@
+const schema = `
+  type BookingInvoice {
+    id: String!
+    number: Int!
+    issuedAt: DateTime!
+    amount: Float!
+    items: [ BookingFeeItem! ]
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,14 @@
+const schema = `
+  type BookingOccupancyDay {
+    date: String!
+    capacity: Int!
+    booked: Int!
+    remaining: Int!
+    groups: [BookingPeriodAvailability!]!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
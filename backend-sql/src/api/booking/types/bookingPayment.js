@@ -0,0 +1,15 @@
+const schema = `
+  type BookingPayment {
+    id: String!
+    amount: Float!
+    method: BookingPaymentMethodEnum!
+    paidAt: DateTime!
+    notes: String
+    createdAt: DateTime
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,13 @@
+const schema = `
+  input BookingPaymentInput {
+    amount: Float!
+    method: BookingPaymentMethodEnum!
+    paidAt: DateTime!
+    notes: String
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
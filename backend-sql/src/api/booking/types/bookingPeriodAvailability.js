@@ -0,0 +1,13 @@
+const schema = `
+  type BookingPeriodAvailability {
+    size: ChildSizeEnum!
+    capacity: Int!
+    booked: Int!
+    remaining: Int!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,11 @@
+const schema = `
+  type OccupancyChangedEvent {
+    arrival: DateTime
+    departure: DateTime
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,25 @@
+const DailyReportEntryService = require('../../../services/dailyReportEntryService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  dailyReportEntryDestroy(id: String!): Boolean
+`;
+
+const resolver = {
+  dailyReportEntryDestroy: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.dailyReportEdit,
+    );
+
+    await new DailyReportEntryService(context).destroy(
+      args.id,
+    );
+
+    return true;
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
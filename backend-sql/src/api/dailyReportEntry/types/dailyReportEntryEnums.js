@@ -0,0 +1,41 @@
+const dailyReportEntryType = require('../../../enumerators/dailyReportEntryType');
+const dailyReportMealAmount = require('../../../enumerators/dailyReportMealAmount');
+const dailyReportMood = require('../../../enumerators/dailyReportMood');
+const dailyReportToiletType = require('../../../enumerators/dailyReportToiletType');
+
+const schema = `
+  enum DailyReportEntryTypeEnum {
+    ${dailyReportEntryType.MEAL}
+    ${dailyReportEntryType.NAP}
+    ${dailyReportEntryType.ACTIVITY}
+    ${dailyReportEntryType.MOOD}
+    ${dailyReportEntryType.TOILET}
+  }
+
+  enum DailyReportMealAmountEnum {
+    ${dailyReportMealAmount.ALL}
+    ${dailyReportMealAmount.MOST}
+    ${dailyReportMealAmount.SOME}
+    ${dailyReportMealAmount.NONE}
+  }
+
+  enum DailyReportMoodEnum {
+    ${dailyReportMood.HAPPY}
+    ${dailyReportMood.CALM}
+    ${dailyReportMood.TIRED}
+    ${dailyReportMood.SAD}
+    ${dailyReportMood.UPSET}
+  }
+
+  enum DailyReportToiletTypeEnum {
+    ${dailyReportToiletType.WET}
+    ${dailyReportToiletType.BOWEL_MOVEMENT}
+    ${dailyReportToiletType.DRY}
+    ${dailyReportToiletType.POTTY}
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
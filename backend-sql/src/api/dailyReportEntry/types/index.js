@@ -0,0 +1,5 @@
+module.exports = [
+  require('./dailyReportEntry'),
+  require('./dailyReportEntryEnums'),
+  require('./dailyReportEntryInput'),
+];
@@ -0,0 +1,24 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+const DashboardService = require('../../../services/dashboardService');
+
+const schema = `
+  dashboard(start: DateTime!, end: DateTime!): Dashboard!
+`;
+
+const resolver = {
+  dashboard: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.dashboardRead,
+    );
+
+    return new DashboardService(context).find(
+      args.start,
+      args.end,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
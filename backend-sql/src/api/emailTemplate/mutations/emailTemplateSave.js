@@ -0,0 +1,25 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const EmailTemplateService = require('../../../services/emailTemplateService');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  emailTemplateSave(template: String!, language: String!, data: EmailTemplateInput!): EmailTemplate!
+`;
+
+const resolver = {
+  emailTemplateSave: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.settingsEdit,
+    );
+
+    return new EmailTemplateService(context).save(
+      args.template,
+      args.language,
+      args.data,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
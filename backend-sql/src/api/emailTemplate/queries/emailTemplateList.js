@@ -0,0 +1,23 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const EmailTemplateService = require('../../../services/emailTemplateService');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  emailTemplateList(language: String!): [EmailTemplate!]!
+`;
+
+const resolver = {
+  emailTemplateList: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.settingsEdit,
+    );
+
+    return new EmailTemplateService(context).findAll(
+      args.language,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,25 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const EmailTemplateService = require('../../../services/emailTemplateService');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  emailTemplatePreview(template: String!, language: String!, data: EmailTemplateInput!): EmailTemplatePreview!
+`;
+
+const resolver = {
+  emailTemplatePreview: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.settingsEdit,
+    );
+
+    return new EmailTemplateService(context).preview(
+      args.template,
+      args.language,
+      args.data,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
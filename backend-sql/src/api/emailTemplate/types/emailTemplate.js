@@ -0,0 +1,15 @@
+const schema = `
+  type EmailTemplate {
+    template: String!
+    language: String!
+    subject: String!
+    body: String!
+    variables: [String!]!
+    customized: Boolean!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
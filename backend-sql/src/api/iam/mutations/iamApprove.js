@@ -0,0 +1,28 @@
+const IamApprover = require('../../../services/iam/iamApprover');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  iamApprove(ids: [ String! ]!): Boolean
+`;
+
+const resolver = {
+  iamApprove: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.iamApprove,
+    );
+
+    let approver = new IamApprover(
+      context.currentUser,
+      context.language,
+    );
+
+    await approver.approve(args.ids);
+
+    return true;
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
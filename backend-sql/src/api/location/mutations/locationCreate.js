@@ -0,0 +1,21 @@
+const LocationService = require('../../../services/locationService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  locationCreate(data: LocationInput!): Location!
+`;
+
+const resolver = {
+  locationCreate: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.locationEdit,
+    );
+
+    return new LocationService(context).create(args.data);
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
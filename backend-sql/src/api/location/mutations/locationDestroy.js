@@ -0,0 +1,23 @@
+const LocationService = require('../../../services/locationService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  locationDestroy(id: String!): Boolean
+`;
+
+const resolver = {
+  locationDestroy: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.locationEdit,
+    );
+
+    await new LocationService(context).destroy(args.id);
+
+    return true;
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
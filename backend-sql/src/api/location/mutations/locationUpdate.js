@@ -0,0 +1,24 @@
+const LocationService = require('../../../services/locationService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  locationUpdate(id: String!, data: LocationInput!): Location!
+`;
+
+const resolver = {
+  locationUpdate: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.locationEdit,
+    );
+
+    return new LocationService(context).update(
+      args.id,
+      args.data,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
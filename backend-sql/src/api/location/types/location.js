@@ -0,0 +1,14 @@
+const schema = `
+  type Location {
+    id: String!
+    name: String!
+    address: String
+    createdAt: DateTime
+    updatedAt: DateTime
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
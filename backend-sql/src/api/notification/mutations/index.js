@@ -0,0 +1,4 @@
+module.exports = [
+  require('./notificationMarkAsRead'),
+  require('./notificationMarkAllAsRead'),
+];
@@ -0,0 +1,25 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const NotificationService = require('../../../services/notificationService');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  notificationMarkAsRead(ids: [String!]!): Boolean
+`;
+
+const resolver = {
+  notificationMarkAsRead: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.notificationRead,
+    );
+
+    await new NotificationService(context).markAsRead(
+      args.ids,
+    );
+
+    return true;
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
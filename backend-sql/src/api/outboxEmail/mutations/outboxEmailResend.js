@@ -0,0 +1,21 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const OutboxEmailService = require('../../../services/outboxEmailService');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  outboxEmailResend(id: String!): OutboxEmail!
+`;
+
+const resolver = {
+  outboxEmailResend: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.outboxEmailResend,
+    );
+
+    return new OutboxEmailService(context).resend(args.id);
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,23 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const OutboxEmailService = require('../../../services/outboxEmailService');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  outboxEmailList(filter: OutboxEmailListFilterInput, limit: Int, offset: Int, orderBy: OutboxEmailListOrderByEnum): OutboxEmailPage!
+`;
+
+const resolver = {
+  outboxEmailList: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.outboxEmailRead,
+    );
+
+    return new OutboxEmailService(context).findAndCountAll(
+      args,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,13 @@
+const schema = `
+  input OutboxEmailListFilterInput {
+    to: String
+    subject: String
+    status: OutboxEmailStatusEnum
+    createdAtRange: [DateTime]
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,21 @@
+const schema = `
+  enum OutboxEmailListOrderByEnum {
+    to_ASC
+    to_DESC
+    subject_ASC
+    subject_DESC
+    status_ASC
+    status_DESC
+    attempts_ASC
+    attempts_DESC
+    sentAt_ASC
+    sentAt_DESC
+    createdAt_ASC
+    createdAt_DESC
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,11 @@
+const schema = `
+  type OutboxEmailPage {
+    rows: [OutboxEmail!]!,
+    count: Int!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
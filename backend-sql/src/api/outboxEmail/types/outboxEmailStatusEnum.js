@@ -0,0 +1,12 @@
+const schema = `
+  enum OutboxEmailStatusEnum {
+    pending
+    sent
+    failed
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
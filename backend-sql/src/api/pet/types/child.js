@@ -1,18 +1,68 @@
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+const childMedicalProfileFields = require('../../../security/childMedicalProfileFields');
+
 const schema = `
   type Child {
     id: String!
     owner: User
+    location: Location
     name: String
     type: ChildTypeEnum
+    birthdate: String
     size: ChildSizeEnum
     bookings: [ Booking! ]
+    guardians: [ ChildGuardian! ]
+    allergies: String
+    dietaryRestrictions: String
+    medications: [ ChildMedication! ]
+    doctorName: String
+    doctorPhone: String
+    emergencyContacts: [ ChildEmergencyContact! ]
     createdAt: DateTime
     updatedAt: DateTime
   }
   `;
 // breed: String
 
-const resolver = {};
+// Nested children may only carry the id of their owner
+function ownerIdOf(record) {
+  if (record.owner) {
+    return record.owner.id || record.owner;
+  }
+
+  return record.ownerId || null;
+}
+
+// Staff read every medical profile, parents only their own child's
+function canReadMedicalProfile(record, context) {
+  if (
+    new PermissionChecker(context).has(
+      permissions.childMedicalRead,
+    )
+  ) {
+    return true;
+  }
+
+  return (
+    !!context.currentUser &&
+    context.currentUser.id === ownerIdOf(record)
+  );
+}
+
+const resolver = {
+  Child: childMedicalProfileFields.reduce(
+    (fields, field) => {
+      fields[field] = (record, args, context) =>
+        canReadMedicalProfile(record, context)
+          ? record[field]
+          : null;
+      return fields;
+    },
+    {},
+  ),
+};
 
 exports.schema = schema;
 exports.resolver = resolver;
@@ -1,3 +1,5 @@
+const childSize = require('../../../enumerators/childSize');
+
 const schema = `
   enum ChildTypeEnum {
     boy
@@ -5,9 +7,9 @@ const schema = `
   }
 
   enum ChildSizeEnum {
-    toddler
-    preschooler
-    schoolAged
+    ${childSize.TODDLER}
+    ${childSize.PRESCHOOLER}
+    ${childSize.SCHOOL_AGED}
   }
 `;
 
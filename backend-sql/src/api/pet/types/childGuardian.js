@@ -0,0 +1,14 @@
+const schema = `
+  type ChildGuardian {
+    id: String!
+    name: String
+    relationship: String
+    phone: String
+    photo: [File!]
+  }
+  `;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,14 @@
+const schema = `
+  input ChildGuardianInput {
+    id: String
+    name: String!
+    relationship: String!
+    phone: String
+    photo: [FileInput!]
+  }
+  `;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -5,4 +5,10 @@ module.exports = [
   require('./childOrderByEnum'),
   require('./childPage'),
   require('./childEnums'),
+  require('./childGuardian'),
+  require('./childGuardianInput'),
+  require('./childMedication'),
+  require('./childMedicationInput'),
+  require('./childEmergencyContact'),
+  require('./childEmergencyContactInput'),
 ];
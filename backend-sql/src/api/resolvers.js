@@ -25,6 +25,42 @@ const childMutations = require('./child/mutations');
 const bookingTypes = require('./booking/types');
 const bookingQueries = require('./booking/queries');
 const bookingMutations = require('./booking/mutations');
+const bookingSubscriptions = require('./booking/subscriptions');
+
+const attendanceTypes = require('./attendance/types');
+const attendanceQueries = require('./attendance/queries');
+const attendanceMutations = require('./attendance/mutations');
+
+const dashboardTypes = require('./dashboard/types');
+const dashboardQueries = require('./dashboard/queries');
+const dashboardMutations = require('./dashboard/mutations');
+
+const outboxEmailTypes = require('./outboxEmail/types');
+const outboxEmailQueries = require('./outboxEmail/queries');
+const outboxEmailMutations = require('./outboxEmail/mutations');
+
+const emailTemplateTypes = require('./emailTemplate/types');
+const emailTemplateQueries = require('./emailTemplate/queries');
+const emailTemplateMutations = require('./emailTemplate/mutations');
+
+const dailyReportEntryTypes = require('./dailyReportEntry/types');
+const dailyReportEntryQueries = require('./dailyReportEntry/queries');
+const dailyReportEntryMutations = require('./dailyReportEntry/mutations');
+
+const notificationTypes = require('./notification/types');
+const notificationQueries = require('./notification/queries');
+const notificationMutations = require('./notification/mutations');
+
+const locationTypes = require('./location/types');
+const roleTypes = require('./role/types');
+const locationQueries = require('./location/queries');
+const roleQueries = require('./role/queries');
+const locationMutations = require('./location/mutations');
+const roleMutations = require('./role/mutations');
+
+const searchTypes = require('./search/types');
+const searchQueries = require('./search/queries');
+const searchMutations = require('./search/mutations');
 
 const types = [
   ...sharedTypes,
@@ -34,6 +70,15 @@ const types = [
   ...settingsTypes,
   ...childTypes,
   ...bookingTypes,
+  ...attendanceTypes,
+  ...dashboardTypes,
+  ...outboxEmailTypes,
+  ...emailTemplateTypes,
+  ...dailyReportEntryTypes,
+  ...notificationTypes,
+  ...locationTypes,
+  ...roleTypes,
+  ...searchTypes,
 ].map((type) => type.resolver);
 
 const queries = [
@@ -43,6 +88,15 @@ const queries = [
   ...settingsQueries,
   ...childQueries,
   ...bookingQueries,
+  ...attendanceQueries,
+  ...dashboardQueries,
+  ...outboxEmailQueries,
+  ...emailTemplateQueries,
+  ...dailyReportEntryQueries,
+  ...notificationQueries,
+  ...locationQueries,
+  ...roleQueries,
+  ...searchQueries,
 ].map((query) => query.resolver);
 
 const mutations = [
@@ -52,6 +106,24 @@ const mutations = [
   ...settingsMutations,
   ...childMutations,
   ...bookingMutations,
+  ...attendanceMutations,
+  ...dashboardMutations,
+  ...outboxEmailMutations,
+  ...emailTemplateMutations,
+  ...dailyReportEntryMutations,
+  ...notificationMutations,
+  ...locationMutations,
+  ...roleMutations,
+  ...searchMutations,
 ].map((mutation) => mutation.resolver);
 
-module.exports = mergeResolvers(types, queries, mutations);
+const subscriptions = [...bookingSubscriptions].map(
+  (subscription) => subscription.resolver,
+);
+
+module.exports = mergeResolvers(
+  types,
+  queries,
+  mutations,
+  subscriptions,
+);
@@ -0,0 +1,23 @@
+const RoleService = require('../../../services/iam/roleService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  roleDestroy(id: String!): Boolean
+`;
+
+const resolver = {
+  roleDestroy: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.roleEdit,
+    );
+
+    await new RoleService(context).destroy(args.id);
+
+    return true;
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
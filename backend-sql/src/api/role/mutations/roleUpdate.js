@@ -0,0 +1,24 @@
+const RoleService = require('../../../services/iam/roleService');
+const PermissionChecker = require('../../../services/iam/permissionChecker');
+const permissions = require('../../../security/permissions')
+  .values;
+
+const schema = `
+  roleUpdate(id: String!, data: RoleInput!): Role!
+`;
+
+const resolver = {
+  roleUpdate: async (root, args, context) => {
+    new PermissionChecker(context).validateHas(
+      permissions.roleEdit,
+    );
+
+    return new RoleService(context).update(
+      args.id,
+      args.data,
+    );
+  },
+};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -0,0 +1,12 @@
+const schema = `
+  input RoleInput {
+    id: String
+    name: String!
+    permissions: [String!]!
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
@@ -27,6 +27,42 @@ const childMutations = require('./child/mutations');
 const bookingTypes = require('./booking/types');
 const bookingQueries = require('./booking/queries');
 const bookingMutations = require('./booking/mutations');
+const bookingSubscriptions = require('./booking/subscriptions');
+
+const attendanceTypes = require('./attendance/types');
+const attendanceQueries = require('./attendance/queries');
+const attendanceMutations = require('./attendance/mutations');
+
+const dashboardTypes = require('./dashboard/types');
+const dashboardQueries = require('./dashboard/queries');
+const dashboardMutations = require('./dashboard/mutations');
+
+const outboxEmailTypes = require('./outboxEmail/types');
+const outboxEmailQueries = require('./outboxEmail/queries');
+const outboxEmailMutations = require('./outboxEmail/mutations');
+
+const emailTemplateTypes = require('./emailTemplate/types');
+const emailTemplateQueries = require('./emailTemplate/queries');
+const emailTemplateMutations = require('./emailTemplate/mutations');
+
+const dailyReportEntryTypes = require('./dailyReportEntry/types');
+const dailyReportEntryQueries = require('./dailyReportEntry/queries');
+const dailyReportEntryMutations = require('./dailyReportEntry/mutations');
+
+const notificationTypes = require('./notification/types');
+const notificationQueries = require('./notification/queries');
+const notificationMutations = require('./notification/mutations');
+
+const locationTypes = require('./location/types');
+const roleTypes = require('./role/types');
+const locationQueries = require('./location/queries');
+const roleQueries = require('./role/queries');
+const locationMutations = require('./location/mutations');
+const roleMutations = require('./role/mutations');
+
+const searchTypes = require('./search/types');
+const searchQueries = require('./search/queries');
+const searchMutations = require('./search/mutations');
 
 const types = [
   ...sharedTypes,
@@ -36,6 +72,15 @@ const types = [
   ...settingsTypes,
   ...childTypes,
   ...bookingTypes,
+  ...attendanceTypes,
+  ...dashboardTypes,
+  ...outboxEmailTypes,
+  ...emailTemplateTypes,
+  ...dailyReportEntryTypes,
+  ...notificationTypes,
+  ...locationTypes,
+  ...roleTypes,
+  ...searchTypes,
 ].map((type) => type.schema);
 
 const mutations = [
@@ -45,6 +90,15 @@ const mutations = [
   ...settingsMutations,
   ...childMutations,
   ...bookingMutations,
+  ...attendanceMutations,
+  ...dashboardMutations,
+  ...outboxEmailMutations,
+  ...emailTemplateMutations,
+  ...dailyReportEntryMutations,
+  ...notificationMutations,
+  ...locationMutations,
+  ...roleMutations,
+  ...searchMutations,
 ].map((mutation) => mutation.schema);
 
 const queries = [
@@ -54,8 +108,21 @@ const queries = [
   ...settingsQueries,
   ...childQueries,
   ...bookingQueries,
+  ...attendanceQueries,
+  ...dashboardQueries,
+  ...outboxEmailQueries,
+  ...emailTemplateQueries,
+  ...dailyReportEntryQueries,
+  ...notificationQueries,
+  ...locationQueries,
+  ...roleQueries,
+  ...searchQueries,
 ].map((query) => query.schema);
 
+const subscriptions = [...bookingSubscriptions].map(
+  (subscription) => subscription.schema,
+);
+
 const query = `
   type Query {
     ${queries.join('\n')}
@@ -68,14 +135,27 @@ const mutation = `
   }
 `;
 
+const subscription = `
+  type Subscription {
+    ${subscriptions.join('\n')}
+  }
+`;
+
 const schemaDefinition = `
   type Schema {
     query: Query
     mutation: Mutation
+    subscription: Subscription
   }
 `;
 
 module.exports = makeExecutableSchema({
-  typeDefs: [schemaDefinition, query, mutation, ...types],
+  typeDefs: [
+    schemaDefinition,
+    query,
+    mutation,
+    subscription,
+    ...types,
+  ],
   resolvers,
 });
@@ -8,6 +8,7 @@ const resolver = {
   settingsFind: async (root, args, context) => {
     return SettingsService.findOrCreateDefault(
       context.currentUser,
+      context.location,
     );
   },
 };
@@ -1,4 +1,7 @@
 module.exports = [
   require('./settings'),
   require('./settingsInput'),
+  require('./pricingRule'),
+  require('./pricingRuleInput'),
+  require('./pricingRuleEnums'),
 ];
@@ -0,0 +1,14 @@
+const schema = `
+  input PricingRuleInput {
+    type: PricingRuleTypeEnum!
+    percentage: Float!
+    minDays: Int
+    minChildren: Int
+    dates: [ String! ]
+  }
+`;
+
+const resolver = {};
+
+exports.schema = schema;
+exports.resolver = resolver;
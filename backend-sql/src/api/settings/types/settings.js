@@ -2,7 +2,16 @@ const schema = `
   type Settings {
     theme: String!
     dailyFee: Float
-    capacity: Int
+    capacityToddler: Int
+    capacityPreschooler: Int
+    capacitySchoolAged: Int
+    pricingRules: [ PricingRule! ]
+    minimumAge: Int
+    maximumAge: Int
+    arrivalReminderDays: Int
+    reminderHour: Int
+    dailyReportHour: Int
+    selfRegistration: Boolean
   }
 `;
 
@@ -0,0 +1,69 @@
+const { execute, subscribe } = require('graphql');
+const {
+  SubscriptionServer,
+} = require('subscriptions-transport-ws');
+const schema = require('./schema');
+const AuthService = require('../auth/authService');
+const AuthUserWriter = require('../services/auth/authUserWriter');
+const LocationService = require('../services/locationService');
+
+const PATH = '/subscriptions';
+
+/**
+ * The WebSocket connection carries the same Bearer token
+ * as the HTTP requests, sent once as a connection param.
+ */
+async function onConnect(connectionParams = {}) {
+  const language = connectionParams.language || 'en';
+  const authorization = connectionParams.authorization;
+  const location = await LocationService.findSelected(
+    connectionParams.location,
+  );
+
+  if (
+    !authorization ||
+    !authorization.startsWith('Bearer ')
+  ) {
+    return { currentUser: null, language, location };
+  }
+
+  try {
+    const { uid } = await AuthService.verifyIdToken(
+      authorization.split('Bearer ')[1],
+    );
+
+    const currentUser = await AuthUserWriter.findOrCreateFromAuth(
+      uid,
+      location,
+    );
+
+    if (currentUser.disabled) {
+      throw new Error(
+        `User '${currentUser.email}' is disabled`,
+      );
+    }
+
+    return { currentUser, language, location };
+  } catch (error) {
+    console.error(
+      'Error while verifying Firebase ID token:',
+      error,
+    );
+
+    throw new Error('Unauthorized');
+  }
+}
+
+module.exports = (server) =>
+  SubscriptionServer.create(
+    {
+      schema,
+      execute,
+      subscribe,
+      onConnect,
+    },
+    {
+      server,
+      path: PATH,
+    },
+  );
@@ -23,6 +23,7 @@ module.exports = async (req, res, next) => {
 
         const currentUser = await AuthUserWriter.findOrCreateFromAuth(
           authUser.uid,
+          req.location,
         );
 
         if (currentUser.disabled) {
@@ -70,6 +71,7 @@ module.exports = async (req, res, next) => {
 
     const currentUser = await AuthUserWriter.findOrCreateFromAuth(
       uid,
+      req.location,
     );
 
     if (currentUser.disabled) {
@@ -56,6 +56,10 @@ module.exports = class AuthService {
     return admin.auth().getUser(uid);
   }
 
+  static async createUser(data) {
+    return admin.auth().createUser(data);
+  }
+
   static async updateUser(uid, data) {
     await admin.auth().updateUser(uid, {
       displayName: data.fullName,
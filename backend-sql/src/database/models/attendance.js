@@ -0,0 +1,57 @@
+module.exports = function(sequelize, DataTypes) {
+  const attendance = sequelize.define(
+    'attendance',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      checkInAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      checkOutAt: {
+        type: DataTypes.DATE,
+      },
+      droppedOffBy: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      pickedUpBy: {
+        type: DataTypes.STRING(255),
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        validate: {
+          max: 20000,
+        },
+      },
+    },
+    {
+      timestamps: true,
+    },
+  );
+
+  attendance.associate = (models) => {
+    models.attendance.belongsTo(models.booking, {
+      as: 'booking',
+      constraints: false,
+    });
+
+    models.attendance.belongsTo(models.child, {
+      as: 'child',
+      constraints: false,
+    });
+
+    models.attendance.belongsTo(models.user, {
+      as: 'createdBy',
+    });
+
+    models.attendance.belongsTo(models.user, {
+      as: 'updatedBy',
+    });
+  };
+
+  return attendance;
+};
@@ -1,4 +1,5 @@
 const bookingStatus = require('../../enumerators/bookingStatus');
+const childSize = require('../../enumerators/childSize');
 
 module.exports = function (sequelize, DataTypes) {
   const booking = sequelize.define(
@@ -34,6 +35,7 @@ module.exports = function (sequelize, DataTypes) {
         allowNull: false,
         values: [
           bookingStatus.BOOKED,
+          bookingStatus.WAITLISTED,
           bookingStatus.CANCELLED,
           bookingStatus.COMPLETED,
           bookingStatus.PROGRESS,
@@ -49,6 +51,31 @@ module.exports = function (sequelize, DataTypes) {
         type: DataTypes.DECIMAL(24, 2),
         validate: {},
       },
+      feeBreakdown: {
+        type: DataTypes.JSON,
+      },
+      ageGroup: {
+        type: DataTypes.ENUM,
+        values: [
+          childSize.TODDLER,
+          childSize.PRESCHOOLER,
+          childSize.SCHOOL_AGED,
+        ],
+      },
+      amountPaid: {
+        type: DataTypes.DECIMAL(24, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      balance: {
+        type: DataTypes.DECIMAL(24, 2),
+      },
+      arrivalReminderSentAt: {
+        type: DataTypes.DATE,
+      },
+      departureReminderSentAt: {
+        type: DataTypes.DATE,
+      },
       importHash: {
         type: DataTypes.STRING(255),
         allowNull: true,
@@ -72,6 +99,11 @@ module.exports = function (sequelize, DataTypes) {
       constraints: false,
     });
 
+    models.booking.belongsTo(models.location, {
+      as: 'location',
+      constraints: false,
+    });
+
     models.booking.hasMany(models.file, {
       as: 'photos',
       foreignKey: 'belongsToId',
@@ -92,6 +124,17 @@ module.exports = function (sequelize, DataTypes) {
       },
     });
 
+    models.booking.hasMany(models.payment, {
+      as: 'payments',
+      constraints: false,
+    });
+
+    models.booking.hasOne(models.invoice, {
+      as: 'invoice',
+      foreignKey: 'bookingId',
+      constraints: false,
+    });
+
     models.booking.belongsTo(models.user, {
       as: 'createdBy',
     });
@@ -0,0 +1,45 @@
+const bookingStatus = require('../../enumerators/bookingStatus');
+
+module.exports = function(sequelize, DataTypes) {
+  const bookingStatusHistory = sequelize.define(
+    'bookingStatusHistory',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      fromStatus: {
+        type: DataTypes.ENUM,
+        allowNull: true,
+        values: Object.values(bookingStatus),
+      },
+      toStatus: {
+        type: DataTypes.ENUM,
+        allowNull: false,
+        values: Object.values(bookingStatus),
+      },
+      createdById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      createdByEmail: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      timestamp: { type: DataTypes.DATE, allowNull: false },
+    },
+    {
+      timestamps: false,
+    },
+  );
+
+  bookingStatusHistory.associate = (models) => {
+    models.bookingStatusHistory.belongsTo(models.booking, {
+      as: 'booking',
+      constraints: false,
+    });
+  };
+
+  return bookingStatusHistory;
+};
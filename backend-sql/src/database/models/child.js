@@ -1,4 +1,5 @@
 const moment = require('moment');
+const childSize = require('../../enumerators/childSize');
 
 module.exports = function (sequelize, DataTypes) {
   const child = sequelize.define(
@@ -21,10 +22,41 @@ module.exports = function (sequelize, DataTypes) {
         allowNull: false,
         values: ['boy', 'girl'],
       },
+      birthdate: {
+        type: DataTypes.DATEONLY,
+      },
       size: {
         type: DataTypes.ENUM,
         allowNull: false,
-        values: ['toddler', 'preschooler', 'schoolAged'],
+        values: [
+          childSize.TODDLER,
+          childSize.PRESCHOOLER,
+          childSize.SCHOOL_AGED,
+        ],
+      },
+      allergies: {
+        type: DataTypes.TEXT,
+        validate: {
+          max: 20000,
+        },
+      },
+      dietaryRestrictions: {
+        type: DataTypes.TEXT,
+        validate: {
+          max: 20000,
+        },
+      },
+      medications: {
+        type: DataTypes.JSON,
+      },
+      doctorName: {
+        type: DataTypes.STRING(255),
+      },
+      doctorPhone: {
+        type: DataTypes.STRING(255),
+      },
+      emergencyContacts: {
+        type: DataTypes.JSON,
       },
       importHash: {
         type: DataTypes.STRING(255),
@@ -44,12 +76,23 @@ module.exports = function (sequelize, DataTypes) {
       constraints: false,
     });
 
+    models.child.belongsTo(models.location, {
+      as: 'location',
+      constraints: false,
+    });
+
     models.child.hasMany(models.booking, {
       as: 'bookings',
       constraints: false,
       foreignKey: 'childId',
     });
 
+    models.child.hasMany(models.childGuardian, {
+      as: 'guardians',
+      constraints: false,
+      foreignKey: 'childId',
+    });
+
     models.child.belongsTo(models.user, {
       as: 'createdBy',
     });
@@ -0,0 +1,51 @@
+module.exports = function(sequelize, DataTypes) {
+  const childGuardian = sequelize.define(
+    'childGuardian',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+        },
+      },
+      relationship: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+        },
+      },
+      phone: {
+        type: DataTypes.STRING(255),
+      },
+    },
+    {
+      timestamps: true,
+    },
+  );
+
+  childGuardian.associate = (models) => {
+    models.childGuardian.belongsTo(models.child, {
+      as: 'child',
+      constraints: false,
+    });
+
+    models.childGuardian.hasMany(models.file, {
+      as: 'photo',
+      foreignKey: 'belongsToId',
+      constraints: false,
+      scope: {
+        belongsTo: models.childGuardian.getTableName(),
+        belongsToColumn: 'photo',
+      },
+    });
+  };
+
+  return childGuardian;
+};
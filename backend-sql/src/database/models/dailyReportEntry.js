@@ -0,0 +1,75 @@
+const dailyReportEntryType = require('../../enumerators/dailyReportEntryType');
+const dailyReportMealAmount = require('../../enumerators/dailyReportMealAmount');
+const dailyReportMood = require('../../enumerators/dailyReportMood');
+const dailyReportToiletType = require('../../enumerators/dailyReportToiletType');
+
+module.exports = function(sequelize, DataTypes) {
+  const dailyReportEntry = sequelize.define(
+    'dailyReportEntry',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      type: {
+        type: DataTypes.ENUM,
+        allowNull: false,
+        values: Object.values(dailyReportEntryType),
+      },
+      time: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      endTime: {
+        type: DataTypes.DATE,
+      },
+      mealAmount: {
+        type: DataTypes.ENUM,
+        values: Object.values(dailyReportMealAmount),
+      },
+      mood: {
+        type: DataTypes.ENUM,
+        values: Object.values(dailyReportMood),
+      },
+      toiletType: {
+        type: DataTypes.ENUM,
+        values: Object.values(dailyReportToiletType),
+      },
+      description: {
+        type: DataTypes.TEXT,
+        validate: {
+          max: 2000,
+        },
+      },
+      reportedAt: {
+        type: DataTypes.DATE,
+      },
+    },
+    {
+      timestamps: true,
+    },
+  );
+
+  dailyReportEntry.associate = (models) => {
+    models.dailyReportEntry.belongsTo(models.booking, {
+      as: 'booking',
+      constraints: false,
+    });
+
+    models.dailyReportEntry.belongsTo(models.child, {
+      as: 'child',
+      constraints: false,
+    });
+
+    models.dailyReportEntry.belongsTo(models.user, {
+      as: 'createdBy',
+    });
+
+    models.dailyReportEntry.belongsTo(models.user, {
+      as: 'updatedBy',
+    });
+  };
+
+  return dailyReportEntry;
+};
@@ -0,0 +1,49 @@
+module.exports = function(sequelize, DataTypes) {
+  const emailTemplate = sequelize.define(
+    'emailTemplate',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      template: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      language: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+      },
+      subject: {
+        type: DataTypes.STRING(1024),
+        allowNull: false,
+      },
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+    },
+    {
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['template', 'language'],
+        },
+      ],
+    },
+  );
+
+  emailTemplate.associate = (models) => {
+    models.emailTemplate.belongsTo(models.user, {
+      as: 'createdBy',
+    });
+
+    models.emailTemplate.belongsTo(models.user, {
+      as: 'updatedBy',
+    });
+  };
+
+  return emailTemplate;
+};
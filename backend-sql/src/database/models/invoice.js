@@ -0,0 +1,48 @@
+module.exports = function(sequelize, DataTypes) {
+  const invoice = sequelize.define(
+    'invoice',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      number: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+      },
+      issuedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      amount: {
+        type: DataTypes.DECIMAL(24, 2),
+        allowNull: false,
+      },
+      items: {
+        type: DataTypes.JSON,
+      },
+    },
+    {
+      timestamps: true,
+    },
+  );
+
+  invoice.associate = (models) => {
+    models.invoice.belongsTo(models.booking, {
+      as: 'booking',
+      constraints: false,
+    });
+
+    models.invoice.belongsTo(models.user, {
+      as: 'createdBy',
+    });
+
+    models.invoice.belongsTo(models.user, {
+      as: 'updatedBy',
+    });
+  };
+
+  return invoice;
+};
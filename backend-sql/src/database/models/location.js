@@ -0,0 +1,38 @@
+module.exports = function(sequelize, DataTypes) {
+  const location = sequelize.define(
+    'location',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+        },
+      },
+      address: {
+        type: DataTypes.STRING(1024),
+      },
+    },
+    {
+      timestamps: true,
+      paranoid: true,
+    },
+  );
+
+  location.associate = (models) => {
+    models.location.belongsTo(models.user, {
+      as: 'createdBy',
+    });
+
+    models.location.belongsTo(models.user, {
+      as: 'updatedBy',
+    });
+  };
+
+  return location;
+};
@@ -0,0 +1,37 @@
+const notificationType = require('../../enumerators/notificationType');
+
+module.exports = function(sequelize, DataTypes) {
+  const notification = sequelize.define(
+    'notification',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      type: {
+        type: DataTypes.ENUM,
+        allowNull: false,
+        values: Object.values(notificationType),
+      },
+      data: {
+        type: DataTypes.JSON,
+      },
+      readAt: {
+        type: DataTypes.DATE,
+      },
+    },
+    {
+      timestamps: true,
+    },
+  );
+
+  notification.associate = (models) => {
+    models.notification.belongsTo(models.user, {
+      as: 'user',
+      constraints: false,
+    });
+  };
+
+  return notification;
+};
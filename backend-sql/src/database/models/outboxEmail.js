@@ -0,0 +1,52 @@
+const outboxEmailStatus = require('../../enumerators/outboxEmailStatus');
+
+module.exports = function(sequelize, DataTypes) {
+  const outboxEmail = sequelize.define(
+    'outboxEmail',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      to: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      subject: {
+        type: DataTypes.STRING(1024),
+        allowNull: false,
+      },
+      html: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.ENUM,
+        allowNull: false,
+        values: Object.values(outboxEmailStatus),
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+      },
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+      },
+      sentAt: {
+        type: DataTypes.DATE,
+      },
+    },
+    {
+      timestamps: true,
+    },
+  );
+
+  outboxEmail.associate = (models) => {};
+
+  return outboxEmail;
+};
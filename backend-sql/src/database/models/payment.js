@@ -0,0 +1,49 @@
+const paymentMethod = require('../../enumerators/paymentMethod');
+
+module.exports = function(sequelize, DataTypes) {
+  const payment = sequelize.define(
+    'payment',
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      amount: {
+        type: DataTypes.DECIMAL(24, 2),
+        allowNull: false,
+      },
+      method: {
+        type: DataTypes.ENUM,
+        allowNull: false,
+        values: Object.values(paymentMethod),
+      },
+      paidAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        validate: {
+          max: 20000,
+        },
+      },
+    },
+    {
+      timestamps: true,
+    },
+  );
+
+  payment.associate = (models) => {
+    models.payment.belongsTo(models.booking, {
+      as: 'booking',
+      constraints: false,
+    });
+
+    models.payment.belongsTo(models.user, {
+      as: 'createdBy',
+    });
+  };
+
+  return payment;
+};
@@ -0,0 +1,38 @@
+module.exports = function(sequelize, DataTypes) {
+  const role = sequelize.define(
+    'role',
+    {
+      id: {
+        type: DataTypes.STRING(255),
+        primaryKey: true,
+      },
+      name: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        validate: {
+          notEmpty: true,
+        },
+      },
+      permissions: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+    },
+    {
+      timestamps: true,
+    },
+  );
+
+  role.associate = (models) => {
+    models.role.belongsTo(models.user, {
+      as: 'createdBy',
+    });
+
+    models.role.belongsTo(models.user, {
+      as: 'updatedBy',
+    });
+  };
+
+  return role;
+};
@@ -14,9 +14,38 @@ module.exports = function (sequelize, DataTypes) {
       dailyFee: {
         type: DataTypes.DECIMAL(24, 2),
       },
-      capacity: {
+      capacityToddler: {
         type: DataTypes.INTEGER,
       },
+      capacityPreschooler: {
+        type: DataTypes.INTEGER,
+      },
+      capacitySchoolAged: {
+        type: DataTypes.INTEGER,
+      },
+      pricingRules: {
+        type: DataTypes.JSON,
+      },
+      minimumAge: {
+        type: DataTypes.INTEGER,
+      },
+      maximumAge: {
+        type: DataTypes.INTEGER,
+      },
+      arrivalReminderDays: {
+        type: DataTypes.INTEGER,
+      },
+      reminderHour: {
+        type: DataTypes.INTEGER,
+      },
+      dailyReportHour: {
+        type: DataTypes.INTEGER,
+      },
+      selfRegistration: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
     },
     {
       timestamps: true,
@@ -0,0 +1,28 @@
+module.exports = function(sequelize, DataTypes) {
+  const staffDigest = sequelize.define(
+    'staffDigest',
+    {
+      // The date and location the digest was sent for
+      id: {
+        type: DataTypes.STRING(255),
+        primaryKey: true,
+      },
+      date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+    },
+    {
+      timestamps: true,
+    },
+  );
+
+  staffDigest.associate = (models) => {
+    models.staffDigest.belongsTo(models.location, {
+      as: 'location',
+      constraints: false,
+    });
+  };
+
+  return staffDigest;
+};
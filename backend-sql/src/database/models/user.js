@@ -41,6 +41,11 @@ module.exports = function(sequelize, DataTypes) {
         allowNull: false,
         defaultValue: false,
       },
+      approvalPending: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
       importHash: {
         type: DataTypes.STRING(255),
         allowNull: true,
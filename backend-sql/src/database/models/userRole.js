@@ -24,6 +24,10 @@ module.exports = function(sequelize, DataTypes) {
   userRole.associate = (models) => {
     models.userRole.belongsTo(models.user);
 
+    models.userRole.belongsTo(models.location, {
+      constraints: false,
+    });
+
     models.userRole.belongsTo(models.user, {
       as: 'createdBy',
     });
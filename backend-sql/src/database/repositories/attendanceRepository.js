@@ -0,0 +1,107 @@
+const models = require('../models');
+const AbstractEntityRepository = require('./abstractEntityRepository');
+const AbstractRepository = require('./abstractRepository');
+const AuditLogRepository = require('./auditLogRepository');
+const lodash = require('lodash');
+
+class AttendanceRepository extends AbstractEntityRepository {
+  constructor() {
+    const modelName = 'attendance';
+
+    const inTableAttributes = [
+      'id',
+      'checkInAt',
+      'checkOutAt',
+      'droppedOffBy',
+      'pickedUpBy',
+      'notes',
+      'updatedAt',
+      'createdAt',
+    ];
+
+    const fileAttributes = [];
+
+    const relationToOneAttributes = {
+      booking: {
+        model: models.booking,
+        as: 'booking',
+      },
+      child: {
+        model: models.child,
+        as: 'child',
+      },
+    };
+
+    const relationToManyAttributes = {};
+
+    super(
+      modelName,
+      inTableAttributes,
+      relationToOneAttributes,
+      relationToManyAttributes,
+      fileAttributes,
+    );
+  }
+
+  async findAllByBooking(bookingId, options) {
+    const records = await models.attendance.findAll({
+      where: { bookingId },
+      order: [['checkInAt', 'DESC']],
+      transaction: AbstractRepository.getTransaction(
+        options,
+      ),
+    });
+
+    return records.map((record) =>
+      record.get({ plain: true }),
+    );
+  }
+
+  async findOpenByBooking(bookingId, options) {
+    const record = await models.attendance.findOne({
+      where: { bookingId, checkOutAt: null },
+      transaction: AbstractRepository.getTransaction(
+        options,
+      ),
+    });
+
+    return record ? record.get({ plain: true }) : null;
+  }
+
+  async checkOut(id, data, options) {
+    let record = await models.attendance.findByPk(id, {
+      transaction: AbstractRepository.getTransaction(
+        options,
+      ),
+    });
+
+    record = await record.update(
+      {
+        ...lodash.pick(data, [
+          'checkOutAt',
+          'pickedUpBy',
+          'notes',
+        ]),
+        updatedById: AbstractRepository.getCurrentUser(
+          options,
+        ).id,
+      },
+      {
+        transaction: AbstractRepository.getTransaction(
+          options,
+        ),
+      },
+    );
+
+    await this._auditLogs(
+      AuditLogRepository.UPDATE,
+      record,
+      data,
+      options,
+    );
+
+    return this.findById(record.id, options);
+  }
+}
+
+module.exports = AttendanceRepository;
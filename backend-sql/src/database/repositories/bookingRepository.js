@@ -1,9 +1,19 @@
 const models = require('../models');
 const SequelizeFilter = require('../utils/sequelizeFilter');
 const SequelizeAutocompleteFilter = require('../utils/sequelizeAutocompleteFilter');
+const SequelizeSearch = require('../utils/sequelizeSearch');
 const AbstractEntityRepository = require('./abstractEntityRepository');
+const AbstractRepository = require('./abstractRepository');
+const AuditLogRepository = require('./auditLogRepository');
+const BookingStatusHistoryRepository = require('./bookingStatusHistoryRepository');
+const PaymentRepository = require('./paymentRepository');
+const InvoiceRepository = require('./invoiceRepository');
 const { Op } = models.Sequelize;
 const bookingStatus = require('../../enumerators/bookingStatus');
+const lodash = require('lodash');
+
+// Same expression of the bookings_search index
+const SEARCH_DOCUMENT = `coalesce("booking"."clientNotes", '') || ' ' || coalesce("booking"."employeeNotes", '') || ' ' || coalesce("booking"."cancellationNotes", '')`;
 
 class BookingRepository extends AbstractEntityRepository {
   constructor() {
@@ -18,6 +28,10 @@ class BookingRepository extends AbstractEntityRepository {
       'status',
       'cancellationNotes',
       'fee',
+      'feeBreakdown',
+      'ageGroup',
+      'amountPaid',
+      'balance',
       'importHash',
       'updatedAt',
       'createdAt',
@@ -30,6 +44,10 @@ class BookingRepository extends AbstractEntityRepository {
         model: models.user,
         as: 'owner',
       },
+      location: {
+        model: models.location,
+        as: 'location',
+      },
       child: {
         model: models.child,
         as: 'child',
@@ -47,6 +65,46 @@ class BookingRepository extends AbstractEntityRepository {
     );
   }
 
+  async create(data, options) {
+    const record = await super.create(data, options);
+
+    await BookingStatusHistoryRepository.log(
+      {
+        bookingId: record.id,
+        fromStatus: null,
+        toStatus: record.status,
+      },
+      options,
+    );
+
+    return this.findById(record.id, options);
+  }
+
+  async findById(id, options) {
+    const record = await super.findById(id, options);
+
+    if (!record) {
+      return record;
+    }
+
+    record.statusHistory = await BookingStatusHistoryRepository.findAllByBooking(
+      id,
+      options,
+    );
+
+    record.payments = await PaymentRepository.findAllByBooking(
+      id,
+      options,
+    );
+
+    record.invoice = await InvoiceRepository.findByBooking(
+      id,
+      options,
+    );
+
+    return record;
+  }
+
   async findAndCountAll(
     {
       requestedAttributes,
@@ -76,6 +134,13 @@ class BookingRepository extends AbstractEntityRepository {
         sequelizeFilter.appendId('ownerId', filter.owner);
       }
 
+      if (filter.location) {
+        sequelizeFilter.appendId(
+          'locationId',
+          filter.location,
+        );
+      }
+
       if (filter.child) {
         sequelizeFilter.appendId('childId', filter.child);
       }
@@ -113,6 +178,10 @@ class BookingRepository extends AbstractEntityRepository {
         sequelizeFilter.appendRange('fee', filter.feeRange);
       }
 
+      if (filter.outstanding) {
+        sequelizeFilter.appendGreaterThan('balance', 0);
+      }
+
       if (filter.createdAtRange) {
         sequelizeFilter.appendRange(
           'createdAt',
@@ -144,12 +213,20 @@ class BookingRepository extends AbstractEntityRepository {
 
     let where = sequelizeFilter.getWhere();
 
+    const and = {};
+
     if (filter && filter.owner) {
+      and.ownerId = filter.owner;
+    }
+
+    if (filter && filter.location) {
+      and.locationId = filter.location;
+    }
+
+    if (Object.keys(and).length) {
       where = {
         ...where,
-        [models.Sequelize.Op.and]: {
-          ownerId: filter.owner,
-        },
+        [models.Sequelize.Op.and]: and,
       };
     }
 
@@ -166,6 +243,41 @@ class BookingRepository extends AbstractEntityRepository {
     }));
   }
 
+  async search(query, { location, owner, limit }) {
+    const search = new SequelizeSearch(
+      models.sequelize,
+      SEARCH_DOCUMENT,
+      query,
+    );
+
+    if (search.isEmpty) {
+      return [];
+    }
+
+    return models[this.modelName].findAll({
+      attributes: ['id', 'arrival', 'departure', 'status'],
+      where: models.Sequelize.and(
+        search.where,
+        location ? { locationId: location } : {},
+        owner ? { ownerId: owner } : {},
+      ),
+      include: [
+        {
+          model: models.child,
+          as: 'child',
+          attributes: ['id', 'name'],
+        },
+        {
+          model: models.user,
+          as: 'owner',
+          attributes: ['id', 'fullName', 'email'],
+        },
+      ],
+      order: [search.order],
+      limit,
+    });
+  }
+
   async existsForChild(childId) {
     const count = await models.booking.count({
       where: {
@@ -176,10 +288,11 @@ class BookingRepository extends AbstractEntityRepository {
     return count > 0;
   }
 
-  async countActiveBookingInPeriod(
+  async findAllActiveInPeriod(
     start,
     end,
     idToExclude,
+    location,
   ) {
     const statusFilter = {
       status: {
@@ -205,6 +318,7 @@ class BookingRepository extends AbstractEntityRepository {
     let where = {
       ...periodFilter,
       ...statusFilter,
+      locationId: location || null,
     };
 
     if (idToExclude) {
@@ -218,11 +332,267 @@ class BookingRepository extends AbstractEntityRepository {
       };
     }
 
-    const count = await models.booking.count({
+    const records = await models.booking.findAll({
+      attributes: [
+        'id',
+        'arrival',
+        'departure',
+        'ageGroup',
+      ],
+      where,
+      include: [
+        {
+          model: models.child,
+          as: 'child',
+          attributes: ['size'],
+        },
+      ],
+    });
+
+    return records.map((record) => ({
+      id: record.id,
+      arrival: record.arrival,
+      departure: record.departure,
+      size:
+        record.ageGroup ||
+        (record.child ? record.child.size : null),
+    }));
+  }
+
+  async findAllInPeriod(start, end, location) {
+    const records = await models.booking.findAll({
+      attributes: [
+        'id',
+        'arrival',
+        'departure',
+        'status',
+        'fee',
+        'ageGroup',
+        'childId',
+      ],
+      where: {
+        arrival: {
+          [Op.lte]: end,
+        },
+        departure: {
+          [Op.gte]: start,
+        },
+        ...(location ? { locationId: location } : {}),
+      },
+      include: [
+        {
+          model: models.child,
+          as: 'child',
+          attributes: ['size'],
+        },
+      ],
+    });
+
+    return records.map((record) => ({
+      id: record.id,
+      arrival: record.arrival,
+      departure: record.departure,
+      status: record.status,
+      fee: record.fee,
+      child: record.childId,
+      size:
+        record.ageGroup ||
+        (record.child ? record.child.size : null),
+    }));
+  }
+
+  async findAllWaitlisted() {
+    const records = await models.booking.findAll({
+      attributes: ['id', 'arrival', 'departure', 'childId'],
+      where: {
+        status: bookingStatus.WAITLISTED,
+        arrival: {
+          [Op.gt]: new Date(),
+        },
+      },
+      order: [['createdAt', 'ASC']],
+    });
+
+    return records.map((record) => ({
+      id: record.id,
+      arrival: record.arrival,
+      departure: record.departure,
+      child: record.childId,
+    }));
+  }
+
+  async findAllArrivingInPeriod(
+    start,
+    end,
+    statuses,
+    location,
+  ) {
+    return this._findAllForReminders({
+      arrival: {
+        [Op.between]: [start, end],
+      },
+      status: {
+        [Op.in]: statuses,
+      },
+      locationId: location || null,
+    });
+  }
+
+  async findAllDepartingInPeriod(
+    start,
+    end,
+    statuses,
+    location,
+  ) {
+    return this._findAllForReminders({
+      departure: {
+        [Op.between]: [start, end],
+      },
+      status: {
+        [Op.in]: statuses,
+      },
+      locationId: location || null,
+    });
+  }
+
+  async _findAllForReminders(where) {
+    const records = await models.booking.findAll({
+      attributes: [
+        'id',
+        'arrival',
+        'departure',
+        'status',
+        'arrivalReminderSentAt',
+        'departureReminderSentAt',
+      ],
       where,
+      include: [
+        {
+          model: models.child,
+          as: 'child',
+          attributes: ['id', 'name'],
+        },
+        {
+          model: models.user,
+          as: 'owner',
+          attributes: ['id', 'email', 'fullName'],
+        },
+      ],
+      order: [['arrival', 'ASC']],
     });
 
-    return count;
+    return records.map((record) =>
+      record.get({ plain: true }),
+    );
+  }
+
+  /**
+   * Records the reminder as sent, unless another run did.
+   * Returns whether it was recorded.
+   */
+  async claimReminder(id, field, options) {
+    const [count] = await models.booking.update(
+      { [field]: new Date() },
+      {
+        where: { id, [field]: null },
+        transaction: AbstractRepository.getTransaction(
+          options,
+        ),
+      },
+    );
+
+    return count > 0;
+  }
+
+  async updateStatus(id, data, options) {
+    let record = await models.booking.findByPk(id, {
+      transaction: AbstractRepository.getTransaction(
+        options,
+      ),
+    });
+
+    const fromStatus = record.status;
+
+    record = await record.update(
+      {
+        ...lodash.pick(data, [
+          'status',
+          'cancellationNotes',
+        ]),
+        updatedById: AbstractRepository.getCurrentUser(
+          options,
+        ).id,
+      },
+      {
+        transaction: AbstractRepository.getTransaction(
+          options,
+        ),
+      },
+    );
+
+    await this._auditLogs(
+      AuditLogRepository.UPDATE,
+      record,
+      data,
+      options,
+    );
+
+    await BookingStatusHistoryRepository.log(
+      {
+        bookingId: record.id,
+        fromStatus,
+        toStatus: record.status,
+      },
+      options,
+    );
+
+    return this.findById(record.id, options);
+  }
+
+  // Locks the booking until the transaction ends
+  async findByIdForUpdate(id, options) {
+    const transaction = AbstractRepository.getTransaction(
+      options,
+    );
+
+    const record = await models.booking.findByPk(id, {
+      attributes: ['id', 'fee'],
+      lock: transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    return record ? record.get({ plain: true }) : null;
+  }
+
+  async updateBalance(id, data, options) {
+    let record = await models.booking.findByPk(id, {
+      transaction: AbstractRepository.getTransaction(
+        options,
+      ),
+    });
+
+    record = await record.update(
+      {
+        ...lodash.pick(data, ['amountPaid', 'balance']),
+        updatedById: AbstractRepository.getCurrentUser(
+          options,
+        ).id,
+      },
+      {
+        transaction: AbstractRepository.getTransaction(
+          options,
+        ),
+      },
+    );
+
+    await this._auditLogs(
+      AuditLogRepository.UPDATE,
+      record,
+      data,
+      options,
+    );
+
+    return this.findById(record.id, options);
   }
 }
 
@@ -0,0 +1,41 @@
+const models = require('../models');
+const AbstractRepository = require('./abstractRepository');
+
+module.exports = class BookingStatusHistoryRepository extends AbstractRepository {
+  static async log(
+    { bookingId, fromStatus, toStatus },
+    options,
+  ) {
+    return models.bookingStatusHistory.create(
+      {
+        bookingId,
+        fromStatus: fromStatus || null,
+        toStatus,
+        timestamp: new Date(),
+        createdById:
+          options && options.currentUser
+            ? options.currentUser.id
+            : null,
+        createdByEmail:
+          options && options.currentUser
+            ? options.currentUser.email
+            : null,
+      },
+      { transaction: this.getTransaction(options) },
+    );
+  }
+
+  static async findAllByBooking(bookingId, options) {
+    const records = await models.bookingStatusHistory.findAll(
+      {
+        where: { bookingId },
+        order: [['timestamp', 'ASC']],
+        transaction: this.getTransaction(options),
+      },
+    );
+
+    return records.map((record) =>
+      record.get({ plain: true }),
+    );
+  }
+};
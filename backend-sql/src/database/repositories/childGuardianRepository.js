@@ -0,0 +1,99 @@
+const models = require('../models');
+const AbstractRepository = require('./abstractRepository');
+const FileRepository = require('./fileRepository');
+const lodash = require('lodash');
+
+module.exports = class ChildGuardianRepository extends AbstractRepository {
+  static async replaceAllByChild(
+    childId,
+    guardians,
+    options,
+  ) {
+    const existing = await models.childGuardian.findAll({
+      where: { childId },
+      transaction: this.getTransaction(options),
+    });
+
+    const keptIds = (guardians || [])
+      .map((guardian) => guardian.id)
+      .filter(Boolean);
+
+    for (const record of existing) {
+      if (!keptIds.includes(record.id)) {
+        await FileRepository.replaceRelationFiles(
+          this._photoRelation(record.id),
+          [],
+          options,
+        );
+
+        await record.destroy({
+          transaction: this.getTransaction(options),
+        });
+      }
+    }
+
+    for (const guardian of guardians || []) {
+      const values = lodash.pick(guardian, [
+        'name',
+        'relationship',
+        'phone',
+      ]);
+
+      let record = existing.find(
+        (item) => item.id === guardian.id,
+      );
+
+      if (record) {
+        record = await record.update(values, {
+          transaction: this.getTransaction(options),
+        });
+      } else {
+        record = await models.childGuardian.create(
+          { ...values, childId },
+          { transaction: this.getTransaction(options) },
+        );
+      }
+
+      await FileRepository.replaceRelationFiles(
+        this._photoRelation(record.id),
+        guardian.photo,
+        options,
+      );
+    }
+  }
+
+  static async findAllByChild(childId, options) {
+    const records = await models.childGuardian.findAll({
+      where: { childId },
+      order: [['createdAt', 'ASC']],
+      transaction: this.getTransaction(options),
+    });
+
+    // Files keep the id as text, that can't be joined with the uuid
+    const guardians = [];
+
+    for (const record of records) {
+      const relation = this._photoRelation(record.id);
+
+      guardians.push({
+        ...record.get({ plain: true }),
+        photo: (await FileRepository.findAll(
+          relation.belongsTo,
+          relation.belongsToColumn,
+          relation.belongsToId,
+          options,
+        )).map((file) => file.get({ plain: true })),
+      });
+    }
+
+    return guardians;
+  }
+
+  static _photoRelation(id) {
+    return {
+      belongsTo: models.childGuardian.getTableName(),
+      belongsToColumn: 'photo',
+      belongsToId: id,
+    };
+  }
+};
@@ -1,7 +1,12 @@
 const models = require('../models');
 const SequelizeFilter = require('../utils/sequelizeFilter');
 const SequelizeAutocompleteFilter = require('../utils/sequelizeAutocompleteFilter');
+const SequelizeSearch = require('../utils/sequelizeSearch');
 const AbstractEntityRepository = require('./abstractEntityRepository');
+const ChildGuardianRepository = require('./childGuardianRepository');
+
+// Same expression of the children_search index
+const SEARCH_DOCUMENT = `coalesce("child"."name", '')`;
 
 class ChildRepository extends AbstractEntityRepository {
   constructor() {
@@ -12,7 +17,14 @@ class ChildRepository extends AbstractEntityRepository {
       'name',
       'type',
       // 'breed',
+      'birthdate',
       'size',
+      'allergies',
+      'dietaryRestrictions',
+      'medications',
+      'doctorName',
+      'doctorPhone',
+      'emergencyContacts',
       'importHash',
       'updatedAt',
       'createdAt',
@@ -25,6 +37,10 @@ class ChildRepository extends AbstractEntityRepository {
         model: models.user,
         as: 'owner',
       },
+      location: {
+        model: models.location,
+        as: 'location',
+      },
     };
 
     const relationToManyAttributes = {
@@ -43,6 +59,45 @@ class ChildRepository extends AbstractEntityRepository {
     );
   }
 
+  async create(data, options) {
+    const record = await super.create(data, options);
+
+    await ChildGuardianRepository.replaceAllByChild(
+      record.id,
+      data.guardians,
+      options,
+    );
+
+    return this.findById(record.id, options);
+  }
+
+  async update(id, data, options) {
+    await super.update(id, data, options);
+
+    await ChildGuardianRepository.replaceAllByChild(
+      id,
+      data.guardians,
+      options,
+    );
+
+    return this.findById(id, options);
+  }
+
+  async findById(id, options) {
+    const record = await super.findById(id, options);
+
+    if (!record) {
+      return record;
+    }
+
+    record.guardians = await ChildGuardianRepository.findAllByChild(
+      id,
+      options,
+    );
+
+    return record;
+  }
+
   async findAndCountAll(
     {
       requestedAttributes,
@@ -72,6 +127,13 @@ class ChildRepository extends AbstractEntityRepository {
         sequelizeFilter.appendId('ownerId', filter.owner);
       }
 
+      if (filter.location) {
+        sequelizeFilter.appendId(
+          'locationId',
+          filter.location,
+        );
+      }
+
       if (filter.name) {
         sequelizeFilter.appendIlike(
           'name',
@@ -124,12 +186,20 @@ class ChildRepository extends AbstractEntityRepository {
 
     let where = sequelizeFilter.getWhere();
 
+    const and = {};
+
     if (filter && filter.owner) {
+      and.ownerId = filter.owner;
+    }
+
+    if (filter && filter.location) {
+      and.locationId = filter.location;
+    }
+
+    if (Object.keys(and).length) {
       where = {
         ...where,
-        [models.Sequelize.Op.and]: {
-          ownerId: filter.owner,
-        },
+        [models.Sequelize.Op.and]: and,
       };
     }
 
@@ -145,6 +215,36 @@ class ChildRepository extends AbstractEntityRepository {
       label: record.name,
     }));
   }
+
+  async search(query, { location, owner, limit }) {
+    const search = new SequelizeSearch(
+      models.sequelize,
+      SEARCH_DOCUMENT,
+      query,
+    );
+
+    if (search.isEmpty) {
+      return [];
+    }
+
+    return models[this.modelName].findAll({
+      attributes: ['id', 'name'],
+      where: models.Sequelize.and(
+        search.where,
+        location ? { locationId: location } : {},
+        owner ? { ownerId: owner } : {},
+      ),
+      include: [
+        {
+          model: models.user,
+          as: 'owner',
+          attributes: ['id', 'fullName', 'email'],
+        },
+      ],
+      order: [search.order],
+      limit,
+    });
+  }
 }
 
 module.exports = ChildRepository;
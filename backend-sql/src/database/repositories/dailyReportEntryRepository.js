@@ -0,0 +1,135 @@
+const models = require('../models');
+const AbstractEntityRepository = require('./abstractEntityRepository');
+const AbstractRepository = require('./abstractRepository');
+
+const { Op } = models.Sequelize;
+
+class DailyReportEntryRepository extends AbstractEntityRepository {
+  constructor() {
+    const modelName = 'dailyReportEntry';
+
+    const inTableAttributes = [
+      'id',
+      'type',
+      'time',
+      'endTime',
+      'mealAmount',
+      'mood',
+      'toiletType',
+      'description',
+      'reportedAt',
+      'updatedAt',
+      'createdAt',
+    ];
+
+    const fileAttributes = [];
+
+    const relationToOneAttributes = {
+      booking: {
+        model: models.booking,
+        as: 'booking',
+      },
+      child: {
+        model: models.child,
+        as: 'child',
+      },
+    };
+
+    const relationToManyAttributes = {};
+
+    super(
+      modelName,
+      inTableAttributes,
+      relationToOneAttributes,
+      relationToManyAttributes,
+      fileAttributes,
+    );
+  }
+
+  async findAllByBooking(bookingId, options) {
+    const records = await models.dailyReportEntry.findAll({
+      where: { bookingId },
+      order: [['time', 'ASC']],
+      transaction: AbstractRepository.getTransaction(
+        options,
+      ),
+    });
+
+    return records.map((record) =>
+      record.get({ plain: true }),
+    );
+  }
+
+  /**
+   * Entries of the bookings at the location, or without one when
+   * it is empty, along with what the report shows of the booking.
+   */
+  async findAllNotReportedInPeriod(
+    start,
+    end,
+    location,
+    options,
+  ) {
+    const records = await models.dailyReportEntry.findAll({
+      where: {
+        reportedAt: null,
+        time: {
+          [Op.gte]: start,
+          [Op.lte]: end,
+        },
+      },
+      include: [
+        {
+          model: models.booking,
+          as: 'booking',
+          attributes: ['id'],
+          where: { locationId: location || null },
+          include: [
+            {
+              model: models.child,
+              as: 'child',
+              attributes: ['id', 'name'],
+            },
+            {
+              model: models.user,
+              as: 'owner',
+              attributes: ['id', 'email', 'fullName'],
+            },
+          ],
+        },
+      ],
+      order: [['time', 'ASC']],
+      transaction: AbstractRepository.getTransaction(
+        options,
+      ),
+    });
+
+    return records.map((record) =>
+      record.get({ plain: true }),
+    );
+  }
+
+  /**
+   * Records the entries as reported, but those another run did.
+   * Returns the ids it recorded.
+   */
+  async claimReported(ids, options) {
+    const [
+      ,
+      records,
+    ] = await models.dailyReportEntry.update(
+      { reportedAt: new Date() },
+      {
+        where: { id: ids, reportedAt: null },
+        returning: true,
+        transaction: AbstractRepository.getTransaction(
+          options,
+        ),
+      },
+    );
+
+    return records.map((record) => record.id);
+  }
+}
+
+module.exports = DailyReportEntryRepository;
@@ -0,0 +1,84 @@
+const models = require('../models');
+const AbstractRepository = require('./abstractRepository');
+const AuditLogRepository = require('./auditLogRepository');
+
+module.exports = class EmailTemplateRepository extends AbstractRepository {
+  static async findByTemplateAndLanguage(
+    template,
+    language,
+    options,
+  ) {
+    const record = await models.emailTemplate.findOne({
+      where: { template, language },
+      transaction: this.getTransaction(options),
+    });
+
+    return record ? record.get({ plain: true }) : null;
+  }
+
+  static async save(template, language, data, options) {
+    let record = await models.emailTemplate.findOne({
+      where: { template, language },
+      transaction: this.getTransaction(options),
+    });
+
+    const values = {
+      subject: data.subject,
+      body: data.body,
+      updatedById: this.getCurrentUser(options).id,
+    };
+
+    if (record) {
+      await record.update(values, {
+        transaction: this.getTransaction(options),
+      });
+    } else {
+      record = await models.emailTemplate.create(
+        {
+          ...values,
+          template,
+          language,
+          createdById: this.getCurrentUser(options).id,
+        },
+        { transaction: this.getTransaction(options) },
+      );
+    }
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'emailTemplate',
+        entityId: record.id,
+        action: AuditLogRepository.UPDATE,
+        values: record.get({ plain: true }),
+      },
+      options,
+    );
+
+    return record.get({ plain: true });
+  }
+
+  static async destroy(template, language, options) {
+    const record = await models.emailTemplate.findOne({
+      where: { template, language },
+      transaction: this.getTransaction(options),
+    });
+
+    if (!record) {
+      return;
+    }
+
+    await record.destroy({
+      transaction: this.getTransaction(options),
+    });
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'emailTemplate',
+        entityId: record.id,
+        action: AuditLogRepository.DELETE,
+        values: {},
+      },
+      options,
+    );
+  }
+};
@@ -0,0 +1,73 @@
+const models = require('../models');
+const AbstractRepository = require('./abstractRepository');
+const AuditLogRepository = require('./auditLogRepository');
+
+module.exports = class InvoiceRepository extends AbstractRepository {
+  static async issue(
+    { bookingId, amount, items },
+    options,
+  ) {
+    let record = await models.invoice.findOne({
+      where: { bookingId },
+      transaction: this.getTransaction(options),
+    });
+
+    const currentUser = this.getCurrentUser(options);
+    let action = AuditLogRepository.UPDATE;
+
+    if (record) {
+      record = await record.update(
+        {
+          amount,
+          items,
+          issuedAt: new Date(),
+          updatedById: currentUser.id,
+        },
+        { transaction: this.getTransaction(options) },
+      );
+    } else {
+      action = AuditLogRepository.CREATE;
+      record = await models.invoice.create(
+        {
+          bookingId,
+          amount,
+          items,
+          number: await this.nextNumber(options),
+          issuedAt: new Date(),
+          createdById: currentUser.id,
+          updatedById: currentUser.id,
+        },
+        { transaction: this.getTransaction(options) },
+      );
+    }
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'invoice',
+        entityId: record.id,
+        action,
+        values: record.get({ plain: true }),
+      },
+      options,
+    );
+
+    return record.get({ plain: true });
+  }
+
+  static async nextNumber(options) {
+    const max = await models.invoice.max('number', {
+      transaction: this.getTransaction(options),
+    });
+
+    return (max || 0) + 1;
+  }
+
+  static async findByBooking(bookingId, options) {
+    const record = await models.invoice.findOne({
+      where: { bookingId },
+      transaction: this.getTransaction(options),
+    });
+
+    return record ? record.get({ plain: true }) : null;
+  }
+};
@@ -0,0 +1,44 @@
+const models = require('../models');
+const AbstractEntityRepository = require('./abstractEntityRepository');
+const AbstractRepository = require('./abstractRepository');
+
+class LocationRepository extends AbstractEntityRepository {
+  constructor() {
+    const modelName = 'location';
+
+    const inTableAttributes = [
+      'id',
+      'name',
+      'address',
+      'updatedAt',
+      'createdAt',
+    ];
+
+    const fileAttributes = [];
+    const relationToOneAttributes = {};
+    const relationToManyAttributes = {};
+
+    super(
+      modelName,
+      inTableAttributes,
+      relationToOneAttributes,
+      relationToManyAttributes,
+      fileAttributes,
+    );
+  }
+
+  async findAll(options) {
+    const records = await models.location.findAll({
+      order: [['name', 'ASC']],
+      transaction: AbstractRepository.getTransaction(
+        options,
+      ),
+    });
+
+    return records.map((record) =>
+      record.get({ plain: true }),
+    );
+  }
+}
+
+module.exports = LocationRepository;
@@ -0,0 +1,69 @@
+const models = require('../models');
+const AbstractRepository = require('./abstractRepository');
+const lodash = require('lodash');
+
+module.exports = class NotificationRepository extends AbstractRepository {
+  static async create(data, options) {
+    const record = await models.notification.create(
+      {
+        ...lodash.pick(data, ['type', 'data']),
+        userId: data.user,
+        readAt: null,
+      },
+      { transaction: this.getTransaction(options) },
+    );
+
+    return record.get({ plain: true });
+  }
+
+  static async findAndCountAllByUser(
+    userId,
+    { limit = 0, offset = 0 } = {},
+    options,
+  ) {
+    const {
+      rows,
+      count,
+    } = await models.notification.findAndCountAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']],
+      limit: limit ? limit : undefined,
+      offset: offset || undefined,
+      transaction: this.getTransaction(options),
+    });
+
+    return {
+      rows: rows.map((record) =>
+        record.get({ plain: true }),
+      ),
+      count,
+    };
+  }
+
+  static async countUnreadByUser(userId, options) {
+    return models.notification.count({
+      where: { userId, readAt: null },
+      transaction: this.getTransaction(options),
+    });
+  }
+
+  static async markAsRead(userId, ids, options) {
+    await models.notification.update(
+      { readAt: new Date() },
+      {
+        where: { userId, id: ids, readAt: null },
+        transaction: this.getTransaction(options),
+      },
+    );
+  }
+
+  static async markAllAsRead(userId, options) {
+    await models.notification.update(
+      { readAt: new Date() },
+      {
+        where: { userId, readAt: null },
+        transaction: this.getTransaction(options),
+      },
+    );
+  }
+};
@@ -0,0 +1,135 @@
+const models = require('../models');
+const SequelizeFilter = require('../utils/sequelizeFilter');
+const AbstractRepository = require('./abstractRepository');
+const outboxEmailStatus = require('../../enumerators/outboxEmailStatus');
+const lodash = require('lodash');
+
+module.exports = class OutboxEmailRepository extends AbstractRepository {
+  static async create(data, options) {
+    const record = await models.outboxEmail.create(
+      {
+        ...lodash.pick(data, ['to', 'subject', 'html']),
+        status: outboxEmailStatus.PENDING,
+        attempts: 0,
+        nextAttemptAt: new Date(),
+      },
+      { transaction: this.getTransaction(options) },
+    );
+
+    return record.get({ plain: true });
+  }
+
+  static async update(id, data, options) {
+    const record = await models.outboxEmail.findByPk(id, {
+      transaction: this.getTransaction(options),
+    });
+
+    await record.update(
+      lodash.pick(data, [
+        'status',
+        'attempts',
+        'lastError',
+        'nextAttemptAt',
+        'sentAt',
+      ]),
+      { transaction: this.getTransaction(options) },
+    );
+
+    return record.get({ plain: true });
+  }
+
+  static async findById(id, options) {
+    const record = await models.outboxEmail.findByPk(id, {
+      transaction: this.getTransaction(options),
+    });
+
+    return record ? record.get({ plain: true }) : null;
+  }
+
+  /**
+   * Claims the due emails until the given date, so concurrent
+   * workers don't deliver them twice. The emails of a worker that
+   * stops before updating them are due again once it expires.
+   */
+  static async claimAllDue(
+    date,
+    limit,
+    claimedUntil,
+    options,
+  ) {
+    return models.sequelize.query(
+      `UPDATE "outboxEmails"
+        SET "nextAttemptAt" = :claimedUntil, "updatedAt" = :date
+        WHERE "id" IN (
+          SELECT "id" FROM "outboxEmails"
+            WHERE "status" = :status AND "nextAttemptAt" <= :date
+            ORDER BY "nextAttemptAt" ASC
+            LIMIT :limit
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *`,
+      {
+        replacements: {
+          date,
+          limit,
+          claimedUntil,
+          status: outboxEmailStatus.PENDING,
+        },
+        type: models.sequelize.QueryTypes.SELECT,
+        transaction: this.getTransaction(options),
+      },
+    );
+  }
+
+  static async findAndCountAll({
+    filter,
+    limit = 0,
+    offset = 0,
+    orderBy = null,
+  }) {
+    const sequelizeFilter = new SequelizeFilter(
+      models.Sequelize,
+    );
+
+    if (filter) {
+      if (filter.createdAtRange) {
+        sequelizeFilter.appendRange(
+          'createdAt',
+          filter.createdAtRange,
+        );
+      }
+
+      if (filter.to) {
+        sequelizeFilter.appendIlike(
+          'to',
+          filter.to,
+          'outboxEmail',
+        );
+      }
+
+      if (filter.subject) {
+        sequelizeFilter.appendIlike(
+          'subject',
+          filter.subject,
+          'outboxEmail',
+        );
+      }
+
+      if (filter.status) {
+        sequelizeFilter.appendEqual(
+          'status',
+          filter.status,
+        );
+      }
+    }
+
+    return models.outboxEmail.findAndCountAll({
+      where: sequelizeFilter.getWhere(),
+      limit: limit ? limit : undefined,
+      offset: offset || undefined,
+      order: orderBy
+        ? [orderBy.split('_')]
+        : [['createdAt', 'DESC']],
+    });
+  }
+};
@@ -0,0 +1,74 @@
+const models = require('../models');
+const AbstractRepository = require('./abstractRepository');
+const AuditLogRepository = require('./auditLogRepository');
+const lodash = require('lodash');
+
+module.exports = class PaymentRepository extends AbstractRepository {
+  static async create(bookingId, data, options) {
+    const record = await models.payment.create(
+      {
+        ...lodash.pick(data, [
+          'amount',
+          'method',
+          'paidAt',
+          'notes',
+        ]),
+        bookingId,
+        createdById: this.getCurrentUser(options).id,
+      },
+      { transaction: this.getTransaction(options) },
+    );
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'payment',
+        entityId: record.id,
+        action: AuditLogRepository.CREATE,
+        values: record.get({ plain: true }),
+      },
+      options,
+    );
+
+    return record.get({ plain: true });
+  }
+
+  static async destroy(id, options) {
+    const record = await models.payment.findByPk(id, {
+      transaction: this.getTransaction(options),
+    });
+
+    await record.destroy({
+      transaction: this.getTransaction(options),
+    });
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'payment',
+        entityId: record.id,
+        action: AuditLogRepository.DELETE,
+        values: {},
+      },
+      options,
+    );
+  }
+
+  static async findById(id, options) {
+    const record = await models.payment.findByPk(id, {
+      transaction: this.getTransaction(options),
+    });
+
+    return record ? record.get({ plain: true }) : null;
+  }
+
+  static async findAllByBooking(bookingId, options) {
+    const records = await models.payment.findAll({
+      where: { bookingId },
+      order: [['paidAt', 'ASC']],
+      transaction: this.getTransaction(options),
+    });
+
+    return records.map((record) =>
+      record.get({ plain: true }),
+    );
+  }
+};
@@ -0,0 +1,109 @@
+const models = require('../models');
+const AbstractRepository = require('./abstractRepository');
+const AuditLogRepository = require('./auditLogRepository');
+
+module.exports = class RoleRepository extends AbstractRepository {
+  static async findAll(options) {
+    const records = await models.role.findAll({
+      order: [['createdAt', 'ASC']],
+      transaction: this.getTransaction(options),
+    });
+
+    return records.map((record) =>
+      record.get({ plain: true }),
+    );
+  }
+
+  static async findById(id, options) {
+    const record = await models.role.findByPk(id, {
+      transaction: this.getTransaction(options),
+    });
+
+    return record ? record.get({ plain: true }) : null;
+  }
+
+  static async findOrCreate(data, options) {
+    const [record] = await models.role.findOrCreate({
+      where: { id: data.id },
+      defaults: {
+        name: data.name,
+        permissions: data.permissions,
+      },
+      transaction: this.getTransaction(options),
+    });
+
+    return record.get({ plain: true });
+  }
+
+  static async create(data, options) {
+    const record = await models.role.create(
+      {
+        id: data.id,
+        name: data.name,
+        permissions: data.permissions,
+        createdById: this.getCurrentUser(options).id,
+        updatedById: this.getCurrentUser(options).id,
+      },
+      { transaction: this.getTransaction(options) },
+    );
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'role',
+        entityId: record.id,
+        action: AuditLogRepository.CREATE,
+        values: record.get({ plain: true }),
+      },
+      options,
+    );
+
+    return record.get({ plain: true });
+  }
+
+  static async update(id, data, options) {
+    const record = await models.role.findByPk(id, {
+      transaction: this.getTransaction(options),
+    });
+
+    await record.update(
+      {
+        name: data.name,
+        permissions: data.permissions,
+        updatedById: this.getCurrentUser(options).id,
+      },
+      { transaction: this.getTransaction(options) },
+    );
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'role',
+        entityId: id,
+        action: AuditLogRepository.UPDATE,
+        values: record.get({ plain: true }),
+      },
+      options,
+    );
+
+    return record.get({ plain: true });
+  }
+
+  static async destroy(id, options) {
+    const record = await models.role.findByPk(id, {
+      transaction: this.getTransaction(options),
+    });
+
+    await record.destroy({
+      transaction: this.getTransaction(options),
+    });
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'role',
+        entityId: id,
+        action: AuditLogRepository.DELETE,
+        values: {},
+      },
+      options,
+    );
+  }
+};
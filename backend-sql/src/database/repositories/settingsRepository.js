@@ -1,6 +1,7 @@
 const AbstractRepository = require('./abstractRepository');
 const models = require('../models');
 const AuditLogRepository = require('./auditLogRepository');
+const lodash = require('lodash');
 
 module.exports = class SettingsRepository extends AbstractRepository {
   static async findOrCreateDefault(defaults, options) {
@@ -13,13 +14,42 @@ module.exports = class SettingsRepository extends AbstractRepository {
           ? this.getCurrentUser(options).id
           : null,
       },
+      transaction: this.getTransaction(options),
     });
 
     return settings;
   }
 
-  static async save(data, options) {
-    const settings = await this.findOrCreateDefault(data);
+  static async findOrCreateForLocation(
+    location,
+    defaults,
+    options,
+  ) {
+    const [settings] = await models.settings.findOrCreate({
+      where: { id: location },
+      defaults: {
+        ...lodash.omit(defaults, [
+          'createdAt',
+          'updatedAt',
+          'deletedAt',
+          'createdById',
+          'updatedById',
+        ]),
+        id: location,
+        createdById: this.getCurrentUser(options)
+          ? this.getCurrentUser(options).id
+          : null,
+      },
+      transaction: this.getTransaction(options),
+    });
+
+    return settings;
+  }
+
+  static async save(id, data, options) {
+    const settings = await models.settings.findByPk(id, {
+      transaction: this.getTransaction(options),
+    });
 
     await settings.update(data, {
       transaction: this.getTransaction(options),
@@ -28,7 +58,7 @@ module.exports = class SettingsRepository extends AbstractRepository {
     await AuditLogRepository.log(
       {
         entityName: 'settings',
-        entityId: 'default',
+        entityId: id,
         action: AuditLogRepository.UPDATE,
         values: data,
       },
@@ -0,0 +1,35 @@
+const models = require('../models');
+const AbstractRepository = require('./abstractRepository');
+
+/**
+ * Records the staff digests already sent, one per date and
+ * location, so each digest is only sent once.
+ */
+module.exports = class StaffDigestRepository extends AbstractRepository {
+  static idOf(date, location) {
+    return `${date}_${location || 'default'}`;
+  }
+
+  static async exists(date, location, options) {
+    const count = await models.staffDigest.count({
+      where: { id: this.idOf(date, location) },
+      transaction: this.getTransaction(options),
+    });
+
+    return count > 0;
+  }
+
+  // Fails when the digest was already recorded
+  static async create(date, location, options) {
+    const record = await models.staffDigest.create(
+      {
+        id: this.idOf(date, location),
+        date,
+        locationId: location || null,
+      },
+      { transaction: this.getTransaction(options) },
+    );
+
+    return record.get({ plain: true });
+  }
+};
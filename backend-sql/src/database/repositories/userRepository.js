@@ -5,6 +5,13 @@ const FileRepository = require('./fileRepository');
 const AuditLogRepository = require('./auditLogRepository');
 const SequelizeFilter = require('../utils/sequelizeFilter');
 const SequelizeAutocompleteFilter = require('../utils/sequelizeAutocompleteFilter');
+const SequelizeSearch = require('../utils/sequelizeSearch');
+const Roles = require('../../security/roles');
+const lodash = require('lodash');
+
+// Same expression of the users_search index, emails and phone
+// numbers are split in words, phone numbers also kept as digits
+const SEARCH_DOCUMENT = `coalesce("user"."fullName", '') || ' ' || translate(coalesce("user"."email", ''), '@.', '  ') || ' ' || translate(coalesce("user"."phoneNumber", ''), '+-().', '     ') || ' ' || regexp_replace(coalesce("user"."phoneNumber", ''), '[^0-9]', '', 'g')`;
 
 module.exports = class UserRepository extends AbstractRepository {
   static async create(data, options) {
@@ -64,6 +71,7 @@ module.exports = class UserRepository extends AbstractRepository {
         email: data.email,
         firstName: data.firstName,
         authenticationUid: data.authenticationUid,
+        approvalPending: !!data.approvalPending,
       },
       { transaction: this.getTransaction(options) },
     );
@@ -200,6 +208,39 @@ module.exports = class UserRepository extends AbstractRepository {
     return this.findById(user.id, options);
   }
 
+  static async updateApprovalPending(
+    id,
+    approvalPending,
+    options,
+  ) {
+    const user = await models.user.findByPk(id, {
+      transaction: this.getTransaction(options),
+    });
+
+    await user.update(
+      {
+        approvalPending,
+        updatedById: this.getCurrentUser(options).id,
+      },
+      { transaction: this.getTransaction(options) },
+    );
+
+    await AuditLogRepository.log(
+      {
+        entityName: 'user',
+        entityId: user.id,
+        action: AuditLogRepository.UPDATE,
+        values: {
+          id,
+          approvalPending,
+        },
+      },
+      options,
+    );
+
+    return this.findById(user.id, options);
+  }
+
   static async updateRoles(id, roles, options) {
     const user = await models.user.findByPk(id, {
       transaction: this.getTransaction(options),
@@ -274,6 +315,14 @@ module.exports = class UserRepository extends AbstractRepository {
       options,
     );
 
+    if (data.locationRoles) {
+      await UserRoleRepository.refreshLocationRoles(
+        user.id,
+        data.locationRoles,
+        options,
+      );
+    }
+
     await AuditLogRepository.log(
       {
         entityName: 'user',
@@ -286,6 +335,10 @@ module.exports = class UserRepository extends AbstractRepository {
             user.id,
             options,
           ),
+          locationRoles: await UserRoleRepository.findAllLocationRolesByUser(
+            user.id,
+            options,
+          ),
         },
       },
       options,
@@ -308,14 +361,14 @@ module.exports = class UserRepository extends AbstractRepository {
   }
 
   static async findByEmailWithoutAvatar(email, options) {
-    const record = await models.user.findOne(
-      { where: { email } },
-      { transaction: this.getTransaction(options) },
-    );
+    const record = await models.user.findOne({
+      where: { email },
+      transaction: this.getTransaction(options),
+    });
 
     return this._fillNonTableAttributesForRecord(
       record,
-      ['roles'],
+      ['roles', 'locationRoles'],
       options,
     );
   }
@@ -364,7 +417,12 @@ module.exports = class UserRepository extends AbstractRepository {
         );
       }
 
-      if (filter.status) {
+      if (filter.status === 'approvalPending') {
+        sequelizeFilter.appendEqual(
+          'approvalPending',
+          true,
+        );
+      } else if (filter.status) {
         const disabled = filter.status === 'disabled';
         sequelizeFilter.appendEqual('disabled', disabled);
       }
@@ -432,6 +490,85 @@ module.exports = class UserRepository extends AbstractRepository {
     }));
   }
 
+  static async searchOwners(query, { location, limit }) {
+    const search = new SequelizeSearch(
+      models.sequelize,
+      SEARCH_DOCUMENT,
+      query,
+    );
+
+    if (search.isEmpty) {
+      return [];
+    }
+
+    const isOwner = models.sequelize.literal(
+      `EXISTS (SELECT 1 FROM "userRoles" WHERE "userRoles"."userId" = "user"."id" AND "userRoles"."role" = ${models.sequelize.escape(
+        Roles.values.childOwner,
+      )} AND "userRoles"."deletedAt" IS NULL)`,
+    );
+
+    const isAtLocation = location
+      ? models.sequelize.literal(
+          `(EXISTS (SELECT 1 FROM "userRoles" WHERE "userRoles"."userId" = "user"."id" AND "userRoles"."locationId" = ${models.sequelize.escape(
+            location,
+          )} AND "userRoles"."deletedAt" IS NULL) OR EXISTS (SELECT 1 FROM "children" WHERE "children"."ownerId" = "user"."id" AND "children"."locationId" = ${models.sequelize.escape(
+            location,
+          )} AND "children"."deletedAt" IS NULL))`,
+        )
+      : {};
+
+    return models.user.findAll({
+      attributes: [
+        'id',
+        'fullName',
+        'email',
+        'phoneNumber',
+      ],
+      where: models.Sequelize.and(
+        search.where,
+        isOwner,
+        isAtLocation,
+      ),
+      order: [search.order],
+      limit,
+    });
+  }
+
+  /**
+   * Emails of the enabled users with one of the roles, either
+   * global or at the location.
+   */
+  static async findAllEmailsWithRoles(
+    roles,
+    location,
+    options,
+  ) {
+    const { Op } = models.Sequelize;
+
+    const users = await models.user.findAll({
+      attributes: ['email'],
+      where: { disabled: false },
+      include: [
+        {
+          model: models.userRole,
+          as: 'roles',
+          attributes: [],
+          where: {
+            role: { [Op.in]: roles },
+            locationId: location
+              ? { [Op.or]: [null, location] }
+              : null,
+          },
+        },
+      ],
+      transaction: this.getTransaction(options),
+    });
+
+    return lodash.uniq(
+      users.map((user) => user.email).filter(Boolean),
+    );
+  }
+
   static async findById(id, options) {
     const record = await models.user.findByPk(id, {
       transaction: this.getTransaction(options),
@@ -451,7 +588,7 @@ module.exports = class UserRepository extends AbstractRepository {
 
     return this._fillNonTableAttributesForRecord(
       record,
-      ['roles'],
+      ['roles', 'locationRoles'],
       options,
     );
   }
@@ -536,6 +673,13 @@ module.exports = class UserRepository extends AbstractRepository {
       );
     }
 
+    if (isRequestedAttribute('locationRoles')) {
+      output.locationRoles = await UserRoleRepository.findAllLocationRolesByUser(
+        record.id,
+        options,
+      );
+    }
+
     return output;
   }
 };
@@ -54,6 +54,7 @@ module.exports = class UserRoleRepository extends AbstractRepository {
       {
         where: {
           userId,
+          locationId: null,
         },
         raw: true,
       },
@@ -63,10 +64,44 @@ module.exports = class UserRoleRepository extends AbstractRepository {
     return userRoles.map((userRole) => userRole.role);
   }
 
+  static async findAllLocationRolesByUser(userId, options) {
+    const userRoles = await models.userRole.findAll(
+      {
+        where: {
+          userId,
+          locationId: {
+            [models.Sequelize.Op.ne]: null,
+          },
+        },
+        raw: true,
+      },
+      { transaction: this.getTransaction(options) },
+    );
+
+    return userRoles.map((userRole) => ({
+      location: userRole.locationId,
+      role: userRole.role,
+    }));
+  }
+
+  static async countByLocation(locationId, options) {
+    return models.userRole.count({
+      where: { locationId },
+      transaction: this.getTransaction(options),
+    });
+  }
+
+  static async countByRole(role, options) {
+    return models.userRole.count({
+      where: { role },
+      transaction: this.getTransaction(options),
+    });
+  }
+
   static async add(userId, roles, options) {
     for (const role of roles) {
       await models.userRole.findOrCreate({
-        where: { userId: userId, role },
+        where: { userId: userId, role, locationId: null },
         defaults: {
           userId: userId,
           role,
@@ -82,6 +117,7 @@ module.exports = class UserRoleRepository extends AbstractRepository {
     await models.userRole.destroy({
       where: {
         userId: userId,
+        locationId: null,
         role: { [models.Sequelize.Op.notIn]: roles },
       },
       transaction: this.getTransaction(options),
@@ -89,10 +125,44 @@ module.exports = class UserRoleRepository extends AbstractRepository {
 
     for (const role of roles) {
       await models.userRole.findOrCreate({
-        where: { userId: userId, role },
+        where: { userId: userId, role, locationId: null },
+        defaults: {
+          userId: userId,
+          role,
+          createdById: this.getCurrentUser(options).id,
+          updatedById: this.getCurrentUser(options).id,
+        },
+        transaction: this.getTransaction(options),
+      });
+    }
+  }
+
+  static async refreshLocationRoles(
+    userId,
+    locationRoles,
+    options,
+  ) {
+    await models.userRole.destroy({
+      where: {
+        userId: userId,
+        locationId: {
+          [models.Sequelize.Op.ne]: null,
+        },
+      },
+      transaction: this.getTransaction(options),
+    });
+
+    for (const { location, role } of locationRoles) {
+      await models.userRole.findOrCreate({
+        where: {
+          userId: userId,
+          role,
+          locationId: location,
+        },
         defaults: {
           userId: userId,
           role,
+          locationId: location,
           createdById: this.getCurrentUser(options).id,
           updatedById: this.getCurrentUser(options).id,
         },
@@ -105,6 +175,7 @@ module.exports = class UserRoleRepository extends AbstractRepository {
     await models.userRole.destroy({
       where: {
         userId: userId,
+        locationId: null,
         role: { [models.Sequelize.Op.in]: roles },
       },
       transaction: this.getTransaction(options),
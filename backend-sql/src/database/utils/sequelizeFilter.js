@@ -85,6 +85,14 @@ module.exports = class SequelizeFilterWhere {
     }
   }
 
+  appendGreaterThan(column, value) {
+    this.whereAnd.push({
+      [column]: {
+        [this.Sequelize.Op.gt]: value,
+      },
+    });
+  }
+
   appendOverlap(columnStart, columnEnd, value) {
     const [start, end] = value;
     const { Op } = this.Sequelize;
@@ -0,0 +1,71 @@
+const WORD_SEPARATOR = /[^0-9a-z\u00c0-\u024f]+/;
+const DIGITS = /^[0-9]+$/;
+
+/**
+ * Full-text search of a text expression, every word of the query
+ * matching as a prefix.
+ *
+ * The expression must be the one of the GIN index at
+ * migrations/versions, or Postgres won't use the index.
+ */
+module.exports = class SequelizeSearch {
+  constructor(sequelize, document, query) {
+    this.sequelize = sequelize;
+    this.vector = `to_tsvector('simple', ${document})`;
+    this.tsquery = SequelizeSearch.tsquery(query);
+  }
+
+  /**
+   * Only letters and digits are kept, so the query can't carry any
+   * tsquery syntax. Numbers typed in parts (e.g. 555-1234) also
+   * match the same digits stored together.
+   */
+  static tsquery(query) {
+    const words = String(query || '')
+      .toLowerCase()
+      .split(WORD_SEPARATOR)
+      .filter(Boolean);
+
+    if (!words.length) {
+      return null;
+    }
+
+    const terms = words
+      .map((word) => `${word}:*`)
+      .join(' & ');
+
+    if (
+      words.length > 1 &&
+      words.every((word) => DIGITS.test(word))
+    ) {
+      return `(${terms}) | ${words.join('')}:*`;
+    }
+
+    return terms;
+  }
+
+  get isEmpty() {
+    return !this.tsquery;
+  }
+
+  get _tsquery() {
+    return `to_tsquery('simple', ${this.sequelize.escape(
+      this.tsquery,
+    )})`;
+  }
+
+  get where() {
+    return this.sequelize.literal(
+      `${this.vector} @@ ${this._tsquery}`,
+    );
+  }
+
+  get order() {
+    return [
+      this.sequelize.literal(
+        `ts_rank(${this.vector}, ${this._tsquery})`,
+      ),
+      'DESC',
+    ];
+  }
+};
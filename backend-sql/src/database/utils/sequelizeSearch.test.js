@@ -0,0 +1,42 @@
+const assert = require('assert');
+const SequelizeSearch = require('./sequelizeSearch');
+
+describe('SequelizeSearch tsquery', () => {
+  it('matches every word as a prefix', () => {
+    assert.strictEqual(
+      SequelizeSearch.tsquery('Rex Alpha'),
+      'rex:* & alpha:*',
+    );
+  });
+
+  it('drops the tsquery syntax of the query', () => {
+    assert.strictEqual(
+      SequelizeSearch.tsquery("rex:* | !max & 'o''brien'"),
+      'rex:* & max:* & o:* & brien:*',
+    );
+  });
+
+  it('keeps accented letters', () => {
+    assert.strictEqual(
+      SequelizeSearch.tsquery('José'),
+      'josé:*',
+    );
+  });
+
+  it('also matches numbers typed in parts together', () => {
+    assert.strictEqual(
+      SequelizeSearch.tsquery('555-1234'),
+      '(555:* & 1234:*) | 5551234:*',
+    );
+  });
+
+  it('is empty without letters or digits', () => {
+    assert.strictEqual(
+      SequelizeSearch.tsquery(' -- '),
+      null,
+    );
+    assert.ok(
+      new SequelizeSearch(null, 'name', undefined).isEmpty,
+    );
+  });
+});
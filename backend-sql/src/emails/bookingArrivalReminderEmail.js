@@ -0,0 +1,46 @@
+const { i18n } = require('../i18n');
+const config = require('../../config/index')();
+const moment = require('moment');
+const AbstractEmail = require('./abstractEmail');
+
+module.exports = class BookingArrivalReminderEmail extends AbstractEmail {
+  constructor(language, booking) {
+    super(language);
+    this.to = booking.owner.email;
+    this.booking = booking;
+  }
+
+  static get template() {
+    return 'bookingArrivalReminder';
+  }
+
+  static get variableNames() {
+    return ['appTitle', 'childName', 'arrival', 'link'];
+  }
+
+  static sample(language) {
+    return new BookingArrivalReminderEmail(language, {
+      id: 'sample',
+      owner: { email: 'parent@example.com' },
+      child: { name: 'Emma' },
+      arrival: moment()
+        .add(2, 'days')
+        .startOf('day')
+        .add(8, 'hours')
+        .toDate(),
+    });
+  }
+
+  get variables() {
+    return {
+      appTitle: i18n(this.language, 'app.title'),
+      childName: this.booking.child.name,
+      arrival: moment(this.booking.arrival).format(
+        'YYYY-MM-DD HH:mm',
+      ),
+      link: `${config.clientUrl}/booking/${
+        this.booking.id
+      }`,
+    };
+  }
+};
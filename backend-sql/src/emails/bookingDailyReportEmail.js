@@ -0,0 +1,139 @@
+const { i18n } = require('../i18n');
+const config = require('../../config/index')();
+const moment = require('moment');
+const lodash = require('lodash');
+const AbstractEmail = require('./abstractEmail');
+const dailyReportEntryType = require('../enumerators/dailyReportEntryType');
+
+module.exports = class BookingDailyReportEmail extends AbstractEmail {
+  constructor(language, booking, date, entries) {
+    super(language);
+    this.to = booking.owner.email;
+    this.booking = booking;
+    this.date = date;
+    this.entries = entries;
+  }
+
+  static get template() {
+    return 'bookingDailyReport';
+  }
+
+  static get variableNames() {
+    return [
+      'appTitle',
+      'childName',
+      'date',
+      'entries',
+      'link',
+    ];
+  }
+
+  static sample(language) {
+    const today = moment().startOf('day');
+
+    return new BookingDailyReportEmail(
+      language,
+      {
+        id: 'sample',
+        owner: { email: 'parent@example.com' },
+        child: { name: 'Emma' },
+      },
+      today.toDate(),
+      [
+        {
+          type: dailyReportEntryType.MEAL,
+          time: moment(today).add(8, 'hours'),
+          mealAmount: 'most',
+          description: 'Oatmeal and banana',
+        },
+        {
+          type: dailyReportEntryType.ACTIVITY,
+          time: moment(today).add(10, 'hours'),
+          description: 'Painting and playing outside',
+        },
+        {
+          type: dailyReportEntryType.NAP,
+          time: moment(today).add(13, 'hours'),
+          endTime: moment(today).add(14, 'hours'),
+        },
+        {
+          type: dailyReportEntryType.MOOD,
+          time: moment(today).add(16, 'hours'),
+          mood: 'happy',
+        },
+      ],
+    );
+  }
+
+  static get htmlVariableNames() {
+    return ['entries'];
+  }
+
+  get variables() {
+    return {
+      appTitle: i18n(this.language, 'app.title'),
+      childName: this.booking.child.name,
+      date: moment(this.date).format('YYYY-MM-DD'),
+      entries: this.entries
+        .map((entry) => this.item(entry))
+        .join('\n'),
+      link: `${config.clientUrl}/booking/${
+        this.booking.id
+      }`,
+    };
+  }
+
+  item(entry) {
+    return i18n(
+      this.language,
+      'emails.bookingDailyReport.item',
+      moment(entry.time).format('HH:mm'),
+      i18n(
+        this.language,
+        `emails.bookingDailyReport.types.${entry.type}`,
+      ),
+      [this.detail(entry), lodash.escape(entry.description)]
+        .filter(Boolean)
+        .join(' - '),
+    );
+  }
+
+  detail(entry) {
+    if (entry.type === dailyReportEntryType.MEAL) {
+      return i18n(
+        this.language,
+        `emails.bookingDailyReport.mealAmounts.${
+          entry.mealAmount
+        }`,
+      );
+    }
+
+    if (entry.type === dailyReportEntryType.NAP) {
+      return entry.endTime
+        ? i18n(
+            this.language,
+            'emails.bookingDailyReport.napUntil',
+            moment(entry.endTime).format('HH:mm'),
+          )
+        : null;
+    }
+
+    if (entry.type === dailyReportEntryType.MOOD) {
+      return i18n(
+        this.language,
+        `emails.bookingDailyReport.moods.${entry.mood}`,
+      );
+    }
+
+    if (entry.type === dailyReportEntryType.TOILET) {
+      return i18n(
+        this.language,
+        `emails.bookingDailyReport.toiletTypes.${
+          entry.toiletType
+        }`,
+      );
+    }
+
+    return null;
+  }
+};
@@ -0,0 +1,10 @@
+module.exports = [
+  require('./invitationEmail'),
+  require('./emailAddressVerificationEmail'),
+  require('./passwordResetEmail'),
+  require('./bookingDailyReportEmail'),
+  require('./bookingWaitlistPromotedEmail'),
+  require('./bookingArrivalReminderEmail'),
+  require('./bookingDepartureReminderEmail'),
+  require('./staffDailyDigestEmail'),
+];
@@ -1,28 +1,31 @@
 const config = require('../../config')();
 const { i18n } = require('../i18n');
+const AbstractEmail = require('./abstractEmail');
 
-module.exports = class InvitationEmail {
+module.exports = class InvitationEmail extends AbstractEmail {
   constructor(language, to) {
-    this.language = language;
+    super(language);
     this.to = to;
   }
 
-  get subject() {
-    return i18n(
-      this.language,
-      'emails.invitation.subject',
-      i18n(this.language, 'app.title'),
-    );
+  static get template() {
+    return 'invitation';
   }
 
-  get html() {
-    return i18n(
-      this.language,
-      'emails.invitation.body',
-      i18n(this.language, 'app.title'),
-      `${config.clientUrl}/auth/signup?email=${
+  static get variableNames() {
+    return ['appTitle', 'link'];
+  }
+
+  static sample(language) {
+    return new InvitationEmail(language, 'employee@example.com');
+  }
+
+  get variables() {
+    return {
+      appTitle: i18n(this.language, 'app.title'),
+      link: `${config.clientUrl}/auth/signup?email=${
         this.to
       }`,
-    );
+    };
   }
 };
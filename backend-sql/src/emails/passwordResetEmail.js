@@ -1,27 +1,35 @@
+const config = require('../../config')();
 const { i18n } = require('../i18n');
+const AbstractEmail = require('./abstractEmail');
 
-module.exports = class PasswordResetEmail {
+module.exports = class PasswordResetEmail extends AbstractEmail {
   constructor(language, to, link) {
-    this.language = language;
+    super(language);
     this.to = to;
     this.link = link;
   }
 
-  get subject() {
-    return i18n(
-      this.language,
-      'emails.passwordReset.subject',
-      i18n(this.language, 'app.title'),
-    );
+  static get template() {
+    return 'passwordReset';
+  }
+
+  static get variableNames() {
+    return ['appTitle', 'email', 'link'];
   }
 
-  get html() {
-    return i18n(
-      this.language,
-      'emails.passwordReset.body',
-      i18n(this.language, 'app.title'),
-      this.to,
-      this.link,
+  static sample(language) {
+    return new PasswordResetEmail(
+      language,
+      'parent@example.com',
+      `${config.clientUrl}/auth/password-reset`,
     );
   }
+
+  get variables() {
+    return {
+      appTitle: i18n(this.language, 'app.title'),
+      email: this.to,
+      link: this.link,
+    };
+  }
 };
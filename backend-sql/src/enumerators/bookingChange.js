@@ -0,0 +1,5 @@
+module.exports = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DESTROYED: 'destroyed',
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  MEAL: 'meal',
+  NAP: 'nap',
+  ACTIVITY: 'activity',
+  MOOD: 'mood',
+  TOILET: 'toilet',
+};
@@ -0,0 +1,6 @@
+module.exports = {
+  WET: 'wet',
+  BOWEL_MOVEMENT: 'bowelMovement',
+  DRY: 'dry',
+  POTTY: 'potty',
+};
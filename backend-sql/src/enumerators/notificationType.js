@@ -0,0 +1,7 @@
+module.exports = {
+  BOOKING_STATUS_CHANGED: 'bookingStatusChanged',
+  BOOKING_PHOTOS_ADDED: 'bookingPhotosAdded',
+  BOOKING_WAITLIST_PROMOTED: 'bookingWaitlistPromoted',
+  INVITATION: 'invitation',
+  ACCOUNT_APPROVED: 'accountApproved',
+};
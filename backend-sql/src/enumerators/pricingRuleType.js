@@ -0,0 +1,6 @@
+module.exports = {
+  WEEKEND_SURCHARGE: 'weekendSurcharge',
+  HOLIDAY: 'holiday',
+  SIBLING_DISCOUNT: 'siblingDiscount',
+  LONG_STAY_DISCOUNT: 'longStayDiscount',
+};
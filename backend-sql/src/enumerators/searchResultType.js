@@ -0,0 +1,5 @@
+module.exports = {
+  CHILD: 'child',
+  OWNER: 'owner',
+  BOOKING: 'booking',
+};
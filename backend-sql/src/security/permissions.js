@@ -25,6 +25,10 @@ class Permissions {
         id: 'iamChangeStatus',
         allowedRoles: [roles.manager],
       },
+      iamApprove: {
+        id: 'iamApprove',
+        allowedRoles: [roles.manager],
+      },
       iamRemove: {
         id: 'iamRemove',
         allowedRoles: [roles.manager],
@@ -37,10 +41,22 @@ class Permissions {
         id: 'auditLogRead',
         allowedRoles: [roles.manager],
       },
+      outboxEmailRead: {
+        id: 'outboxEmailRead',
+        allowedRoles: [roles.manager],
+      },
+      outboxEmailResend: {
+        id: 'outboxEmailResend',
+        allowedRoles: [roles.manager],
+      },
       settingsEdit: {
         id: 'settingsEdit',
         allowedRoles: [roles.manager],
       },
+      locationEdit: {
+        id: 'locationEdit',
+        allowedRoles: [roles.manager],
+      },
       childImport: {
         id: 'childImport',
         allowedRoles: [roles.manager, roles.employee],
@@ -80,6 +96,10 @@ class Permissions {
           roles.childOwner,
         ],
       },
+      childReadAll: {
+        id: 'childReadAll',
+        allowedRoles: [roles.manager, roles.employee],
+      },
       childAutocomplete: {
         id: 'childAutocomplete',
         allowedRoles: [
@@ -88,6 +108,23 @@ class Permissions {
           roles.childOwner,
         ],
       },
+      childMedicalRead: {
+        id: 'childMedicalRead',
+        allowedRoles: [roles.manager, roles.employee],
+      },
+      childMedicalEdit: {
+        id: 'childMedicalEdit',
+        allowedRoles: [
+          roles.manager,
+          roles.employee,
+          roles.childOwner,
+        ],
+      },
+
+      dashboardRead: {
+        id: 'dashboardRead',
+        allowedRoles: [roles.manager, roles.employee],
+      },
 
       bookingImport: {
         id: 'bookingImport',
@@ -124,6 +161,10 @@ class Permissions {
           roles.childOwner,
         ],
       },
+      bookingReadAll: {
+        id: 'bookingReadAll',
+        allowedRoles: [roles.manager, roles.employee],
+      },
       bookingAutocomplete: {
         id: 'bookingAutocomplete',
         allowedRoles: [
@@ -132,6 +173,62 @@ class Permissions {
           roles.childOwner,
         ],
       },
+      bookingManageStatus: {
+        id: 'bookingManageStatus',
+        allowedRoles: [roles.manager, roles.employee],
+      },
+      bookingEditAnyStatus: {
+        id: 'bookingEditAnyStatus',
+        allowedRoles: [roles.manager],
+      },
+      bookingPaymentEdit: {
+        id: 'bookingPaymentEdit',
+        allowedRoles: [roles.manager, roles.employee],
+      },
+      attendanceRead: {
+        id: 'attendanceRead',
+        allowedRoles: [
+          roles.manager,
+          roles.employee,
+          roles.childOwner,
+        ],
+      },
+      attendanceCheckIn: {
+        id: 'attendanceCheckIn',
+        allowedRoles: [roles.manager, roles.employee],
+      },
+      attendanceCheckOut: {
+        id: 'attendanceCheckOut',
+        allowedRoles: [roles.manager, roles.employee],
+      },
+      dailyReportRead: {
+        id: 'dailyReportRead',
+        allowedRoles: [
+          roles.manager,
+          roles.employee,
+          roles.childOwner,
+        ],
+      },
+      dailyReportEdit: {
+        id: 'dailyReportEdit',
+        allowedRoles: [roles.manager, roles.employee],
+      },
+      notificationRead: {
+        id: 'notificationRead',
+        allowedRoles: [
+          roles.manager,
+          roles.employee,
+          roles.childOwner,
+        ],
+      },
+      roleEdit: {
+        id: 'roleEdit',
+        allowedRoles: [roles.manager],
+      },
+      search: {
+        id: 'search',
+        allowedRoles: [roles.manager, roles.employee],
+      },
     };
   }
 
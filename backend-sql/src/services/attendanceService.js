@@ -0,0 +1,149 @@
+const AttendanceRepository = require('../database/repositories/attendanceRepository');
+const ChildRepository = require('../database/repositories/childRepository');
+const ValidationError = require('../errors/validationError');
+const AbstractRepository = require('../database/repositories/abstractRepository');
+const BookingService = require('./booking/bookingService');
+const bookingStatus = require('../enumerators/bookingStatus');
+
+module.exports = class AttendanceService {
+  constructor({ currentUser, language }) {
+    this.repository = new AttendanceRepository();
+    this.childRepository = new ChildRepository();
+    this.bookingService = new BookingService({
+      currentUser,
+      language,
+    });
+    this.currentUser = currentUser;
+    this.language = language;
+  }
+
+  async checkIn(bookingId, data) {
+    const booking = await this.bookingService.findById(
+      bookingId,
+    );
+
+    if (booking.status !== bookingStatus.PROGRESS) {
+      throw new ValidationError(
+        this.language,
+        'entities.attendance.validation.bookingNotInProgress',
+      );
+    }
+
+    if (
+      await this.repository.findOpenByBooking(bookingId)
+    ) {
+      throw new ValidationError(
+        this.language,
+        'entities.attendance.validation.alreadyCheckedIn',
+      );
+    }
+
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      const record = await this.repository.create(
+        {
+          booking: bookingId,
+          child: booking.child.id,
+          checkInAt: new Date(),
+          droppedOffBy: data.droppedOffBy,
+          notes: data.notes,
+        },
+        {
+          transaction,
+          currentUser: this.currentUser,
+        },
+      );
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+
+      return record;
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+  }
+
+  async checkOut(bookingId, data) {
+    const booking = await this.bookingService.findById(
+      bookingId,
+    );
+
+    const attendance = await this.repository.findOpenByBooking(
+      bookingId,
+    );
+
+    if (!attendance) {
+      throw new ValidationError(
+        this.language,
+        'entities.attendance.validation.notCheckedIn',
+      );
+    }
+
+    await this._validatePickUpAuthorized(
+      booking.child.id,
+      data.pickedUpBy,
+    );
+
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      const record = await this.repository.checkOut(
+        attendance.id,
+        {
+          checkOutAt: new Date(),
+          pickedUpBy: data.pickedUpBy,
+          notes: data.notes || attendance.notes,
+        },
+        {
+          transaction,
+          currentUser: this.currentUser,
+        },
+      );
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+
+      return record;
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+  }
+
+  async _validatePickUpAuthorized(childId, pickedUpBy) {
+    const child = await this.childRepository.findById(
+      childId,
+    );
+
+    const normalize = (name) =>
+      String(name || '')
+        .trim()
+        .toLowerCase();
+
+    const authorized = (child.guardians || [])
+      .map((guardian) => guardian.name)
+      .concat(child.owner ? [child.owner.fullName] : [])
+      .map(normalize)
+      .filter(Boolean);
+
+    if (!authorized.includes(normalize(pickedUpBy))) {
+      throw new ValidationError(
+        this.language,
+        'entities.attendance.validation.pickUpNotAuthorized',
+      );
+    }
+  }
+
+  async findAllByBooking(bookingId) {
+    await this.bookingService.findById(bookingId);
+    return this.repository.findAllByBooking(bookingId);
+  }
+};
@@ -0,0 +1,132 @@
+const assert = require('assert');
+const UserRepository = require('../../database/repositories/userRepository');
+const ChildRepository = require('../../database/repositories/childRepository');
+const AuthService = require('../../auth/authService');
+const ValidationError = require('../../errors/validationError');
+const ForbiddenError = require('../../errors/forbiddenError');
+const UserRoleChecker = require('../iam/userRoleChecker');
+const ChildService = require('../childService');
+
+/**
+ * Completes a self-registration: saves the profile and creates
+ * the children of the pending account in one transaction.
+ */
+module.exports = class AuthRegistrar {
+  constructor(currentUser, language, location) {
+    this.currentUser = currentUser;
+    this.language = language;
+    this.location = location || null;
+
+    this.transaction = null;
+    this.children = [];
+    this.childRepository = new ChildRepository();
+  }
+
+  async execute(data) {
+    this.data = data;
+
+    await this._validate();
+
+    try {
+      this.transaction = await UserRepository.createTransaction();
+
+      await this._updateProfile();
+      await this._createChildren();
+
+      await UserRepository.commitTransaction(
+        this.transaction,
+      );
+    } catch (error) {
+      await UserRepository.rollbackTransaction(
+        this.transaction,
+      );
+      throw error;
+    }
+
+    await this._updateAtAuthentication();
+  }
+
+  async _updateProfile() {
+    this.user = await UserRepository.updateProfile(
+      this.currentUser.id,
+      {
+        firstName: this.data.firstName,
+        lastName: this.data.lastName,
+        phoneNumber: this.data.phoneNumber,
+      },
+      {
+        currentUser: this.currentUser,
+        transaction: this.transaction,
+      },
+    );
+  }
+
+  async _createChildren() {
+    for (const child of this.children) {
+      await this.childRepository.create(child, {
+        currentUser: this.currentUser,
+        transaction: this.transaction,
+      });
+    }
+  }
+
+  async _updateAtAuthentication() {
+    if (this.user.authenticationUid) {
+      await AuthService.updateUser(
+        this.user.authenticationUid,
+        this.user,
+      );
+    }
+  }
+
+  async _validate() {
+    assert(this.currentUser, 'currentUser is required');
+    assert(
+      this.currentUser.id,
+      'currentUser.id is required',
+    );
+    assert(this.data, 'data is required');
+
+    if (
+      !UserRoleChecker.isChildOwner(this.currentUser) ||
+      !this.currentUser.approvalPending
+    ) {
+      throw new ForbiddenError(this.language);
+    }
+
+    const childrenCount = await this.childRepository.count({
+      ownerId: this.currentUser.id,
+    });
+
+    if (childrenCount) {
+      throw new ValidationError(
+        this.language,
+        'auth.registration.alreadyRegistered',
+      );
+    }
+
+    this.children = (this.data.children || []).map(
+      (child) => ({
+        ...child,
+        owner: this.currentUser.id,
+      }),
+    );
+
+    if (!this.children.length) {
+      throw new ValidationError(
+        this.language,
+        'auth.registration.childrenRequired',
+      );
+    }
+
+    const childService = new ChildService({
+      currentUser: this.currentUser,
+      language: this.language,
+      location: this.location,
+    });
+
+    for (const child of this.children) {
+      await childService.validateCreate(child);
+    }
+  }
+};
@@ -2,9 +2,57 @@ const AuthService = require('../../auth/authService');
 const UserRepository = require('../../database/repositories/userRepository');
 const assert = require('assert');
 const Roles = require('../../security/roles');
+const SettingsService = require('../settingsService');
+const RoleService = require('../iam/roleService');
+const lodash = require('lodash');
 
 class AuthUserWriter {
-  static async findOrCreateFromAuth(uid) {
+  static async findOrCreateFromAuth(uid, location) {
+    const databaseUser = await this._findOrCreateFromAuth(
+      uid,
+    );
+    const user = this._withLocationRoles(
+      databaseUser,
+      location,
+    );
+
+    const permissions = await RoleService.permissionsOf(
+      user.roles,
+    );
+
+    return {
+      ...user,
+      permissions,
+      locationPermissions: lodash.difference(
+        permissions,
+        await RoleService.permissionsOf(databaseUser.roles),
+      ),
+    };
+  }
+
+  /**
+   * Roles granted at a single location only apply
+   * while that location is selected.
+   */
+  static _withLocationRoles(user, location) {
+    if (!location) {
+      return user;
+    }
+
+    const locationRoles = (user.locationRoles || [])
+      .filter((item) => item.location === location)
+      .map((item) => item.role);
+
+    return {
+      ...user,
+      roles: lodash.uniq([
+        ...(user.roles || []),
+        ...locationRoles,
+      ]),
+    };
+  }
+
+  static async _findOrCreateFromAuth(uid) {
     assert(uid, 'uuid is required');
 
     const authUser = await AuthService.getUser(uid);
@@ -43,11 +91,19 @@ class AuthUserWriter {
         roles: isFirstUser
           ? [Roles.values.manager]
           : [Roles.values.childOwner],
+        approvalPending:
+          !isFirstUser &&
+          (await this._isSelfRegistration()),
       },
     );
 
     return createdDatabaseUser;
   }
+
+  static async _isSelfRegistration() {
+    const settings = await SettingsService.findOrCreateDefault();
+    return !!settings.selfRegistration;
+  }
 }
 
 module.exports = AuthUserWriter;
@@ -0,0 +1,42 @@
+const pubSub = require('../shared/pubSub');
+
+const BOOKING_CHANGED = 'bookingChanged';
+const OCCUPANCY_CHANGED = 'occupancyChanged';
+
+module.exports = class BookingEvents {
+  static publishChanged(booking, change) {
+    const locationId = booking.location
+      ? booking.location.id
+      : null;
+
+    pubSub.publish(BOOKING_CHANGED, {
+      bookingChanged: {
+        id: booking.id,
+        change,
+        status: booking.status,
+        ownerId: booking.owner ? booking.owner.id : null,
+        locationId,
+      },
+    });
+
+    pubSub.publish(OCCUPANCY_CHANGED, {
+      occupancyChanged: {
+        arrival: booking.arrival,
+        departure: booking.departure,
+        locationId,
+      },
+    });
+  }
+
+  static isAtLocation(event, location) {
+    return !location || event.locationId === location;
+  }
+
+  static bookingChangedIterator() {
+    return pubSub.asyncIterator(BOOKING_CHANGED);
+  }
+
+  static occupancyChangedIterator() {
+    return pubSub.asyncIterator(OCCUPANCY_CHANGED);
+  }
+};
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const BookingOccupancyCalculator = require('./bookingOccupancyCalculator');
+
+const CAPACITIES = { toddler: 2, preschooler: 1 };
+
+function bookedOf(days) {
+  return days.map((day) => day.booked);
+}
+
+describe('BookingOccupancyCalculator', () => {
+  it('lists every day of the period, both ends included', () => {
+    const days = BookingOccupancyCalculator.calculate(
+      '2026-10-19T15:00:00',
+      '2026-10-21T09:00:00',
+      [],
+      CAPACITIES,
+    );
+
+    assert.deepStrictEqual(days.map((day) => day.date), [
+      '2026-10-19',
+      '2026-10-20',
+      '2026-10-21',
+    ]);
+  });
+
+  it('counts a booking on its arrival and departure days', () => {
+    const days = BookingOccupancyCalculator.calculate(
+      '2026-10-18',
+      '2026-10-21',
+      [
+        {
+          arrival: '2026-10-19T17:00:00',
+          departure: '2026-10-20T08:00:00',
+          size: 'toddler',
+        },
+      ],
+      CAPACITIES,
+    );
+
+    assert.deepStrictEqual(bookedOf(days), [0, 1, 1, 0]);
+  });
+
+  it('counts a departure at midnight on the day it starts', () => {
+    const days = BookingOccupancyCalculator.calculate(
+      '2026-10-19',
+      '2026-10-21',
+      [
+        {
+          arrival: '2026-10-19T08:00:00',
+          departure: '2026-10-20T00:00:00',
+          size: 'toddler',
+        },
+      ],
+      CAPACITIES,
+    );
+
+    assert.deepStrictEqual(bookedOf(days), [1, 1, 0]);
+  });
+
+  it('never leaves a negative remaining when overbooked', () => {
+    const booking = {
+      arrival: '2026-10-19T08:00:00',
+      departure: '2026-10-19T17:00:00',
+      size: 'preschooler',
+    };
+
+    const [day] = BookingOccupancyCalculator.calculate(
+      '2026-10-19',
+      '2026-10-19',
+      [booking, booking],
+      CAPACITIES,
+    );
+
+    assert.deepStrictEqual(
+      day.groups.find(
+        (group) => group.size === 'preschooler',
+      ),
+      {
+        size: 'preschooler',
+        capacity: 1,
+        booked: 2,
+        remaining: 0,
+      },
+    );
+    assert.strictEqual(day.remaining, 2);
+  });
+
+  it('has no days without a period', () => {
+    assert.deepStrictEqual(
+      BookingOccupancyCalculator.calculate(
+        null,
+        '2026-10-19',
+        [],
+        CAPACITIES,
+      ),
+      [],
+    );
+  });
+});
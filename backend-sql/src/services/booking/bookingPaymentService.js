@@ -0,0 +1,187 @@
+const BookingRepository = require('../../database/repositories/bookingRepository');
+const PaymentRepository = require('../../database/repositories/paymentRepository');
+const InvoiceRepository = require('../../database/repositories/invoiceRepository');
+const AbstractRepository = require('../../database/repositories/abstractRepository');
+const ValidationError = require('../../errors/validationError');
+const BookingService = require('./bookingService');
+const BookingFeeCalculator = require('./bookingFeeCalculator');
+
+module.exports = class BookingPaymentService {
+  constructor({ currentUser, language }) {
+    this.bookingRepository = new BookingRepository();
+    this.bookingService = new BookingService({
+      currentUser,
+      language,
+    });
+    this.currentUser = currentUser;
+    this.language = language;
+  }
+
+  async create(bookingId, data) {
+    await this.bookingService.findById(bookingId);
+
+    if (!(Number(data.amount) > 0)) {
+      throw new ValidationError(
+        this.language,
+        'entities.booking.validation.paymentAmountInvalid',
+      );
+    }
+
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      const options = {
+        transaction,
+        currentUser: this.currentUser,
+      };
+
+      const booking = await this.bookingRepository.findByIdForUpdate(
+        bookingId,
+        options,
+      );
+
+      const payments = await PaymentRepository.findAllByBooking(
+        bookingId,
+        options,
+      );
+
+      const payment = await PaymentRepository.create(
+        bookingId,
+        data,
+        options,
+      );
+
+      await this._updateBalance(
+        booking,
+        [...payments, payment],
+        options,
+      );
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+
+    return this.bookingService.findById(bookingId);
+  }
+
+  async destroy(bookingId, id) {
+    await this.bookingService.findById(bookingId);
+
+    const payment = await PaymentRepository.findById(id);
+
+    if (!payment || payment.bookingId !== bookingId) {
+      throw new ValidationError(
+        this.language,
+        'entities.booking.validation.paymentNotFound',
+      );
+    }
+
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      const options = {
+        transaction,
+        currentUser: this.currentUser,
+      };
+
+      const booking = await this.bookingRepository.findByIdForUpdate(
+        bookingId,
+        options,
+      );
+
+      const payments = await PaymentRepository.findAllByBooking(
+        bookingId,
+        options,
+      );
+
+      await PaymentRepository.destroy(id, options);
+
+      await this._updateBalance(
+        booking,
+        payments.filter((item) => item.id !== id),
+        options,
+      );
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+
+    return this.bookingService.findById(bookingId);
+  }
+
+  async issueInvoice(bookingId) {
+    const booking = await this.bookingService.findById(
+      bookingId,
+    );
+
+    if (booking.fee === null || booking.fee === undefined) {
+      throw new ValidationError(
+        this.language,
+        'entities.booking.validation.invoiceWithoutFee',
+      );
+    }
+
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      await InvoiceRepository.issue(
+        {
+          bookingId,
+          amount: booking.fee,
+          items: booking.feeBreakdown,
+        },
+        {
+          transaction,
+          currentUser: this.currentUser,
+        },
+      );
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+
+    return this.bookingService.findById(bookingId);
+  }
+
+  /**
+   * The payments are read with the booking locked, so the payments
+   * saved at the same time are all counted.
+   */
+  async _updateBalance(booking, payments, options) {
+    const amountPaid = BookingFeeCalculator.total(
+      payments.map((payment) => ({
+        amount: Number(payment.amount),
+      })),
+    );
+
+    return this.bookingRepository.updateBalance(
+      booking.id,
+      {
+        amountPaid,
+        balance: BookingFeeCalculator.balance(
+          booking.fee,
+          amountPaid,
+        ),
+      },
+      options,
+    );
+  }
+};
@@ -0,0 +1,208 @@
+const BookingRepository = require('../../database/repositories/bookingRepository');
+const UserRepository = require('../../database/repositories/userRepository');
+const StaffDigestRepository = require('../../database/repositories/staffDigestRepository');
+const AbstractRepository = require('../../database/repositories/abstractRepository');
+const bookingStatus = require('../../enumerators/bookingStatus');
+const Roles = require('../../security/roles');
+const moment = require('moment');
+const lodash = require('lodash');
+const BookingArrivalReminderEmail = require('../../emails/bookingArrivalReminderEmail');
+const BookingDepartureReminderEmail = require('../../emails/bookingDepartureReminderEmail');
+const StaffDailyDigestEmail = require('../../emails/staffDailyDigestEmail');
+const EmailSender = require('../shared/email/emailSender');
+
+const ACTIVE_STATUSES = [
+  bookingStatus.BOOKED,
+  bookingStatus.PROGRESS,
+];
+
+module.exports = class BookingReminderService {
+  constructor({ currentUser, language }) {
+    this.repository = new BookingRepository();
+    this.currentUser = currentUser;
+    this.language = language;
+  }
+
+  /**
+   * Sends the reminders of the bookings at the location, or of the
+   * bookings without a location when it is empty.
+   */
+  async sendAll(settings, date, location) {
+    await this.sendArrivalReminders(
+      settings,
+      date,
+      location,
+    );
+    await this.sendDepartureReminders(date, location);
+    await this.sendStaffDigest(date, location);
+  }
+
+  async sendArrivalReminders(settings, date, location) {
+    if (!settings.arrivalReminderDays) {
+      return;
+    }
+
+    const day = moment(date).add(
+      settings.arrivalReminderDays,
+      'days',
+    );
+
+    const bookings = await this.repository.findAllArrivingInPeriod(
+      moment(day)
+        .startOf('day')
+        .toDate(),
+      moment(day)
+        .endOf('day')
+        .toDate(),
+      [bookingStatus.BOOKED],
+      location,
+    );
+
+    for (const booking of bookings) {
+      if (booking.arrivalReminderSentAt || !booking.owner) {
+        continue;
+      }
+
+      await this._sendReminder(
+        booking,
+        'arrivalReminderSentAt',
+        new BookingArrivalReminderEmail(
+          this.language,
+          booking,
+        ),
+      );
+    }
+  }
+
+  async sendDepartureReminders(date, location) {
+    const bookings = await this.repository.findAllDepartingInPeriod(
+      moment(date)
+        .startOf('day')
+        .toDate(),
+      moment(date)
+        .endOf('day')
+        .toDate(),
+      ACTIVE_STATUSES,
+      location,
+    );
+
+    for (const booking of bookings) {
+      if (
+        booking.departureReminderSentAt ||
+        !booking.owner
+      ) {
+        continue;
+      }
+
+      await this._sendReminder(
+        booking,
+        'departureReminderSentAt',
+        new BookingDepartureReminderEmail(
+          this.language,
+          booking,
+        ),
+      );
+    }
+  }
+
+  // Claimed along with the email, a reminder sent at the same
+  // time by another run claims nothing and sends nothing
+  async _sendReminder(booking, field, email) {
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      if (
+        await this.repository.claimReminder(
+          booking.id,
+          field,
+          {
+            transaction,
+          },
+        )
+      ) {
+        await new EmailSender(email).send({ transaction });
+      }
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+  }
+
+  async sendStaffDigest(date, location) {
+    const day = moment(date).format('YYYY-MM-DD');
+
+    if (await StaffDigestRepository.exists(day, location)) {
+      return;
+    }
+
+    const start = moment(date)
+      .startOf('day')
+      .toDate();
+    const end = moment(date)
+      .endOf('day')
+      .toDate();
+
+    const arrivals = await this.repository.findAllArrivingInPeriod(
+      start,
+      end,
+      ACTIVE_STATUSES,
+      location,
+    );
+
+    const departures = lodash.sortBy(
+      await this.repository.findAllDepartingInPeriod(
+        start,
+        end,
+        ACTIVE_STATUSES,
+        location,
+      ),
+      (booking) => moment(booking.departure).valueOf(),
+    );
+
+    if (!arrivals.length && !departures.length) {
+      return;
+    }
+
+    const recipients = await UserRepository.findAllEmailsWithRoles(
+      [Roles.values.manager, Roles.values.employee],
+      location,
+    );
+
+    // Recorded along with the emails, a digest sent at the same
+    // time by another run fails to record and sends nothing
+    const transaction = await StaffDigestRepository.createTransaction();
+
+    try {
+      await StaffDigestRepository.create(day, location, {
+        transaction,
+      });
+
+      for (const email of recipients) {
+        await new EmailSender(
+          new StaffDailyDigestEmail(
+            this.language,
+            email,
+            start,
+            arrivals,
+            departures,
+          ),
+        ).send({ transaction });
+      }
+
+      await StaffDigestRepository.commitTransaction(
+        transaction,
+      );
+    } catch (error) {
+      await StaffDigestRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,149 @@
+const assert = require('assert');
+const BookingService = require('./bookingService');
+const ForbiddenError = require('../../errors/forbiddenError');
+const SettingsService = require('../settingsService');
+
+const PERMISSIONS = [
+  'bookingRead',
+  'bookingEdit',
+  'bookingReadAll',
+];
+
+// The employee role was granted at the selected location only
+function serviceOf(locationPermissions) {
+  const service = new BookingService({
+    currentUser: {
+      id: 'employee',
+      permissions: PERMISSIONS,
+      locationPermissions,
+    },
+    language: 'en',
+    location: 'selected',
+  });
+
+  service.repository.findById = async (id) => ({
+    id,
+    owner: { id: 'owner' },
+    location: { id: 'another' },
+  });
+
+  return service;
+}
+
+describe('Booking location scope', () => {
+  it('rejects a booking of another location', async () => {
+    await assert.rejects(
+      serviceOf(['bookingReadAll']).findById('booking'),
+      ForbiddenError,
+    );
+  });
+
+  it('finds a booking of another location with a role at every location', async () => {
+    const record = await serviceOf([]).findById('booking');
+
+    assert.strictEqual(record.id, 'booking');
+  });
+
+  it('rejects destroying a booking of another location', async () => {
+    await assert.rejects(
+      serviceOf(['bookingReadAll']).destroyAll(['booking']),
+      ForbiddenError,
+    );
+  });
+});
+
+describe('Booking fee breakdown', () => {
+  it('counts the siblings of the signed in owner only', async () => {
+    const service = new BookingService({
+      currentUser: {
+        id: 'owner',
+        permissions: PERMISSIONS.slice(0, 2),
+      },
+      language: 'en',
+    });
+
+    const filters = [];
+
+    service.childRepository.count = async (filter) => {
+      filters.push(filter);
+      return 2;
+    };
+
+    const findOrCreateDefault =
+      SettingsService.findOrCreateDefault;
+    SettingsService.findOrCreateDefault = async () => ({
+      dailyFee: 50,
+      pricingRules: [],
+    });
+
+    try {
+      await service.findFeeBreakdown(
+        '2026-10-19T08:00:00',
+        '2026-10-21T17:00:00',
+        'another',
+      );
+    } finally {
+      SettingsService.findOrCreateDefault = findOrCreateDefault;
+    }
+
+    assert.deepStrictEqual(filters, [{ ownerId: 'owner' }]);
+  });
+});
+
+describe('Booking period availability', () => {
+  it('is limited by the busiest day of the period', async () => {
+    const service = serviceOf([]);
+
+    service.repository.findAllActiveInPeriod = async () => [
+      {
+        arrival: '2026-10-19T08:00:00',
+        departure: '2026-10-19T17:00:00',
+        size: 'toddler',
+      },
+      {
+        arrival: '2026-10-21T08:00:00',
+        departure: '2026-10-21T17:00:00',
+        size: 'toddler',
+      },
+    ];
+
+    const findOrCreateDefault =
+      SettingsService.findOrCreateDefault;
+    SettingsService.findOrCreateDefault = async () => ({
+      capacityToddler: 2,
+      capacityPreschooler: 1,
+    });
+
+    let availability;
+
+    try {
+      availability = await service.findPeriodAvailability(
+        '2026-10-19T08:00:00',
+        '2026-10-21T17:00:00',
+      );
+    } finally {
+      SettingsService.findOrCreateDefault = findOrCreateDefault;
+    }
+
+    assert.deepStrictEqual(availability, [
+      {
+        size: 'toddler',
+        capacity: 2,
+        booked: 1,
+        remaining: 1,
+      },
+      {
+        size: 'preschooler',
+        capacity: 1,
+        booked: 0,
+        remaining: 1,
+      },
+      {
+        size: 'schoolAged',
+        capacity: 0,
+        booked: 0,
+        remaining: 0,
+      },
+    ]);
+  });
+});
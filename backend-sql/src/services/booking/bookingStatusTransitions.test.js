@@ -0,0 +1,92 @@
+const assert = require('assert');
+const BookingStatusTransitions = require('./bookingStatusTransitions');
+const bookingStatus = require('../../enumerators/bookingStatus');
+
+const OWNER = { id: 'owner', permissions: ['bookingEdit'] };
+const STAFF = {
+  id: 'staff',
+  permissions: ['bookingEdit', 'bookingManageStatus'],
+};
+const MANAGER = {
+  id: 'manager',
+  permissions: [
+    'bookingEdit',
+    'bookingManageStatus',
+    'bookingEditAnyStatus',
+  ],
+};
+
+describe('BookingStatusTransitions', () => {
+  it('creates the bookings of owners as booked only', () => {
+    assert.deepStrictEqual(
+      BookingStatusTransitions.initialStatuses(OWNER),
+      [bookingStatus.BOOKED],
+    );
+  });
+
+  it('lets owners cancel their bookings before the arrival only', () => {
+    assert.ok(
+      BookingStatusTransitions.isAllowed(
+        OWNER,
+        bookingStatus.BOOKED,
+        bookingStatus.CANCELLED,
+      ),
+    );
+    assert.ok(
+      !BookingStatusTransitions.isAllowed(
+        OWNER,
+        bookingStatus.PROGRESS,
+        bookingStatus.CANCELLED,
+      ),
+    );
+  });
+
+  it('lets staff check bookings in and out, in that order', () => {
+    assert.deepStrictEqual(
+      BookingStatusTransitions.nextStatuses(
+        STAFF,
+        bookingStatus.BOOKED,
+      ),
+      [bookingStatus.PROGRESS, bookingStatus.CANCELLED],
+    );
+    assert.ok(
+      !BookingStatusTransitions.isAllowed(
+        STAFF,
+        bookingStatus.BOOKED,
+        bookingStatus.COMPLETED,
+      ),
+    );
+  });
+
+  it('lets only managers create bookings with any status', () => {
+    assert.ok(
+      !BookingStatusTransitions.isInitialAllowed(
+        STAFF,
+        bookingStatus.WAITLISTED,
+      ),
+    );
+    assert.ok(
+      BookingStatusTransitions.isInitialAllowed(
+        MANAGER,
+        bookingStatus.COMPLETED,
+      ),
+    );
+  });
+
+  it('never reopens a cancelled or completed booking', () => {
+    [OWNER, STAFF, MANAGER].forEach((currentUser) => {
+      [
+        bookingStatus.CANCELLED,
+        bookingStatus.COMPLETED,
+      ].forEach((status) =>
+        assert.deepStrictEqual(
+          BookingStatusTransitions.nextStatuses(
+            currentUser,
+            status,
+          ),
+          [],
+        ),
+      );
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const moment = require('moment');
+const childSize = require('../enumerators/childSize');
+
+module.exports = class ChildAgeGroupCalculator {
+  static age(birthdate, date) {
+    if (!birthdate) {
+      return null;
+    }
+
+    return moment(date).diff(
+      moment(birthdate, 'YYYY-MM-DD'),
+      'years',
+    );
+  }
+
+  static ageGroupForAge(age) {
+    if (age < 3) {
+      return childSize.TODDLER;
+    }
+
+    if (age < 6) {
+      return childSize.PRESCHOOLER;
+    }
+
+    return childSize.SCHOOL_AGED;
+  }
+
+  // Children registered before birthdates were tracked keep their manual size
+  static ageGroup(child, date) {
+    if (!child) {
+      return null;
+    }
+
+    const age = this.age(child.birthdate, date);
+
+    if (age === null) {
+      return child.size || null;
+    }
+
+    return this.ageGroupForAge(age);
+  }
+
+  static isAccepted(age, settings) {
+    if (age === null || !settings) {
+      return true;
+    }
+
+    if (
+      (settings.minimumAge || settings.minimumAge === 0) &&
+      age < settings.minimumAge
+    ) {
+      return false;
+    }
+
+    if (
+      (settings.maximumAge || settings.maximumAge === 0) &&
+      age > settings.maximumAge
+    ) {
+      return false;
+    }
+
+    return true;
+  }
+};
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const ChildService = require('./childService');
+const ForbiddenError = require('../errors/forbiddenError');
+
+const PERMISSIONS = [
+  'childRead',
+  'childEdit',
+  'childReadAll',
+];
+
+// The employee role was granted at the selected location only
+function serviceOf(locationPermissions) {
+  const service = new ChildService({
+    currentUser: {
+      id: 'employee',
+      permissions: PERMISSIONS,
+      locationPermissions,
+    },
+    language: 'en',
+    location: 'selected',
+  });
+
+  service.repository.findById = async (id) => ({
+    id,
+    owner: { id: 'owner' },
+    location: { id: 'another' },
+  });
+
+  return service;
+}
+
+describe('Child location scope', () => {
+  it('rejects a child of another location', async () => {
+    await assert.rejects(
+      serviceOf(['childReadAll']).findById('child'),
+      ForbiddenError,
+    );
+  });
+
+  it('finds a child of another location with a role at every location', async () => {
+    const record = await serviceOf([]).findById('child');
+
+    assert.strictEqual(record.id, 'child');
+  });
+
+  it('creates the child at the selected location', async () => {
+    const data = {
+      name: 'Leo',
+      owner: 'owner',
+      location: 'another',
+      birthdate: '2020-01-01',
+    };
+
+    await serviceOf(['childReadAll']).validateCreate(data);
+
+    assert.strictEqual(data.location, 'selected');
+  });
+
+  it('rejects moving a child to another location', async () => {
+    await assert.rejects(
+      serviceOf(['childReadAll']).update('child', {
+        location: 'another',
+        birthdate: '2020-01-01',
+      }),
+      ForbiddenError,
+    );
+  });
+});
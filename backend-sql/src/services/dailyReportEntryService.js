@@ -0,0 +1,213 @@
+const DailyReportEntryRepository = require('../database/repositories/dailyReportEntryRepository');
+const ValidationError = require('../errors/validationError');
+const AbstractRepository = require('../database/repositories/abstractRepository');
+const BookingService = require('./booking/bookingService');
+const bookingStatus = require('../enumerators/bookingStatus');
+const dailyReportEntryType = require('../enumerators/dailyReportEntryType');
+const BookingDailyReportEmail = require('../emails/bookingDailyReportEmail');
+const EmailSender = require('./shared/email/emailSender');
+const moment = require('moment');
+const lodash = require('lodash');
+
+const FIELDS_BY_TYPE = {
+  [dailyReportEntryType.MEAL]: [
+    'mealAmount',
+    'description',
+  ],
+  [dailyReportEntryType.NAP]: ['endTime', 'description'],
+  [dailyReportEntryType.ACTIVITY]: ['description'],
+  [dailyReportEntryType.MOOD]: ['mood', 'description'],
+  [dailyReportEntryType.TOILET]: [
+    'toiletType',
+    'description',
+  ],
+};
+
+const REQUIRED_FIELD_BY_TYPE = {
+  [dailyReportEntryType.MEAL]: 'mealAmount',
+  [dailyReportEntryType.ACTIVITY]: 'description',
+  [dailyReportEntryType.MOOD]: 'mood',
+  [dailyReportEntryType.TOILET]: 'toiletType',
+};
+
+module.exports = class DailyReportEntryService {
+  constructor({ currentUser, language }) {
+    this.repository = new DailyReportEntryRepository();
+    this.bookingService = new BookingService({
+      currentUser,
+      language,
+    });
+    this.currentUser = currentUser;
+    this.language = language;
+  }
+
+  async create(bookingId, data) {
+    const booking = await this.bookingService.findById(
+      bookingId,
+    );
+
+    if (booking.status !== bookingStatus.PROGRESS) {
+      throw new ValidationError(
+        this.language,
+        'entities.dailyReportEntry.validation.bookingNotInProgress',
+      );
+    }
+
+    const time = data.time || new Date();
+    this._validate(data, time);
+
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      const record = await this.repository.create(
+        {
+          ...lodash.pick(data, FIELDS_BY_TYPE[data.type]),
+          booking: bookingId,
+          child: booking.child.id,
+          type: data.type,
+          time,
+        },
+        {
+          transaction,
+          currentUser: this.currentUser,
+        },
+      );
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+
+      return record;
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+  }
+
+  async destroy(id) {
+    const record = await this.repository.findById(id);
+
+    if (!record) {
+      throw new ValidationError(
+        this.language,
+        'entities.dailyReportEntry.validation.notFound',
+      );
+    }
+
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      await this.repository.destroy(id, {
+        transaction,
+        currentUser: this.currentUser,
+      });
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+  }
+
+  async findAllByBooking(bookingId) {
+    await this.bookingService.findById(bookingId);
+    return this.repository.findAllByBooking(bookingId);
+  }
+
+  /**
+   * Sends one email per booking at the location, or without a
+   * location when it is empty, with the entries of the day that
+   * were not reported yet.
+   */
+  async sendDailyReports(date, location) {
+    const entries = await this.repository.findAllNotReportedInPeriod(
+      moment(date)
+        .startOf('day')
+        .toDate(),
+      moment(date)
+        .endOf('day')
+        .toDate(),
+      location,
+    );
+
+    const entriesByBooking = lodash.groupBy(
+      entries,
+      (entry) => entry.booking.id,
+    );
+
+    for (const bookingEntries of Object.values(
+      entriesByBooking,
+    )) {
+      await this._sendDailyReport(
+        bookingEntries[0].booking,
+        date,
+        bookingEntries,
+      );
+    }
+  }
+
+  // Claimed along with the email, entries another run reports at
+  // the same time aren't sent twice
+  async _sendDailyReport(booking, date, entries) {
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      const ids = await this.repository.claimReported(
+        entries.map((entry) => entry.id),
+        { transaction },
+      );
+
+      const claimed = entries.filter((entry) =>
+        ids.includes(entry.id),
+      );
+
+      if (claimed.length && booking.owner) {
+        await new EmailSender(
+          new BookingDailyReportEmail(
+            this.language,
+            booking,
+            date,
+            claimed,
+          ),
+        ).send({ transaction });
+      }
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+  }
+
+  _validate(data, time) {
+    const requiredField = REQUIRED_FIELD_BY_TYPE[data.type];
+
+    if (requiredField && !data[requiredField]) {
+      throw new ValidationError(
+        this.language,
+        `entities.dailyReportEntry.validation.${requiredField}Required`,
+      );
+    }
+
+    if (
+      data.type === dailyReportEntryType.NAP &&
+      data.endTime &&
+      !moment(data.endTime).isAfter(time)
+    ) {
+      throw new ValidationError(
+        this.language,
+        'entities.dailyReportEntry.validation.endTimeBeforeTime',
+      );
+    }
+  }
+};
@@ -0,0 +1,58 @@
+const SettingsService = require('./settingsService');
+const LocationRepository = require('../database/repositories/locationRepository');
+const DailyReportEntryService = require('./dailyReportEntryService');
+const moment = require('moment');
+
+const INTERVAL = 60 * 60 * 1000;
+const DEFAULT_DAILY_REPORT_HOUR = 18;
+const LANGUAGE = 'en';
+
+module.exports = class DailyReportJob {
+  static start(interval = INTERVAL) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => console.error(error));
+    }, interval);
+  }
+
+  static stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Meant to run once an hour. Only sends the daily reports of
+   * each location during the hour configured in its settings, the
+   * bookings without a location follow the default settings.
+   */
+  static async run(date = new Date()) {
+    const locations = await new LocationRepository().findAll();
+
+    for (const location of [
+      null,
+      ...locations.map((item) => item.id),
+    ]) {
+      const settings = await SettingsService.findOrCreateDefault(
+        null,
+        location,
+      );
+
+      const dailyReportHour =
+        settings.dailyReportHour ||
+        settings.dailyReportHour === 0
+          ? settings.dailyReportHour
+          : DEFAULT_DAILY_REPORT_HOUR;
+
+      if (moment(date).hour() !== dailyReportHour) {
+        continue;
+      }
+
+      await new DailyReportEntryService({
+        language: LANGUAGE,
+      }).sendDailyReports(date, location);
+    }
+  }
+};
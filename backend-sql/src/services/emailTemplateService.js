@@ -0,0 +1,129 @@
+const EmailTemplateRepository = require('../database/repositories/emailTemplateRepository');
+const AbstractRepository = require('../database/repositories/abstractRepository');
+const ValidationError = require('../errors/validationError');
+const emails = require('../emails');
+const { i18nExists } = require('../i18n');
+
+module.exports = class EmailTemplateService {
+  constructor({ currentUser, language }) {
+    this.currentUser = currentUser;
+    this.language = language;
+  }
+
+  async findAll(language) {
+    this._validateLanguage(language);
+
+    return Promise.all(
+      emails.map((Email) => this._find(Email, language)),
+    );
+  }
+
+  async save(template, language, data) {
+    const Email = this._findEmail(template);
+    this._validateLanguage(language);
+
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      await EmailTemplateRepository.save(
+        template,
+        language,
+        data,
+        {
+          transaction,
+          currentUser: this.currentUser,
+        },
+      );
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+
+    return this._find(Email, language);
+  }
+
+  async reset(template, language) {
+    const Email = this._findEmail(template);
+    this._validateLanguage(language);
+
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      await EmailTemplateRepository.destroy(
+        template,
+        language,
+        {
+          transaction,
+          currentUser: this.currentUser,
+        },
+      );
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+
+    return this._find(Email, language);
+  }
+
+  async preview(template, language, data) {
+    const Email = this._findEmail(template);
+    this._validateLanguage(language);
+
+    return Email.sample(language).render(data);
+  }
+
+  async _find(Email, language) {
+    const record = await EmailTemplateRepository.findByTemplateAndLanguage(
+      Email.template,
+      language,
+    );
+
+    const { subject, body } =
+      record || Email.bundledTemplate(language);
+
+    return {
+      template: Email.template,
+      language,
+      subject,
+      body,
+      variables: Email.variableNames,
+      customized: !!record,
+    };
+  }
+
+  _findEmail(template) {
+    const Email = emails.find(
+      (Email) => Email.template === template,
+    );
+
+    if (!Email) {
+      throw new ValidationError(
+        this.language,
+        'entities.emailTemplate.validation.templateNotFound',
+      );
+    }
+
+    return Email;
+  }
+
+  _validateLanguage(language) {
+    if (!i18nExists(language, 'app.title')) {
+      throw new ValidationError(
+        this.language,
+        'entities.emailTemplate.validation.languageNotFound',
+      );
+    }
+  }
+};
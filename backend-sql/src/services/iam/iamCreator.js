@@ -5,7 +5,10 @@ const ForbiddenError = require('../../errors/forbiddenError');
 const EmailSender = require('../shared/email/emailSender');
 const UserRepository = require('../../database/repositories/userRepository');
 const UserRoleChecker = require('./userRoleChecker');
+const RoleService = require('./roleService');
 const Roles = require('../../security/roles');
+const NotificationService = require('../notificationService');
+const notificationType = require('../../enumerators/notificationType');
 
 module.exports = class IamCreator {
   constructor(currentUser, language) {
@@ -45,6 +48,7 @@ module.exports = class IamCreator {
 
     if (this._hasEmailsToInvite) {
       await this._sendAllInvitationEmails();
+      await this._notifyAllInvited();
     }
   }
 
@@ -167,6 +171,20 @@ module.exports = class IamCreator {
     );
   }
 
+  async _notifyAllInvited() {
+    for (const email of this.emailsToInvite) {
+      const user = await UserRepository.findByEmailWithoutAvatar(
+        email,
+      );
+
+      await NotificationService.notify(
+        user ? user.id : null,
+        notificationType.INVITATION,
+        { roles: this._roles },
+      );
+    }
+  }
+
   async _validate() {
     assert(this.currentUser, 'currentUser is required');
 
@@ -190,6 +208,11 @@ module.exports = class IamCreator {
       'roles is required',
     );
 
+    await RoleService.validateExist(
+      this._roles,
+      this.language,
+    );
+
     this._validateAllowedRoles();
   }
 
@@ -0,0 +1,138 @@
+const LocationRepository = require('../database/repositories/locationRepository');
+const ChildRepository = require('../database/repositories/childRepository');
+const BookingRepository = require('../database/repositories/bookingRepository');
+const UserRoleRepository = require('../database/repositories/userRoleRepository');
+const ValidationError = require('../errors/validationError');
+const AbstractRepository = require('../database/repositories/abstractRepository');
+
+module.exports = class LocationService {
+  constructor({ currentUser, language }) {
+    this.repository = new LocationRepository();
+    this.childRepository = new ChildRepository();
+    this.bookingRepository = new BookingRepository();
+    this.currentUser = currentUser;
+    this.language = language;
+  }
+
+  /**
+   * Returns the id of the location selected in the app header,
+   * or null when it is empty or doesn't exist.
+   */
+  static async findSelected(id) {
+    if (!id) {
+      return null;
+    }
+
+    try {
+      const record = await new LocationRepository().findById(
+        id,
+      );
+      return record ? record.id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async findAll() {
+    return this.repository.findAll();
+  }
+
+  async create(data) {
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      const record = await this.repository.create(data, {
+        transaction,
+        currentUser: this.currentUser,
+      });
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+
+      return record;
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+  }
+
+  async update(id, data) {
+    await this._validateExists(id);
+
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      const record = await this.repository.update(
+        id,
+        data,
+        {
+          transaction,
+          currentUser: this.currentUser,
+        },
+      );
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+
+      return record;
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+  }
+
+  async destroy(id) {
+    await this._validateExists(id);
+    await this._validateNotInUse(id);
+
+    const transaction = await AbstractRepository.createTransaction();
+
+    try {
+      await this.repository.destroy(id, {
+        transaction,
+        currentUser: this.currentUser,
+      });
+
+      await AbstractRepository.commitTransaction(
+        transaction,
+      );
+    } catch (error) {
+      await AbstractRepository.rollbackTransaction(
+        transaction,
+      );
+      throw error;
+    }
+  }
+
+  async _validateExists(id) {
+    const record = await this.repository.findById(id);
+
+    if (!record) {
+      throw new ValidationError(
+        this.language,
+        'entities.location.validation.notFound',
+      );
+    }
+  }
+
+  async _validateNotInUse(id) {
+    const counts = await Promise.all([
+      this.childRepository.count({ locationId: id }),
+      this.bookingRepository.count({ locationId: id }),
+      UserRoleRepository.countByLocation(id),
+    ]);
+
+    if (counts.some((count) => count > 0)) {
+      throw new ValidationError(
+        this.language,
+        'entities.location.validation.inUse',
+      );
+    }
+  }
+};
@@ -0,0 +1,54 @@
+const NotificationRepository = require('../database/repositories/notificationRepository');
+
+module.exports = class NotificationService {
+  constructor({ currentUser, language }) {
+    this.currentUser = currentUser;
+    this.language = language;
+  }
+
+  /**
+   * Notifications are a side effect of other operations,
+   * so a failure here must not fail the operation itself.
+   */
+  static async notify(userId, type, data) {
+    if (!userId) {
+      return;
+    }
+
+    try {
+      await NotificationRepository.create({
+        user: userId,
+        type,
+        data,
+      });
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  async findAndCountAll(args) {
+    return NotificationRepository.findAndCountAllByUser(
+      this.currentUser.id,
+      args,
+    );
+  }
+
+  async countUnread() {
+    return NotificationRepository.countUnreadByUser(
+      this.currentUser.id,
+    );
+  }
+
+  async markAsRead(ids) {
+    await NotificationRepository.markAsRead(
+      this.currentUser.id,
+      ids,
+    );
+  }
+
+  async markAllAsRead() {
+    await NotificationRepository.markAllAsRead(
+      this.currentUser.id,
+    );
+  }
+};
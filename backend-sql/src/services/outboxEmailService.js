@@ -0,0 +1,36 @@
+const OutboxEmailRepository = require('../database/repositories/outboxEmailRepository');
+const EmailOutboxWorker = require('./shared/email/emailOutboxWorker');
+const ValidationError = require('../errors/validationError');
+const outboxEmailStatus = require('../enumerators/outboxEmailStatus');
+
+module.exports = class OutboxEmailService {
+  constructor({ currentUser, language }) {
+    this.currentUser = currentUser;
+    this.language = language;
+  }
+
+  async findAndCountAll(args) {
+    return OutboxEmailRepository.findAndCountAll(args);
+  }
+
+  async resend(id) {
+    const record = await OutboxEmailRepository.findById(id);
+
+    if (!record) {
+      throw new ValidationError(
+        this.language,
+        'entities.outboxEmail.validation.notFound',
+      );
+    }
+
+    // Claimed, so the worker doesn't deliver it at the same time
+    const pending = await OutboxEmailRepository.update(id, {
+      status: outboxEmailStatus.PENDING,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: EmailOutboxWorker.claimedUntil(),
+    });
+
+    return EmailOutboxWorker.process(pending);
+  }
+};
@@ -1,4 +1,5 @@
 const SettingsRepository = require('../database/repositories/settingsRepository');
+const lodash = require('lodash');
 
 const DEFAULT_SETTINGS = {
   id: 'default',
@@ -6,25 +7,56 @@ const DEFAULT_SETTINGS = {
 };
 
 class SettingsService {
-  static async findOrCreateDefault(currentUser) {
-    return SettingsRepository.findOrCreateDefault(
+  static async findOrCreateDefault(
+    currentUser,
+    location,
+    options,
+  ) {
+    const settings = await SettingsRepository.findOrCreateDefault(
       DEFAULT_SETTINGS,
-      { currentUser },
+      { ...options, currentUser },
+    );
+
+    if (!location) {
+      return settings;
+    }
+
+    // A new location starts with a copy of the default settings
+    return SettingsRepository.findOrCreateForLocation(
+      location,
+      settings.get({ plain: true }),
+      { ...options, currentUser },
     );
   }
 
-  static async save(data, currentUser) {
+  static async save(data, currentUser, location) {
+    await this.findOrCreateDefault(currentUser, location);
+
     const transaction = await SettingsRepository.createTransaction();
 
-    const settings = await SettingsRepository.save(data, {
-      currentUser,
-      transaction,
-    });
+    const settings = await SettingsRepository.save(
+      location || DEFAULT_SETTINGS.id,
+      data,
+      {
+        currentUser,
+        transaction,
+      },
+    );
 
     await SettingsRepository.commitTransaction(transaction);
 
     return settings;
   }
+
+  static capacityForChildSize(settings, size) {
+    if (!settings) {
+      return 0;
+    }
+
+    return (
+      settings[`capacity${lodash.upperFirst(size)}`] || 0
+    );
+  }
 }
 
 module.exports = SettingsService;
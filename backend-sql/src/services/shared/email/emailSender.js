@@ -1,34 +1,48 @@
 const config = require('../../../../config')();
 const assert = require('assert');
 const nodemailer = require('../../../external/nodemailer')();
+const OutboxEmailRepository = require('../../../database/repositories/outboxEmailRepository');
 
 module.exports = class EmailSender {
   constructor(email) {
     this.email = email;
   }
 
-  async send() {
+  async send(options) {
+    assert(this.email, 'email is required');
+    assert(this.email.to, 'email.to is required');
+
+    const { subject, html } = await this.email.render();
+
+    assert(subject, 'email.subject is required');
+    assert(html, 'email.html is required');
+
+    return OutboxEmailRepository.create(
+      {
+        to: this.email.to,
+        subject,
+        html,
+      },
+      options,
+    );
+  }
+
+  static async deliver(outboxEmail) {
     if (!EmailSender.isConfigured) {
-      console.error(
+      throw new Error(
         `Email provider is not configured. Please configure it at backend/config/<environment>.json.`,
       );
-      return;
     }
 
-    assert(this.email, 'email is required');
-    assert(this.email.to, 'email.to is required');
-    assert(this.email.subject, 'email.subject is required');
-    assert(this.email.html, 'email.html is required');
-
     const transporter = nodemailer.createTransport(
-      this.transportConfig,
+      EmailSender.transportConfig,
     );
 
     const mailOptions = {
-      from: this.from,
-      to: this.email.to,
-      subject: this.email.subject,
-      html: this.email.html,
+      from: EmailSender.from,
+      to: outboxEmail.to,
+      subject: outboxEmail.subject,
+      html: outboxEmail.html,
     };
 
     return transporter.sendMail(mailOptions);
@@ -42,11 +56,11 @@ module.exports = class EmailSender {
     );
   }
 
-  get transportConfig() {
+  static get transportConfig() {
     return config.email;
   }
 
-  get from() {
+  static get from() {
     return config.email.from;
   }
 };
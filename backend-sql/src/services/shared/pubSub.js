@@ -0,0 +1,5 @@
+const { PubSub } = require('graphql-subscriptions');
+
+// Kept in memory, so the events only reach the clients
+// connected to the same server instance.
+module.exports = new PubSub();
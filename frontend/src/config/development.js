@@ -16,7 +16,12 @@ const backendUrl = `https://us-central1-${firebaseConfig.projectId}.cloudfunctio
 // App Engine
 // const backendUrl = `<insert app engine url here>`;
 
+// Subscriptions are only served by App Engine
+const subscriptionsUrl = null;
+// const subscriptionsUrl = `<insert app engine websocket url here>/subscriptions`;
+
 export default {
   firebaseConfig,
   backendUrl,
+  subscriptionsUrl,
 };
@@ -17,8 +17,10 @@ const firebaseConfig = {
 
 // App Engine / Debug
 const backendUrl = `http://localhost:8080`;
+const subscriptionsUrl = `ws://localhost:8080/subscriptions`;
 
 export default {
   firebaseConfig,
   backendUrl,
+  subscriptionsUrl,
 };
@@ -1,7 +1,9 @@
 const firebaseConfig = null;
 const backendUrl = null;
+const subscriptionsUrl = null;
 
 export default {
   firebaseConfig,
   backendUrl,
+  subscriptionsUrl,
 };
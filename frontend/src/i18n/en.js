@@ -19,6 +19,7 @@ const en = {
     view: 'View',
     destroy: 'Delete',
     mustSelectARow: 'Must select a row',
+    add: 'Add',
   },
 
   app: {
@@ -53,15 +54,42 @@ const en = {
       fields: {
         id: 'Id',
         owner: 'Owner',
+        location: 'Location',
         name: 'Name',
         type: 'Gender',
         // breed: 'Breed',
         size: 'Age Group',
         bookings: 'Bookings',
+        birthdate: 'Date of Birth',
+        guardians: 'Authorized Pick-up',
+        allergies: 'Allergies',
+        dietaryRestrictions: 'Dietary Restrictions',
+        medications: 'Medications',
+        medicationName: 'Medication',
+        dosage: 'Dosage',
+        schedule: 'Schedule',
+        doctorName: 'Doctor',
+        doctorPhone: 'Doctor Phone',
+        emergencyContacts: 'Emergency Contacts',
+        contactName: 'Name',
+        contactRelationship: 'Relationship',
+        contactPhone: 'Phone',
         createdAt: 'Created at',
         updatedAt: 'Updated at',
         createdAtRange: 'Created at',
       },
+      allergyWarning: 'Allergies',
+      guardians: {
+        add: 'Add person',
+        hint:
+          'Only these people and the owner may pick the child up.',
+        fields: {
+          name: 'Name',
+          relationship: 'Relationship',
+          phone: 'Phone',
+          photo: 'Photo',
+        },
+      },
       enumerators: {
         type: {
           boy: 'Boy',
@@ -98,6 +126,76 @@ const en = {
       },
       create: {
         success: 'Booking saved successfully',
+        waitlisted:
+          'The period is full, so the booking was added to the waitlist. We will email you when a spot opens up.',
+      },
+      checkIn: {
+        button: 'Check-in',
+        success: 'Booking checked in successfully',
+      },
+      checkOut: {
+        button: 'Check-out',
+        success: 'Booking checked out successfully',
+      },
+      cancel: {
+        button: 'Cancel Booking',
+        title: 'Cancel Booking',
+        confirm: 'Cancel Booking',
+        success: 'Booking cancelled successfully',
+      },
+      feeBreakdown: {
+        base: 'Daily fee x {0}',
+        weekendSurcharge: 'Weekend surcharge x {0}',
+        holiday: 'Holiday rate x {0}',
+        siblingDiscount: 'Sibling discount',
+        longStayDiscount: 'Long-stay discount',
+      },
+      payments: {
+        fields: {
+          id: 'Id',
+          amount: 'Amount',
+          method: 'Method',
+          paidAt: 'Paid At',
+          notes: 'Notes',
+        },
+        enumerators: {
+          method: {
+            cash: 'Cash',
+            card: 'Card',
+            bankTransfer: 'Bank Transfer',
+            other: 'Other',
+          },
+        },
+        create: {
+          button: 'Record Payment',
+          title: 'Record Payment',
+          success: 'Payment recorded successfully',
+        },
+        destroy: {
+          success: 'Payment deleted successfully',
+        },
+      },
+      invoice: {
+        button: 'Invoice',
+        title: 'Invoice',
+        number: 'Invoice #{0}',
+        print: 'Print',
+        reissue: 'Reissue Invoice',
+        issue: {
+          button: 'Issue Invoice',
+          success: 'Invoice issued successfully',
+        },
+        notIssued:
+          'No invoice has been issued for this booking yet.',
+        outdated:
+          'The booking fee changed after this invoice was issued. Reissue it to update the amount.',
+        billTo: 'Bill To',
+        fields: {
+          description: 'Description',
+          amount: 'Amount',
+          issuedAt: 'Issued At',
+          total: 'Total',
+        },
       },
       update: {
         success: 'Booking saved successfully',
@@ -114,6 +212,7 @@ const en = {
       fields: {
         id: 'Id',
         owner: 'Owner',
+        location: 'Location',
         child: 'Child',
         arrivalRange: 'Arrival',
         arrival: 'Arrival',
@@ -124,8 +223,15 @@ const en = {
         photos: 'Photos',
         status: 'Status',
         cancellationNotes: 'Cancellation Notes',
+        ageGroup: 'Age Group',
+        statusHistory: 'Status History',
         feeRange: 'Total Fee',
         fee: 'Total Fee',
+        feeBreakdown: 'Fee Breakdown',
+        amountPaid: 'Amount Paid',
+        balance: 'Balance',
+        outstanding: 'Outstanding Balance',
+        payments: 'Payments',
         receipt: 'Receipt',
         createdAt: 'Created at',
         updatedAt: 'Updated at',
@@ -135,6 +241,7 @@ const en = {
       enumerators: {
         status: {
           booked: 'Booked',
+          waitlisted: 'Waitlisted',
           progress: 'In Progress',
           cancelled: 'Cancelled',
           completed: 'Completed',
@@ -145,6 +252,7 @@ const en = {
       },
       view: {
         title: 'View Booking',
+        details: 'Details',
       },
       importer: {
         title: 'Import Bookings',
@@ -152,12 +260,141 @@ const en = {
         hint:
           'Files/Images columns must be the URLs of the files separated by space.',
       },
+      occupancy: {
+        menu: 'Occupancy',
+        title: 'Occupancy',
+        remaining: '{0} spot(s) left',
+        groupCount: '{0} of {1}',
+      },
       validation: {
         periodPast: 'The period must be in the future',
         periodFull:
           'Sorry, the Childcare Center is full at this time',
       },
     },
+    attendance: {
+      menu: 'Attendance',
+      empty: 'No attendance recorded yet',
+      fields: {
+        id: 'Id',
+        checkInAt: 'Drop-off',
+        checkOutAt: 'Pick-up',
+        droppedOffBy: 'Dropped Off By',
+        pickedUpBy: 'Picked Up By',
+        notes: 'Notes',
+      },
+      checkIn: {
+        button: 'Drop-off',
+        success: 'Drop-off recorded successfully',
+      },
+      checkOut: {
+        button: 'Pick-up',
+        success: 'Pick-up recorded successfully',
+        authorizedHint:
+          'Only people authorized for this child are listed.',
+      },
+    },
+    dailyReportEntry: {
+      menu: 'Daily Report',
+      empty: 'No report entries yet',
+      fields: {
+        id: 'Id',
+        type: 'Type',
+        time: 'Time',
+        endTime: 'Woke Up',
+        mealAmount: 'Amount Eaten',
+        mood: 'Mood',
+        toiletType: 'Event',
+        description: 'Description',
+      },
+      enumerators: {
+        type: {
+          meal: 'Meal',
+          nap: 'Nap',
+          activity: 'Activity',
+          mood: 'Mood',
+          toilet: 'Diaper/Toilet',
+        },
+        mealAmount: {
+          all: 'All',
+          most: 'Most',
+          some: 'Some',
+          none: 'None',
+        },
+        mood: {
+          happy: 'Happy',
+          calm: 'Calm',
+          tired: 'Tired',
+          sad: 'Sad',
+          upset: 'Upset',
+        },
+        toiletType: {
+          wet: 'Wet',
+          bowelMovement: 'Bowel Movement',
+          dry: 'Dry',
+          potty: 'Used the Potty',
+        },
+      },
+      new: {
+        button: 'Add Entry',
+        title: 'New Report Entry',
+      },
+      create: {
+        success: 'Report entry added successfully',
+      },
+      destroy: {
+        success: 'Report entry deleted successfully',
+      },
+    },
+    location: {
+      name: 'location',
+      label: 'Locations',
+      all: 'All locations',
+      fields: {
+        id: 'Id',
+        name: 'Name',
+        address: 'Address',
+      },
+      new: {
+        title: 'New Location',
+      },
+      edit: {
+        title: 'Edit Location',
+      },
+      save: {
+        success: 'Location saved successfully',
+      },
+      destroy: {
+        success: 'Location deleted successfully',
+      },
+    },
+    role: {
+      name: 'role',
+      label: 'Roles',
+      menu: 'Roles',
+      builtIn: 'Built-in',
+      fields: {
+        id: 'Id',
+        name: 'Name',
+        permissions: 'Permissions',
+      },
+      hints: {
+        id:
+          'Letters and numbers only, it cannot be changed later',
+      },
+      new: {
+        title: 'New Role',
+      },
+      edit: {
+        title: 'Edit Role',
+      },
+      save: {
+        success: 'Role saved successfully',
+      },
+      destroy: {
+        success: 'Role deleted successfully',
+      },
+    },
   },
 
   auth: {
@@ -165,6 +402,23 @@ const en = {
       title: 'Edit Profile',
       success: 'Profile updated successfully',
     },
+    registration: {
+      title: 'Complete your registration',
+      steps: {
+        profile: 'Your details',
+        children: 'Children',
+        confirm: 'Confirm',
+      },
+      next: 'Next',
+      previous: 'Previous',
+      addChild: 'Add child',
+      noChildren: 'Add at least one child to continue',
+      submit: 'Complete registration',
+      success:
+        'Registration completed. Your account is now waiting for approval.',
+      pending:
+        'Your account is waiting for approval. You can book once the Childcare Center approves it.',
+    },
     createAnAccount: 'Create an account',
     rememberMe: 'Remember me',
     forgotPassword: 'Forgot password',
@@ -216,6 +470,8 @@ const en = {
     enabled: 'Enabled',
     enable: 'Enable',
     doEnableSuccess: 'User enabled successfully',
+    approve: 'Approve',
+    doApproveSuccess: 'User(s) approved successfully',
     doDisableSuccess: 'User disabled successfully',
     doDisableAllSuccess: 'User(s) disabled successfully',
     doEnableAllSuccess: 'User(s) enabled successfully',
@@ -246,6 +502,10 @@ const en = {
       title: 'View User',
       activity: 'Activity',
     },
+    locationRoles: {
+      hint:
+        'Manager and employee roles that only apply while the location is selected.',
+    },
     importer: {
       title: 'Import Users',
       fileName: 'users_import_template',
@@ -278,6 +538,8 @@ const en = {
       createdAt: 'Created at',
       updatedAt: 'Updated at',
       roleUser: 'Role/User',
+      locationRoles: 'Location Roles',
+      location: 'Location',
       roles: 'Roles',
       createdAtRange: 'Created at',
       password: 'Password',
@@ -285,6 +547,7 @@ const en = {
     },
     enabled: 'Enabled',
     disabled: 'Disabled',
+    approvalPending: 'Pending approval',
     validations: {
       // eslint-disable-next-line
       email: 'Email ${value} is invalid',
@@ -309,6 +572,51 @@ const en = {
       createdByEmail: 'User Email',
     },
   },
+  notification: {
+    title: 'Notifications',
+    empty: 'No notifications',
+    markAllAsRead: 'Mark all as read',
+    types: {
+      bookingStatusChanged: `{0}'s booking is now {1}`,
+      bookingPhotosAdded: '{2} new photo(s) of {0}',
+      bookingWaitlistPromoted: `{0}'s waitlisted booking is now confirmed`,
+      invitation: 'Welcome! You have been invited to join',
+      accountApproved:
+        'Your account has been approved. You can now book!',
+    },
+  },
+
+  outboxEmail: {
+    menu: 'Email Log',
+    title: 'Email Log',
+    exporterFileName: 'email_log_export',
+    resend: {
+      button: 'Resend',
+      success: 'Email sent successfully',
+      error:
+        'The email could not be sent. It will be retried automatically.',
+    },
+    fields: {
+      id: 'Id',
+      to: 'To',
+      subject: 'Subject',
+      html: 'Content',
+      status: 'Status',
+      attempts: 'Attempts',
+      lastError: 'Last error',
+      nextAttemptAt: 'Next attempt',
+      sentAt: 'Sent at',
+      createdAt: 'Created at',
+      createdAtRange: 'Created at',
+    },
+    enumerators: {
+      status: {
+        pending: 'Pending',
+        sent: 'Sent',
+        failed: 'Failed',
+      },
+    },
+  },
   settings: {
     title: 'Settings',
     menu: 'Settings',
@@ -316,10 +624,79 @@ const en = {
       success:
         'Settings saved successfully. The page will reload in {0} seconds for changes to take effect.',
     },
+    tabs: {
+      general: 'General',
+      emailTemplates: 'Email Templates',
+      locations: 'Locations',
+    },
+    locationHint:
+      'These settings apply to the location selected in the header. Reminders and self-registration are shared by all locations.',
+    emailTemplates: {
+      variables: 'Available variables:',
+      preview: 'Preview',
+      save: {
+        success: 'Email template saved successfully',
+      },
+      reset: {
+        button: 'Restore default',
+        success: 'Email template restored to the default',
+      },
+      fields: {
+        subject: 'Subject',
+        body: 'Body (HTML)',
+      },
+      templates: {
+        invitation: 'Invitation',
+        emailAddressVerification:
+          'Email address verification',
+        passwordReset: 'Password reset',
+        bookingDailyReport: 'Daily report',
+        bookingWaitlistPromoted:
+          'Waitlisted booking confirmed',
+        bookingArrivalReminder: 'Arrival reminder',
+        bookingDepartureReminder: 'Departure reminder',
+        staffDailyDigest: 'Staff daily digest',
+      },
+    },
     fields: {
       theme: 'Theme',
       dailyFee: 'Daily Fee',
-      capacity: 'Capacity',
+      capacityToddler: 'Capacity (Toddler)',
+      capacityPreschooler: 'Capacity (Preschooler)',
+      capacitySchoolAged: 'Capacity (School Aged)',
+      minimumAge: 'Minimum Age (years)',
+      maximumAge: 'Maximum Age (years)',
+      arrivalReminderDays:
+        'Arrival Reminder (days before, empty to disable)',
+      reminderHour: 'Reminders Hour (0-23)',
+      dailyReportHour: 'Daily Reports Hour (0-23)',
+      pricingRules: 'Pricing Rules',
+      selfRegistration: 'Self-registration',
+    },
+    hints: {
+      selfRegistration:
+        'New parents complete a registration wizard and must be approved by a manager before booking.',
+    },
+    pricingRules: {
+      add: 'Add rule',
+      hint:
+        'Surcharges apply per day of the booking. Discounts apply to the total.',
+      fields: {
+        type: 'Type',
+        percentage: 'Percentage',
+        minDays: 'Minimum days',
+        minChildren: 'Minimum children',
+        dates: 'Dates (YYYY-MM-DD)',
+      },
+      types: {
+        weekendSurcharge: 'Weekend surcharge',
+        holiday: 'Holiday rate',
+        siblingDiscount: 'Sibling discount',
+        longStayDiscount: 'Long-stay discount',
+      },
+      errors: {
+        date: 'Dates must be in the YYYY-MM-DD format',
+      },
     },
     colors: {
       default: 'Default',
@@ -338,6 +715,16 @@ const en = {
   },
   home: {
     menu: 'Home',
+    dashboard: {
+      occupancy: 'Occupancy per day',
+      booked: 'Booked',
+      capacity: 'Capacity',
+      revenue: 'Revenue',
+      revenueByMonth: 'Revenue per month',
+      bookingsByStatus: 'Bookings by status',
+      cancellationRate: 'Cancellation rate',
+      childrenByAgeGroup: 'Children by age group',
+    },
   },
   errors: {
     backToHome: 'Back to home',
@@ -454,6 +841,16 @@ const en = {
     loading: 'Loading...',
   },
 
+  search: {
+    placeholder: 'Search children, owners and bookings',
+    empty: 'No results',
+    types: {
+      child: 'Children',
+      owner: 'Owners',
+      booking: 'Bookings',
+    },
+  },
+
   imagesViewer: {
     noImage: 'No image',
   },
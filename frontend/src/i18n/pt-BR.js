@@ -18,6 +18,7 @@ const ptBR = {
     areYouSure: 'Tem certeza?',
     view: 'Visualizar',
     destroy: 'Deletar',
+    add: 'Adicionar',
     mustSelectARow: 'Selecine uma linha',
   },
 
@@ -53,15 +54,42 @@ const ptBR = {
       fields: {
         id: 'Id',
         owner: 'Dono',
+        location: 'Local',
         name: 'Nome',
         type: 'Tipo',
         // breed: 'Raça',
         size: 'Tamanho',
         bookings: 'Reservas',
+        birthdate: 'Data de Nascimento',
+        guardians: 'Autorizados a Buscar',
+        allergies: 'Alergias',
+        dietaryRestrictions: 'Restrições Alimentares',
+        medications: 'Medicamentos',
+        medicationName: 'Medicamento',
+        dosage: 'Dosagem',
+        schedule: 'Horário',
+        doctorName: 'Médico',
+        doctorPhone: 'Telefone do Médico',
+        emergencyContacts: 'Contatos de Emergência',
+        contactName: 'Nome',
+        contactRelationship: 'Parentesco',
+        contactPhone: 'Telefone',
         createdAt: 'Criado em',
         updatedAt: 'Atualizado em',
         createdAtRange: 'Criado em',
       },
+      allergyWarning: 'Alergias',
+      guardians: {
+        add: 'Adicionar pessoa',
+        hint:
+          'Somente estas pessoas e o responsável podem buscar a criança.',
+        fields: {
+          name: 'Nome',
+          relationship: 'Parentesco',
+          phone: 'Telefone',
+          photo: 'Foto',
+        },
+      },
       enumerators: {
         type: {
           boy: 'Gato',
@@ -98,6 +126,77 @@ const ptBR = {
       },
       create: {
         success: 'Reserva salvo com sucesso',
+        waitlisted:
+          'O período está lotado, então a reserva foi adicionada à lista de espera. Enviaremos um e-mail quando uma vaga for liberada.',
+      },
+      checkIn: {
+        button: 'Check-in',
+        success: 'Check-in realizado com sucesso',
+      },
+      checkOut: {
+        button: 'Check-out',
+        success: 'Check-out realizado com sucesso',
+      },
+      cancel: {
+        button: 'Cancelar Reserva',
+        title: 'Cancelar Reserva',
+        confirm: 'Cancelar Reserva',
+        success: 'Reserva cancelada com sucesso',
+      },
+      feeBreakdown: {
+        base: 'Diária x {0}',
+        weekendSurcharge:
+          'Adicional de fim de semana x {0}',
+        holiday: 'Tarifa de feriado x {0}',
+        siblingDiscount: 'Desconto de irmãos',
+        longStayDiscount: 'Desconto de longa estadia',
+      },
+      payments: {
+        fields: {
+          id: 'Id',
+          amount: 'Valor',
+          method: 'Forma',
+          paidAt: 'Pago em',
+          notes: 'Observações',
+        },
+        enumerators: {
+          method: {
+            cash: 'Dinheiro',
+            card: 'Cartão',
+            bankTransfer: 'Transferência Bancária',
+            other: 'Outro',
+          },
+        },
+        create: {
+          button: 'Registrar Pagamento',
+          title: 'Registrar Pagamento',
+          success: 'Pagamento registrado com sucesso',
+        },
+        destroy: {
+          success: 'Pagamento deletado com sucesso',
+        },
+      },
+      invoice: {
+        button: 'Fatura',
+        title: 'Fatura',
+        number: 'Fatura nº {0}',
+        print: 'Imprimir',
+        reissue: 'Reemitir Fatura',
+        issue: {
+          button: 'Emitir Fatura',
+          success: 'Fatura emitida com sucesso',
+        },
+        notIssued:
+          'Nenhuma fatura foi emitida para esta reserva ainda.',
+        outdated:
+          'O valor da reserva mudou após a emissão desta fatura. Reemita-a para atualizar o valor.',
+        billTo: 'Cobrar de',
+        fields: {
+          description: 'Descrição',
+          amount: 'Valor',
+          issuedAt: 'Emitida em',
+          total: 'Total',
+        },
       },
       update: {
         success: 'Reserva salvo com sucesso',
@@ -114,6 +213,7 @@ const ptBR = {
       fields: {
         id: 'Id',
         owner: 'Dono',
+        location: 'Local',
         child: 'Child',
         arrivalRange: 'Chegada',
         arrival: 'Chegada',
@@ -124,8 +224,15 @@ const ptBR = {
         photos: 'Fotos',
         status: 'Status',
         cancellationNotes: 'Notas de Cancelamento',
+        ageGroup: 'Faixa Etária',
+        statusHistory: 'Histórico de Status',
         feeRange: 'Valor Total',
         fee: 'Valor Total',
+        feeBreakdown: 'Detalhamento do Valor',
+        amountPaid: 'Valor Pago',
+        balance: 'Saldo',
+        outstanding: 'Saldo em Aberto',
+        payments: 'Pagamentos',
         receipt: 'Recibo',
         createdAt: 'Criado em',
         updatedAt: 'Atualizado em',
@@ -135,6 +242,7 @@ const ptBR = {
       enumerators: {
         status: {
           booked: 'Reservado',
+          waitlisted: 'Lista de espera',
           progress: 'Em progresso',
           cancelled: 'Cancelado',
           completed: 'Completado',
@@ -145,6 +253,7 @@ const ptBR = {
       },
       view: {
         title: 'Visualizar Reserva',
+        details: 'Detalhes',
       },
       importer: {
         title: 'Importar Reservas',
@@ -152,12 +261,141 @@ const ptBR = {
         hint:
           'Arquivos/Imagens devem ser as URLs dos arquivos, separados por espaço. Relacionamentos devem ser os IDs separados por espaço.',
       },
+      occupancy: {
+        menu: 'Ocupação',
+        title: 'Ocupação',
+        remaining: '{0} vaga(s) restante(s)',
+        groupCount: '{0} de {1}',
+      },
       validation: {
         periodPast: 'O período deve estar no futuro',
         periodFull:
           'Desculpe, o Childcare Center está cheio neste período',
       },
     },
+    attendance: {
+      menu: 'Presença',
+      empty: 'Nenhuma presença registrada ainda',
+      fields: {
+        id: 'Id',
+        checkInAt: 'Entrada',
+        checkOutAt: 'Saída',
+        droppedOffBy: 'Entregue por',
+        pickedUpBy: 'Retirado por',
+        notes: 'Observações',
+      },
+      checkIn: {
+        button: 'Registrar Entrada',
+        success: 'Entrada registrada com sucesso',
+      },
+      checkOut: {
+        button: 'Registrar Saída',
+        success: 'Saída registrada com sucesso',
+        authorizedHint:
+          'Somente pessoas autorizadas para esta criança são listadas.',
+      },
+    },
+    dailyReportEntry: {
+      menu: 'Relatório Diário',
+      empty: 'Nenhum registro no relatório ainda',
+      fields: {
+        id: 'Id',
+        type: 'Tipo',
+        time: 'Horário',
+        endTime: 'Acordou',
+        mealAmount: 'Quanto Comeu',
+        mood: 'Humor',
+        toiletType: 'Evento',
+        description: 'Descrição',
+      },
+      enumerators: {
+        type: {
+          meal: 'Refeição',
+          nap: 'Soneca',
+          activity: 'Atividade',
+          mood: 'Humor',
+          toilet: 'Fralda/Banheiro',
+        },
+        mealAmount: {
+          all: 'Tudo',
+          most: 'Quase tudo',
+          some: 'Pouco',
+          none: 'Nada',
+        },
+        mood: {
+          happy: 'Feliz',
+          calm: 'Calmo',
+          tired: 'Cansado',
+          sad: 'Triste',
+          upset: 'Chateado',
+        },
+        toiletType: {
+          wet: 'Molhada',
+          bowelMovement: 'Evacuação',
+          dry: 'Seca',
+          potty: 'Usou o Penico',
+        },
+      },
+      new: {
+        button: 'Adicionar Registro',
+        title: 'Novo Registro',
+      },
+      create: {
+        success: 'Registro adicionado com sucesso',
+      },
+      destroy: {
+        success: 'Registro excluído com sucesso',
+      },
+    },
+    location: {
+      name: 'local',
+      label: 'Locais',
+      all: 'Todos os locais',
+      fields: {
+        id: 'Id',
+        name: 'Nome',
+        address: 'Endereço',
+      },
+      new: {
+        title: 'Novo Local',
+      },
+      edit: {
+        title: 'Editar Local',
+      },
+      save: {
+        success: 'Local salvo com sucesso',
+      },
+      destroy: {
+        success: 'Local excluído com sucesso',
+      },
+    },
+    role: {
+      name: 'função',
+      label: 'Funções',
+      menu: 'Funções',
+      builtIn: 'Padrão',
+      fields: {
+        id: 'Id',
+        name: 'Nome',
+        permissions: 'Permissões',
+      },
+      hints: {
+        id:
+          'Somente letras e números, não pode ser alterado depois',
+      },
+      new: {
+        title: 'Nova Função',
+      },
+      edit: {
+        title: 'Editar Função',
+      },
+      save: {
+        success: 'Função salva com sucesso',
+      },
+      destroy: {
+        success: 'Função excluída com sucesso',
+      },
+    },
   },
 
   auth: {
@@ -165,6 +403,24 @@ const ptBR = {
       title: 'Editar Perfil',
       success: 'Perfil atualizado com sucesso',
     },
+    registration: {
+      title: 'Complete seu cadastro',
+      steps: {
+        profile: 'Seus dados',
+        children: 'Crianças',
+        confirm: 'Confirmar',
+      },
+      next: 'Próximo',
+      previous: 'Anterior',
+      addChild: 'Adicionar criança',
+      noChildren:
+        'Adicione pelo menos uma criança para continuar',
+      submit: 'Concluir cadastro',
+      success:
+        'Cadastro concluído. Sua conta agora aguarda aprovação.',
+      pending:
+        'Sua conta aguarda aprovação. Você poderá fazer reservas assim que o Childcare Center aprová-la.',
+    },
     createAnAccount: 'Criar uma conta',
     rememberMe: 'Lembrar-me',
     forgotPassword: 'Esqueci minha senha',
@@ -214,6 +470,8 @@ const ptBR = {
     enabled: 'Habilitado',
     enable: 'Habilitar',
     doEnableSuccess: 'Usuário habilitado com sucesso',
+    approve: 'Aprovar',
+    doApproveSuccess: 'Usuário(s) aprovado(s) com sucesso',
     doDisableSuccess: 'Usuário desabilitado com sucesso',
     doDisableAllSuccess:
       'Usuário(s) desabilitado(s) com sucesso',
@@ -246,6 +504,10 @@ const ptBR = {
       title: 'Visualizar Usuário',
       activity: 'Atividades',
     },
+    locationRoles: {
+      hint:
+        'Perfis de gerente e funcionário que só se aplicam enquanto o local estiver selecionado.',
+    },
     importer: {
       title: 'Importar Usuários',
       fileName: 'usuarios_template_importacao',
@@ -277,6 +539,8 @@ const ptBR = {
       createdAt: 'Criado em',
       updatedAt: 'Atualizado em',
       roleUser: 'Perfil/Usuário',
+      locationRoles: 'Perfis por Local',
+      location: 'Local',
       roles: 'Perfis',
       createdAtRange: 'Criado em',
       password: 'Senha',
@@ -284,6 +548,7 @@ const ptBR = {
     },
     enabled: 'Habilitado',
     disabled: 'Desabilitado',
+    approvalPending: 'Aguardando aprovação',
     validations: {
       // eslint-disable-next-line
       email: 'Email ${value} é inválido',
@@ -308,6 +573,54 @@ const ptBR = {
       createdByEmail: 'Email do Usuário',
     },
   },
+  notification: {
+    title: 'Notificações',
+    empty: 'Nenhuma notificação',
+    markAllAsRead: 'Marcar todas como lidas',
+    types: {
+      bookingStatusChanged:
+        'A reserva de {0} agora está {1}',
+      bookingPhotosAdded: '{2} nova(s) foto(s) de {0}',
+      bookingWaitlistPromoted:
+        'A reserva de {0} na lista de espera foi confirmada',
+      invitation:
+        'Bem-vindo! Você foi convidado a participar',
+      accountApproved:
+        'Sua conta foi aprovada. Você já pode fazer reservas!',
+    },
+  },
+
+  outboxEmail: {
+    menu: 'Log de Emails',
+    title: 'Log de Emails',
+    exporterFileName: 'log_de_emails_exportados',
+    resend: {
+      button: 'Reenviar',
+      success: 'Email enviado com sucesso',
+      error:
+        'Não foi possível enviar o email. Ele será reenviado automaticamente.',
+    },
+    fields: {
+      id: 'Id',
+      to: 'Para',
+      subject: 'Assunto',
+      html: 'Conteúdo',
+      status: 'Status',
+      attempts: 'Tentativas',
+      lastError: 'Último erro',
+      nextAttemptAt: 'Próxima tentativa',
+      sentAt: 'Enviado em',
+      createdAt: 'Criado em',
+      createdAtRange: 'Criado em',
+    },
+    enumerators: {
+      status: {
+        pending: 'Pendente',
+        sent: 'Enviado',
+        failed: 'Falhou',
+      },
+    },
+  },
   settings: {
     title: 'Configurações',
     menu: 'Configurações',
@@ -315,10 +628,79 @@ const ptBR = {
       success:
         'Configurações salvas com sucesso. A página irá recarregar em {0} para que as alterações tenham efeito.',
     },
+    tabs: {
+      general: 'Geral',
+      emailTemplates: 'Modelos de Email',
+      locations: 'Locais',
+    },
+    locationHint:
+      'Estas configurações se aplicam ao local selecionado no cabeçalho. Lembretes e autocadastro são compartilhados por todos os locais.',
+    emailTemplates: {
+      variables: 'Variáveis disponíveis:',
+      preview: 'Pré-visualização',
+      save: {
+        success: 'Modelo de email salvo com sucesso',
+      },
+      reset: {
+        button: 'Restaurar padrão',
+        success: 'Modelo de email restaurado para o padrão',
+      },
+      fields: {
+        subject: 'Assunto',
+        body: 'Corpo (HTML)',
+      },
+      templates: {
+        invitation: 'Convite',
+        emailAddressVerification: 'Verificação de email',
+        passwordReset: 'Redefinição de senha',
+        bookingDailyReport: 'Relatório diário',
+        bookingWaitlistPromoted:
+          'Reserva da lista de espera confirmada',
+        bookingArrivalReminder: 'Lembrete de chegada',
+        bookingDepartureReminder: 'Lembrete de saída',
+        staffDailyDigest: 'Resumo diário da equipe',
+      },
+    },
     fields: {
       theme: 'Tema',
       dailyFee: 'Valor da Diária',
-      capacity: 'Capacidade',
+      capacityToddler: 'Capacidade (Pequeno)',
+      capacityPreschooler: 'Capacidade (Médio)',
+      capacitySchoolAged: 'Capacidade (Grande)',
+      minimumAge: 'Idade Mínima (anos)',
+      maximumAge: 'Idade Máxima (anos)',
+      arrivalReminderDays:
+        'Lembrete de Chegada (dias antes, vazio para desativar)',
+      reminderHour: 'Horário dos Lembretes (0-23)',
+      dailyReportHour:
+        'Horário dos Relatórios Diários (0-23)',
+      pricingRules: 'Regras de Preço',
+      selfRegistration: 'Autocadastro',
+    },
+    hints: {
+      selfRegistration:
+        'Novos pais preenchem um assistente de cadastro e precisam ser aprovados por um gerente antes de reservar.',
+    },
+    pricingRules: {
+      add: 'Adicionar regra',
+      hint:
+        'Adicionais se aplicam por dia da reserva. Descontos se aplicam ao total.',
+      fields: {
+        type: 'Tipo',
+        percentage: 'Percentual',
+        minDays: 'Mínimo de dias',
+        minChildren: 'Mínimo de crianças',
+        dates: 'Datas (AAAA-MM-DD)',
+      },
+      types: {
+        weekendSurcharge: 'Adicional de fim de semana',
+        holiday: 'Tarifa de feriado',
+        siblingDiscount: 'Desconto de irmãos',
+        longStayDiscount: 'Desconto de longa estadia',
+      },
+      errors: {
+        date: 'As datas devem estar no formato AAAA-MM-DD',
+      },
     },
     colors: {
       default: 'Padrão',
@@ -337,6 +719,16 @@ const ptBR = {
   },
   home: {
     menu: 'Inicial',
+    dashboard: {
+      occupancy: 'Ocupação por dia',
+      booked: 'Reservado',
+      capacity: 'Capacidade',
+      revenue: 'Receita',
+      revenueByMonth: 'Receita por mês',
+      bookingsByStatus: 'Reservas por status',
+      cancellationRate: 'Taxa de cancelamento',
+      childrenByAgeGroup: 'Crianças por faixa etária',
+    },
   },
   errors: {
     backToHome: 'Voltar a página inicial',
@@ -455,6 +847,16 @@ const ptBR = {
     loading: 'Carregando...',
   },
 
+  search: {
+    placeholder: 'Buscar crianças, donos e reservas',
+    empty: 'Nenhum resultado',
+    types: {
+      child: 'Crianças',
+      owner: 'Donos',
+      booking: 'Reservas',
+    },
+  },
+
   imagesViewer: {
     noImage: 'Sem imagem',
   },
@@ -0,0 +1,81 @@
+import AttendanceService from 'modules/attendance/attendanceService';
+import Errors from 'modules/shared/error/errors';
+import Message from 'view/shared/message';
+import { i18n } from 'i18n';
+
+const prefix = 'ATTENDANCE';
+
+const actions = {
+  FETCH_STARTED: `${prefix}_FETCH_STARTED`,
+  FETCH_SUCCESS: `${prefix}_FETCH_SUCCESS`,
+  FETCH_ERROR: `${prefix}_FETCH_ERROR`,
+
+  CHANGE_STARTED: `${prefix}_CHANGE_STARTED`,
+  CHANGE_SUCCESS: `${prefix}_CHANGE_SUCCESS`,
+  CHANGE_ERROR: `${prefix}_CHANGE_ERROR`,
+
+  doFetch: (bookingId) => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.FETCH_STARTED,
+      });
+
+      const rows = await AttendanceService.list(bookingId);
+
+      dispatch({
+        type: actions.FETCH_SUCCESS,
+        payload: rows,
+      });
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.FETCH_ERROR,
+      });
+    }
+  },
+
+  doCheckIn: (bookingId, data) =>
+    actions.doChange(
+      bookingId,
+      () => AttendanceService.checkIn(bookingId, data),
+      'entities.attendance.checkIn.success',
+    ),
+
+  doCheckOut: (bookingId, data) =>
+    actions.doChange(
+      bookingId,
+      () => AttendanceService.checkOut(bookingId, data),
+      'entities.attendance.checkOut.success',
+    ),
+
+  doChange: (
+    bookingId,
+    changeFn,
+    successMessageI18nKey,
+  ) => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.CHANGE_STARTED,
+      });
+
+      await changeFn();
+
+      dispatch({
+        type: actions.CHANGE_SUCCESS,
+      });
+
+      Message.success(i18n(successMessageI18nKey));
+
+      dispatch(actions.doFetch(bookingId));
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.CHANGE_ERROR,
+      });
+    }
+  },
+};
+
+export default actions;
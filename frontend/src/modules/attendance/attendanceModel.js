@@ -0,0 +1,43 @@
+import { i18n } from 'i18n';
+import IdField from 'modules/shared/fields/idField';
+import DateTimeField from 'modules/shared/fields/dateTimeField';
+import StringField from 'modules/shared/fields/stringField';
+
+function label(name) {
+  return i18n(`entities.attendance.fields.${name}`);
+}
+
+const fields = {
+  id: new IdField('id', label('id')),
+  checkInAt: new DateTimeField(
+    'checkInAt',
+    label('checkInAt'),
+  ),
+  checkOutAt: new DateTimeField(
+    'checkOutAt',
+    label('checkOutAt'),
+  ),
+  droppedOffBy: new StringField(
+    'droppedOffBy',
+    label('droppedOffBy'),
+    {
+      required: true,
+      max: 255,
+    },
+  ),
+  pickedUpBy: new StringField(
+    'pickedUpBy',
+    label('pickedUpBy'),
+    {
+      required: true,
+      max: 255,
+    },
+  ),
+  notes: new StringField('notes', label('notes'), {
+    max: 20000,
+  }),
+};
+
+export default {
+  fields,
+};
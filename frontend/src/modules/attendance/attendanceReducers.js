@@ -0,0 +1,55 @@
+import actions from 'modules/attendance/attendanceActions';
+
+const initialData = {
+  rows: [],
+  loading: false,
+  changeLoading: false,
+};
+
+export default (state = initialData, { type, payload }) => {
+  if (type === actions.FETCH_STARTED) {
+    return {
+      ...state,
+      loading: true,
+    };
+  }
+
+  if (type === actions.FETCH_SUCCESS) {
+    return {
+      ...state,
+      loading: false,
+      rows: payload,
+    };
+  }
+
+  if (type === actions.FETCH_ERROR) {
+    return {
+      ...state,
+      loading: false,
+      rows: [],
+    };
+  }
+
+  if (type === actions.CHANGE_STARTED) {
+    return {
+      ...state,
+      changeLoading: true,
+    };
+  }
+
+  if (type === actions.CHANGE_SUCCESS) {
+    return {
+      ...state,
+      changeLoading: false,
+    };
+  }
+
+  if (type === actions.CHANGE_ERROR) {
+    return {
+      ...state,
+      changeLoading: false,
+    };
+  }
+
+  return state;
+};
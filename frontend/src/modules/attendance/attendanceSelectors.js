@@ -0,0 +1,81 @@
+import { createSelector } from 'reselect';
+import authSelectors from 'modules/auth/authSelectors';
+import PermissionChecker from 'modules/auth/permissionChecker';
+import Permissions from 'security/permissions';
+import bookingViewSelectors from 'modules/booking/view/bookingViewSelectors';
+
+const selectRaw = (state) => state.attendance;
+
+const selectRows = createSelector(
+  [selectRaw],
+  (raw) => raw.rows,
+);
+
+const selectLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.loading,
+);
+
+const selectChangeLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.changeLoading,
+);
+
+const selectIsCheckedIn = createSelector(
+  [selectRows],
+  (rows) => rows.some((row) => !row.checkOutAt),
+);
+
+const selectAuthorizedPickUps = createSelector(
+  [bookingViewSelectors.selectRecord],
+  (booking) => {
+    if (!booking) {
+      return [];
+    }
+
+    const guardians =
+      (booking.child && booking.child.guardians) || [];
+
+    return guardians
+      .map((guardian) => guardian.name)
+      .concat(booking.owner ? [booking.owner.fullName] : [])
+      .filter(Boolean);
+  },
+);
+
+const selectPermissionToRead = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.attendanceRead,
+    ),
+);
+
+const selectPermissionToCheckIn = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.attendanceCheckIn,
+    ),
+);
+
+const selectPermissionToCheckOut = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.attendanceCheckOut,
+    ),
+);
+
+const selectors = {
+  selectRows,
+  selectLoading,
+  selectChangeLoading,
+  selectIsCheckedIn,
+  selectAuthorizedPickUps,
+  selectPermissionToRead,
+  selectPermissionToCheckIn,
+  selectPermissionToCheckOut,
+};
+
+export default selectors;
@@ -0,0 +1,77 @@
+import gql from 'graphql-tag';
+import graphqlClient from 'modules/shared/graphql/graphqlClient';
+
+export default class AttendanceService {
+  static async checkIn(bookingId, data) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation ATTENDANCE_CHECK_IN(
+          $bookingId: String!
+          $data: AttendanceCheckInInput!
+        ) {
+          attendanceCheckIn(
+            bookingId: $bookingId
+            data: $data
+          ) {
+            id
+          }
+        }
+      `,
+
+      variables: {
+        bookingId,
+        data,
+      },
+    });
+
+    return response.data.attendanceCheckIn;
+  }
+
+  static async checkOut(bookingId, data) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation ATTENDANCE_CHECK_OUT(
+          $bookingId: String!
+          $data: AttendanceCheckOutInput!
+        ) {
+          attendanceCheckOut(
+            bookingId: $bookingId
+            data: $data
+          ) {
+            id
+          }
+        }
+      `,
+
+      variables: {
+        bookingId,
+        data,
+      },
+    });
+
+    return response.data.attendanceCheckOut;
+  }
+
+  static async list(bookingId) {
+    const response = await graphqlClient.query({
+      query: gql`
+        query ATTENDANCE_LIST($bookingId: String!) {
+          attendanceList(bookingId: $bookingId) {
+            id
+            checkInAt
+            checkOutAt
+            droppedOffBy
+            pickedUpBy
+            notes
+          }
+        }
+      `,
+
+      variables: {
+        bookingId,
+      },
+    });
+
+    return response.data.attendanceList;
+  }
+}
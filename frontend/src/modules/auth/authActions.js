@@ -22,6 +22,10 @@ const actions = {
   UPDATE_PROFILE_SUCCESS: `${prefix}_UPDATE_PROFILE_SUCCESS`,
   UPDATE_PROFILE_ERROR: `${prefix}_UPDATE_PROFILE_ERROR`,
 
+  REGISTER_START: `${prefix}_REGISTER_START`,
+  REGISTER_SUCCESS: `${prefix}_REGISTER_SUCCESS`,
+  REGISTER_ERROR: `${prefix}_REGISTER_ERROR`,
+
   CURRENT_USER_REFRESH_START: `${prefix}_CURRENT_USER_REFRESH_START`,
   CURRENT_USER_REFRESH_SUCCESS: `${prefix}_CURRENT_USER_REFRESH_SUCCESS`,
   CURRENT_USER_REFRESH_ERROR: `${prefix}_CURRENT_USER_REFRESH_ERROR`,
@@ -334,6 +338,42 @@ const actions = {
       });
     }
   },
+
+  doRegister: (profile, children) => async (
+    dispatch,
+    getState,
+  ) => {
+    try {
+      dispatch({
+        type: actions.REGISTER_START,
+      });
+
+      const currentUser = selectors.selectCurrentUser(
+        getState(),
+      );
+
+      await service.register({
+        ...profile,
+        children: children.map((child) => ({
+          ...child,
+          owner: currentUser.id,
+        })),
+      });
+
+      dispatch({
+        type: actions.REGISTER_SUCCESS,
+      });
+      dispatch(actions.doRefreshCurrentUser());
+      Message.success(i18n('auth.registration.success'));
+      getHistory().push('/');
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.REGISTER_ERROR,
+      });
+    }
+  },
 };
 
 export default actions;
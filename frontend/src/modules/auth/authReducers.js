@@ -7,6 +7,7 @@ const initialData = {
   loadingEmailConfirmation: false,
   loadingPasswordReset: false,
   loadingUpdateProfile: false,
+  loadingRegister: false,
   loading: false,
   errorMessage: null,
   redirectToNewChild: false,
@@ -121,6 +122,28 @@ export default (state = initialData, { type, payload }) => {
     };
   }
 
+  if (type === actions.REGISTER_START) {
+    return {
+      ...state,
+      loadingRegister: true,
+    };
+  }
+
+  if (type === actions.REGISTER_SUCCESS) {
+    return {
+      ...state,
+      loadingRegister: false,
+      redirectToNewChild: false,
+    };
+  }
+
+  if (type === actions.REGISTER_ERROR) {
+    return {
+      ...state,
+      loadingRegister: false,
+    };
+  }
+
   if (type === actions.AUTH_INIT_SUCCESS) {
     return {
       ...state,
@@ -66,6 +66,11 @@ const selectLoadingUpdateProfile = createSelector(
   (auth) => !!auth.loadingUpdateProfile,
 );
 
+const selectLoadingRegister = createSelector(
+  [selectRaw],
+  (auth) => !!auth.loadingRegister,
+);
+
 const selectErrorMessage = createSelector(
   [selectRaw],
   (auth) => auth.errorMessage,
@@ -150,6 +155,7 @@ const selectors = {
   selectLoadingEmailConfirmation,
   selectLoadingInit,
   selectLoadingUpdateProfile,
+  selectLoadingRegister,
   selectLoading,
   selectEmptyPermissions,
   selectRoles,
@@ -1,6 +1,8 @@
 import * as firebase from 'firebase/app';
 import gql from 'graphql-tag';
 import graphqlClient from 'modules/shared/graphql/graphqlClient';
+import { selectLocationFor } from 'modules/location/currentLocation';
+import Roles from 'security/roles';
 
 export default class AuthService {
   static onAuthStateChanged(
@@ -119,6 +121,16 @@ export default class AuthService {
   }
 
   static async fetchMe() {
+    const currentUser = await this._fetchMe();
+
+    if (selectLocationFor(currentUser)) {
+      return this._fetchMe();
+    }
+
+    return currentUser;
+  }
+
+  static async _fetchMe() {
     const response = await graphqlClient.query({
       query: gql`
         {
@@ -131,16 +143,28 @@ export default class AuthService {
             phoneNumber
             email
             roles
+            locationRoles {
+              location
+              role
+            }
+            permissions
+            approvalPending
             avatars {
               id
               name
               publicUrl
             }
           }
+          roleList {
+            id
+            name
+          }
         }
       `,
     });
 
+    Roles.register(response.data.roleList);
+
     return response.data.authMe;
   }
 
@@ -204,4 +228,22 @@ export default class AuthService {
 
     return response.data.authUpdateProfile;
   }
+
+  static async register(data) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation AUTH_REGISTER(
+          $data: AuthRegistrationInput!
+        ) {
+          authRegister(data: $data)
+        }
+      `,
+
+      variables: {
+        data,
+      },
+    });
+
+    return response.data.authRegister;
+  }
 }
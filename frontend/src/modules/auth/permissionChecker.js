@@ -9,7 +9,18 @@ export default class PermissionChecker {
       return true;
     }
 
-    return this.rolesMatchOneOf(permission.allowedRoles);
+    return this.userPermissions.includes(permission.id);
+  }
+
+  get userPermissions() {
+    if (
+      !this.currentUser ||
+      !this.currentUser.permissions
+    ) {
+      return [];
+    }
+
+    return this.currentUser.permissions;
   }
 
   rolesMatchOneOf(arg) {
@@ -10,12 +10,11 @@ import GenericField from 'modules/shared/fields/genericField';
 import * as yup from 'yup';
 import Roles from 'security/roles';
 import EnumeratorField from 'modules/shared/fields/enumeratorField';
+import ObjectArrayField from 'modules/shared/fields/objectArrayField';
 
 class RolesField extends StringArrayField {
-  constructor(name, label, config) {
-    super(name, label, config);
-
-    this.options = Roles.selectOptions;
+  get options() {
+    return Roles.selectOptions;
   }
 
   forExport() {
@@ -32,6 +31,15 @@ class RolesField extends StringArrayField {
   }
 }
 
+// Custom roles are only known after the role list is loaded
+class RoleField extends EnumeratorField {
+  get options() {
+    return Roles.selectOptions;
+  }
+
+  set options(value) {}
+}
+
 class EmailsField extends StringArrayField {
   forForm() {
     let yupChain = yup
@@ -67,6 +75,14 @@ const fields = {
       max: 80,
     },
   ),
+  firstNameRequired: new StringField(
+    'firstName',
+    label('firstName'),
+    {
+      required: true,
+      max: 80,
+    },
+  ),
   authenticationUid: new StringField(
     'authenticationUid',
     label('authenticationUid'),
@@ -82,11 +98,7 @@ const fields = {
     required: true,
     max: 255,
   }),
-  role: new EnumeratorField(
-    'role',
-    label('role'),
-    Roles.selectOptions,
-  ),
+  role: new RoleField('role', label('role')),
   rememberMe: new BooleanField(
     'rememberMe',
     label('rememberMe'),
@@ -134,6 +146,28 @@ const fields = {
     required: true,
   }),
   roles: new RolesField('roles', label('roles')),
+  locationRoles: new ObjectArrayField(
+    'locationRoles',
+    label('locationRoles'),
+    [
+      new StringField('location', label('location'), {
+        required: true,
+      }),
+      new EnumeratorField(
+        'role',
+        label('role'),
+        [Roles.values.manager, Roles.values.employee].map(
+          (role) => ({
+            id: role,
+            label: Roles.labelOf(role),
+          }),
+        ),
+        {
+          required: true,
+        },
+      ),
+    ],
+  ),
   createdAt: new DateTimeField(
     'createdAt',
     label('createdAt'),
@@ -156,6 +190,10 @@ const fields = {
       id: 'disabled',
       label: i18n('user.disabled'),
     },
+    {
+      id: 'approvalPending',
+      label: i18n('user.approvalPending'),
+    },
   ]),
 };
 
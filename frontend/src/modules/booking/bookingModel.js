@@ -6,11 +6,14 @@ import StringField from 'modules/shared/fields/stringField';
 import EnumeratorField from 'modules/shared/fields/enumeratorField';
 import DecimalRangeField from 'modules/shared/fields/decimalRangeField';
 import RelationToOneField from 'modules/shared/fields/relationToOneField';
+import LocationField from 'modules/location/locationField';
 import FilesField from 'modules/shared/fields/filesField';
 import ImagesField from 'modules/shared/fields/imagesField';
 import bookingStatus from 'modules/booking/bookingStatus';
 import BookingPeriodField from 'modules/booking/bookingPeriodField';
 import MoneyField from 'modules/shared/fields/moneyField';
+import BooleanField from 'modules/shared/fields/booleanField';
+import childModel from 'modules/child/childModel';
 
 function label(name) {
   return i18n(`entities.booking.fields.${name}`);
@@ -27,6 +30,10 @@ const fields = {
   owner: new RelationToOneField('owner', label('owner'), {
     required: true,
   }),
+  location: new LocationField(
+    'location',
+    label('location'),
+  ),
   child: new RelationToOneField('child', label('child'), {
     required: true,
   }),
@@ -78,6 +85,13 @@ const fields = {
           bookingStatus.BOOKED,
         ),
       },
+      {
+        id: bookingStatus.WAITLISTED,
+        label: enumeratorLabel(
+          'status',
+          bookingStatus.WAITLISTED,
+        ),
+      },
       {
         id: bookingStatus.PROGRESS,
         label: enumeratorLabel(
@@ -111,9 +125,24 @@ const fields = {
       max: 20000,
     },
   ),
+  ageGroup: new EnumeratorField(
+    'ageGroup',
+    label('ageGroup'),
+    childModel.fields.size.options,
+  ),
   fee: new MoneyField('fee', label('fee'), {
     scale: 2,
   }),
+  amountPaid: new MoneyField(
+    'amountPaid',
+    label('amountPaid'),
+    {
+      scale: 2,
+    },
+  ),
+  balance: new MoneyField('balance', label('balance'), {
+    scale: 2,
+  }),
   receipt: new FilesField(
     'receipt',
     label('receipt'),
@@ -146,6 +175,10 @@ const fields = {
     'feeRange',
     label('feeRange'),
   ),
+  outstanding: new BooleanField(
+    'outstanding',
+    label('outstanding'),
+  ),
 };
 
 export default {
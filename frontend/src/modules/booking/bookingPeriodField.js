@@ -50,7 +50,12 @@ export default class BookingPeriodField extends DateTimeRangeField {
       function(value) {
         const { status } = this.parent;
 
-        if (status !== bookingStatus.BOOKED) {
+        if (
+          ![
+            bookingStatus.BOOKED,
+            bookingStatus.WAITLISTED,
+          ].includes(status)
+        ) {
           return true;
         }
 
@@ -76,7 +81,7 @@ export default class BookingPeriodField extends DateTimeRangeField {
           return true;
         }
 
-        const { id, status } = this.parent;
+        const { id, status, child } = this.parent;
 
         if (
           ![
@@ -87,9 +92,19 @@ export default class BookingPeriodField extends DateTimeRangeField {
           return true;
         }
 
+        if (!child) {
+          return true;
+        }
+
+        // New bookings for a full period go to the waitlist
+        if (!id && status === bookingStatus.BOOKED) {
+          return true;
+        }
+
         return BookingService.isPeriodAvailable(
           arrival,
           departure,
+          child.id || child,
           id,
         );
       },
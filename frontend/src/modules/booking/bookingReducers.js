@@ -3,6 +3,9 @@ import form from 'modules/booking/form/bookingFormReducers';
 import view from 'modules/booking/view/bookingViewReducers';
 import destroy from 'modules/booking/destroy/bookingDestroyReducers';
 import importerReducer from 'modules/booking/importer/bookingImporterReducers';
+import occupancy from 'modules/booking/occupancy/bookingOccupancyReducers';
+import status from 'modules/booking/status/bookingStatusReducers';
+import payment from 'modules/booking/payment/bookingPaymentReducers';
 import { combineReducers } from 'redux';
 
 export default combineReducers({
@@ -11,4 +14,7 @@ export default combineReducers({
   view,
   destroy,
   importer: importerReducer,
+  occupancy,
+  status,
+  payment,
 });
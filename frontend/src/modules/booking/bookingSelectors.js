@@ -3,6 +3,7 @@ import authSelectors from 'modules/auth/authSelectors';
 import PermissionChecker from 'modules/auth/permissionChecker';
 import Permissions from 'security/permissions';
 import bookingStatus from 'modules/booking/bookingStatus';
+import BookingStatusTransitions from 'modules/booking/bookingStatusTransitions';
 
 const selectPermissionToRead = createSelector(
   [authSelectors.selectCurrentUser],
@@ -21,12 +22,8 @@ const selectPermissionToEdit = createSelector(
 );
 
 const selectPermissionToEditRecord = createSelector(
-  [
-    selectPermissionToEdit,
-    authSelectors.selectCurrentUserIsChildOwner,
-    authSelectors.selectCurrentUserIsEmployee,
-  ],
-  (hasPermissionToEdit, isChildOwner, isEmployee) => {
+  [selectPermissionToEdit, authSelectors.selectCurrentUser],
+  (hasPermissionToEdit, currentUser) => {
     return (record) => {
       if (!hasPermissionToEdit) {
         return false;
@@ -36,11 +33,26 @@ const selectPermissionToEditRecord = createSelector(
         return false;
       }
 
-      if (isChildOwner) {
-        return record.status === bookingStatus.BOOKED;
+      const permissionChecker = new PermissionChecker(
+        currentUser,
+      );
+
+      if (
+        !permissionChecker.match(
+          Permissions.values.bookingReadAll,
+        )
+      ) {
+        return [
+          bookingStatus.BOOKED,
+          bookingStatus.WAITLISTED,
+        ].includes(record.status);
       }
 
-      if (isEmployee) {
+      if (
+        !permissionChecker.match(
+          Permissions.values.bookingEditAnyStatus,
+        )
+      ) {
         return ![
           bookingStatus.COMPLETED,
           bookingStatus.CANCELLED,
@@ -52,6 +64,29 @@ const selectPermissionToEditRecord = createSelector(
   },
 );
 
+const selectStatusTransitionKey = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    BookingStatusTransitions.keyOf(currentUser),
+);
+
+const selectPermissionToChangeStatus = createSelector(
+  [selectPermissionToEdit, selectStatusTransitionKey],
+  (hasPermissionToEdit, transitionKey) => {
+    return (record, toStatus) => {
+      if (!hasPermissionToEdit || !record) {
+        return false;
+      }
+
+      return BookingStatusTransitions.isAllowed(
+        transitionKey,
+        record.status,
+        toStatus,
+      );
+    };
+  },
+);
+
 const selectPermissionToCreate = createSelector(
   [authSelectors.selectCurrentUser],
   (currentUser) =>
@@ -76,6 +111,14 @@ const selectPermissionToDestroy = createSelector(
     ),
 );
 
+const selectPermissionToEditPayments = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.bookingPaymentEdit,
+    ),
+);
+
 const selectors = {
   selectPermissionToRead,
   selectPermissionToEdit,
@@ -83,6 +126,9 @@ const selectors = {
   selectPermissionToDestroy,
   selectPermissionToImport,
   selectPermissionToEditRecord,
+  selectStatusTransitionKey,
+  selectPermissionToChangeStatus,
+  selectPermissionToEditPayments,
 };
 
 export default selectors;
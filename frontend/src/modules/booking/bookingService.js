@@ -1,5 +1,7 @@
 import gql from 'graphql-tag';
-import graphqlClient from 'modules/shared/graphql/graphqlClient';
+import graphqlClient, {
+  isSubscriptionsEnabled,
+} from 'modules/shared/graphql/graphqlClient';
 
 export default class BookingService {
   static async update(id, data) {
@@ -24,6 +26,148 @@ export default class BookingService {
     return response.data.bookingUpdate;
   }
 
+  static async checkIn(id) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation BOOKING_CHECK_IN($id: String!) {
+          bookingCheckIn(id: $id) {
+            id
+            status
+          }
+        }
+      `,
+
+      variables: {
+        id,
+      },
+    });
+
+    return response.data.bookingCheckIn;
+  }
+
+  static async checkOut(id) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation BOOKING_CHECK_OUT($id: String!) {
+          bookingCheckOut(id: $id) {
+            id
+            status
+          }
+        }
+      `,
+
+      variables: {
+        id,
+      },
+    });
+
+    return response.data.bookingCheckOut;
+  }
+
+  static async cancel(id, cancellationNotes) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation BOOKING_CANCEL(
+          $id: String!
+          $cancellationNotes: String
+        ) {
+          bookingCancel(
+            id: $id
+            cancellationNotes: $cancellationNotes
+          ) {
+            id
+            status
+          }
+        }
+      `,
+
+      variables: {
+        id,
+        cancellationNotes,
+      },
+    });
+
+    return response.data.bookingCancel;
+  }
+
+  static async paymentCreate(bookingId, data) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation BOOKING_PAYMENT_CREATE(
+          $bookingId: String!
+          $data: BookingPaymentInput!
+        ) {
+          bookingPaymentCreate(
+            bookingId: $bookingId
+            data: $data
+          ) {
+            id
+            amountPaid
+            balance
+          }
+        }
+      `,
+
+      variables: {
+        bookingId,
+        data,
+      },
+    });
+
+    return response.data.bookingPaymentCreate;
+  }
+
+  static async paymentDestroy(bookingId, id) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation BOOKING_PAYMENT_DESTROY(
+          $bookingId: String!
+          $id: String!
+        ) {
+          bookingPaymentDestroy(
+            bookingId: $bookingId
+            id: $id
+          ) {
+            id
+            amountPaid
+            balance
+          }
+        }
+      `,
+
+      variables: {
+        bookingId,
+        id,
+      },
+    });
+
+    return response.data.bookingPaymentDestroy;
+  }
+
+  static async invoiceIssue(bookingId) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation BOOKING_INVOICE_ISSUE(
+          $bookingId: String!
+        ) {
+          bookingInvoiceIssue(bookingId: $bookingId) {
+            id
+            invoice {
+              id
+              number
+            }
+          }
+        }
+      `,
+
+      variables: {
+        bookingId,
+      },
+    });
+
+    return response.data.bookingInvoiceIssue;
+  }
+
   static async destroyAll(ids) {
     const response = await graphqlClient.mutate({
       mutation: gql`
@@ -46,6 +190,7 @@ export default class BookingService {
         mutation BOOKING_CREATE($data: BookingInput!) {
           bookingCreate(data: $data) {
             id
+            status
           }
         }
       `,
@@ -92,9 +237,18 @@ export default class BookingService {
               fullName
               email
             }
+            location {
+              id
+              name
+            }
             child {
               id
               name
+              guardians {
+                id
+                name
+                relationship
+              }
             }
             arrival
             departure
@@ -109,7 +263,34 @@ export default class BookingService {
             }
             status
             cancellationNotes
+            ageGroup
             fee
+            feeBreakdown {
+              type
+              quantity
+              amount
+            }
+            amountPaid
+            balance
+            invoice {
+              id
+              number
+              issuedAt
+              amount
+              items {
+                type
+                quantity
+                amount
+              }
+            }
+            payments {
+              id
+              amount
+              method
+              paidAt
+              notes
+              createdAt
+            }
             receipt {
               id
               name
@@ -117,6 +298,13 @@ export default class BookingService {
               publicUrl
               privateUrl
             }
+            statusHistory {
+              id
+              fromStatus
+              toStatus
+              timestamp
+              createdByEmail
+            }
             createdAt
             updatedAt
           }
@@ -154,9 +342,14 @@ export default class BookingService {
                 fullName
                 email
               }
+              location {
+                id
+                name
+              }
               child {
                 id
                 name
+                allergies
               }
               arrival
               departure
@@ -165,6 +358,8 @@ export default class BookingService {
               status
               cancellationNotes
               fee
+              amountPaid
+              balance
               receipt {
                 id
                 name
@@ -221,6 +416,25 @@ export default class BookingService {
   static async isPeriodAvailable(
     arrival,
     departure,
+    child,
+    idToExclude,
+  ) {
+    const availability = await this.periodAvailability(
+      arrival,
+      departure,
+      child,
+      idToExclude,
+    );
+
+    return availability.every(
+      (group) => group.remaining > 0,
+    );
+  }
+
+  static async periodAvailability(
+    arrival,
+    departure,
+    child,
     idToExclude,
   ) {
     const response = await graphqlClient.query({
@@ -228,23 +442,140 @@ export default class BookingService {
         query BOOKING_PERIOD_AVAILABLE(
           $arrival: DateTime!
           $departure: DateTime!
+          $child: String
           $idToExclude: String
         ) {
           bookingPeriodAvailable(
             arrival: $arrival
             departure: $departure
+            child: $child
             idToExclude: $idToExclude
-          )
+          ) {
+            size
+            capacity
+            booked
+            remaining
+          }
         }
       `,
 
       variables: {
         arrival,
         departure,
+        child,
         idToExclude,
       },
     });
 
     return response.data.bookingPeriodAvailable;
   }
+
+  static async feeBreakdown(
+    arrival,
+    departure,
+    owner,
+    child,
+  ) {
+    const response = await graphqlClient.query({
+      query: gql`
+        query BOOKING_FEE_BREAKDOWN(
+          $arrival: DateTime!
+          $departure: DateTime!
+          $owner: String
+          $child: String
+        ) {
+          bookingFeeBreakdown(
+            arrival: $arrival
+            departure: $departure
+            owner: $owner
+            child: $child
+          ) {
+            type
+            quantity
+            amount
+          }
+        }
+      `,
+
+      variables: {
+        arrival,
+        departure,
+        owner,
+        child,
+      },
+    });
+
+    return response.data.bookingFeeBreakdown;
+  }
+
+  static async occupancy(start, end) {
+    const response = await graphqlClient.query({
+      query: gql`
+        query BOOKING_OCCUPANCY(
+          $start: DateTime!
+          $end: DateTime!
+        ) {
+          bookingOccupancy(start: $start, end: $end) {
+            date
+            capacity
+            booked
+            remaining
+            groups {
+              size
+              capacity
+              booked
+              remaining
+            }
+          }
+        }
+      `,
+
+      variables: {
+        start,
+        end,
+      },
+    });
+
+    return response.data.bookingOccupancy;
+  }
+
+  static subscribeToChanges(onChange) {
+    return BookingService._subscribe(
+      gql`
+        subscription BOOKING_CHANGED {
+          bookingChanged {
+            id
+            change
+            status
+          }
+        }
+      `,
+      (data) => onChange(data.bookingChanged),
+    );
+  }
+
+  static subscribeToOccupancyChanges(onChange) {
+    return BookingService._subscribe(
+      gql`
+        subscription BOOKING_OCCUPANCY_CHANGED {
+          occupancyChanged {
+            arrival
+            departure
+          }
+        }
+      `,
+      (data) => onChange(data.occupancyChanged),
+    );
+  }
+
+  static _subscribe(query, onNext) {
+    if (!isSubscriptionsEnabled) {
+      return null;
+    }
+
+    return graphqlClient.subscribe({ query }).subscribe({
+      next: ({ data }) => onNext(data),
+      error: (error) => console.error(error),
+    });
+  }
 }
@@ -1,5 +1,6 @@
 const bookingStatus = {
   BOOKED: 'booked',
+  WAITLISTED: 'waitlisted',
   PROGRESS: 'progress',
   CANCELLED: 'cancelled',
   COMPLETED: 'completed',
@@ -21,6 +22,10 @@ export function bookingStatusColor(status) {
   if (status === bookingStatus.BOOKED) {
     return '#108ee9';
   }
+
+  if (status === bookingStatus.WAITLISTED) {
+    return '#faad14';
+  }
 }
 
 export default bookingStatus;
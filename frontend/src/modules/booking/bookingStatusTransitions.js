@@ -0,0 +1,72 @@
+import bookingStatus from 'modules/booking/bookingStatus';
+import PermissionChecker from 'modules/auth/permissionChecker';
+import Permissions from 'security/permissions';
+
+const permissions = Permissions.values;
+
+const {
+  BOOKED,
+  WAITLISTED,
+  PROGRESS,
+  CANCELLED,
+  COMPLETED,
+} = bookingStatus;
+
+const STAFF_TRANSITIONS = {
+  [BOOKED]: [PROGRESS, CANCELLED],
+  [WAITLISTED]: [CANCELLED],
+  [PROGRESS]: [COMPLETED, CANCELLED],
+  [CANCELLED]: [],
+  [COMPLETED]: [],
+};
+
+const OWN_BOOKING = 'ownBooking';
+
+// Mirrors the transition table enforced by the backend.
+const TRANSITIONS = {
+  [permissions.bookingEditAnyStatus.id]: {
+    initial: Object.values(bookingStatus),
+    ...STAFF_TRANSITIONS,
+  },
+  [permissions.bookingManageStatus.id]: {
+    initial: [BOOKED, PROGRESS],
+    ...STAFF_TRANSITIONS,
+  },
+  [OWN_BOOKING]: {
+    initial: [BOOKED],
+    [BOOKED]: [CANCELLED],
+    [WAITLISTED]: [CANCELLED],
+    [PROGRESS]: [],
+    [CANCELLED]: [],
+    [COMPLETED]: [],
+  },
+};
+
+export default class BookingStatusTransitions {
+  static keyOf(currentUser) {
+    const permissionChecker = new PermissionChecker(
+      currentUser,
+    );
+
+    const permission = [
+      permissions.bookingEditAnyStatus,
+      permissions.bookingManageStatus,
+    ].find((item) => permissionChecker.match(item));
+
+    return permission ? permission.id : OWN_BOOKING;
+  }
+
+  static initialStatuses(key) {
+    return TRANSITIONS[key].initial;
+  }
+
+  static nextStatuses(key, fromStatus) {
+    return TRANSITIONS[key][fromStatus] || [];
+  }
+
+  static isAllowed(key, fromStatus, toStatus) {
+    return this.nextStatuses(key, fromStatus).includes(
+      toStatus,
+    );
+  }
+}
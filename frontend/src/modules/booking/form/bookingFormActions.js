@@ -1,13 +1,16 @@
 import BookingService from 'modules/booking/bookingService';
 import formActions from 'modules/shared/form/formActions';
+import bookingStatus from 'modules/booking/bookingStatus';
 
 const prefix = 'BOOKING_FORM';
 
 export default formActions({
   prefix,
   createFn: BookingService.create,
-  createSuccessMessageI18nKey:
-    'entities.booking.create.success',
+  createSuccessMessageI18nKey: (record) =>
+    record && record.status === bookingStatus.WAITLISTED
+      ? 'entities.booking.create.waitlisted'
+      : 'entities.booking.create.success',
   updateFn: BookingService.update,
   updateSuccessMessageI18nKey:
     'entities.booking.update.success',
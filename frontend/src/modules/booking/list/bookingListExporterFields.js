@@ -13,6 +13,8 @@ export default [
   fields.status,
   fields.cancellationNotes,
   fields.fee,
+  fields.amountPaid,
+  fields.balance,
   fields.receipt,
   fields.createdAt,
   fields.updatedAt,
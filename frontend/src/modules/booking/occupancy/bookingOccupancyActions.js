@@ -0,0 +1,47 @@
+import Errors from 'modules/shared/error/errors';
+import BookingService from 'modules/booking/bookingService';
+import moment from 'moment';
+
+const prefix = 'BOOKING_OCCUPANCY';
+
+const actions = {
+  FETCH_STARTED: `${prefix}_FETCH_STARTED`,
+  FETCH_SUCCESS: `${prefix}_FETCH_SUCCESS`,
+  FETCH_ERROR: `${prefix}_FETCH_ERROR`,
+
+  doFetch: (month) => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.FETCH_STARTED,
+        payload: { month },
+      });
+
+      // The calendar also renders the trailing days
+      // of the previous and next months.
+      const start = moment(month)
+        .startOf('month')
+        .startOf('week');
+      const end = moment(month)
+        .endOf('month')
+        .endOf('week');
+
+      const days = await BookingService.occupancy(
+        start,
+        end,
+      );
+
+      dispatch({
+        type: actions.FETCH_SUCCESS,
+        payload: { days },
+      });
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.FETCH_ERROR,
+      });
+    }
+  },
+};
+
+export default actions;
@@ -0,0 +1,35 @@
+import actions from 'modules/booking/occupancy/bookingOccupancyActions';
+
+const initialData = {
+  loading: false,
+  month: null,
+  days: [],
+};
+
+export default (state = initialData, { type, payload }) => {
+  if (type === actions.FETCH_STARTED) {
+    return {
+      ...state,
+      loading: true,
+      month: payload.month,
+    };
+  }
+
+  if (type === actions.FETCH_SUCCESS) {
+    return {
+      ...state,
+      loading: false,
+      days: payload.days,
+    };
+  }
+
+  if (type === actions.FETCH_ERROR) {
+    return {
+      ...state,
+      loading: false,
+      days: [],
+    };
+  }
+
+  return state;
+};
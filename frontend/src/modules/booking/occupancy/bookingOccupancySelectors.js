@@ -0,0 +1,37 @@
+import { createSelector } from 'reselect';
+
+const selectRaw = (state) => state.booking.occupancy;
+
+const selectLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.loading,
+);
+
+const selectMonth = createSelector(
+  [selectRaw],
+  (raw) => raw.month,
+);
+
+const selectDays = createSelector(
+  [selectRaw],
+  (raw) => raw.days || [],
+);
+
+const selectDaysByDate = createSelector(
+  [selectDays],
+  (days) =>
+    days.reduce((byDate, day) => {
+      byDate[day.date] = day;
+      return byDate;
+    }, {}),
+);
+
+const selectors = {
+  selectRaw,
+  selectLoading,
+  selectMonth,
+  selectDays,
+  selectDaysByDate,
+};
+
+export default selectors;
@@ -0,0 +1,64 @@
+import BookingService from 'modules/booking/bookingService';
+import viewActions from 'modules/booking/view/bookingViewActions';
+import Errors from 'modules/shared/error/errors';
+import Message from 'view/shared/message';
+import { i18n } from 'i18n';
+
+const prefix = 'BOOKING_PAYMENT';
+
+const actions = {
+  CHANGE_STARTED: `${prefix}_CHANGE_STARTED`,
+  CHANGE_SUCCESS: `${prefix}_CHANGE_SUCCESS`,
+  CHANGE_ERROR: `${prefix}_CHANGE_ERROR`,
+
+  doCreate: (bookingId, data) =>
+    actions.doChange(
+      bookingId,
+      () => BookingService.paymentCreate(bookingId, data),
+      'entities.booking.payments.create.success',
+    ),
+
+  doDestroy: (bookingId, id) =>
+    actions.doChange(
+      bookingId,
+      () => BookingService.paymentDestroy(bookingId, id),
+      'entities.booking.payments.destroy.success',
+    ),
+
+  doIssueInvoice: (bookingId) =>
+    actions.doChange(
+      bookingId,
+      () => BookingService.invoiceIssue(bookingId),
+      'entities.booking.invoice.issue.success',
+    ),
+
+  doChange: (
+    bookingId,
+    changeFn,
+    successMessageI18nKey,
+  ) => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.CHANGE_STARTED,
+      });
+
+      await changeFn();
+
+      dispatch({
+        type: actions.CHANGE_SUCCESS,
+      });
+
+      Message.success(i18n(successMessageI18nKey));
+
+      dispatch(viewActions.doFind(bookingId));
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.CHANGE_ERROR,
+      });
+    }
+  },
+};
+
+export default actions;
@@ -0,0 +1,8 @@
+const bookingPaymentMethod = {
+  CASH: 'cash',
+  CARD: 'card',
+  BANK_TRANSFER: 'bankTransfer',
+  OTHER: 'other',
+};
+
+export default bookingPaymentMethod;
@@ -0,0 +1,47 @@
+import { i18n } from 'i18n';
+import IdField from 'modules/shared/fields/idField';
+import DateTimeField from 'modules/shared/fields/dateTimeField';
+import StringField from 'modules/shared/fields/stringField';
+import EnumeratorField from 'modules/shared/fields/enumeratorField';
+import MoneyField from 'modules/shared/fields/moneyField';
+import bookingPaymentMethod from 'modules/booking/payment/bookingPaymentMethod';
+
+function label(name) {
+  return i18n(`entities.booking.payments.fields.${name}`);
+}
+
+function enumeratorLabel(name, value) {
+  return i18n(
+    `entities.booking.payments.enumerators.${name}.${value}`,
+  );
+}
+
+const fields = {
+  id: new IdField('id', label('id')),
+  amount: new MoneyField('amount', label('amount'), {
+    required: true,
+    min: 0.01,
+    scale: 2,
+  }),
+  method: new EnumeratorField(
+    'method',
+    label('method'),
+    Object.values(bookingPaymentMethod).map((value) => ({
+      id: value,
+      label: enumeratorLabel('method', value),
+    })),
+    {
+      required: true,
+    },
+  ),
+  paidAt: new DateTimeField('paidAt', label('paidAt'), {
+    required: true,
+  }),
+  notes: new StringField('notes', label('notes'), {
+    max: 20000,
+  }),
+};
+
+export default {
+  fields,
+};
@@ -0,0 +1,14 @@
+import { createSelector } from 'reselect';
+
+const selectRaw = (state) => state.booking.payment;
+
+const selectLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.loading,
+);
+
+const selectors = {
+  selectLoading,
+};
+
+export default selectors;
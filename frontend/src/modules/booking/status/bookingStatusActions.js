@@ -0,0 +1,62 @@
+import BookingService from 'modules/booking/bookingService';
+import viewActions from 'modules/booking/view/bookingViewActions';
+import Errors from 'modules/shared/error/errors';
+import Message from 'view/shared/message';
+import { i18n } from 'i18n';
+
+const prefix = 'BOOKING_STATUS';
+
+const actions = {
+  CHANGE_STARTED: `${prefix}_CHANGE_STARTED`,
+  CHANGE_SUCCESS: `${prefix}_CHANGE_SUCCESS`,
+  CHANGE_ERROR: `${prefix}_CHANGE_ERROR`,
+
+  doCheckIn: (id) =>
+    actions.doChange(
+      id,
+      () => BookingService.checkIn(id),
+      'entities.booking.checkIn.success',
+    ),
+
+  doCheckOut: (id) =>
+    actions.doChange(
+      id,
+      () => BookingService.checkOut(id),
+      'entities.booking.checkOut.success',
+    ),
+
+  doCancel: (id, cancellationNotes) =>
+    actions.doChange(
+      id,
+      () => BookingService.cancel(id, cancellationNotes),
+      'entities.booking.cancel.success',
+    ),
+
+  doChange: (id, changeFn, successMessageI18nKey) => async (
+    dispatch,
+  ) => {
+    try {
+      dispatch({
+        type: actions.CHANGE_STARTED,
+      });
+
+      await changeFn();
+
+      dispatch({
+        type: actions.CHANGE_SUCCESS,
+      });
+
+      Message.success(i18n(successMessageI18nKey));
+
+      dispatch(viewActions.doFind(id));
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.CHANGE_ERROR,
+      });
+    }
+  },
+};
+
+export default actions;
@@ -0,0 +1,30 @@
+import actions from 'modules/booking/status/bookingStatusActions';
+
+const initialData = {
+  loading: false,
+};
+
+export default (state = initialData, { type, payload }) => {
+  if (type === actions.CHANGE_STARTED) {
+    return {
+      ...state,
+      loading: true,
+    };
+  }
+
+  if (type === actions.CHANGE_SUCCESS) {
+    return {
+      ...state,
+      loading: false,
+    };
+  }
+
+  if (type === actions.CHANGE_ERROR) {
+    return {
+      ...state,
+      loading: false,
+    };
+  }
+
+  return state;
+};
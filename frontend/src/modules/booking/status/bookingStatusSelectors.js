@@ -0,0 +1,14 @@
+import { createSelector } from 'reselect';
+
+const selectRaw = (state) => state.booking.status;
+
+const selectLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.loading,
+);
+
+const selectors = {
+  selectLoading,
+};
+
+export default selectors;
@@ -5,7 +5,11 @@ import DateTimeRangeField from 'modules/shared/fields/dateTimeRangeField';
 import StringField from 'modules/shared/fields/stringField';
 import EnumeratorField from 'modules/shared/fields/enumeratorField';
 import RelationToOneField from 'modules/shared/fields/relationToOneField';
+import LocationField from 'modules/location/locationField';
 import RelationToManyField from 'modules/shared/fields/relationToManyField';
+import GuardiansField from 'modules/child/guardiansField';
+import ObjectArrayField from 'modules/shared/fields/objectArrayField';
+import DateField from 'modules/shared/fields/dateField';
 
 function label(name) {
   return i18n(`entities.child.fields.${name}`);
@@ -22,6 +26,10 @@ const fields = {
   owner: new RelationToOneField('owner', label('owner'), {
     required: true,
   }),
+  location: new LocationField(
+    'location',
+    label('location'),
+  ),
   name: new StringField('name', label('name'), {
     required: true,
     max: 255,
@@ -44,32 +52,105 @@ const fields = {
   //   required: true,
   //   max: 255,
   // }),
-  size: new EnumeratorField(
-    'size',
-    label('size'),
-    [
-      {
-        id: 'toddler',
-        label: enumeratorLabel('size', 'toddler'),
-      },
-      {
-        id: 'preschooler',
-        label: enumeratorLabel('size', 'preschooler'),
-      },
-      {
-        id: 'schoolAged',
-        label: enumeratorLabel('size', 'schoolAged'),
-      },
-    ],
+  birthdate: new DateField(
+    'birthdate',
+    label('birthdate'),
     {
       required: true,
     },
   ),
+  size: new EnumeratorField('size', label('size'), [
+    {
+      id: 'toddler',
+      label: enumeratorLabel('size', 'toddler'),
+    },
+    {
+      id: 'preschooler',
+      label: enumeratorLabel('size', 'preschooler'),
+    },
+    {
+      id: 'schoolAged',
+      label: enumeratorLabel('size', 'schoolAged'),
+    },
+  ]),
   bookings: new RelationToManyField(
     'bookings',
     label('bookings'),
     {},
   ),
+  guardians: new GuardiansField(
+    'guardians',
+    label('guardians'),
+    'child/guardians',
+    { size: 3000000 },
+  ),
+  allergies: new StringField(
+    'allergies',
+    label('allergies'),
+    {
+      max: 20000,
+    },
+  ),
+  dietaryRestrictions: new StringField(
+    'dietaryRestrictions',
+    label('dietaryRestrictions'),
+    {
+      max: 20000,
+    },
+  ),
+  medications: new ObjectArrayField(
+    'medications',
+    label('medications'),
+    [
+      new StringField('name', label('medicationName'), {
+        required: true,
+        max: 255,
+      }),
+      new StringField('dosage', label('dosage'), {
+        required: true,
+        max: 255,
+      }),
+      new StringField('schedule', label('schedule'), {
+        required: true,
+        max: 255,
+      }),
+    ],
+  ),
+  doctorName: new StringField(
+    'doctorName',
+    label('doctorName'),
+    {
+      max: 255,
+    },
+  ),
+  doctorPhone: new StringField(
+    'doctorPhone',
+    label('doctorPhone'),
+    {
+      max: 255,
+    },
+  ),
+  emergencyContacts: new ObjectArrayField(
+    'emergencyContacts',
+    label('emergencyContacts'),
+    [
+      new StringField('name', label('contactName'), {
+        required: true,
+        max: 255,
+      }),
+      new StringField(
+        'relationship',
+        label('contactRelationship'),
+        {
+          max: 255,
+        },
+      ),
+      new StringField('phone', label('contactPhone'), {
+        required: true,
+        max: 255,
+      }),
+    ],
+  ),
   createdAt: new DateTimeField(
     'createdAt',
     label('createdAt'),
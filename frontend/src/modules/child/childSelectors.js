@@ -43,12 +43,30 @@ const selectPermissionToDestroy = createSelector(
     ),
 );
 
+const selectPermissionToReadMedical = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.childMedicalRead,
+    ),
+);
+
+const selectPermissionToEditMedical = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.childMedicalEdit,
+    ),
+);
+
 const selectors = {
   selectPermissionToRead,
   selectPermissionToEdit,
   selectPermissionToCreate,
   selectPermissionToDestroy,
   selectPermissionToImport,
+  selectPermissionToReadMedical,
+  selectPermissionToEditMedical,
 };
 
 export default selectors;
@@ -89,9 +89,14 @@ export default class ChildService {
               fullName
               email
             }
+            location {
+              id
+              name
+            }
             name
             type
             # breed
+            birthdate
             size
             bookings {
               id
@@ -99,6 +104,33 @@ export default class ChildService {
               departure
               status
             }
+            guardians {
+              id
+              name
+              relationship
+              phone
+              photo {
+                id
+                name
+                sizeInBytes
+                publicUrl
+                privateUrl
+              }
+            }
+            allergies
+            dietaryRestrictions
+            medications {
+              name
+              dosage
+              schedule
+            }
+            doctorName
+            doctorPhone
+            emergencyContacts {
+              name
+              relationship
+              phone
+            }
             createdAt
             updatedAt
           }
@@ -136,9 +168,14 @@ export default class ChildService {
                 fullName
                 email
               }
+              location {
+                id
+                name
+              }
               name
               type
               # breed
+              birthdate
               size
               updatedAt
               createdAt
@@ -0,0 +1,71 @@
+import GenericField from 'modules/shared/fields/genericField';
+import * as yup from 'yup';
+import { i18n } from 'i18n';
+
+function label(name) {
+  return i18n(`entities.child.guardians.fields.${name}`);
+}
+
+export default class GuardiansField extends GenericField {
+  constructor(
+    name,
+    label,
+    path,
+    { size = undefined } = {},
+  ) {
+    super(name, label);
+
+    this.path = path;
+    this.size = size;
+  }
+
+  forView(value) {
+    return value || [];
+  }
+
+  forFormInitialValue(value) {
+    return (value || []).map((guardian) => ({
+      id: guardian.id,
+      name: guardian.name,
+      relationship: guardian.relationship,
+      phone: guardian.phone || null,
+      photo: guardian.photo || [],
+    }));
+  }
+
+  forForm() {
+    return yup
+      .array()
+      .of(
+        yup.object().shape({
+          id: yup.string().nullable(true),
+          name: yup
+            .string()
+            .nullable(true)
+            .trim()
+            .required()
+            .max(255)
+            .label(label('name')),
+          relationship: yup
+            .string()
+            .nullable(true)
+            .trim()
+            .required()
+            .max(255)
+            .label(label('relationship')),
+          phone: yup
+            .string()
+            .nullable(true)
+            .trim()
+            .max(255)
+            .label(label('phone')),
+          photo: yup
+            .array()
+            .nullable(true)
+            .max(1)
+            .label(label('photo')),
+        }),
+      )
+      .label(this.label);
+  }
+}
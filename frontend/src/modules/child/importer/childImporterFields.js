@@ -7,6 +7,7 @@ export default [
   fields.name,
   fields.type,
   // fields.breed,
+  fields.birthdate,
   fields.size,
   fields.bookings,
 ];
@@ -8,6 +8,7 @@ export default [
   fields.name,
   fields.type,
   // fields.breed,
+  fields.birthdate,
   fields.size,
   fields.createdAt,
   fields.updatedAt,
@@ -0,0 +1,83 @@
+import DailyReportEntryService from 'modules/dailyReportEntry/dailyReportEntryService';
+import Errors from 'modules/shared/error/errors';
+import Message from 'view/shared/message';
+import { i18n } from 'i18n';
+
+const prefix = 'DAILY_REPORT_ENTRY';
+
+const actions = {
+  FETCH_STARTED: `${prefix}_FETCH_STARTED`,
+  FETCH_SUCCESS: `${prefix}_FETCH_SUCCESS`,
+  FETCH_ERROR: `${prefix}_FETCH_ERROR`,
+
+  CHANGE_STARTED: `${prefix}_CHANGE_STARTED`,
+  CHANGE_SUCCESS: `${prefix}_CHANGE_SUCCESS`,
+  CHANGE_ERROR: `${prefix}_CHANGE_ERROR`,
+
+  doFetch: (bookingId) => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.FETCH_STARTED,
+      });
+
+      const rows = await DailyReportEntryService.list(
+        bookingId,
+      );
+
+      dispatch({
+        type: actions.FETCH_SUCCESS,
+        payload: rows,
+      });
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.FETCH_ERROR,
+      });
+    }
+  },
+
+  doCreate: (bookingId, data) =>
+    actions.doChange(
+      bookingId,
+      () => DailyReportEntryService.create(bookingId, data),
+      'entities.dailyReportEntry.create.success',
+    ),
+
+  doDestroy: (bookingId, id) =>
+    actions.doChange(
+      bookingId,
+      () => DailyReportEntryService.destroy(id),
+      'entities.dailyReportEntry.destroy.success',
+    ),
+
+  doChange: (
+    bookingId,
+    changeFn,
+    successMessageI18nKey,
+  ) => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.CHANGE_STARTED,
+      });
+
+      await changeFn();
+
+      dispatch({
+        type: actions.CHANGE_SUCCESS,
+      });
+
+      Message.success(i18n(successMessageI18nKey));
+
+      dispatch(actions.doFetch(bookingId));
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.CHANGE_ERROR,
+      });
+    }
+  },
+};
+
+export default actions;
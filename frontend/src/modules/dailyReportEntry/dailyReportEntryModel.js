@@ -0,0 +1,78 @@
+import { i18n } from 'i18n';
+import IdField from 'modules/shared/fields/idField';
+import DateTimeField from 'modules/shared/fields/dateTimeField';
+import StringField from 'modules/shared/fields/stringField';
+import EnumeratorField from 'modules/shared/fields/enumeratorField';
+import dailyReportEntryType from 'modules/dailyReportEntry/dailyReportEntryType';
+
+function label(name) {
+  return i18n(`entities.dailyReportEntry.fields.${name}`);
+}
+
+function enumeratorOptions(name, values) {
+  return values.map((value) => ({
+    id: value,
+    label: i18n(
+      `entities.dailyReportEntry.enumerators.${name}.${value}`,
+    ),
+  }));
+}
+
+const fields = {
+  id: new IdField('id', label('id')),
+  type: new EnumeratorField(
+    'type',
+    label('type'),
+    enumeratorOptions(
+      'type',
+      Object.values(dailyReportEntryType),
+    ),
+    { required: true },
+  ),
+  time: new DateTimeField('time', label('time'), {
+    required: true,
+  }),
+  endTime: new DateTimeField('endTime', label('endTime')),
+  mealAmount: new EnumeratorField(
+    'mealAmount',
+    label('mealAmount'),
+    enumeratorOptions('mealAmount', [
+      'all',
+      'most',
+      'some',
+      'none',
+    ]),
+  ),
+  mood: new EnumeratorField(
+    'mood',
+    label('mood'),
+    enumeratorOptions('mood', [
+      'happy',
+      'calm',
+      'tired',
+      'sad',
+      'upset',
+    ]),
+  ),
+  toiletType: new EnumeratorField(
+    'toiletType',
+    label('toiletType'),
+    enumeratorOptions('toiletType', [
+      'wet',
+      'bowelMovement',
+      'dry',
+      'potty',
+    ]),
+  ),
+  description: new StringField(
+    'description',
+    label('description'),
+    {
+      max: 2000,
+    },
+  ),
+};
+
+export default {
+  fields,
+};
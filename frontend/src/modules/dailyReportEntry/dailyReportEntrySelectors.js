@@ -0,0 +1,66 @@
+import { createSelector } from 'reselect';
+import authSelectors from 'modules/auth/authSelectors';
+import PermissionChecker from 'modules/auth/permissionChecker';
+import Permissions from 'security/permissions';
+import moment from 'moment';
+import { groupBy } from 'lodash';
+
+const selectRaw = (state) => state.dailyReportEntry;
+
+const selectRows = createSelector(
+  [selectRaw],
+  (raw) => raw.rows,
+);
+
+const selectRowsByDay = createSelector(
+  [selectRows],
+  (rows) => {
+    const rowsByDay = groupBy(rows, (row) =>
+      moment(row.time).format('YYYY-MM-DD'),
+    );
+
+    return Object.keys(rowsByDay)
+      .sort()
+      .map((day) => ({
+        day,
+        rows: rowsByDay[day],
+      }));
+  },
+);
+
+const selectLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.loading,
+);
+
+const selectChangeLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.changeLoading,
+);
+
+const selectPermissionToRead = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.dailyReportRead,
+    ),
+);
+
+const selectPermissionToEdit = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.dailyReportEdit,
+    ),
+);
+
+const selectors = {
+  selectRows,
+  selectRowsByDay,
+  selectLoading,
+  selectChangeLoading,
+  selectPermissionToRead,
+  selectPermissionToEdit,
+};
+
+export default selectors;
@@ -0,0 +1,71 @@
+import gql from 'graphql-tag';
+import graphqlClient from 'modules/shared/graphql/graphqlClient';
+
+export default class DailyReportEntryService {
+  static async create(bookingId, data) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation DAILY_REPORT_ENTRY_CREATE(
+          $bookingId: String!
+          $data: DailyReportEntryInput!
+        ) {
+          dailyReportEntryCreate(
+            bookingId: $bookingId
+            data: $data
+          ) {
+            id
+          }
+        }
+      `,
+
+      variables: {
+        bookingId,
+        data,
+      },
+    });
+
+    return response.data.dailyReportEntryCreate;
+  }
+
+  static async destroy(id) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation DAILY_REPORT_ENTRY_DESTROY($id: String!) {
+          dailyReportEntryDestroy(id: $id)
+        }
+      `,
+
+      variables: {
+        id,
+      },
+    });
+
+    return response.data.dailyReportEntryDestroy;
+  }
+
+  static async list(bookingId) {
+    const response = await graphqlClient.query({
+      query: gql`
+        query DAILY_REPORT_ENTRY_LIST($bookingId: String!) {
+          dailyReportEntryList(bookingId: $bookingId) {
+            id
+            type
+            time
+            endTime
+            mealAmount
+            mood
+            toiletType
+            description
+            reportedAt
+          }
+        }
+      `,
+
+      variables: {
+        bookingId,
+      },
+    });
+
+    return response.data.dailyReportEntryList;
+  }
+}
@@ -0,0 +1,33 @@
+const dailyReportEntryType = {
+  MEAL: 'meal',
+  NAP: 'nap',
+  ACTIVITY: 'activity',
+  MOOD: 'mood',
+  TOILET: 'toilet',
+};
+
+export function dailyReportEntryTypeIcon(type) {
+  if (type === dailyReportEntryType.MEAL) {
+    return 'coffee';
+  }
+
+  if (type === dailyReportEntryType.NAP) {
+    return 'hourglass';
+  }
+
+  if (type === dailyReportEntryType.ACTIVITY) {
+    return 'star';
+  }
+
+  if (type === dailyReportEntryType.MOOD) {
+    return 'smile';
+  }
+
+  if (type === dailyReportEntryType.TOILET) {
+    return 'experiment';
+  }
+
+  return 'clock-circle';
+}
+
+export default dailyReportEntryType;
@@ -0,0 +1,40 @@
+import Errors from 'modules/shared/error/errors';
+import DashboardService from 'modules/dashboard/dashboardService';
+import moment from 'moment';
+
+const prefix = 'DASHBOARD';
+
+const actions = {
+  FETCH_STARTED: `${prefix}_FETCH_STARTED`,
+  FETCH_SUCCESS: `${prefix}_FETCH_SUCCESS`,
+  FETCH_ERROR: `${prefix}_FETCH_ERROR`,
+
+  doFetch: (range) => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.FETCH_STARTED,
+        payload: { range },
+      });
+
+      const [start, end] = range;
+
+      const data = await DashboardService.find(
+        moment(start).startOf('day'),
+        moment(end).endOf('day'),
+      );
+
+      dispatch({
+        type: actions.FETCH_SUCCESS,
+        payload: { data },
+      });
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.FETCH_ERROR,
+      });
+    }
+  },
+};
+
+export default actions;
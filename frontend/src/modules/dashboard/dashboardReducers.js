@@ -0,0 +1,43 @@
+import actions from 'modules/dashboard/dashboardActions';
+import moment from 'moment';
+
+const initialData = {
+  loading: false,
+  range: [
+    moment()
+      .subtract(2, 'months')
+      .startOf('month'),
+    moment()
+      .add(1, 'month')
+      .endOf('month'),
+  ],
+  data: null,
+};
+
+export default (state = initialData, { type, payload }) => {
+  if (type === actions.FETCH_STARTED) {
+    return {
+      ...state,
+      loading: true,
+      range: payload.range,
+    };
+  }
+
+  if (type === actions.FETCH_SUCCESS) {
+    return {
+      ...state,
+      loading: false,
+      data: payload.data,
+    };
+  }
+
+  if (type === actions.FETCH_ERROR) {
+    return {
+      ...state,
+      loading: false,
+      data: null,
+    };
+  }
+
+  return state;
+};
@@ -0,0 +1,39 @@
+import { createSelector } from 'reselect';
+import authSelectors from 'modules/auth/authSelectors';
+import PermissionChecker from 'modules/auth/permissionChecker';
+import Permissions from 'security/permissions';
+
+const selectRaw = (state) => state.dashboard;
+
+const selectLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.loading,
+);
+
+const selectRange = createSelector(
+  [selectRaw],
+  (raw) => raw.range,
+);
+
+const selectData = createSelector(
+  [selectRaw],
+  (raw) => raw.data,
+);
+
+const selectPermissionToRead = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.dashboardRead,
+    ),
+);
+
+const selectors = {
+  selectRaw,
+  selectLoading,
+  selectRange,
+  selectData,
+  selectPermissionToRead,
+};
+
+export default selectors;
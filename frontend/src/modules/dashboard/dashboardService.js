@@ -0,0 +1,43 @@
+import gql from 'graphql-tag';
+import graphqlClient from 'modules/shared/graphql/graphqlClient';
+
+export default class DashboardService {
+  static async find(start, end) {
+    const response = await graphqlClient.query({
+      query: gql`
+        query DASHBOARD(
+          $start: DateTime!
+          $end: DateTime!
+        ) {
+          dashboard(start: $start, end: $end) {
+            occupancy {
+              date
+              capacity
+              booked
+            }
+            revenueByMonth {
+              month
+              revenue
+            }
+            bookingsByStatus {
+              status
+              count
+            }
+            cancellationRate
+            childrenByAgeGroup {
+              ageGroup
+              count
+            }
+          }
+        }
+      `,
+
+      variables: {
+        start,
+        end,
+      },
+    });
+
+    return response.data.dashboard;
+  }
+}
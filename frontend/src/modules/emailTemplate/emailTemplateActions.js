@@ -0,0 +1,113 @@
+import EmailTemplateService from 'modules/emailTemplate/emailTemplateService';
+import Errors from 'modules/shared/error/errors';
+import Message from 'view/shared/message';
+import { i18n } from 'i18n';
+
+const prefix = 'EMAIL_TEMPLATE';
+
+const actions = {
+  FETCH_STARTED: `${prefix}_FETCH_STARTED`,
+  FETCH_SUCCESS: `${prefix}_FETCH_SUCCESS`,
+  FETCH_ERROR: `${prefix}_FETCH_ERROR`,
+
+  SAVE_STARTED: `${prefix}_SAVE_STARTED`,
+  SAVE_SUCCESS: `${prefix}_SAVE_SUCCESS`,
+  SAVE_ERROR: `${prefix}_SAVE_ERROR`,
+
+  PREVIEW_STARTED: `${prefix}_PREVIEW_STARTED`,
+  PREVIEW_SUCCESS: `${prefix}_PREVIEW_SUCCESS`,
+  PREVIEW_ERROR: `${prefix}_PREVIEW_ERROR`,
+
+  doFetch: (language) => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.FETCH_STARTED,
+        payload: { language },
+      });
+
+      const rows = await EmailTemplateService.list(
+        language,
+      );
+
+      dispatch({
+        type: actions.FETCH_SUCCESS,
+        payload: { rows },
+      });
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.FETCH_ERROR,
+      });
+    }
+  },
+
+  doSave: (template, language, values) =>
+    actions.doChange(
+      () =>
+        EmailTemplateService.save(
+          template,
+          language,
+          values,
+        ),
+      'settings.emailTemplates.save.success',
+    ),
+
+  doReset: (template, language) =>
+    actions.doChange(
+      () => EmailTemplateService.reset(template, language),
+      'settings.emailTemplates.reset.success',
+    ),
+
+  doChange: (changeFn, successMessageI18nKey) => async (
+    dispatch,
+  ) => {
+    try {
+      dispatch({
+        type: actions.SAVE_STARTED,
+      });
+
+      const record = await changeFn();
+
+      dispatch({
+        type: actions.SAVE_SUCCESS,
+        payload: { record },
+      });
+
+      Message.success(i18n(successMessageI18nKey));
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.SAVE_ERROR,
+      });
+    }
+  },
+
+  doPreview: (template, language, values) => async (
+    dispatch,
+  ) => {
+    try {
+      dispatch({
+        type: actions.PREVIEW_STARTED,
+      });
+
+      const preview = await EmailTemplateService.preview(
+        template,
+        language,
+        values,
+      );
+
+      dispatch({
+        type: actions.PREVIEW_SUCCESS,
+        payload: { preview },
+      });
+    } catch (error) {
+      dispatch({
+        type: actions.PREVIEW_ERROR,
+      });
+    }
+  },
+};
+
+export default actions;
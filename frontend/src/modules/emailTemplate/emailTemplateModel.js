@@ -0,0 +1,20 @@
+import { i18n } from 'i18n';
+import StringField from 'modules/shared/fields/stringField';
+
+function label(name) {
+  return i18n(`settings.emailTemplates.fields.${name}`);
+}
+
+const fields = {
+  subject: new StringField('subject', label('subject'), {
+    required: true,
+    max: 1024,
+  }),
+  body: new StringField('body', label('body'), {
+    required: true,
+  }),
+};
+
+export default {
+  fields,
+};
@@ -0,0 +1,89 @@
+import actions from 'modules/emailTemplate/emailTemplateActions';
+
+const initialData = {
+  loading: false,
+  saveLoading: false,
+  previewLoading: false,
+  language: null,
+  rows: [],
+  preview: null,
+};
+
+export default (state = initialData, { type, payload }) => {
+  if (type === actions.FETCH_STARTED) {
+    return {
+      ...state,
+      loading: true,
+      language: payload.language,
+      rows: [],
+      preview: null,
+    };
+  }
+
+  if (type === actions.FETCH_SUCCESS) {
+    return {
+      ...state,
+      loading: false,
+      rows: payload.rows,
+    };
+  }
+
+  if (type === actions.FETCH_ERROR) {
+    return {
+      ...state,
+      loading: false,
+      rows: [],
+    };
+  }
+
+  if (type === actions.SAVE_STARTED) {
+    return {
+      ...state,
+      saveLoading: true,
+    };
+  }
+
+  if (type === actions.SAVE_SUCCESS) {
+    return {
+      ...state,
+      saveLoading: false,
+      rows: state.rows.map((row) =>
+        row.template === payload.record.template
+          ? payload.record
+          : row,
+      ),
+    };
+  }
+
+  if (type === actions.SAVE_ERROR) {
+    return {
+      ...state,
+      saveLoading: false,
+    };
+  }
+
+  if (type === actions.PREVIEW_STARTED) {
+    return {
+      ...state,
+      previewLoading: true,
+    };
+  }
+
+  if (type === actions.PREVIEW_SUCCESS) {
+    return {
+      ...state,
+      previewLoading: false,
+      preview: payload.preview,
+    };
+  }
+
+  if (type === actions.PREVIEW_ERROR) {
+    return {
+      ...state,
+      previewLoading: false,
+      preview: null,
+    };
+  }
+
+  return state;
+};
@@ -0,0 +1,45 @@
+import { createSelector } from 'reselect';
+
+const selectRaw = (state) => state.emailTemplate;
+
+const selectLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.loading,
+);
+
+const selectSaveLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.saveLoading,
+);
+
+const selectPreviewLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.previewLoading,
+);
+
+const selectLanguage = createSelector(
+  [selectRaw],
+  (raw) => raw.language,
+);
+
+const selectRows = createSelector(
+  [selectRaw],
+  (raw) => raw.rows,
+);
+
+const selectPreview = createSelector(
+  [selectRaw],
+  (raw) => raw.preview,
+);
+
+const selectors = {
+  selectRaw,
+  selectLoading,
+  selectSaveLoading,
+  selectPreviewLoading,
+  selectLanguage,
+  selectRows,
+  selectPreview,
+};
+
+export default selectors;
@@ -0,0 +1,119 @@
+import gql from 'graphql-tag';
+import graphqlClient from 'modules/shared/graphql/graphqlClient';
+
+export default class EmailTemplateService {
+  static async list(language) {
+    const response = await graphqlClient.query({
+      query: gql`
+        query EMAIL_TEMPLATE_LIST($language: String!) {
+          emailTemplateList(language: $language) {
+            template
+            language
+            subject
+            body
+            variables
+            customized
+          }
+        }
+      `,
+
+      variables: {
+        language,
+      },
+    });
+
+    return response.data.emailTemplateList;
+  }
+
+  static async preview(template, language, data) {
+    const response = await graphqlClient.query({
+      query: gql`
+        query EMAIL_TEMPLATE_PREVIEW(
+          $template: String!
+          $language: String!
+          $data: EmailTemplateInput!
+        ) {
+          emailTemplatePreview(
+            template: $template
+            language: $language
+            data: $data
+          ) {
+            subject
+            html
+          }
+        }
+      `,
+
+      variables: {
+        template,
+        language,
+        data,
+      },
+    });
+
+    return response.data.emailTemplatePreview;
+  }
+
+  static async save(template, language, data) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation EMAIL_TEMPLATE_SAVE(
+          $template: String!
+          $language: String!
+          $data: EmailTemplateInput!
+        ) {
+          emailTemplateSave(
+            template: $template
+            language: $language
+            data: $data
+          ) {
+            template
+            language
+            subject
+            body
+            variables
+            customized
+          }
+        }
+      `,
+
+      variables: {
+        template,
+        language,
+        data,
+      },
+    });
+
+    return response.data.emailTemplateSave;
+  }
+
+  static async reset(template, language) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation EMAIL_TEMPLATE_RESET(
+          $template: String!
+          $language: String!
+        ) {
+          emailTemplateReset(
+            template: $template
+            language: $language
+          ) {
+            template
+            language
+            subject
+            body
+            variables
+            customized
+          }
+        }
+      `,
+
+      variables: {
+        template,
+        language,
+      },
+    });
+
+    return response.data.emailTemplateReset;
+  }
+}
@@ -52,6 +52,14 @@ const selectPermissionToChangeStatus = createSelector(
     ),
 );
 
+const selectPermissionToApprove = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.iamApprove,
+    ),
+);
+
 const selectPermissionToEditRecord = createSelector(
   [
     selectPermissionToEdit,
@@ -94,6 +102,7 @@ const selectors = {
   selectPermissionToImport,
   selectPermissionToRemove,
   selectPermissionToChangeStatus,
+  selectPermissionToApprove,
   selectPermissionToEditRecord,
 };
 
@@ -30,6 +30,22 @@ export default class IamService {
     return response.data.iamChangeStatus;
   }
 
+  static async approve(ids) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation IAM_APPROVE($ids: [String!]!) {
+          iamApprove(ids: $ids)
+        }
+      `,
+
+      variables: {
+        ids,
+      },
+    });
+
+    return response.data.iamApprove;
+  }
+
   static async edit(data) {
     const response = await graphqlClient.mutate({
       mutation: gql`
@@ -123,9 +139,14 @@ export default class IamService {
             phoneNumber
             email
             roles
+            locationRoles {
+              location
+              role
+            }
             createdAt
             updatedAt
             disabled
+            approvalPending
             avatars {
               id
               name
@@ -174,6 +195,7 @@ export default class IamService {
                 privateUrl
               }
               disabled
+              approvalPending
               roles
               createdAt
             }
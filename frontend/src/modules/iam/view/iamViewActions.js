@@ -16,6 +16,10 @@ const actions = {
   CHANGE_STATUS_SUCCESS: `${prefix}_CHANGE_STATUS_SUCCESS`,
   CHANGE_STATUS_ERROR: `${prefix}_CHANGE_STATUS_ERROR`,
 
+  APPROVE_STARTED: `${prefix}_APPROVE_STARTED`,
+  APPROVE_SUCCESS: `${prefix}_APPROVE_SUCCESS`,
+  APPROVE_ERROR: `${prefix}_APPROVE_ERROR`,
+
   doFind: (id) => async (dispatch) => {
     try {
       dispatch({
@@ -74,6 +78,32 @@ const actions = {
       });
     }
   },
+
+  doApprove: () => async (dispatch, getState) => {
+    try {
+      const user = selectors.selectUser(getState());
+
+      dispatch({
+        type: actions.APPROVE_STARTED,
+      });
+
+      await IamService.approve([user.id]);
+
+      dispatch({
+        type: actions.APPROVE_SUCCESS,
+      });
+
+      Message.success(i18n('iam.doApproveSuccess'));
+
+      dispatch(actions.doFind(user.id));
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.APPROVE_ERROR,
+      });
+    }
+  },
 };
 
 export default actions;
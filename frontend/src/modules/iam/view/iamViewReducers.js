@@ -6,14 +6,20 @@ const initialData = {
 };
 
 export default (state = initialData, { type, payload }) => {
-  if (type === actions.CHANGE_STATUS_STARTED) {
+  if (
+    type === actions.CHANGE_STATUS_STARTED ||
+    type === actions.APPROVE_STARTED
+  ) {
     return {
       ...state,
       loading: true,
     };
   }
 
-  if (type === actions.CHANGE_STATUS_ERROR) {
+  if (
+    type === actions.CHANGE_STATUS_ERROR ||
+    type === actions.APPROVE_ERROR
+  ) {
     return {
       ...state,
       loading: false,
@@ -0,0 +1,65 @@
+import Roles from 'security/roles';
+
+const STORAGE_KEY = 'location';
+
+const STAFF_ROLES = [
+  Roles.values.manager,
+  Roles.values.employee,
+];
+
+export function getCurrentLocationId() {
+  return localStorage.getItem(STORAGE_KEY) || null;
+}
+
+export function setCurrentLocationId(id) {
+  if (id) {
+    localStorage.setItem(STORAGE_KEY, id);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+function locationRolesAt(currentUser, locationId) {
+  return ((currentUser && currentUser.locationRoles) || [])
+    .filter((item) => item.location === locationId)
+    .map((item) => item.role);
+}
+
+/**
+ * The server merges the roles of the selected location into
+ * the user roles, so only the remaining staff roles are global.
+ */
+export function hasGlobalStaffRole(currentUser) {
+  const atCurrent = locationRolesAt(
+    currentUser,
+    getCurrentLocationId(),
+  );
+
+  return ((currentUser && currentUser.roles) || []).some(
+    (role) =>
+      STAFF_ROLES.includes(role) &&
+      !atCurrent.includes(role),
+  );
+}
+
+/**
+ * Staff that only work at some locations must have one
+ * of them selected. Returns true when the selection changed.
+ */
+export function selectLocationFor(currentUser) {
+  const locationIds = (
+    (currentUser && currentUser.locationRoles) ||
+    []
+  ).map((item) => item.location);
+
+  if (
+    !locationIds.length ||
+    locationIds.includes(getCurrentLocationId()) ||
+    hasGlobalStaffRole(currentUser)
+  ) {
+    return false;
+  }
+
+  setCurrentLocationId(locationIds[0]);
+  return true;
+}
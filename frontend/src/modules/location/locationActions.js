@@ -0,0 +1,108 @@
+import LocationService from 'modules/location/locationService';
+import { setCurrentLocationId } from 'modules/location/currentLocation';
+import Errors from 'modules/shared/error/errors';
+import Message from 'view/shared/message';
+import { i18n } from 'i18n';
+
+const prefix = 'LOCATION';
+
+const actions = {
+  FETCH_STARTED: `${prefix}_FETCH_STARTED`,
+  FETCH_SUCCESS: `${prefix}_FETCH_SUCCESS`,
+  FETCH_ERROR: `${prefix}_FETCH_ERROR`,
+
+  SAVE_STARTED: `${prefix}_SAVE_STARTED`,
+  SAVE_SUCCESS: `${prefix}_SAVE_SUCCESS`,
+  SAVE_ERROR: `${prefix}_SAVE_ERROR`,
+
+  DESTROY_STARTED: `${prefix}_DESTROY_STARTED`,
+  DESTROY_SUCCESS: `${prefix}_DESTROY_SUCCESS`,
+  DESTROY_ERROR: `${prefix}_DESTROY_ERROR`,
+
+  doFetch: () => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.FETCH_STARTED,
+      });
+
+      const rows = await LocationService.list();
+
+      dispatch({
+        type: actions.FETCH_SUCCESS,
+        payload: { rows },
+      });
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.FETCH_ERROR,
+      });
+    }
+  },
+
+  doSave: (id, values) => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.SAVE_STARTED,
+      });
+
+      const record = id
+        ? await LocationService.update(id, values)
+        : await LocationService.create(values);
+
+      dispatch({
+        type: actions.SAVE_SUCCESS,
+        payload: { record },
+      });
+
+      Message.success(
+        i18n('entities.location.save.success'),
+      );
+
+      return record;
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.SAVE_ERROR,
+      });
+    }
+  },
+
+  doDestroy: (id) => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.DESTROY_STARTED,
+      });
+
+      await LocationService.destroy(id);
+
+      dispatch({
+        type: actions.DESTROY_SUCCESS,
+        payload: { id },
+      });
+
+      Message.success(
+        i18n('entities.location.destroy.success'),
+      );
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.DESTROY_ERROR,
+      });
+    }
+  },
+
+  doChangeCurrent: (id) => {
+    setCurrentLocationId(id);
+
+    /**
+     * Every list and the current user roles depend on
+     * the location, so the app is loaded again
+     */
+    window.location.reload();
+  },
+};
+
+export default actions;
@@ -0,0 +1,47 @@
+import GenericField from 'modules/shared/fields/genericField';
+import * as yup from 'yup';
+
+/**
+ * Records come with the { id, name } of their location,
+ * while forms and filters select it by id.
+ */
+export default class LocationField extends GenericField {
+  forView(value) {
+    return value ? value.name : null;
+  }
+
+  forTable(overrides) {
+    return super.forTable({
+      render: (value) => this.forView(value),
+      ...overrides,
+    });
+  }
+
+  forFormInitialValue(value) {
+    return value ? value.id : null;
+  }
+
+  forForm() {
+    return yup
+      .string()
+      .nullable(true)
+      .label(this.label);
+  }
+
+  forFilter() {
+    return this.forForm();
+  }
+
+  forExport() {
+    return yup
+      .mixed()
+      .label(this.label)
+      .transform((value, originalValue) =>
+        originalValue ? originalValue.name : null,
+      );
+  }
+
+  forImport() {
+    return this.forForm();
+  }
+}
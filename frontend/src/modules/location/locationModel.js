@@ -0,0 +1,22 @@
+import { i18n } from 'i18n';
+import IdField from 'modules/shared/fields/idField';
+import StringField from 'modules/shared/fields/stringField';
+
+function label(name) {
+  return i18n(`entities.location.fields.${name}`);
+}
+
+const fields = {
+  id: new IdField('id', label('id')),
+  name: new StringField('name', label('name'), {
+    required: true,
+    max: 255,
+  }),
+  address: new StringField('address', label('address'), {
+    max: 1024,
+  }),
+};
+
+export default {
+  fields,
+};
@@ -0,0 +1,80 @@
+import { createSelector } from 'reselect';
+import authSelectors from 'modules/auth/authSelectors';
+import PermissionChecker from 'modules/auth/permissionChecker';
+import Permissions from 'security/permissions';
+import {
+  getCurrentLocationId,
+  hasGlobalStaffRole,
+} from 'modules/location/currentLocation';
+
+const selectRaw = (state) => state.location;
+
+const selectLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.loading,
+);
+
+const selectSaveLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.saveLoading,
+);
+
+const selectDestroyLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.destroyLoading,
+);
+
+const selectRows = createSelector(
+  [selectRaw],
+  (raw) => raw.rows,
+);
+
+const selectCurrentLocationId = () =>
+  getCurrentLocationId();
+
+const selectCanSelectAll = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) => hasGlobalStaffRole(currentUser),
+);
+
+const selectAvailableRows = createSelector(
+  [
+    selectRows,
+    selectCanSelectAll,
+    authSelectors.selectCurrentUser,
+  ],
+  (rows, canSelectAll, currentUser) => {
+    if (canSelectAll) {
+      return rows;
+    }
+
+    const ids = (
+      (currentUser && currentUser.locationRoles) ||
+      []
+    ).map((item) => item.location);
+
+    return rows.filter((row) => ids.includes(row.id));
+  },
+);
+
+const selectPermissionToEdit = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.locationEdit,
+    ),
+);
+
+const selectors = {
+  selectRaw,
+  selectLoading,
+  selectSaveLoading,
+  selectDestroyLoading,
+  selectRows,
+  selectCurrentLocationId,
+  selectCanSelectAll,
+  selectAvailableRows,
+  selectPermissionToEdit,
+};
+
+export default selectors;
@@ -0,0 +1,80 @@
+import gql from 'graphql-tag';
+import graphqlClient from 'modules/shared/graphql/graphqlClient';
+
+export default class LocationService {
+  static async list() {
+    const response = await graphqlClient.query({
+      query: gql`
+        query LOCATION_LIST {
+          locationList {
+            id
+            name
+            address
+          }
+        }
+      `,
+    });
+
+    return response.data.locationList;
+  }
+
+  static async create(data) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation LOCATION_CREATE($data: LocationInput!) {
+          locationCreate(data: $data) {
+            id
+            name
+            address
+          }
+        }
+      `,
+
+      variables: {
+        data,
+      },
+    });
+
+    return response.data.locationCreate;
+  }
+
+  static async update(id, data) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation LOCATION_UPDATE(
+          $id: String!
+          $data: LocationInput!
+        ) {
+          locationUpdate(id: $id, data: $data) {
+            id
+            name
+            address
+          }
+        }
+      `,
+
+      variables: {
+        id,
+        data,
+      },
+    });
+
+    return response.data.locationUpdate;
+  }
+
+  static async destroy(id) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation LOCATION_DESTROY($id: String!) {
+          locationDestroy(id: $id)
+        }
+      `,
+
+      variables: {
+        id,
+      },
+    });
+
+    return response.data.locationDestroy;
+  }
+}
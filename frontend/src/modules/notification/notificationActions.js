@@ -0,0 +1,84 @@
+import NotificationService from 'modules/notification/notificationService';
+import Errors from 'modules/shared/error/errors';
+
+const prefix = 'NOTIFICATION';
+
+const LIMIT = 10;
+
+const actions = {
+  FETCH_STARTED: `${prefix}_FETCH_STARTED`,
+  FETCH_SUCCESS: `${prefix}_FETCH_SUCCESS`,
+  FETCH_ERROR: `${prefix}_FETCH_ERROR`,
+
+  UNREAD_COUNT_SUCCESS: `${prefix}_UNREAD_COUNT_SUCCESS`,
+
+  MARK_AS_READ_SUCCESS: `${prefix}_MARK_AS_READ_SUCCESS`,
+  MARK_ALL_AS_READ_SUCCESS: `${prefix}_MARK_ALL_AS_READ_SUCCESS`,
+
+  doFetch: () => async (dispatch) => {
+    try {
+      dispatch({
+        type: actions.FETCH_STARTED,
+      });
+
+      const {
+        rows,
+        count,
+      } = await NotificationService.list(LIMIT, 0);
+
+      dispatch({
+        type: actions.FETCH_SUCCESS,
+        payload: { rows, count },
+      });
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.FETCH_ERROR,
+      });
+    }
+  },
+
+  doFetchUnreadCount: () => async (dispatch) => {
+    try {
+      const unreadCount = await NotificationService.unreadCount();
+
+      dispatch({
+        type: actions.UNREAD_COUNT_SUCCESS,
+        payload: unreadCount,
+      });
+    } catch (error) {
+      // Polled in the background, so failures are not shown
+      console.error(error);
+    }
+  },
+
+  doMarkAsRead: (ids) => async (dispatch) => {
+    try {
+      await NotificationService.markAsRead(ids);
+
+      dispatch({
+        type: actions.MARK_AS_READ_SUCCESS,
+        payload: ids,
+      });
+
+      dispatch(actions.doFetchUnreadCount());
+    } catch (error) {
+      Errors.handle(error);
+    }
+  },
+
+  doMarkAllAsRead: () => async (dispatch) => {
+    try {
+      await NotificationService.markAllAsRead();
+
+      dispatch({
+        type: actions.MARK_ALL_AS_READ_SUCCESS,
+      });
+    } catch (error) {
+      Errors.handle(error);
+    }
+  },
+};
+
+export default actions;
@@ -0,0 +1,66 @@
+import actions from 'modules/notification/notificationActions';
+
+const initialData = {
+  rows: [],
+  count: 0,
+  unreadCount: 0,
+  loading: false,
+};
+
+export default (state = initialData, { type, payload }) => {
+  if (type === actions.FETCH_STARTED) {
+    return {
+      ...state,
+      loading: true,
+    };
+  }
+
+  if (type === actions.FETCH_SUCCESS) {
+    return {
+      ...state,
+      loading: false,
+      rows: payload.rows,
+      count: payload.count,
+    };
+  }
+
+  if (type === actions.FETCH_ERROR) {
+    return {
+      ...state,
+      loading: false,
+      rows: [],
+      count: 0,
+    };
+  }
+
+  if (type === actions.UNREAD_COUNT_SUCCESS) {
+    return {
+      ...state,
+      unreadCount: payload,
+    };
+  }
+
+  if (type === actions.MARK_AS_READ_SUCCESS) {
+    return {
+      ...state,
+      rows: state.rows.map((row) =>
+        payload.includes(row.id)
+          ? { ...row, readAt: row.readAt || new Date() }
+          : row,
+      ),
+    };
+  }
+
+  if (type === actions.MARK_ALL_AS_READ_SUCCESS) {
+    return {
+      ...state,
+      unreadCount: 0,
+      rows: state.rows.map((row) => ({
+        ...row,
+        readAt: row.readAt || new Date(),
+      })),
+    };
+  }
+
+  return state;
+};
@@ -0,0 +1,44 @@
+import { createSelector } from 'reselect';
+import authSelectors from 'modules/auth/authSelectors';
+import PermissionChecker from 'modules/auth/permissionChecker';
+import Permissions from 'security/permissions';
+
+const selectRaw = (state) => state.notification;
+
+const selectRows = createSelector(
+  [selectRaw],
+  (raw) => raw.rows,
+);
+
+const selectCount = createSelector(
+  [selectRaw],
+  (raw) => raw.count,
+);
+
+const selectUnreadCount = createSelector(
+  [selectRaw],
+  (raw) => raw.unreadCount,
+);
+
+const selectLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.loading,
+);
+
+const selectPermissionToRead = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.notificationRead,
+    ),
+);
+
+const selectors = {
+  selectRows,
+  selectCount,
+  selectUnreadCount,
+  selectLoading,
+  selectPermissionToRead,
+};
+
+export default selectors;
@@ -0,0 +1,72 @@
+import gql from 'graphql-tag';
+import graphqlClient from 'modules/shared/graphql/graphqlClient';
+
+export default class NotificationService {
+  static async list(limit, offset) {
+    const response = await graphqlClient.query({
+      query: gql`
+        query NOTIFICATION_LIST($limit: Int, $offset: Int) {
+          notificationList(limit: $limit, offset: $offset) {
+            count
+            rows {
+              id
+              type
+              data
+              readAt
+              createdAt
+            }
+          }
+        }
+      `,
+
+      variables: {
+        limit,
+        offset,
+      },
+    });
+
+    return response.data.notificationList;
+  }
+
+  static async unreadCount() {
+    const response = await graphqlClient.query({
+      query: gql`
+        query NOTIFICATION_UNREAD_COUNT {
+          notificationUnreadCount
+        }
+      `,
+    });
+
+    return response.data.notificationUnreadCount;
+  }
+
+  static async markAsRead(ids) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation NOTIFICATION_MARK_AS_READ(
+          $ids: [String!]!
+        ) {
+          notificationMarkAsRead(ids: $ids)
+        }
+      `,
+
+      variables: {
+        ids,
+      },
+    });
+
+    return response.data.notificationMarkAsRead;
+  }
+
+  static async markAllAsRead() {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation NOTIFICATION_MARK_ALL_AS_READ {
+          notificationMarkAllAsRead
+        }
+      `,
+    });
+
+    return response.data.notificationMarkAllAsRead;
+  }
+}
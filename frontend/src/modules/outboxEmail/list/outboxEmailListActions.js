@@ -0,0 +1,15 @@
+import OutboxEmailService from 'modules/outboxEmail/outboxEmailService';
+import paginationAction from 'modules/shared/pagination/paginationAction';
+import selectors from 'modules/outboxEmail/list/outboxEmailListSelectors';
+import { i18n } from 'i18n';
+import exporterFields from 'modules/outboxEmail/list/outboxEmailListExporterFields';
+
+const prefix = 'OUTBOX_EMAIL_LIST';
+
+export default paginationAction(
+  prefix,
+  OutboxEmailService.list,
+  selectors,
+  i18n('outboxEmail.exporterFileName'),
+  exporterFields,
+);
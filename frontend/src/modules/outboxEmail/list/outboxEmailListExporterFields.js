@@ -0,0 +1,15 @@
+import model from 'modules/outboxEmail/outboxEmailModel';
+
+const { fields } = model;
+
+export default [
+  fields.createdAt,
+  fields.to,
+  fields.subject,
+  fields.status,
+  fields.attempts,
+  fields.lastError,
+  fields.nextAttemptAt,
+  fields.sentAt,
+  fields.id,
+];
@@ -0,0 +1,4 @@
+import actions from 'modules/outboxEmail/list/outboxEmailListActions';
+import paginationReducer from 'modules/shared/pagination/paginationReducer';
+
+export default paginationReducer(actions);
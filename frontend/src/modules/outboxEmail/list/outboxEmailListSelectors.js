@@ -0,0 +1,18 @@
+import { createSelector } from 'reselect';
+import paginationSelectors from 'modules/shared/pagination/paginationSelectors';
+import authSelectors from 'modules/auth/authSelectors';
+import PermissionChecker from 'modules/auth/permissionChecker';
+import Permissions from 'security/permissions';
+
+const selectPermissionToResend = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.outboxEmailResend,
+    ),
+);
+
+export default {
+  ...paginationSelectors('outboxEmail.list'),
+  selectPermissionToResend,
+};
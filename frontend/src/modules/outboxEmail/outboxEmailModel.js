@@ -0,0 +1,53 @@
+import { i18n } from 'i18n';
+import IdField from 'modules/shared/fields/idField';
+import DateTimeField from 'modules/shared/fields/dateTimeField';
+import DateTimeRangeField from 'modules/shared/fields/dateTimeRangeField';
+import StringField from 'modules/shared/fields/stringField';
+import IntegerField from 'modules/shared/fields/integerField';
+import EnumeratorField from 'modules/shared/fields/enumeratorField';
+import outboxEmailStatus from 'modules/outboxEmail/outboxEmailStatus';
+
+function label(name) {
+  return i18n(`outboxEmail.fields.${name}`);
+}
+
+function enumeratorLabel(name, value) {
+  return i18n(`outboxEmail.enumerators.${name}.${value}`);
+}
+
+const fields = {
+  id: new IdField('id', label('id')),
+  to: new StringField('to', label('to')),
+  subject: new StringField('subject', label('subject')),
+  html: new StringField('html', label('html')),
+  status: new EnumeratorField(
+    'status',
+    label('status'),
+    Object.values(outboxEmailStatus).map((value) => ({
+      id: value,
+      label: enumeratorLabel('status', value),
+    })),
+  ),
+  attempts: new IntegerField('attempts', label('attempts')),
+  lastError: new StringField(
+    'lastError',
+    label('lastError'),
+  ),
+  nextAttemptAt: new DateTimeField(
+    'nextAttemptAt',
+    label('nextAttemptAt'),
+  ),
+  sentAt: new DateTimeField('sentAt', label('sentAt')),
+  createdAt: new DateTimeField(
+    'createdAt',
+    label('createdAt'),
+  ),
+  createdAtRange: new DateTimeRangeField(
+    'createdAtRange',
+    label('createdAtRange'),
+  ),
+};
+
+export default {
+  fields,
+};
@@ -0,0 +1,8 @@
+import list from 'modules/outboxEmail/list/outboxEmailListReducers';
+import resend from 'modules/outboxEmail/resend/outboxEmailResendReducers';
+import { combineReducers } from 'redux';
+
+export default combineReducers({
+  list,
+  resend,
+});
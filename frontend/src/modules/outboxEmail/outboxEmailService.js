@@ -0,0 +1,66 @@
+import gql from 'graphql-tag';
+import graphqlClient from 'modules/shared/graphql/graphqlClient';
+
+export default class OutboxEmailService {
+  static async list(filter, orderBy, limit, offset) {
+    const response = await graphqlClient.query({
+      query: gql`
+        query OUTBOX_EMAIL_LIST(
+          $filter: OutboxEmailListFilterInput
+          $orderBy: OutboxEmailListOrderByEnum
+          $limit: Int
+          $offset: Int
+        ) {
+          outboxEmailList(
+            filter: $filter
+            orderBy: $orderBy
+            limit: $limit
+            offset: $offset
+          ) {
+            count
+            rows {
+              id
+              to
+              subject
+              html
+              status
+              attempts
+              lastError
+              nextAttemptAt
+              sentAt
+              createdAt
+            }
+          }
+        }
+      `,
+
+      variables: {
+        filter,
+        orderBy,
+        limit,
+        offset,
+      },
+    });
+
+    return response.data.outboxEmailList;
+  }
+
+  static async resend(id) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation OUTBOX_EMAIL_RESEND($id: String!) {
+          outboxEmailResend(id: $id) {
+            id
+            status
+          }
+        }
+      `,
+
+      variables: {
+        id,
+      },
+    });
+
+    return response.data.outboxEmailResend;
+  }
+}
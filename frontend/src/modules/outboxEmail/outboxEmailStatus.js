@@ -0,0 +1,19 @@
+const outboxEmailStatus = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+export function outboxEmailStatusColor(status) {
+  if (status === outboxEmailStatus.SENT) {
+    return '#87d068';
+  }
+
+  if (status === outboxEmailStatus.FAILED) {
+    return '#f50';
+  }
+
+  return '#faad14';
+}
+
+export default outboxEmailStatus;
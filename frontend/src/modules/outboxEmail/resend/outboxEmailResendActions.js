@@ -0,0 +1,51 @@
+import OutboxEmailService from 'modules/outboxEmail/outboxEmailService';
+import listActions from 'modules/outboxEmail/list/outboxEmailListActions';
+import listSelectors from 'modules/outboxEmail/list/outboxEmailListSelectors';
+import outboxEmailStatus from 'modules/outboxEmail/outboxEmailStatus';
+import Errors from 'modules/shared/error/errors';
+import Message from 'view/shared/message';
+import { i18n } from 'i18n';
+
+const prefix = 'OUTBOX_EMAIL_RESEND';
+
+const actions = {
+  RESEND_STARTED: `${prefix}_RESEND_STARTED`,
+  RESEND_SUCCESS: `${prefix}_RESEND_SUCCESS`,
+  RESEND_ERROR: `${prefix}_RESEND_ERROR`,
+
+  doResend: (id) => async (dispatch, getState) => {
+    try {
+      dispatch({
+        type: actions.RESEND_STARTED,
+        payload: { id },
+      });
+
+      const record = await OutboxEmailService.resend(id);
+
+      dispatch({
+        type: actions.RESEND_SUCCESS,
+      });
+
+      if (record.status === outboxEmailStatus.SENT) {
+        Message.success(i18n('outboxEmail.resend.success'));
+      } else {
+        Message.error(i18n('outboxEmail.resend.error'));
+      }
+
+      dispatch(
+        listActions.doFetch(
+          listSelectors.selectFilter(getState()),
+          true,
+        ),
+      );
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.RESEND_ERROR,
+      });
+    }
+  },
+};
+
+export default actions;
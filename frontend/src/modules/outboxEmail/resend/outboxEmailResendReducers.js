@@ -0,0 +1,34 @@
+import actions from 'modules/outboxEmail/resend/outboxEmailResendActions';
+
+const initialData = {
+  loading: false,
+  id: null,
+};
+
+export default (state = initialData, { type, payload }) => {
+  if (type === actions.RESEND_STARTED) {
+    return {
+      ...state,
+      loading: true,
+      id: payload.id,
+    };
+  }
+
+  if (type === actions.RESEND_SUCCESS) {
+    return {
+      ...state,
+      loading: false,
+      id: null,
+    };
+  }
+
+  if (type === actions.RESEND_ERROR) {
+    return {
+      ...state,
+      loading: false,
+      id: null,
+    };
+  }
+
+  return state;
+};
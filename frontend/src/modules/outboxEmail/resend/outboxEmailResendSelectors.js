@@ -0,0 +1,20 @@
+import { createSelector } from 'reselect';
+
+const selectRaw = (state) => state.outboxEmail.resend;
+
+const selectLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.loading,
+);
+
+const selectId = createSelector(
+  [selectRaw],
+  (raw) => raw.id,
+);
+
+const selectors = {
+  selectLoading,
+  selectId,
+};
+
+export default selectors;
@@ -6,6 +6,14 @@ import auditLog from 'modules/auditLog/auditLogReducers';
 import settings from 'modules/settings/settingsReducers';
 import child from 'modules/child/childReducers';
 import booking from 'modules/booking/bookingReducers';
+import attendance from 'modules/attendance/attendanceReducers';
+import dailyReportEntry from 'modules/dailyReportEntry/dailyReportEntryReducers';
+import dashboard from 'modules/dashboard/dashboardReducers';
+import outboxEmail from 'modules/outboxEmail/outboxEmailReducers';
+import emailTemplate from 'modules/emailTemplate/emailTemplateReducers';
+import notification from 'modules/notification/notificationReducers';
+import location from 'modules/location/locationReducers';
+import role from 'modules/role/roleReducers';
 import { combineReducers } from 'redux';
 
 export default (history) =>
@@ -18,4 +26,12 @@ export default (history) =>
     settings,
     child,
     booking,
+    attendance,
+    dailyReportEntry,
+    dashboard,
+    outboxEmail,
+    emailTemplate,
+    notification,
+    location,
+    role,
   });
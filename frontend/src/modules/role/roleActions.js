@@ -0,0 +1,103 @@
+import RoleService from 'modules/role/roleService';
+import selectors from 'modules/role/roleSelectors';
+import Roles from 'security/roles';
+import Errors from 'modules/shared/error/errors';
+import Message from 'view/shared/message';
+import { i18n } from 'i18n';
+
+const prefix = 'ROLE';
+
+const actions = {
+  FETCH_STARTED: `${prefix}_FETCH_STARTED`,
+  FETCH_SUCCESS: `${prefix}_FETCH_SUCCESS`,
+  FETCH_ERROR: `${prefix}_FETCH_ERROR`,
+
+  SAVE_STARTED: `${prefix}_SAVE_STARTED`,
+  SAVE_SUCCESS: `${prefix}_SAVE_SUCCESS`,
+  SAVE_ERROR: `${prefix}_SAVE_ERROR`,
+
+  DESTROY_STARTED: `${prefix}_DESTROY_STARTED`,
+  DESTROY_SUCCESS: `${prefix}_DESTROY_SUCCESS`,
+  DESTROY_ERROR: `${prefix}_DESTROY_ERROR`,
+
+  doFetch: () => async (dispatch, getState) => {
+    try {
+      dispatch({
+        type: actions.FETCH_STARTED,
+      });
+
+      const rows = await RoleService.list();
+
+      dispatch({
+        type: actions.FETCH_SUCCESS,
+        payload: { rows },
+      });
+
+      Roles.register(selectors.selectRows(getState()));
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.FETCH_ERROR,
+      });
+    }
+  },
+
+  doSave: (id, values) => async (dispatch, getState) => {
+    try {
+      dispatch({
+        type: actions.SAVE_STARTED,
+      });
+
+      const record = id
+        ? await RoleService.update(id, values)
+        : await RoleService.create(values);
+
+      dispatch({
+        type: actions.SAVE_SUCCESS,
+        payload: { record },
+      });
+
+      Roles.register(selectors.selectRows(getState()));
+
+      Message.success(i18n('entities.role.save.success'));
+
+      return record;
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.SAVE_ERROR,
+      });
+    }
+  },
+
+  doDestroy: (id) => async (dispatch, getState) => {
+    try {
+      dispatch({
+        type: actions.DESTROY_STARTED,
+      });
+
+      await RoleService.destroy(id);
+
+      dispatch({
+        type: actions.DESTROY_SUCCESS,
+        payload: { id },
+      });
+
+      Roles.register(selectors.selectRows(getState()));
+
+      Message.success(
+        i18n('entities.role.destroy.success'),
+      );
+    } catch (error) {
+      Errors.handle(error);
+
+      dispatch({
+        type: actions.DESTROY_ERROR,
+      });
+    }
+  },
+};
+
+export default actions;
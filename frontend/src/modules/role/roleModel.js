@@ -0,0 +1,26 @@
+import { i18n } from 'i18n';
+import StringField from 'modules/shared/fields/stringField';
+import StringArrayField from 'modules/shared/fields/stringArrayField';
+
+function label(name) {
+  return i18n(`entities.role.fields.${name}`);
+}
+
+const fields = {
+  id: new StringField('id', label('id'), {
+    required: true,
+    max: 255,
+  }),
+  name: new StringField('name', label('name'), {
+    required: true,
+    max: 255,
+  }),
+  permissions: new StringArrayField(
+    'permissions',
+    label('permissions'),
+  ),
+};
+
+export default {
+  fields,
+};
@@ -0,0 +1,91 @@
+import actions from 'modules/role/roleActions';
+
+const initialData = {
+  loading: false,
+  saveLoading: false,
+  destroyLoading: false,
+  rows: [],
+};
+
+export default (state = initialData, { type, payload }) => {
+  if (type === actions.FETCH_STARTED) {
+    return {
+      ...state,
+      loading: true,
+    };
+  }
+
+  if (type === actions.FETCH_SUCCESS) {
+    return {
+      ...state,
+      loading: false,
+      rows: payload.rows,
+    };
+  }
+
+  if (type === actions.FETCH_ERROR) {
+    return {
+      ...state,
+      loading: false,
+      rows: [],
+    };
+  }
+
+  if (type === actions.SAVE_STARTED) {
+    return {
+      ...state,
+      saveLoading: true,
+    };
+  }
+
+  if (type === actions.SAVE_SUCCESS) {
+    const exists = state.rows.some(
+      (row) => row.id === payload.record.id,
+    );
+
+    return {
+      ...state,
+      saveLoading: false,
+      rows: exists
+        ? state.rows.map((row) =>
+            row.id === payload.record.id
+              ? payload.record
+              : row,
+          )
+        : [...state.rows, payload.record],
+    };
+  }
+
+  if (type === actions.SAVE_ERROR) {
+    return {
+      ...state,
+      saveLoading: false,
+    };
+  }
+
+  if (type === actions.DESTROY_STARTED) {
+    return {
+      ...state,
+      destroyLoading: true,
+    };
+  }
+
+  if (type === actions.DESTROY_SUCCESS) {
+    return {
+      ...state,
+      destroyLoading: false,
+      rows: state.rows.filter(
+        (row) => row.id !== payload.id,
+      ),
+    };
+  }
+
+  if (type === actions.DESTROY_ERROR) {
+    return {
+      ...state,
+      destroyLoading: false,
+    };
+  }
+
+  return state;
+};
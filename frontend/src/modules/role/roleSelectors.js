@@ -0,0 +1,45 @@
+import { createSelector } from 'reselect';
+import authSelectors from 'modules/auth/authSelectors';
+import PermissionChecker from 'modules/auth/permissionChecker';
+import Permissions from 'security/permissions';
+
+const selectRaw = (state) => state.role;
+
+const selectLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.loading,
+);
+
+const selectSaveLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.saveLoading,
+);
+
+const selectDestroyLoading = createSelector(
+  [selectRaw],
+  (raw) => !!raw.destroyLoading,
+);
+
+const selectRows = createSelector(
+  [selectRaw],
+  (raw) => raw.rows,
+);
+
+const selectPermissionToEdit = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.roleEdit,
+    ),
+);
+
+const selectors = {
+  selectRaw,
+  selectLoading,
+  selectSaveLoading,
+  selectDestroyLoading,
+  selectRows,
+  selectPermissionToEdit,
+};
+
+export default selectors;
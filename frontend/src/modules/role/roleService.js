@@ -0,0 +1,86 @@
+import gql from 'graphql-tag';
+import graphqlClient from 'modules/shared/graphql/graphqlClient';
+
+export default class RoleService {
+  static async list() {
+    const response = await graphqlClient.query({
+      query: gql`
+        query ROLE_LIST {
+          roleList {
+            id
+            name
+            permissions
+            builtIn
+            editable
+          }
+        }
+      `,
+    });
+
+    return response.data.roleList;
+  }
+
+  static async create(data) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation ROLE_CREATE($data: RoleInput!) {
+          roleCreate(data: $data) {
+            id
+            name
+            permissions
+            builtIn
+            editable
+          }
+        }
+      `,
+
+      variables: {
+        data,
+      },
+    });
+
+    return response.data.roleCreate;
+  }
+
+  static async update(id, data) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation ROLE_UPDATE(
+          $id: String!
+          $data: RoleInput!
+        ) {
+          roleUpdate(id: $id, data: $data) {
+            id
+            name
+            permissions
+            builtIn
+            editable
+          }
+        }
+      `,
+
+      variables: {
+        id,
+        data,
+      },
+    });
+
+    return response.data.roleUpdate;
+  }
+
+  static async destroy(id) {
+    const response = await graphqlClient.mutate({
+      mutation: gql`
+        mutation ROLE_DESTROY($id: String!) {
+          roleDestroy(id: $id)
+        }
+      `,
+
+      variables: {
+        id,
+      },
+    });
+
+    return response.data.roleDestroy;
+  }
+}
@@ -0,0 +1,18 @@
+import { createSelector } from 'reselect';
+import authSelectors from 'modules/auth/authSelectors';
+import PermissionChecker from 'modules/auth/permissionChecker';
+import Permissions from 'security/permissions';
+
+const selectPermissionToSearch = createSelector(
+  [authSelectors.selectCurrentUser],
+  (currentUser) =>
+    new PermissionChecker(currentUser).match(
+      Permissions.values.search,
+    ),
+);
+
+const selectors = {
+  selectPermissionToSearch,
+};
+
+export default selectors;
@@ -0,0 +1,26 @@
+import gql from 'graphql-tag';
+import graphqlClient from 'modules/shared/graphql/graphqlClient';
+
+export default class SearchService {
+  static async search(query, limit) {
+    const response = await graphqlClient.query({
+      query: gql`
+        query SEARCH($query: String!, $limit: Int) {
+          search(query: $query, limit: $limit) {
+            type
+            id
+            label
+            description
+          }
+        }
+      `,
+
+      variables: {
+        query,
+        limit,
+      },
+    });
+
+    return response.data.search;
+  }
+}
@@ -0,0 +1,8 @@
+const pricingRuleType = {
+  WEEKEND_SURCHARGE: 'weekendSurcharge',
+  HOLIDAY: 'holiday',
+  SIBLING_DISCOUNT: 'siblingDiscount',
+  LONG_STAY_DISCOUNT: 'longStayDiscount',
+};
+
+export default pricingRuleType;
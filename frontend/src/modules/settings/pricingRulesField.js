@@ -0,0 +1,108 @@
+import GenericField from 'modules/shared/fields/genericField';
+import pricingRuleType from 'modules/settings/pricingRuleType';
+import * as yup from 'yup';
+import { i18n } from 'i18n';
+
+const DISCOUNTS = [
+  pricingRuleType.SIBLING_DISCOUNT,
+  pricingRuleType.LONG_STAY_DISCOUNT,
+];
+
+function label(name) {
+  return i18n(`settings.pricingRules.fields.${name}`);
+}
+
+export default class PricingRulesField extends GenericField {
+  constructor(name, label) {
+    super(name, label);
+
+    this.options = Object.values(pricingRuleType).map(
+      (type) => ({
+        id: type,
+        label: i18n(`settings.pricingRules.types.${type}`),
+      }),
+    );
+  }
+
+  forView(value) {
+    return value;
+  }
+
+  forFormInitialValue(value) {
+    return (value || []).map((rule) => ({
+      type: rule.type,
+      percentage: rule.percentage,
+      minDays: rule.minDays || null,
+      minChildren: rule.minChildren || null,
+      dates: rule.dates || [],
+    }));
+  }
+
+  forForm() {
+    const percentage = () =>
+      yup
+        .number()
+        .nullable(true)
+        .required()
+        .min(0)
+        .label(label('percentage'));
+
+    const minDays = () =>
+      yup
+        .number()
+        .integer()
+        .nullable(true)
+        .min(1)
+        .label(label('minDays'));
+
+    const minChildren = () =>
+      yup
+        .number()
+        .integer()
+        .nullable(true)
+        .min(2)
+        .label(label('minChildren'));
+
+    const dates = () =>
+      yup
+        .array()
+        .of(
+          yup
+            .string()
+            .matches(
+              /^\d{4}-\d{2}-\d{2}$/,
+              i18n('settings.pricingRules.errors.date'),
+            ),
+        )
+        .label(label('dates'));
+
+    return yup
+      .array()
+      .of(
+        yup.object().shape({
+          type: yup
+            .string()
+            .required()
+            .oneOf(Object.values(pricingRuleType))
+            .label(label('type')),
+          percentage: percentage().when('type', {
+            is: (type) => DISCOUNTS.includes(type),
+            then: percentage().max(100),
+          }),
+          minDays: minDays().when('type', {
+            is: pricingRuleType.LONG_STAY_DISCOUNT,
+            then: minDays().required(),
+          }),
+          minChildren: minChildren().when('type', {
+            is: pricingRuleType.SIBLING_DISCOUNT,
+            then: minChildren().required(),
+          }),
+          dates: dates().when('type', {
+            is: pricingRuleType.HOLIDAY,
+            then: dates().required(),
+          }),
+        }),
+      )
+      .label(this.label);
+  }
+}
@@ -2,6 +2,8 @@ import { i18n } from 'i18n';
 import EnumeratorField from 'modules/shared/fields/enumeratorField';
 import DecimalField from 'modules/shared/fields/decimalField';
 import IntegerField from 'modules/shared/fields/integerField';
+import BooleanField from 'modules/shared/fields/booleanField';
+import PricingRulesField from 'modules/settings/pricingRulesField';
 
 const themes = [
   {
@@ -76,10 +78,53 @@ const fields = {
       scale: 2,
     },
   ),
-  capacity: new IntegerField(
-    'capacity',
-    label('capacity'),
-    { required: true, min: 1 },
+  capacityToddler: new IntegerField(
+    'capacityToddler',
+    label('capacityToddler'),
+    { required: true, min: 0 },
+  ),
+  capacityPreschooler: new IntegerField(
+    'capacityPreschooler',
+    label('capacityPreschooler'),
+    { required: true, min: 0 },
+  ),
+  capacitySchoolAged: new IntegerField(
+    'capacitySchoolAged',
+    label('capacitySchoolAged'),
+    { required: true, min: 0 },
+  ),
+  minimumAge: new IntegerField(
+    'minimumAge',
+    label('minimumAge'),
+    { min: 0 },
+  ),
+  maximumAge: new IntegerField(
+    'maximumAge',
+    label('maximumAge'),
+    { min: 0 },
+  ),
+  arrivalReminderDays: new IntegerField(
+    'arrivalReminderDays',
+    label('arrivalReminderDays'),
+    { min: 0 },
+  ),
+  reminderHour: new IntegerField(
+    'reminderHour',
+    label('reminderHour'),
+    { min: 0, max: 23 },
+  ),
+  dailyReportHour: new IntegerField(
+    'dailyReportHour',
+    label('dailyReportHour'),
+    { min: 0, max: 23 },
+  ),
+  selfRegistration: new BooleanField(
+    'selfRegistration',
+    label('selfRegistration'),
+  ),
+  pricingRules: new PricingRulesField(
+    'pricingRules',
+    label('pricingRules'),
   ),
 };
 
@@ -14,7 +14,22 @@ export default class SettingsService {
           settingsFind {
             theme
             dailyFee
-            capacity
+            capacityToddler
+            capacityPreschooler
+            capacitySchoolAged
+            minimumAge
+            maximumAge
+            arrivalReminderDays
+            reminderHour
+            dailyReportHour
+            selfRegistration
+            pricingRules {
+              type
+              percentage
+              minDays
+              minChildren
+              dates
+            }
           }
         }
       `,
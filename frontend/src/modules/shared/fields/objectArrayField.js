@@ -0,0 +1,44 @@
+import GenericField from 'modules/shared/fields/genericField';
+import * as yup from 'yup';
+
+export default class ObjectArrayField extends GenericField {
+  constructor(name, label, itemFields) {
+    super(name, label);
+
+    this.itemFields = itemFields;
+  }
+
+  forView(value) {
+    return value || [];
+  }
+
+  forFormInitialValue(value) {
+    return (value || []).map((item) =>
+      this.itemFields.reduce((result, field) => {
+        result[field.name] = field.forFormInitialValue(
+          item[field.name],
+        );
+        return result;
+      }, {}),
+    );
+  }
+
+  forForm() {
+    const shape = this.itemFields.reduce(
+      (result, field) => {
+        result[field.name] = field.forForm();
+        return result;
+      },
+      {},
+    );
+
+    return yup
+      .array()
+      .of(yup.object().shape(shape))
+      .label(this.label);
+  }
+
+  forExport() {
+    return yup.mixed().label(this.label);
+  }
+}
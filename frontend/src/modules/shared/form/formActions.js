@@ -62,13 +62,20 @@ export default ({
           type: actions.CREATE_STARTED,
         });
 
-        await createFn(values);
+        const record = await createFn(values);
 
         dispatch({
           type: actions.CREATE_SUCCESS,
         });
 
-        Message.success(i18n(createSuccessMessageI18nKey));
+        Message.success(
+          i18n(
+            typeof createSuccessMessageI18nKey ===
+              'function'
+              ? createSuccessMessageI18nKey(record)
+              : createSuccessMessageI18nKey,
+          ),
+        );
 
         getHistory().push(redirectTo);
       } catch (error) {
@@ -5,7 +5,11 @@ import { createHttpLink } from 'apollo-link-http';
 import config from 'config';
 import * as firebase from 'firebase/app';
 import { getLanguageCode } from 'i18n';
+import { getCurrentLocationId } from 'modules/location/currentLocation';
 import { RetryLink } from 'apollo-link-retry';
+import { split } from 'apollo-link';
+import { WebSocketLink } from 'apollo-link-ws';
+import { getMainDefinition } from 'apollo-utilities';
 
 const retryLink = new RetryLink({
   attempts: {
@@ -13,7 +17,7 @@ const retryLink = new RetryLink({
   },
 });
 
-const authLink = setContext(async (_, { headers }) => {
+async function authorization() {
   let token;
 
   if (firebase.apps.length && firebase.auth().currentUser) {
@@ -22,11 +26,16 @@ const authLink = setContext(async (_, { headers }) => {
       .currentUser.getIdToken(true);
   }
 
+  return token ? `Bearer ${token}` : '';
+}
+
+const authLink = setContext(async (_, { headers }) => {
   return {
     headers: {
       ...headers,
-      authorization: token ? `Bearer ${token}` : '',
+      authorization: await authorization(),
       'Accept-Language': getLanguageCode(),
+      'x-location': getCurrentLocationId() || '',
     },
   };
 });
@@ -35,6 +44,37 @@ const httpLink = createHttpLink({
   uri: `${config.backendUrl}`,
 });
 
+// Subscriptions need a long running server,
+// so they are disabled when there is no WebSocket URL.
+export const isSubscriptionsEnabled = !!config.subscriptionsUrl;
+
+const wsLink =
+  isSubscriptionsEnabled &&
+  new WebSocketLink({
+    uri: config.subscriptionsUrl,
+    options: {
+      lazy: true,
+      reconnect: true,
+      connectionParams: async () => ({
+        authorization: await authorization(),
+        language: getLanguageCode(),
+        location: getCurrentLocationId(),
+      }),
+    },
+  });
+
+const requestLink = retryLink.concat(
+  authLink.concat(httpLink),
+);
+
+function isSubscription({ query }) {
+  const { kind, operation } = getMainDefinition(query);
+  return (
+    kind === 'OperationDefinition' &&
+    operation === 'subscription'
+  );
+}
+
 const defaultOptions = {
   query: {
     fetchPolicy: 'no-cache',
@@ -43,7 +83,9 @@ const defaultOptions = {
 };
 
 const graphqlClient = new ApolloClient({
-  link: retryLink.concat(authLink.concat(httpLink)),
+  link: isSubscriptionsEnabled
+    ? split(isSubscription, wsLink, requestLink)
+    : requestLink,
   cache: new InMemoryCache({
     addTypename: false,
   }),
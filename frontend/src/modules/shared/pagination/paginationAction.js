@@ -92,6 +92,11 @@ export default (
       dispatch(actions.doFetch(filter, true));
     },
 
+    doRefresh: () => async (dispatch, getState) => {
+      const filter = selectors.selectFilter(getState());
+      dispatch(actions.doFetch(filter, true));
+    },
+
     doFetch: (filter, keepPagination = false) => async (
       dispatch,
       getState,
@@ -1,6 +1,8 @@
 import { i18n } from 'i18n';
 import _values from 'lodash/values';
 
+let customRoles = {};
+
 class Roles {
   static get values() {
     return {
@@ -10,7 +12,32 @@ class Roles {
     };
   }
 
+  static get ids() {
+    return [
+      ..._values(this.values),
+      ...Object.keys(customRoles),
+    ];
+  }
+
+  /**
+   * Keeps the names of the roles created in the role editor,
+   * built-in roles are labeled by the translations.
+   */
+  static register(rows) {
+    customRoles = {};
+
+    (rows || [])
+      .filter((row) => !this.values[row.id])
+      .forEach((row) => {
+        customRoles[row.id] = row.name;
+      });
+  }
+
   static labelOf(roleId) {
+    if (customRoles[roleId]) {
+      return customRoles[roleId];
+    }
+
     if (!this.values[roleId]) {
       return roleId;
     }
@@ -19,6 +46,10 @@ class Roles {
   }
 
   static descriptionOf(roleId) {
+    if (customRoles[roleId]) {
+      return customRoles[roleId];
+    }
+
     if (!this.values[roleId]) {
       return roleId;
     }
@@ -27,7 +58,7 @@ class Roles {
   }
 
   static get selectOptions() {
-    return _values(this.values).map((value) => ({
+    return this.ids.map((value) => ({
       id: value,
       value: value,
       title: this.descriptionOf(value),
@@ -0,0 +1,362 @@
+import { Button, Form, List, Steps } from 'antd';
+import { Formik } from 'formik';
+import actions from 'modules/auth/authActions';
+import model from 'modules/auth/userModel';
+import childModel from 'modules/child/childModel';
+import selectors from 'modules/auth/authSelectors';
+import childSelectors from 'modules/child/childSelectors';
+import { i18n } from 'i18n';
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import InputFormItem from 'view/shared/form/items/InputFormItem';
+import SelectFormItem from 'view/shared/form/items/SelectFormItem';
+import DatePickerFormItem from 'view/shared/form/items/DatePickerFormItem';
+import TextAreaFormItem from 'view/shared/form/items/TextAreaFormItem';
+import FormSchema from 'view/shared/form/formSchema';
+import FormWrapper, {
+  tailFormItemLayout,
+} from 'view/shared/styles/FormWrapper';
+
+const { fields } = model;
+const childFields = childModel.fields;
+
+class RegistrationForm extends Component {
+  profileSchema = new FormSchema(null, [
+    fields.firstNameRequired,
+    fields.lastName,
+    fields.phoneNumber,
+  ]);
+
+  childSchema = new FormSchema(null, [
+    childFields.name,
+    childFields.type,
+    childFields.birthdate,
+    childFields.allergies,
+    childFields.dietaryRestrictions,
+  ]);
+
+  state = {
+    current: 0,
+    profile: this.profileSchema.initialValues(
+      this.props.currentUser,
+    ),
+    children: [],
+  };
+
+  doPrevious = () => {
+    this.setState({ current: this.state.current - 1 });
+  };
+
+  doNext = () => {
+    this.setState({ current: this.state.current + 1 });
+  };
+
+  handleProfileSubmit = (values) => {
+    this.setState({
+      profile: values,
+      current: 1,
+    });
+  };
+
+  handleChildSubmit = (values, { resetForm }) => {
+    this.setState({
+      children: [
+        ...this.state.children,
+        this.childSchema.cast(values),
+      ],
+    });
+    resetForm(this.childSchema.initialValues());
+  };
+
+  doRemoveChild = (index) => {
+    this.setState({
+      children: this.state.children.filter(
+        (child, i) => i !== index,
+      ),
+    });
+  };
+
+  doSubmit = () => {
+    const { dispatch } = this.props;
+    dispatch(
+      actions.doRegister(
+        this.profileSchema.cast(this.state.profile),
+        this.state.children,
+      ),
+    );
+  };
+
+  renderChildDescription(child) {
+    return [
+      childFields.type.forView(child.type),
+      childFields.birthdate.forView(child.birthdate),
+    ].join(', ');
+  }
+
+  renderProfileStep() {
+    return (
+      <Formik
+        initialValues={this.state.profile}
+        validationSchema={this.profileSchema.schema}
+        onSubmit={this.handleProfileSubmit}
+        render={(form) => {
+          return (
+            <Form onSubmit={form.handleSubmit}>
+              <InputFormItem
+                name={fields.firstNameRequired.name}
+                label={fields.firstNameRequired.label}
+                required={fields.firstNameRequired.required}
+                autoComplete={fields.firstNameRequired.name}
+                autoFocus
+              />
+
+              <InputFormItem
+                name={fields.lastName.name}
+                label={fields.lastName.label}
+                autoComplete={fields.lastName.name}
+              />
+
+              <InputFormItem
+                name={fields.phoneNumber.name}
+                label={fields.phoneNumber.label}
+                autoComplete={fields.phoneNumber.name}
+                prefix={'+'}
+              />
+
+              <Form.Item
+                className="form-buttons"
+                {...tailFormItemLayout}
+              >
+                <Button
+                  type="primary"
+                  htmlType="submit"
+                  icon="right"
+                >
+                  {i18n('auth.registration.next')}
+                </Button>
+              </Form.Item>
+            </Form>
+          );
+        }}
+      />
+    );
+  }
+
+  renderChildrenList(removable) {
+    return (
+      <List
+        bordered
+        style={{ marginBottom: 24 }}
+        locale={{
+          emptyText: i18n('auth.registration.noChildren'),
+        }}
+        dataSource={this.state.children}
+        renderItem={(child, index) => (
+          <List.Item
+            actions={
+              removable
+                ? [
+                    <Button
+                      key="remove"
+                      size="small"
+                      icon="delete"
+                      onClick={() =>
+                        this.doRemoveChild(index)
+                      }
+                    >
+                      {i18n('common.remove')}
+                    </Button>,
+                  ]
+                : []
+            }
+          >
+            <List.Item.Meta
+              title={child.name}
+              description={this.renderChildDescription(
+                child,
+              )}
+            />
+          </List.Item>
+        )}
+      />
+    );
+  }
+
+  renderChildrenStep() {
+    const { hasPermissionToEditMedical } = this.props;
+
+    return (
+      <React.Fragment>
+        {this.renderChildrenList(true)}
+
+        <Formik
+          initialValues={this.childSchema.initialValues()}
+          validationSchema={this.childSchema.schema}
+          onSubmit={this.handleChildSubmit}
+          render={(form) => {
+            return (
+              <Form onSubmit={form.handleSubmit}>
+                <InputFormItem
+                  name={childFields.name.name}
+                  label={childFields.name.label}
+                  required={childFields.name.required}
+                />
+                <SelectFormItem
+                  name={childFields.type.name}
+                  label={childFields.type.label}
+                  options={childFields.type.options.map(
+                    (item) => ({
+                      value: item.id,
+                      label: item.label,
+                    }),
+                  )}
+                  required={childFields.type.required}
+                />
+                <DatePickerFormItem
+                  name={childFields.birthdate.name}
+                  label={childFields.birthdate.label}
+                  required={childFields.birthdate.required}
+                />
+
+                {hasPermissionToEditMedical && (
+                  <React.Fragment>
+                    <TextAreaFormItem
+                      name={childFields.allergies.name}
+                      label={childFields.allergies.label}
+                    />
+                    <TextAreaFormItem
+                      name={
+                        childFields.dietaryRestrictions.name
+                      }
+                      label={
+                        childFields.dietaryRestrictions
+                          .label
+                      }
+                    />
+                  </React.Fragment>
+                )}
+
+                <Form.Item
+                  className="form-buttons"
+                  {...tailFormItemLayout}
+                >
+                  <Button htmlType="submit" icon="plus">
+                    {i18n('auth.registration.addChild')}
+                  </Button>
+                </Form.Item>
+              </Form>
+            );
+          }}
+        />
+
+        <Form.Item
+          className="form-buttons"
+          {...tailFormItemLayout}
+        >
+          <Button onClick={this.doPrevious} icon="left">
+            {i18n('auth.registration.previous')}
+          </Button>
+
+          <Button
+            type="primary"
+            onClick={this.doNext}
+            disabled={!this.state.children.length}
+            icon="right"
+          >
+            {i18n('auth.registration.next')}
+          </Button>
+        </Form.Item>
+      </React.Fragment>
+    );
+  }
+
+  renderConfirmStep() {
+    const { saveLoading } = this.props;
+    const { profile } = this.state;
+
+    return (
+      <React.Fragment>
+        <List
+          bordered
+          style={{ marginBottom: 24 }}
+          dataSource={[
+            [fields.firstName, profile.firstName],
+            [fields.lastName, profile.lastName],
+            [fields.phoneNumber, profile.phoneNumber],
+          ]}
+          renderItem={([field, value]) => (
+            <List.Item>
+              <List.Item.Meta
+                title={field.label}
+                description={value || '-'}
+              />
+            </List.Item>
+          )}
+        />
+
+        {this.renderChildrenList(false)}
+
+        <Form.Item
+          className="form-buttons"
+          {...tailFormItemLayout}
+        >
+          <Button
+            disabled={saveLoading}
+            onClick={this.doPrevious}
+            icon="left"
+          >
+            {i18n('auth.registration.previous')}
+          </Button>
+
+          <Button
+            loading={saveLoading}
+            type="primary"
+            onClick={this.doSubmit}
+            icon="check"
+          >
+            {i18n('auth.registration.submit')}
+          </Button>
+        </Form.Item>
+      </React.Fragment>
+    );
+  }
+
+  render() {
+    const { current } = this.state;
+
+    return (
+      <FormWrapper>
+        <Steps
+          current={current}
+          style={{ marginBottom: 24 }}
+        >
+          <Steps.Step
+            title={i18n('auth.registration.steps.profile')}
+          />
+          <Steps.Step
+            title={i18n('auth.registration.steps.children')}
+          />
+          <Steps.Step
+            title={i18n('auth.registration.steps.confirm')}
+          />
+        </Steps>
+
+        {current === 0 && this.renderProfileStep()}
+        {current === 1 && this.renderChildrenStep()}
+        {current === 2 && this.renderConfirmStep()}
+      </FormWrapper>
+    );
+  }
+}
+
+function select(state) {
+  return {
+    saveLoading: selectors.selectLoadingRegister(state),
+    currentUser: selectors.selectCurrentUser(state),
+    hasPermissionToEditMedical: childSelectors.selectPermissionToEditMedical(
+      state,
+    ),
+  };
+}
+
+export default connect(select)(RegistrationForm);
@@ -0,0 +1,47 @@
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import { Redirect } from 'react-router-dom';
+import Layout from 'view/layout/Layout';
+import ContentWrapper from 'view/layout/styles/ContentWrapper';
+import PageTitle from 'view/shared/styles/PageTitle';
+import Breadcrumb from 'view/shared/Breadcrumb';
+import RegistrationForm from 'view/auth/RegistrationForm';
+import selectors from 'modules/auth/authSelectors';
+import { i18n } from 'i18n';
+
+class RegistrationPage extends Component {
+  render() {
+    const { currentUser } = this.props;
+
+    if (!currentUser || !currentUser.approvalPending) {
+      return <Redirect to="/" />;
+    }
+
+    return (
+      <React.Fragment>
+        <Breadcrumb
+          items={[
+            [i18n('home.menu'), '/'],
+            [i18n('auth.registration.title')],
+          ]}
+        />
+
+        <ContentWrapper>
+          <PageTitle>
+            {i18n('auth.registration.title')}
+          </PageTitle>
+
+          <RegistrationForm />
+        </ContentWrapper>
+      </React.Fragment>
+    );
+  }
+}
+
+function select(state) {
+  return {
+    currentUser: selectors.selectCurrentUser(state),
+  };
+}
+
+export default connect(select)(Layout(RegistrationPage));
@@ -28,6 +28,9 @@ import DatePickerRangeFormItem from 'view/shared/form/items/DatePickerRangeFormI
 import settingsActions from 'modules/settings/settingsActions';
 import settingsSelectors from 'modules/settings/settingsSelectors';
 import BookingFeeCalculator from 'modules/booking/bookingFeeCalculator';
+import BookingStatusTransitions from 'modules/booking/bookingStatusTransitions';
+import bookingSelectors from 'modules/booking/bookingSelectors';
+import BookingService from 'modules/booking/bookingService';
 
 const { fields } = model;
 
@@ -78,7 +81,10 @@ class BookingForm extends Component {
       return false;
     }
 
-    return record.status === bookingStatus.BOOKED;
+    return [
+      bookingStatus.BOOKED,
+      bookingStatus.WAITLISTED,
+    ].includes(record.status);
   };
 
   isOwnerVisible = () => {
@@ -104,7 +110,10 @@ class BookingForm extends Component {
       return false;
     }
 
-    return record.status === bookingStatus.BOOKED;
+    return [
+      bookingStatus.BOOKED,
+      bookingStatus.WAITLISTED,
+    ].includes(record.status);
   };
 
   isChildVisible = (form) => {
@@ -119,8 +128,10 @@ class BookingForm extends Component {
   isStatusEnabled = () => {
     const { isChildOwner } = this.props;
 
+    // Existing bookings change status through check-in,
+    // check-out and cancel
     if (this.isEditing()) {
-      return true;
+      return false;
     }
 
     return !isChildOwner;
@@ -155,53 +166,13 @@ class BookingForm extends Component {
   };
 
   statusOptions = () => {
-    const {
-      isChildOwner,
-      isManager,
-      isEmployee,
-    } = this.props;
-
-    if (isChildOwner) {
-      return this.statusOptionsChildOwner();
-    }
-
-    if (isEmployee) {
-      return this.statusOptionsEmployee();
-    }
-
-    if (isManager) {
-      return this.statusOptionsManager();
-    }
-  };
-
-  statusOptionsManager = () => {
-    return fields.status.options;
-  };
-
-  statusOptionsEmployee = () => {
-    const { record } = this.props;
-    const options = fields.status.options;
-
-    if (!this.isEditing()) {
-      return options;
-    }
-
-    if (record.status === bookingStatus.BOOKED) {
-      return options;
-    }
-
-    return options.filter(
-      (option) => option.id !== bookingStatus.BOOKED,
+    const initialStatuses = BookingStatusTransitions.initialStatuses(
+      this.props.statusTransitionKey,
     );
-  };
 
-  statusOptionsChildOwner = () => {
-    return fields.status.options.filter((option) => {
-      return [
-        bookingStatus.BOOKED,
-        bookingStatus.CANCELLED,
-      ].includes(option.id);
-    });
+    return fields.status.options.filter((option) =>
+      initialStatuses.includes(option.id),
+    );
   };
 
   handleSubmit = (values) => {
@@ -243,16 +214,20 @@ class BookingForm extends Component {
     this.calculateAndSetFee(value[0], value[1], form);
   }
 
-  calculateAndSetFee = (arrival, departure, form) => {
-    const { dailyFee } = this.props;
+  calculateAndSetFee = async (arrival, departure, form) => {
+    const { owner, child } = form.values;
 
-    const fee = BookingFeeCalculator.calculate(
+    const feeBreakdown = await BookingService.feeBreakdown(
       arrival,
       departure,
-      dailyFee,
+      owner ? owner.id || owner : undefined,
+      child ? child.id || child : undefined,
     );
 
-    form.setFieldValue('fee', fee);
+    form.setFieldValue(
+      'fee',
+      BookingFeeCalculator.total(feeBreakdown),
+    );
   };
 
   renderForm() {
@@ -456,13 +431,12 @@ function select(state) {
     isChildOwner: authSelectors.selectCurrentUserIsChildOwner(
       state,
     ),
-    isEmployee: authSelectors.selectCurrentUserIsEmployee(
+    isManager: authSelectors.selectCurrentUserIsManager(
       state,
     ),
-    isManager: authSelectors.selectCurrentUserIsManager(
+    statusTransitionKey: bookingSelectors.selectStatusTransitionKey(
       state,
     ),
-    dailyFee: settingsSelectors.selectDailyFee(state),
   };
 }
 
@@ -16,6 +16,7 @@ import DatePickerRangeFormItem from 'view/shared/form/items/DatePickerRangeFormI
 import InputRangeFormItem from 'view/shared/form/items/InputRangeFormItem';
 import UserAutocompleteFormItem from 'view/iam/autocomplete/UserAutocompleteFormItem';
 import SelectFormItem from 'view/shared/form/items/SelectFormItem';
+import SwitchFormItem from 'view/shared/form/items/SwitchFormItem';
 import ChildAutocompleteFormItem from 'view/child/autocomplete/ChildAutocompleteFormItem';
 import authSelectors from 'modules/auth/authSelectors';
 
@@ -27,6 +28,7 @@ const schema = new FormFilterSchema([
   fields.child,
   fields.status,
   fields.feeRange,
+  fields.outstanding,
   fields.createdAtRange,
   fields.period,
 ]);
@@ -135,6 +137,13 @@ class BookingListFilter extends Component {
                       layout={formItemLayout}
                     />
                   </Col>
+                  <Col md={24} lg={12}>
+                    <SwitchFormItem
+                      name={fields.outstanding.name}
+                      label={fields.outstanding.label}
+                      layout={formItemLayout}
+                    />
+                  </Col>
                 </Row>
                 <Row>
                   <Col className="filter-buttons" span={24}>
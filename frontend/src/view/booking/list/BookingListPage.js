@@ -1,4 +1,7 @@
 import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import debounce from 'lodash/debounce';
+import { Alert } from 'antd';
 import BookingListFilter from 'view/booking/list/BookingListFilter';
 import BookingListTable from 'view/booking/list/BookingListTable';
 import BookingListToolbar from 'view/booking/list/BookingListToolbar';
@@ -7,9 +10,34 @@ import ContentWrapper from 'view/layout/styles/ContentWrapper';
 import PageTitle from 'view/shared/styles/PageTitle';
 import Breadcrumb from 'view/shared/Breadcrumb';
 import { i18n } from 'i18n';
+import BookingService from 'modules/booking/bookingService';
+import actions from 'modules/booking/list/bookingListActions';
+import authSelectors from 'modules/auth/authSelectors';
 
 class BookingListPage extends Component {
+  componentDidMount() {
+    this.subscription = BookingService.subscribeToChanges(
+      this.doRefresh,
+    );
+  }
+
+  componentWillUnmount() {
+    this.doRefresh.cancel();
+
+    if (this.subscription) {
+      this.subscription.unsubscribe();
+    }
+  }
+
+  // Bulk changes publish one event per booking
+  doRefresh = debounce(() => {
+    const { dispatch } = this.props;
+    dispatch(actions.doRefresh());
+  }, 500);
+
   render() {
+    const { currentUser } = this.props;
+
     return (
       <React.Fragment>
         <Breadcrumb
@@ -24,6 +52,15 @@ class BookingListPage extends Component {
             {i18n('entities.booking.list.title')}
           </PageTitle>
 
+          {currentUser && currentUser.approvalPending && (
+            <Alert
+              type="info"
+              showIcon
+              message={i18n('auth.registration.pending')}
+              style={{ marginBottom: 16 }}
+            />
+          )}
+
           <BookingListToolbar />
           <BookingListFilter />
           <BookingListTable />
@@ -33,4 +70,10 @@ class BookingListPage extends Component {
   }
 }
 
-export default Layout(BookingListPage);
+function select(state) {
+  return {
+    currentUser: authSelectors.selectCurrentUser(state),
+  };
+}
+
+export default connect(select)(Layout(BookingListPage));
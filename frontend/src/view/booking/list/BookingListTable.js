@@ -1,4 +1,10 @@
-import { Table, Popconfirm, Tag } from 'antd';
+import {
+  Icon,
+  Table,
+  Popconfirm,
+  Tag,
+  Tooltip,
+} from 'antd';
 import { i18n } from 'i18n';
 import actions from 'modules/booking/list/bookingListActions';
 import destroyActions from 'modules/booking/destroy/bookingDestroyActions';
@@ -16,6 +22,7 @@ import FilesListView from 'view/shared/list/FileListView';
 import ChildListItem from 'view/child/list/ChildListItem';
 import authSelectors from 'modules/auth/authSelectors';
 import { bookingStatusColor } from 'modules/booking/bookingStatus';
+import locationSelectors from 'modules/location/locationSelectors';
 
 const { fields } = model;
 
@@ -39,8 +46,22 @@ class BookingListTable extends Component {
       fields.owner.forTable({
         render: (value) => <UserListItem value={value} />,
       }),
+    !this.props.currentLocationId &&
+      fields.location.forTable(),
     fields.child.forTable({
-      render: (value) => <ChildListItem value={value} />,
+      render: (value) => (
+        <React.Fragment>
+          <ChildListItem value={value} />
+          {value && value.allergies && (
+            <Tooltip title={value.allergies}>
+              <Tag color="red">
+                <Icon type="warning" />{' '}
+                {i18n('entities.child.allergyWarning')}
+              </Tag>
+            </Tooltip>
+          )}
+        </React.Fragment>
+      ),
     }),
     fields.arrival.forTable(),
     fields.departure.forTable(),
@@ -52,6 +73,7 @@ class BookingListTable extends Component {
       ),
     }),
     fields.fee.forTable(),
+    fields.balance.forTable(),
     fields.receipt.forTable({
       render: (value) => <FilesListView value={value} />,
     }),
@@ -119,6 +141,9 @@ class BookingListTable extends Component {
 
 function select(state) {
   return {
+    currentLocationId: locationSelectors.selectCurrentLocationId(
+      state,
+    ),
     loading:
       selectors.selectLoading(state) ||
       destroySelectors.selectLoading(state),
@@ -117,6 +117,12 @@ class BookingToolbar extends Component {
           </Link>
         )}
 
+        <Link to="/booking/occupancy">
+          <Button icon="calendar">
+            {i18n('entities.booking.occupancy.menu')}
+          </Button>
+        </Link>
+
         {this.renderDestroyButton()}
 
         {this.props.hasPermissionToAuditLogs && (
@@ -0,0 +1,123 @@
+import { Calendar, Spin, Tooltip } from 'antd';
+import { i18n } from 'i18n';
+import debounce from 'lodash/debounce';
+import BookingService from 'modules/booking/bookingService';
+import actions from 'modules/booking/occupancy/bookingOccupancyActions';
+import selectors from 'modules/booking/occupancy/bookingOccupancySelectors';
+import moment from 'moment';
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import OccupancyCellWrapper from 'view/booking/occupancy/styles/OccupancyCellWrapper';
+
+export function occupancyColor(day) {
+  if (!day || !day.booked) {
+    return undefined;
+  }
+
+  if (
+    !day.remaining ||
+    day.groups.some((group) => !group.remaining)
+  ) {
+    return '#ffccc7';
+  }
+
+  if (day.booked / day.capacity >= 0.75) {
+    return '#fff1b8';
+  }
+
+  return '#d9f7be';
+}
+
+class BookingOccupancyCalendar extends Component {
+  componentDidMount() {
+    this.doFetch(moment());
+    this.subscription = BookingService.subscribeToOccupancyChanges(
+      this.doRefresh,
+    );
+  }
+
+  componentWillUnmount() {
+    this.doRefresh.cancel();
+
+    if (this.subscription) {
+      this.subscription.unsubscribe();
+    }
+  }
+
+  doFetch = (date) => {
+    const { dispatch } = this.props;
+    dispatch(actions.doFetch(date.format('YYYY-MM')));
+  };
+
+  doRefresh = debounce(() => {
+    const { dispatch, month } = this.props;
+    dispatch(actions.doFetch(month));
+  }, 500);
+
+  onPanelChange = (date) => {
+    this.doFetch(date);
+  };
+
+  renderTooltip(day) {
+    return day.groups.map((group) => (
+      <div key={group.size}>
+        {i18n(
+          `entities.child.enumerators.size.${group.size}`,
+        )}
+        :{' '}
+        {i18n(
+          'entities.booking.occupancy.groupCount',
+          group.booked,
+          group.capacity,
+        )}
+      </div>
+    ));
+  }
+
+  dateCellRender = (date) => {
+    const day = this.props.daysByDate[
+      date.format('YYYY-MM-DD')
+    ];
+
+    if (!day) {
+      return null;
+    }
+
+    return (
+      <Tooltip title={this.renderTooltip(day)}>
+        <OccupancyCellWrapper color={occupancyColor(day)}>
+          <div className="occupancy-count">
+            {day.booked} / {day.capacity}
+          </div>
+          <div>
+            {i18n(
+              'entities.booking.occupancy.remaining',
+              day.remaining,
+            )}
+          </div>
+        </OccupancyCellWrapper>
+      </Tooltip>
+    );
+  };
+
+  render() {
+    return (
+      <Spin spinning={this.props.loading}>
+        <Calendar
+          dateCellRender={this.dateCellRender}
+          onPanelChange={this.onPanelChange}
+        />
+      </Spin>
+    );
+  }
+}
+
+function select(state) {
+  return {
+    loading: selectors.selectLoading(state),
+    month: selectors.selectMonth(state),
+    daysByDate: selectors.selectDaysByDate(state),
+  };
+}
+
+export default connect(select)(BookingOccupancyCalendar);
@@ -0,0 +1,33 @@
+import React, { Component } from 'react';
+import Layout from 'view/layout/Layout';
+import ContentWrapper from 'view/layout/styles/ContentWrapper';
+import PageTitle from 'view/shared/styles/PageTitle';
+import Breadcrumb from 'view/shared/Breadcrumb';
+import { i18n } from 'i18n';
+import BookingOccupancyCalendar from 'view/booking/occupancy/BookingOccupancyCalendar';
+
+class BookingOccupancyPage extends Component {
+  render() {
+    return (
+      <React.Fragment>
+        <Breadcrumb
+          items={[
+            [i18n('home.menu'), '/'],
+            [i18n('entities.booking.menu'), '/booking'],
+            [i18n('entities.booking.occupancy.title')],
+          ]}
+        />
+
+        <ContentWrapper>
+          <PageTitle>
+            {i18n('entities.booking.occupancy.title')}
+          </PageTitle>
+
+          <BookingOccupancyCalendar />
+        </ContentWrapper>
+      </React.Fragment>
+    );
+  }
+}
+
+export default Layout(BookingOccupancyPage);
@@ -0,0 +1,16 @@
+import styled from 'styled-components';
+
+const OccupancyCellWrapper = styled.div`
+  height: 100%;
+  padding: 4px;
+  border-radius: 4px;
+  background: ${(props) => props.color};
+  color: rgba(0, 0, 0, 0.65);
+
+  .occupancy-count {
+    font-size: 16px;
+    font-weight: 500;
+  }
+`;
+
+export default OccupancyCellWrapper;
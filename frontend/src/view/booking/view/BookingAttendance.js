@@ -0,0 +1,156 @@
+import { Button, Table } from 'antd';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { i18n } from 'i18n';
+import model from 'modules/attendance/attendanceModel';
+import actions from 'modules/attendance/attendanceActions';
+import selectors from 'modules/attendance/attendanceSelectors';
+import bookingStatus from 'modules/booking/bookingStatus';
+import Toolbar from 'view/shared/styles/Toolbar';
+import BookingAttendanceModal from 'view/booking/view/BookingAttendanceModal';
+
+const { fields } = model;
+
+class BookingAttendance extends Component {
+  state = {
+    modalVisible: false,
+  };
+
+  columns = [
+    fields.checkInAt.forTable({ sorter: false }),
+    fields.droppedOffBy.forTable({ sorter: false }),
+    fields.checkOutAt.forTable({ sorter: false }),
+    fields.pickedUpBy.forTable({ sorter: false }),
+    fields.notes.forTable({ sorter: false }),
+  ];
+
+  componentDidMount() {
+    const { dispatch, bookingId } = this.props;
+    dispatch(actions.doFetch(bookingId));
+  }
+
+  doOpenModal = () => {
+    this.setState({ modalVisible: true });
+  };
+
+  doCloseModal = () => {
+    this.setState({ modalVisible: false });
+  };
+
+  doSubmit = (data) => {
+    const { dispatch, bookingId, isCheckedIn } = this.props;
+    this.doCloseModal();
+
+    if (isCheckedIn) {
+      dispatch(actions.doCheckOut(bookingId, data));
+    } else {
+      dispatch(actions.doCheckIn(bookingId, data));
+    }
+  };
+
+  renderToolbar() {
+    const {
+      status,
+      isCheckedIn,
+      changeLoading,
+      hasPermissionToCheckIn,
+      hasPermissionToCheckOut,
+    } = this.props;
+
+    if (isCheckedIn && hasPermissionToCheckOut) {
+      return (
+        <Toolbar>
+          <Button
+            icon="logout"
+            disabled={changeLoading}
+            onClick={this.doOpenModal}
+          >
+            {i18n('entities.attendance.checkOut.button')}
+          </Button>
+        </Toolbar>
+      );
+    }
+
+    if (
+      !isCheckedIn &&
+      hasPermissionToCheckIn &&
+      status === bookingStatus.PROGRESS
+    ) {
+      return (
+        <Toolbar>
+          <Button
+            icon="login"
+            disabled={changeLoading}
+            onClick={this.doOpenModal}
+          >
+            {i18n('entities.attendance.checkIn.button')}
+          </Button>
+        </Toolbar>
+      );
+    }
+
+    return null;
+  }
+
+  render() {
+    const {
+      rows,
+      loading,
+      changeLoading,
+      isCheckedIn,
+      authorizedPickUps,
+    } = this.props;
+
+    return (
+      <React.Fragment>
+        {this.renderToolbar()}
+
+        <Table
+          rowKey="id"
+          loading={loading}
+          pagination={false}
+          columns={this.columns}
+          dataSource={rows}
+          locale={{
+            emptyText: i18n('entities.attendance.empty'),
+          }}
+        />
+
+        <BookingAttendanceModal
+          visible={this.state.modalVisible}
+          loading={changeLoading}
+          isCheckOut={isCheckedIn}
+          authorizedPickUps={authorizedPickUps}
+          onOk={this.doSubmit}
+          onCancel={this.doCloseModal}
+        />
+      </React.Fragment>
+    );
+  }
+}
+
+BookingAttendance.propTypes = {
+  bookingId: PropTypes.string.isRequired,
+  status: PropTypes.string,
+};
+
+function select(state) {
+  return {
+    rows: selectors.selectRows(state),
+    loading: selectors.selectLoading(state),
+    changeLoading: selectors.selectChangeLoading(state),
+    isCheckedIn: selectors.selectIsCheckedIn(state),
+    authorizedPickUps: selectors.selectAuthorizedPickUps(
+      state,
+    ),
+    hasPermissionToCheckIn: selectors.selectPermissionToCheckIn(
+      state,
+    ),
+    hasPermissionToCheckOut: selectors.selectPermissionToCheckOut(
+      state,
+    ),
+  };
+}
+
+export default connect(select)(BookingAttendance);
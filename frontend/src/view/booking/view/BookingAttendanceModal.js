@@ -0,0 +1,115 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Form, Modal } from 'antd';
+import { Formik } from 'formik';
+import { i18n } from 'i18n';
+import model from 'modules/attendance/attendanceModel';
+import FormSchema from 'view/shared/form/formSchema';
+import InputFormItem from 'view/shared/form/items/InputFormItem';
+import SelectFormItem from 'view/shared/form/items/SelectFormItem';
+import TextAreaFormItem from 'view/shared/form/items/TextAreaFormItem';
+
+const { fields } = model;
+
+const formItemLayout = {
+  labelCol: { span: 6 },
+  wrapperCol: { span: 18 },
+};
+
+class BookingAttendanceModal extends Component {
+  personField = () => {
+    return this.props.isCheckOut
+      ? fields.pickedUpBy
+      : fields.droppedOffBy;
+  };
+
+  schema = () => {
+    return new FormSchema(null, [
+      this.personField(),
+      fields.notes,
+    ]);
+  };
+
+  handleSubmit = (values) => {
+    this.props.onOk(this.schema().cast(values));
+  };
+
+  render() {
+    if (!this.props.visible) {
+      return null;
+    }
+
+    const schema = this.schema();
+    const personField = this.personField();
+    const title = this.props.isCheckOut
+      ? i18n('entities.attendance.checkOut.button')
+      : i18n('entities.attendance.checkIn.button');
+
+    return (
+      <Formik
+        initialValues={schema.initialValues()}
+        validationSchema={schema.schema}
+        onSubmit={this.handleSubmit}
+        render={(form) => (
+          <Modal
+            title={title}
+            visible={this.props.visible}
+            onOk={form.handleSubmit}
+            onCancel={() => this.props.onCancel()}
+            okText={title}
+            cancelText={i18n('common.cancel')}
+            confirmLoading={this.props.loading}
+          >
+            <Form onSubmit={form.handleSubmit}>
+              {this.props.isCheckOut ? (
+                <SelectFormItem
+                  name={personField.name}
+                  label={personField.label}
+                  layout={formItemLayout}
+                  required={personField.required}
+                  options={this.props.authorizedPickUps.map(
+                    (name) => ({
+                      value: name,
+                      label: name,
+                    }),
+                  )}
+                  hint={i18n(
+                    'entities.attendance.checkOut.authorizedHint',
+                  )}
+                />
+              ) : (
+                <InputFormItem
+                  name={personField.name}
+                  label={personField.label}
+                  layout={formItemLayout}
+                  required={personField.required}
+                  autoFocus
+                />
+              )}
+              <TextAreaFormItem
+                name={fields.notes.name}
+                label={fields.notes.label}
+                layout={formItemLayout}
+              />
+            </Form>
+          </Modal>
+        )}
+      />
+    );
+  }
+}
+
+BookingAttendanceModal.propTypes = {
+  visible: PropTypes.bool,
+  loading: PropTypes.bool,
+  isCheckOut: PropTypes.bool,
+  authorizedPickUps: PropTypes.array,
+  onOk: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+BookingAttendanceModal.defaultProps = {
+  authorizedPickUps: [],
+};
+
+export default BookingAttendanceModal;
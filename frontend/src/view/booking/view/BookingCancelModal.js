@@ -0,0 +1,56 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Input, Modal } from 'antd';
+import { i18n } from 'i18n';
+import model from 'modules/booking/bookingModel';
+
+const { fields } = model;
+
+class BookingCancelModal extends Component {
+  state = {
+    cancellationNotes: '',
+  };
+
+  doOk = () => {
+    this.props.onOk(this.state.cancellationNotes);
+    this.setState({ cancellationNotes: '' });
+  };
+
+  render() {
+    if (!this.props.visible) {
+      return null;
+    }
+
+    return (
+      <Modal
+        title={i18n('entities.booking.cancel.title')}
+        visible={this.props.visible}
+        onOk={this.doOk}
+        onCancel={() => this.props.onCancel()}
+        okText={i18n('entities.booking.cancel.confirm')}
+        cancelText={i18n('common.cancel')}
+        confirmLoading={this.props.loading}
+      >
+        <Input.TextArea
+          rows={4}
+          placeholder={fields.cancellationNotes.label}
+          value={this.state.cancellationNotes}
+          onChange={(event) =>
+            this.setState({
+              cancellationNotes: event.target.value,
+            })
+          }
+        />
+      </Modal>
+    );
+  }
+}
+
+BookingCancelModal.propTypes = {
+  visible: PropTypes.bool,
+  loading: PropTypes.bool,
+  onOk: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default BookingCancelModal;
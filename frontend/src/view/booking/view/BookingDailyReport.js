@@ -0,0 +1,206 @@
+import {
+  Button,
+  Divider,
+  Icon,
+  Popconfirm,
+  Timeline,
+} from 'antd';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { i18n } from 'i18n';
+import moment from 'moment';
+import model from 'modules/dailyReportEntry/dailyReportEntryModel';
+import actions from 'modules/dailyReportEntry/dailyReportEntryActions';
+import selectors from 'modules/dailyReportEntry/dailyReportEntrySelectors';
+import dailyReportEntryType, {
+  dailyReportEntryTypeIcon,
+} from 'modules/dailyReportEntry/dailyReportEntryType';
+import bookingStatus from 'modules/booking/bookingStatus';
+import Toolbar from 'view/shared/styles/Toolbar';
+import ButtonLink from 'view/shared/styles/ButtonLink';
+import Spinner from 'view/shared/Spinner';
+import BookingDailyReportModal from 'view/booking/view/BookingDailyReportModal';
+
+const { fields } = model;
+
+class BookingDailyReport extends Component {
+  state = {
+    modalVisible: false,
+  };
+
+  componentDidMount() {
+    const { dispatch, bookingId } = this.props;
+    dispatch(actions.doFetch(bookingId));
+  }
+
+  doOpenModal = () => {
+    this.setState({ modalVisible: true });
+  };
+
+  doCloseModal = () => {
+    this.setState({ modalVisible: false });
+  };
+
+  doSubmit = (data) => {
+    const { dispatch, bookingId } = this.props;
+    this.doCloseModal();
+    dispatch(actions.doCreate(bookingId, data));
+  };
+
+  doDestroy = (id) => {
+    const { dispatch, bookingId } = this.props;
+    dispatch(actions.doDestroy(bookingId, id));
+  };
+
+  entryDetail(row) {
+    if (row.type === dailyReportEntryType.MEAL) {
+      return fields.mealAmount.forView(row.mealAmount);
+    }
+
+    if (
+      row.type === dailyReportEntryType.NAP &&
+      row.endTime
+    ) {
+      return `${fields.endTime.label}: ${moment(
+        row.endTime,
+      ).format('HH:mm')}`;
+    }
+
+    if (row.type === dailyReportEntryType.MOOD) {
+      return fields.mood.forView(row.mood);
+    }
+
+    if (row.type === dailyReportEntryType.TOILET) {
+      return fields.toiletType.forView(row.toiletType);
+    }
+
+    return null;
+  }
+
+  renderToolbar() {
+    const {
+      status,
+      changeLoading,
+      hasPermissionToEdit,
+    } = this.props;
+
+    if (
+      !hasPermissionToEdit ||
+      status !== bookingStatus.PROGRESS
+    ) {
+      return null;
+    }
+
+    return (
+      <Toolbar>
+        <Button
+          type="primary"
+          icon="plus"
+          size="large"
+          disabled={changeLoading}
+          onClick={this.doOpenModal}
+        >
+          {i18n('entities.dailyReportEntry.new.button')}
+        </Button>
+      </Toolbar>
+    );
+  }
+
+  renderEntry(row) {
+    const {
+      changeLoading,
+      hasPermissionToEdit,
+    } = this.props;
+
+    const text = [this.entryDetail(row), row.description]
+      .filter(Boolean)
+      .join(' - ');
+
+    return (
+      <Timeline.Item
+        key={row.id}
+        dot={
+          <Icon
+            type={dailyReportEntryTypeIcon(row.type)}
+            style={{ fontSize: 16 }}
+          />
+        }
+      >
+        <b>{moment(row.time).format('HH:mm')}</b>{' '}
+        {fields.type.forView(row.type)}
+        {text ? `: ${text}` : ''}
+        {hasPermissionToEdit && (
+          <Popconfirm
+            title={i18n('common.areYouSure')}
+            onConfirm={() => this.doDestroy(row.id)}
+            okText={i18n('common.yes')}
+            cancelText={i18n('common.no')}
+          >
+            <ButtonLink
+              disabled={changeLoading}
+              style={{ marginLeft: 8 }}
+            >
+              {i18n('common.destroy')}
+            </ButtonLink>
+          </Popconfirm>
+        )}
+      </Timeline.Item>
+    );
+  }
+
+  render() {
+    const {
+      rowsByDay,
+      loading,
+      changeLoading,
+    } = this.props;
+
+    return (
+      <React.Fragment>
+        {this.renderToolbar()}
+
+        {loading && <Spinner />}
+
+        {!loading && !rowsByDay.length && (
+          <p>{i18n('entities.dailyReportEntry.empty')}</p>
+        )}
+
+        {!loading &&
+          rowsByDay.map(({ day, rows }) => (
+            <React.Fragment key={day}>
+              <Divider orientation="left">{day}</Divider>
+              <Timeline>
+                {rows.map((row) => this.renderEntry(row))}
+              </Timeline>
+            </React.Fragment>
+          ))}
+
+        <BookingDailyReportModal
+          visible={this.state.modalVisible}
+          loading={changeLoading}
+          onOk={this.doSubmit}
+          onCancel={this.doCloseModal}
+        />
+      </React.Fragment>
+    );
+  }
+}
+
+BookingDailyReport.propTypes = {
+  bookingId: PropTypes.string.isRequired,
+  status: PropTypes.string,
+};
+
+function select(state) {
+  return {
+    rowsByDay: selectors.selectRowsByDay(state),
+    loading: selectors.selectLoading(state),
+    changeLoading: selectors.selectChangeLoading(state),
+    hasPermissionToEdit: selectors.selectPermissionToEdit(
+      state,
+    ),
+  };
+}
+
+export default connect(select)(BookingDailyReport);
@@ -0,0 +1,160 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Form, Modal, Radio } from 'antd';
+import { Formik } from 'formik';
+import { i18n } from 'i18n';
+import moment from 'moment';
+import model from 'modules/dailyReportEntry/dailyReportEntryModel';
+import dailyReportEntryType from 'modules/dailyReportEntry/dailyReportEntryType';
+import FormSchema from 'view/shared/form/formSchema';
+import FormErrors from 'view/shared/form/formErrors';
+import DatePickerFormItem from 'view/shared/form/items/DatePickerFormItem';
+import TextAreaFormItem from 'view/shared/form/items/TextAreaFormItem';
+
+const { fields } = model;
+
+const formItemLayout = {
+  labelCol: { span: 6 },
+  wrapperCol: { span: 18 },
+};
+
+const FIELD_BY_TYPE = {
+  [dailyReportEntryType.MEAL]: fields.mealAmount,
+  [dailyReportEntryType.MOOD]: fields.mood,
+  [dailyReportEntryType.TOILET]: fields.toiletType,
+};
+
+class BookingDailyReportModal extends Component {
+  schema = new FormSchema(null, [
+    fields.type,
+    fields.time,
+    fields.endTime,
+    fields.mealAmount,
+    fields.mood,
+    fields.toiletType,
+    fields.description,
+  ]);
+
+  handleSubmit = (values) => {
+    this.props.onOk(this.schema.cast(values));
+  };
+
+  renderButtons(form, field) {
+    return (
+      <Form.Item
+        {...formItemLayout}
+        label={field.label}
+        required
+        validateStatus={FormErrors.validateStatus(
+          form,
+          field.name,
+        )}
+        help={FormErrors.displayableError(form, field.name)}
+      >
+        <Radio.Group
+          buttonStyle="solid"
+          size="large"
+          value={form.values[field.name]}
+          onChange={(event) =>
+            form.setFieldValue(
+              field.name,
+              event.target.value,
+            )
+          }
+        >
+          {field.options.map((option) => (
+            <Radio.Button
+              key={option.id}
+              value={option.id}
+              style={{ marginBottom: 8 }}
+            >
+              {option.label}
+            </Radio.Button>
+          ))}
+        </Radio.Group>
+      </Form.Item>
+    );
+  }
+
+  render() {
+    if (!this.props.visible) {
+      return null;
+    }
+
+    const title = i18n(
+      'entities.dailyReportEntry.new.title',
+    );
+
+    return (
+      <Formik
+        initialValues={{
+          ...this.schema.initialValues(),
+          type: dailyReportEntryType.MEAL,
+          time: moment(),
+        }}
+        validationSchema={this.schema.schema}
+        onSubmit={this.handleSubmit}
+        render={(form) => {
+          const typeField = FIELD_BY_TYPE[form.values.type];
+
+          return (
+            <Modal
+              title={title}
+              visible={this.props.visible}
+              onOk={form.handleSubmit}
+              onCancel={() => this.props.onCancel()}
+              okText={i18n('common.save')}
+              cancelText={i18n('common.cancel')}
+              confirmLoading={this.props.loading}
+              width={720}
+            >
+              <Form onSubmit={form.handleSubmit}>
+                {this.renderButtons(form, fields.type)}
+
+                <DatePickerFormItem
+                  name={fields.time.name}
+                  label={fields.time.label}
+                  layout={formItemLayout}
+                  required={fields.time.required}
+                  showTime
+                />
+
+                {form.values.type ===
+                  dailyReportEntryType.NAP && (
+                  <DatePickerFormItem
+                    name={fields.endTime.name}
+                    label={fields.endTime.label}
+                    layout={formItemLayout}
+                    showTime
+                  />
+                )}
+
+                {typeField &&
+                  this.renderButtons(form, typeField)}
+
+                <TextAreaFormItem
+                  name={fields.description.name}
+                  label={fields.description.label}
+                  layout={formItemLayout}
+                  required={
+                    form.values.type ===
+                    dailyReportEntryType.ACTIVITY
+                  }
+                />
+              </Form>
+            </Modal>
+          );
+        }}
+      />
+    );
+  }
+}
+
+BookingDailyReportModal.propTypes = {
+  visible: PropTypes.bool,
+  loading: PropTypes.bool,
+  onOk: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default BookingDailyReportModal;
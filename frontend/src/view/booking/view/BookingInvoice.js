@@ -0,0 +1,188 @@
+import { Alert, Table } from 'antd';
+import React, { Component } from 'react';
+import { i18n } from 'i18n';
+import model from 'modules/booking/bookingModel';
+import paymentModel from 'modules/booking/payment/bookingPaymentModel';
+import Spinner from 'view/shared/Spinner';
+import moneyFormatter from 'view/shared/moneyFormatter';
+import InvoiceWrapper from 'view/booking/view/styles/InvoiceWrapper';
+
+const { fields } = model;
+const paymentFields = paymentModel.fields;
+
+class BookingInvoice extends Component {
+  itemColumns = [
+    {
+      title: i18n(
+        'entities.booking.invoice.fields.description',
+      ),
+      dataIndex: 'type',
+      render: (type, item) =>
+        i18n(
+          `entities.booking.feeBreakdown.${type}`,
+          item.quantity,
+        ),
+    },
+    {
+      title: i18n('entities.booking.invoice.fields.amount'),
+      dataIndex: 'amount',
+      align: 'right',
+      render: (value) => fields.fee.forView(value),
+    },
+  ];
+
+  paymentColumns = [
+    paymentFields.paidAt.forTable({ sorter: false }),
+    paymentFields.method.forTable({ sorter: false }),
+    {
+      ...paymentFields.amount.forTable({ sorter: false }),
+      align: 'right',
+    },
+  ];
+
+  renderHeader(record) {
+    const { invoice } = record;
+
+    return (
+      <div className="invoice-header">
+        <div>
+          <div className="invoice-title">
+            {i18n('app.title')}
+          </div>
+        </div>
+        <div>
+          <div className="invoice-title">
+            {i18n(
+              'entities.booking.invoice.number',
+              invoice.number,
+            )}
+          </div>
+          <div>
+            {i18n(
+              'entities.booking.invoice.fields.issuedAt',
+            )}
+            : {fields.createdAt.forView(invoice.issuedAt)}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  renderBillTo(record) {
+    return (
+      <div className="invoice-section">
+        <div className="invoice-section-title">
+          {i18n('entities.booking.invoice.billTo')}
+        </div>
+        {record.owner && (
+          <div>
+            {record.owner.fullName} ({record.owner.email})
+          </div>
+        )}
+        {record.child && (
+          <div>
+            {fields.child.label}: {record.child.name}
+          </div>
+        )}
+        <div>
+          {fields.period.label}:{' '}
+          {fields.arrival.forView(record.arrival)} -{' '}
+          {fields.departure.forView(record.departure)}
+        </div>
+      </div>
+    );
+  }
+
+  renderTotals(record) {
+    return (
+      <div className="invoice-section invoice-totals">
+        <div>
+          {i18n('entities.booking.invoice.fields.total')}:{' '}
+          {fields.fee.forView(record.invoice.amount)}
+        </div>
+        <div>
+          {fields.amountPaid.label}:{' '}
+          {moneyFormatter(record.amountPaid || 0)}
+        </div>
+        <div className="invoice-balance">
+          {fields.balance.label}:{' '}
+          {moneyFormatter(record.balance || 0)}
+        </div>
+      </div>
+    );
+  }
+
+  renderInvoice() {
+    const { record } = this.props;
+
+    if (!record.invoice) {
+      return (
+        <Alert
+          type="info"
+          message={i18n(
+            'entities.booking.invoice.notIssued',
+          )}
+        />
+      );
+    }
+
+    const isOutdated =
+      Number(record.invoice.amount) !== Number(record.fee);
+
+    return (
+      <InvoiceWrapper>
+        {isOutdated && (
+          <Alert
+            className="no-print invoice-section"
+            type="warning"
+            message={i18n(
+              'entities.booking.invoice.outdated',
+            )}
+          />
+        )}
+
+        {this.renderHeader(record)}
+        {this.renderBillTo(record)}
+
+        <div className="invoice-section">
+          <Table
+            rowKey="type"
+            size="small"
+            pagination={false}
+            columns={this.itemColumns}
+            dataSource={record.invoice.items || []}
+          />
+        </div>
+
+        {this.renderTotals(record)}
+
+        {!!(record.payments && record.payments.length) && (
+          <div className="invoice-section">
+            <div className="invoice-section-title">
+              {i18n('entities.booking.fields.payments')}
+            </div>
+            <Table
+              rowKey="id"
+              size="small"
+              pagination={false}
+              columns={this.paymentColumns}
+              dataSource={record.payments}
+            />
+          </div>
+        )}
+      </InvoiceWrapper>
+    );
+  }
+
+  render() {
+    const { record, loading } = this.props;
+
+    if (loading || !record) {
+      return <Spinner />;
+    }
+
+    return this.renderInvoice();
+  }
+}
+
+export default BookingInvoice;
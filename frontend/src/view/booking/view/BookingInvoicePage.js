@@ -0,0 +1,60 @@
+import React, { Component } from 'react';
+import Layout from 'view/layout/Layout';
+import ContentWrapper from 'view/layout/styles/ContentWrapper';
+import PageTitle from 'view/shared/styles/PageTitle';
+import Breadcrumb from 'view/shared/Breadcrumb';
+import BookingInvoice from 'view/booking/view/BookingInvoice';
+import BookingInvoiceToolbar from 'view/booking/view/BookingInvoiceToolbar';
+import { i18n } from 'i18n';
+import actions from 'modules/booking/view/bookingViewActions';
+import { connect } from 'react-redux';
+import selectors from 'modules/booking/view/bookingViewSelectors';
+
+class BookingInvoicePage extends Component {
+  componentDidMount() {
+    const { dispatch, match } = this.props;
+    dispatch(actions.doFind(match.params.id));
+  }
+
+  render() {
+    const { match } = this.props;
+
+    return (
+      <React.Fragment>
+        <Breadcrumb
+          items={[
+            [i18n('home.menu'), '/'],
+            [i18n('entities.booking.menu'), '/booking'],
+            [
+              i18n('entities.booking.view.title'),
+              `/booking/${match.params.id}`,
+            ],
+            [i18n('entities.booking.invoice.title')],
+          ]}
+        />
+
+        <ContentWrapper>
+          <PageTitle className="no-print">
+            {i18n('entities.booking.invoice.title')}
+          </PageTitle>
+
+          <BookingInvoiceToolbar match={match} />
+
+          <BookingInvoice
+            loading={this.props.loading}
+            record={this.props.record}
+          />
+        </ContentWrapper>
+      </React.Fragment>
+    );
+  }
+}
+
+function select(state) {
+  return {
+    loading: selectors.selectLoading(state),
+    record: selectors.selectRecord(state),
+  };
+}
+
+export default connect(select)(Layout(BookingInvoicePage));
@@ -0,0 +1,87 @@
+import { Button, Popconfirm } from 'antd';
+import React, { Component } from 'react';
+import { Link } from 'react-router-dom';
+import { i18n } from 'i18n';
+import { connect } from 'react-redux';
+import Toolbar from 'view/shared/styles/Toolbar';
+import bookingSelectors from 'modules/booking/bookingSelectors';
+import selectors from 'modules/booking/view/bookingViewSelectors';
+import paymentActions from 'modules/booking/payment/bookingPaymentActions';
+import paymentSelectors from 'modules/booking/payment/bookingPaymentSelectors';
+
+class BookingInvoiceToolbar extends Component {
+  id = () => {
+    return this.props.match.params.id;
+  };
+
+  doIssue = () => {
+    const { dispatch } = this.props;
+    dispatch(paymentActions.doIssueInvoice(this.id()));
+  };
+
+  doPrint = () => {
+    window.print();
+  };
+
+  render() {
+    const {
+      hasPermissionToEditPayments,
+      paymentLoading,
+      record,
+    } = this.props;
+
+    const isIssued = !!(record && record.invoice);
+
+    return (
+      <Toolbar className="no-print">
+        <Link to={`/booking/${this.id()}`}>
+          <Button icon="arrow-left">
+            {i18n('entities.booking.view.title')}
+          </Button>
+        </Link>
+
+        {isIssued && (
+          <Button
+            type="primary"
+            icon="printer"
+            onClick={this.doPrint}
+          >
+            {i18n('entities.booking.invoice.print')}
+          </Button>
+        )}
+
+        {hasPermissionToEditPayments && (
+          <Popconfirm
+            title={i18n('common.areYouSure')}
+            onConfirm={() => this.doIssue()}
+            okText={i18n('common.yes')}
+            cancelText={i18n('common.no')}
+          >
+            <Button
+              icon="file-done"
+              disabled={paymentLoading}
+            >
+              {isIssued
+                ? i18n('entities.booking.invoice.reissue')
+                : i18n(
+                    'entities.booking.invoice.issue.button',
+                  )}
+            </Button>
+          </Popconfirm>
+        )}
+      </Toolbar>
+    );
+  }
+}
+
+function select(state) {
+  return {
+    hasPermissionToEditPayments: bookingSelectors.selectPermissionToEditPayments(
+      state,
+    ),
+    paymentLoading: paymentSelectors.selectLoading(state),
+    record: selectors.selectRecord(state),
+  };
+}
+
+export default connect(select)(BookingInvoiceToolbar);
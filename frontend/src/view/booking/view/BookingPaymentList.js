@@ -0,0 +1,71 @@
+import { Popconfirm, Table } from 'antd';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { i18n } from 'i18n';
+import model from 'modules/booking/payment/bookingPaymentModel';
+import actions from 'modules/booking/payment/bookingPaymentActions';
+import selectors from 'modules/booking/payment/bookingPaymentSelectors';
+import bookingSelectors from 'modules/booking/bookingSelectors';
+import ButtonLink from 'view/shared/styles/ButtonLink';
+
+const { fields } = model;
+
+class BookingPaymentList extends Component {
+  doDestroy = (id) => {
+    const { dispatch, bookingId } = this.props;
+    dispatch(actions.doDestroy(bookingId, id));
+  };
+
+  columns = () => [
+    fields.paidAt.forTable({ sorter: false }),
+    fields.amount.forTable({ sorter: false }),
+    fields.method.forTable({ sorter: false }),
+    fields.notes.forTable({ sorter: false }),
+    this.props.hasPermissionToEditPayments && {
+      title: '',
+      dataIndex: '',
+      width: '80px',
+      render: (_, record) => (
+        <Popconfirm
+          title={i18n('common.areYouSure')}
+          onConfirm={() => this.doDestroy(record.id)}
+          okText={i18n('common.yes')}
+          cancelText={i18n('common.no')}
+        >
+          <ButtonLink disabled={this.props.loading}>
+            {i18n('common.destroy')}
+          </ButtonLink>
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  render() {
+    return (
+      <Table
+        rowKey="id"
+        size="small"
+        pagination={false}
+        columns={this.columns().filter(Boolean)}
+        dataSource={this.props.payments}
+      />
+    );
+  }
+}
+
+BookingPaymentList.propTypes = {
+  bookingId: PropTypes.string.isRequired,
+  payments: PropTypes.array.isRequired,
+};
+
+function select(state) {
+  return {
+    loading: selectors.selectLoading(state),
+    hasPermissionToEditPayments: bookingSelectors.selectPermissionToEditPayments(
+      state,
+    ),
+  };
+}
+
+export default connect(select)(BookingPaymentList);
@@ -0,0 +1,113 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Form, Modal } from 'antd';
+import { Formik } from 'formik';
+import moment from 'moment';
+import { i18n } from 'i18n';
+import model from 'modules/booking/payment/bookingPaymentModel';
+import FormSchema from 'view/shared/form/formSchema';
+import InputNumberFormItem from 'view/shared/form/items/InputNumberFormItem';
+import SelectFormItem from 'view/shared/form/items/SelectFormItem';
+import DatePickerFormItem from 'view/shared/form/items/DatePickerFormItem';
+import TextAreaFormItem from 'view/shared/form/items/TextAreaFormItem';
+import bookingPaymentMethod from 'modules/booking/payment/bookingPaymentMethod';
+
+const { fields } = model;
+
+const formItemLayout = {
+  labelCol: { span: 6 },
+  wrapperCol: { span: 18 },
+};
+
+class BookingPaymentModal extends Component {
+  schema = new FormSchema(null, [
+    fields.amount,
+    fields.method,
+    fields.paidAt,
+    fields.notes,
+  ]);
+
+  initialValues = () => {
+    return this.schema.initialValues({
+      amount:
+        this.props.balance > 0 ? this.props.balance : null,
+      method: bookingPaymentMethod.CASH,
+      paidAt: moment(),
+    });
+  };
+
+  handleSubmit = (values) => {
+    this.props.onOk(this.schema.cast(values));
+  };
+
+  render() {
+    if (!this.props.visible) {
+      return null;
+    }
+
+    return (
+      <Formik
+        initialValues={this.initialValues()}
+        validationSchema={this.schema.schema}
+        onSubmit={this.handleSubmit}
+        render={(form) => (
+          <Modal
+            title={i18n(
+              'entities.booking.payments.create.title',
+            )}
+            visible={this.props.visible}
+            onOk={form.handleSubmit}
+            onCancel={() => this.props.onCancel()}
+            okText={i18n('common.save')}
+            cancelText={i18n('common.cancel')}
+            confirmLoading={this.props.loading}
+          >
+            <Form onSubmit={form.handleSubmit}>
+              <InputNumberFormItem
+                name={fields.amount.name}
+                label={fields.amount.label}
+                layout={formItemLayout}
+                required={fields.amount.required}
+                autoFocus
+              />
+              <SelectFormItem
+                name={fields.method.name}
+                label={fields.method.label}
+                options={fields.method.options.map(
+                  (item) => ({
+                    value: item.id,
+                    label: item.label,
+                  }),
+                )}
+                layout={formItemLayout}
+                required={fields.method.required}
+              />
+              <DatePickerFormItem
+                name={fields.paidAt.name}
+                label={fields.paidAt.label}
+                layout={formItemLayout}
+                required={fields.paidAt.required}
+                showTime
+              />
+              <TextAreaFormItem
+                name={fields.notes.name}
+                label={fields.notes.label}
+                layout={formItemLayout}
+              />
+            </Form>
+          </Modal>
+        )}
+      />
+    );
+  }
+}
+
+BookingPaymentModal.propTypes = {
+  visible: PropTypes.bool,
+  loading: PropTypes.bool,
+  balance: PropTypes.number,
+  onOk: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default BookingPaymentModal;
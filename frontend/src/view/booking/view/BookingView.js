@@ -8,12 +8,53 @@ import ImagesViewItem from 'view/shared/view/ImagesViewItem';
 import FilesViewItem from 'view/shared/view/FilesViewItem';
 import ChildViewItem from 'view/child/view/ChildViewItem';
 import CustomViewItem from 'view/shared/view/CustomViewItem';
+import BookingPaymentList from 'view/booking/view/BookingPaymentList';
 import { bookingStatusColor } from 'modules/booking/bookingStatus';
-import { Tag } from 'antd';
+import { Tag, Timeline } from 'antd';
+import { i18n } from 'i18n';
 
 const { fields } = model;
 
 class BookingView extends Component {
+  renderFeeBreakdown(feeBreakdown) {
+    return feeBreakdown.map((item) => (
+      <div key={item.type}>
+        {i18n(
+          `entities.booking.feeBreakdown.${item.type}`,
+          item.quantity,
+        )}
+        : {fields.fee.forView(item.amount)}
+      </div>
+    ));
+  }
+
+  renderStatusHistory(statusHistory) {
+    return (
+      <Timeline>
+        {statusHistory.map((item) => (
+          <Timeline.Item
+            key={item.id}
+            color={bookingStatusColor(item.toStatus)}
+          >
+            {item.fromStatus
+              ? `${fields.status.forView(
+                  item.fromStatus,
+                )} → ${fields.status.forView(
+                  item.toStatus,
+                )}`
+              : fields.status.forView(item.toStatus)}
+            <div>
+              {fields.createdAt.forView(item.timestamp)}
+              {item.createdByEmail
+                ? ` - ${item.createdByEmail}`
+                : ''}
+            </div>
+          </Timeline.Item>
+        ))}
+      </Timeline>
+    );
+  }
+
   renderView() {
     const { record } = this.props;
 
@@ -29,11 +70,23 @@ class BookingView extends Component {
           value={fields.owner.forView(record.owner)}
         />
 
+        {record.location && (
+          <TextViewItem
+            label={fields.location.label}
+            value={fields.location.forView(record.location)}
+          />
+        )}
+
         <ChildViewItem
           label={fields.child.label}
           value={fields.child.forView(record.child)}
         />
 
+        <TextViewItem
+          label={fields.ageGroup.label}
+          value={fields.ageGroup.forView(record.ageGroup)}
+        />
+
         <TextViewItem
           label={fields.arrival.label}
           value={fields.arrival.forView(record.arrival)}
@@ -77,6 +130,16 @@ class BookingView extends Component {
           }}
         />
 
+        <CustomViewItem
+          label={i18n(
+            'entities.booking.fields.statusHistory',
+          )}
+          value={record.statusHistory}
+          render={(value) =>
+            this.renderStatusHistory(value)
+          }
+        />
+
         <TextViewItem
           label={fields.cancellationNotes.label}
           value={fields.cancellationNotes.forView(
@@ -89,6 +152,37 @@ class BookingView extends Component {
           value={fields.fee.forView(record.fee)}
         />
 
+        <CustomViewItem
+          label={i18n(
+            'entities.booking.fields.feeBreakdown',
+          )}
+          value={record.feeBreakdown}
+          render={(value) => this.renderFeeBreakdown(value)}
+        />
+
+        <TextViewItem
+          label={fields.amountPaid.label}
+          value={fields.amountPaid.forView(
+            record.amountPaid,
+          )}
+        />
+
+        <TextViewItem
+          label={fields.balance.label}
+          value={fields.balance.forView(record.balance)}
+        />
+
+        <CustomViewItem
+          label={i18n('entities.booking.fields.payments')}
+          value={record.payments}
+          render={(value) => (
+            <BookingPaymentList
+              bookingId={record.id}
+              payments={value}
+            />
+          )}
+        />
+
         <FilesViewItem
           label={fields.receipt.label}
           value={fields.receipt.forView(record.receipt)}
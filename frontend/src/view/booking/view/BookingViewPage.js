@@ -9,6 +9,11 @@ import actions from 'modules/booking/view/bookingViewActions';
 import { connect } from 'react-redux';
 import selectors from 'modules/booking/view/bookingViewSelectors';
 import BookingViewToolbar from 'view/booking/view/BookingViewToolbar';
+import BookingAttendance from 'view/booking/view/BookingAttendance';
+import attendanceSelectors from 'modules/attendance/attendanceSelectors';
+import BookingDailyReport from 'view/booking/view/BookingDailyReport';
+import dailyReportEntrySelectors from 'modules/dailyReportEntry/dailyReportEntrySelectors';
+import { Tabs } from 'antd';
 
 class BookingPage extends Component {
   componentDidMount() {
@@ -34,10 +39,47 @@ class BookingPage extends Component {
 
           <BookingViewToolbar match={this.props.match} />
 
-          <BookingView
-            loading={this.props.loading}
-            record={this.props.record}
-          />
+          <Tabs>
+            <Tabs.TabPane
+              key="details"
+              tab={i18n('entities.booking.view.details')}
+            >
+              <BookingView
+                loading={this.props.loading}
+                record={this.props.record}
+              />
+            </Tabs.TabPane>
+            {this.props.hasPermissionToReadAttendance && (
+              <Tabs.TabPane
+                key="attendance"
+                tab={i18n('entities.attendance.menu')}
+              >
+                <BookingAttendance
+                  bookingId={this.props.match.params.id}
+                  status={
+                    this.props.record
+                      ? this.props.record.status
+                      : null
+                  }
+                />
+              </Tabs.TabPane>
+            )}
+            {this.props.hasPermissionToReadDailyReport && (
+              <Tabs.TabPane
+                key="dailyReport"
+                tab={i18n('entities.dailyReportEntry.menu')}
+              >
+                <BookingDailyReport
+                  bookingId={this.props.match.params.id}
+                  status={
+                    this.props.record
+                      ? this.props.record.status
+                      : null
+                  }
+                />
+              </Tabs.TabPane>
+            )}
+          </Tabs>
         </ContentWrapper>
       </React.Fragment>
     );
@@ -48,6 +90,12 @@ function select(state) {
   return {
     loading: selectors.selectLoading(state),
     record: selectors.selectRecord(state),
+    hasPermissionToReadAttendance: attendanceSelectors.selectPermissionToRead(
+      state,
+    ),
+    hasPermissionToReadDailyReport: dailyReportEntrySelectors.selectPermissionToRead(
+      state,
+    ),
   };
 }
 
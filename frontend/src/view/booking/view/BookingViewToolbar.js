@@ -9,8 +9,20 @@ import destroySelectors from 'modules/booking/destroy/bookingDestroySelectors';
 import destroyActions from 'modules/booking/destroy/bookingDestroyActions';
 import auditLogSelectors from 'modules/auditLog/auditLogSelectors';
 import selectors from 'modules/booking/view/bookingViewSelectors';
+import statusActions from 'modules/booking/status/bookingStatusActions';
+import statusSelectors from 'modules/booking/status/bookingStatusSelectors';
+import bookingStatus from 'modules/booking/bookingStatus';
+import BookingCancelModal from 'view/booking/view/BookingCancelModal';
+import BookingPaymentModal from 'view/booking/view/BookingPaymentModal';
+import paymentActions from 'modules/booking/payment/bookingPaymentActions';
+import paymentSelectors from 'modules/booking/payment/bookingPaymentSelectors';
 
 class BookingViewToolbar extends Component {
+  state = {
+    cancelModalVisible: false,
+    paymentModalVisible: false,
+  };
+
   id = () => {
     return this.props.match.params.id;
   };
@@ -20,12 +32,56 @@ class BookingViewToolbar extends Component {
     dispatch(destroyActions.doDestroy(this.id()));
   };
 
+  doCheckIn = () => {
+    const { dispatch } = this.props;
+    dispatch(statusActions.doCheckIn(this.id()));
+  };
+
+  doCheckOut = () => {
+    const { dispatch } = this.props;
+    dispatch(statusActions.doCheckOut(this.id()));
+  };
+
+  doOpenCancelModal = () => {
+    this.setState({ cancelModalVisible: true });
+  };
+
+  doCloseCancelModal = () => {
+    this.setState({ cancelModalVisible: false });
+  };
+
+  doCancel = (cancellationNotes) => {
+    const { dispatch } = this.props;
+    this.doCloseCancelModal();
+    dispatch(
+      statusActions.doCancel(this.id(), cancellationNotes),
+    );
+  };
+
+  doOpenPaymentModal = () => {
+    this.setState({ paymentModalVisible: true });
+  };
+
+  doClosePaymentModal = () => {
+    this.setState({ paymentModalVisible: false });
+  };
+
+  doCreatePayment = (data) => {
+    const { dispatch } = this.props;
+    this.doClosePaymentModal();
+    dispatch(paymentActions.doCreate(this.id(), data));
+  };
+
   render() {
     const {
       hasPermissionToEditRecord,
+      hasPermissionToChangeStatus,
       hasPermissionToAuditLogs,
       hasPermissionToDestroy,
+      hasPermissionToEditPayments,
       destroyLoading,
+      statusLoading,
+      paymentLoading,
       record,
     } = this.props;
 
@@ -39,6 +95,69 @@ class BookingViewToolbar extends Component {
           </Link>
         )}
 
+        {hasPermissionToChangeStatus(
+          record,
+          bookingStatus.PROGRESS,
+        ) && (
+          <Popconfirm
+            title={i18n('common.areYouSure')}
+            onConfirm={() => this.doCheckIn()}
+            okText={i18n('common.yes')}
+            cancelText={i18n('common.no')}
+          >
+            <Button icon="login" disabled={statusLoading}>
+              {i18n('entities.booking.checkIn.button')}
+            </Button>
+          </Popconfirm>
+        )}
+
+        {hasPermissionToChangeStatus(
+          record,
+          bookingStatus.COMPLETED,
+        ) && (
+          <Popconfirm
+            title={i18n('common.areYouSure')}
+            onConfirm={() => this.doCheckOut()}
+            okText={i18n('common.yes')}
+            cancelText={i18n('common.no')}
+          >
+            <Button icon="logout" disabled={statusLoading}>
+              {i18n('entities.booking.checkOut.button')}
+            </Button>
+          </Popconfirm>
+        )}
+
+        {hasPermissionToChangeStatus(
+          record,
+          bookingStatus.CANCELLED,
+        ) && (
+          <Button
+            icon="stop"
+            disabled={statusLoading}
+            onClick={this.doOpenCancelModal}
+          >
+            {i18n('entities.booking.cancel.button')}
+          </Button>
+        )}
+
+        {hasPermissionToEditPayments && (
+          <Button
+            icon="dollar"
+            disabled={paymentLoading}
+            onClick={this.doOpenPaymentModal}
+          >
+            {i18n(
+              'entities.booking.payments.create.button',
+            )}
+          </Button>
+        )}
+
+        <Link to={`/booking/${this.id()}/invoice`}>
+          <Button icon="file-text">
+            {i18n('entities.booking.invoice.button')}
+          </Button>
+        </Link>
+
         {hasPermissionToDestroy && (
           <Popconfirm
             title={i18n('common.areYouSure')}
@@ -67,6 +186,21 @@ class BookingViewToolbar extends Component {
             </Button>
           </Link>
         )}
+
+        <BookingCancelModal
+          visible={this.state.cancelModalVisible}
+          loading={statusLoading}
+          onOk={this.doCancel}
+          onCancel={this.doCloseCancelModal}
+        />
+
+        <BookingPaymentModal
+          visible={this.state.paymentModalVisible}
+          loading={paymentLoading}
+          balance={record ? record.balance : null}
+          onOk={this.doCreatePayment}
+          onCancel={this.doClosePaymentModal}
+        />
       </Toolbar>
     );
   }
@@ -80,9 +214,17 @@ function select(state) {
     hasPermissionToEditRecord: bookingSelectors.selectPermissionToEditRecord(
       state,
     ),
+    hasPermissionToChangeStatus: bookingSelectors.selectPermissionToChangeStatus(
+      state,
+    ),
     hasPermissionToDestroy: bookingSelectors.selectPermissionToDestroy(
       state,
     ),
+    hasPermissionToEditPayments: bookingSelectors.selectPermissionToEditPayments(
+      state,
+    ),
+    statusLoading: statusSelectors.selectLoading(state),
+    paymentLoading: paymentSelectors.selectLoading(state),
     destroyLoading: destroySelectors.selectLoading(state),
     record: selectors.selectRecord(state),
   };
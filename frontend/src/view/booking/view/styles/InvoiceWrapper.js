@@ -0,0 +1,49 @@
+import styled from 'styled-components';
+
+const InvoiceWrapper = styled.div`
+  max-width: 800px;
+  margin: 0 auto;
+
+  .invoice-header {
+    display: flex;
+    justify-content: space-between;
+    margin-bottom: 32px;
+  }
+
+  .invoice-title {
+    font-size: 24px;
+    font-weight: 500;
+  }
+
+  .invoice-section {
+    margin-bottom: 24px;
+  }
+
+  .invoice-section-title {
+    font-weight: 500;
+    margin-bottom: 8px;
+  }
+
+  .invoice-totals {
+    text-align: right;
+
+    div {
+      margin-bottom: 4px;
+    }
+
+    .invoice-balance {
+      font-size: 16px;
+      font-weight: 500;
+    }
+  }
+
+  @media print {
+    max-width: none;
+
+    .ant-table {
+      font-size: 12px;
+    }
+  }
+`;
+
+export default InvoiceWrapper;
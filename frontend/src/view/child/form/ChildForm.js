@@ -15,17 +15,31 @@ import FormSchema from 'view/shared/form/formSchema';
 import InputFormItem from 'view/shared/form/items/InputFormItem';
 import UserAutocompleteFormItem from 'view/iam/autocomplete/UserAutocompleteFormItem';
 import SelectFormItem from 'view/shared/form/items/SelectFormItem';
+import DatePickerFormItem from 'view/shared/form/items/DatePickerFormItem';
 import authSelectors from 'modules/auth/authSelectors';
+import GuardiansFormItem from 'view/child/form/GuardiansFormItem';
+import TextAreaFormItem from 'view/shared/form/items/TextAreaFormItem';
+import ObjectArrayFormItem from 'view/shared/form/items/ObjectArrayFormItem';
+import childSelectors from 'modules/child/childSelectors';
+import locationSelectors from 'modules/location/locationSelectors';
 
 const { fields } = model;
 
 class ChildForm extends Component {
   schema = new FormSchema(fields.id, [
     fields.owner,
+    fields.location,
     fields.name,
     fields.type,
     // fields.breed,
-    fields.size,
+    fields.birthdate,
+    fields.guardians,
+    fields.allergies,
+    fields.dietaryRestrictions,
+    fields.medications,
+    fields.doctorName,
+    fields.doctorPhone,
+    fields.emergencyContacts,
   ]);
 
   componentDidMount() {
@@ -63,6 +77,12 @@ class ChildForm extends Component {
 
     const initialValues = {};
 
+    if (this.props.currentLocationId) {
+      initialValues.location = {
+        id: this.props.currentLocationId,
+      };
+    }
+
     if (this.props.isChildOwner) {
       initialValues.owner = this.props.currentUser;
     }
@@ -71,7 +91,12 @@ class ChildForm extends Component {
   };
 
   renderForm() {
-    const { saveLoading, isChildOwner } = this.props;
+    const {
+      saveLoading,
+      isChildOwner,
+      hasPermissionToEditMedical,
+      locations,
+    } = this.props;
 
     return (
       <FormWrapper>
@@ -96,6 +121,16 @@ class ChildForm extends Component {
                     required={fields.owner.required}
                   />
                 )}
+                {!!locations.length && (
+                  <SelectFormItem
+                    name={fields.location.name}
+                    label={fields.location.label}
+                    options={locations.map((item) => ({
+                      value: item.id,
+                      label: item.name,
+                    }))}
+                  />
+                )}
                 <InputFormItem
                   name={fields.name.name}
                   label={fields.name.label}
@@ -117,18 +152,56 @@ class ChildForm extends Component {
                   label={fields.breed.label}
                   required={fields.breed.required}
                 /> */}
-                <SelectFormItem
-                  name={fields.size.name}
-                  label={fields.size.label}
-                  options={fields.size.options.map(
-                    (item) => ({
-                      value: item.id,
-                      label: item.label,
-                    }),
-                  )}
-                  required={fields.size.required}
+                <DatePickerFormItem
+                  name={fields.birthdate.name}
+                  label={fields.birthdate.label}
+                  required={fields.birthdate.required}
+                />
+                <GuardiansFormItem
+                  name={fields.guardians.name}
+                  label={fields.guardians.label}
+                  field={fields.guardians}
                 />
 
+                {hasPermissionToEditMedical && (
+                  <React.Fragment>
+                    <TextAreaFormItem
+                      name={fields.allergies.name}
+                      label={fields.allergies.label}
+                      required={fields.allergies.required}
+                    />
+                    <TextAreaFormItem
+                      name={fields.dietaryRestrictions.name}
+                      label={
+                        fields.dietaryRestrictions.label
+                      }
+                      required={
+                        fields.dietaryRestrictions.required
+                      }
+                    />
+                    <ObjectArrayFormItem
+                      name={fields.medications.name}
+                      label={fields.medications.label}
+                      field={fields.medications}
+                    />
+                    <InputFormItem
+                      name={fields.doctorName.name}
+                      label={fields.doctorName.label}
+                      required={fields.doctorName.required}
+                    />
+                    <InputFormItem
+                      name={fields.doctorPhone.name}
+                      label={fields.doctorPhone.label}
+                      required={fields.doctorPhone.required}
+                    />
+                    <ObjectArrayFormItem
+                      name={fields.emergencyContacts.name}
+                      label={fields.emergencyContacts.label}
+                      field={fields.emergencyContacts}
+                    />
+                  </React.Fragment>
+                )}
+
                 <Form.Item
                   className="form-buttons"
                   {...tailFormItemLayout}
@@ -182,6 +255,13 @@ function select(state) {
     isChildOwner: authSelectors.selectCurrentUserIsChildOwner(
       state,
     ),
+    hasPermissionToEditMedical: childSelectors.selectPermissionToEditMedical(
+      state,
+    ),
+    locations: locationSelectors.selectRows(state),
+    currentLocationId: locationSelectors.selectCurrentLocationId(
+      state,
+    ),
   };
 }
 
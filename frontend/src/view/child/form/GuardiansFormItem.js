@@ -0,0 +1,154 @@
+import { Button, Col, Form, Input, Row } from 'antd';
+import { FieldArray } from 'formik';
+import { i18n } from 'i18n';
+import PropTypes from 'prop-types';
+import React, { Component } from 'react';
+import _get from 'lodash/get';
+import { formItemLayout } from 'view/shared/styles/FormWrapper';
+import ImagesUploader from 'view/shared/uploaders/ImagesUploader';
+
+function label(name) {
+  return i18n(`entities.child.guardians.fields.${name}`);
+}
+
+class GuardiansFormItem extends Component {
+  guardianError(form, index) {
+    if (!form.submitCount) {
+      return null;
+    }
+
+    const errors = _get(form.errors, [
+      this.props.name,
+      index,
+    ]);
+
+    if (!errors || typeof errors === 'string') {
+      return errors || null;
+    }
+
+    return Object.values(errors)[0];
+  }
+
+  renderGuardian(form, arrayHelpers, guardian, index) {
+    const { name, field } = this.props;
+    const path = `${name}.${index}`;
+    const error = this.guardianError(form, index);
+
+    return (
+      <Form.Item
+        key={guardian.id || index}
+        validateStatus={error ? 'error' : 'success'}
+        help={error}
+        style={{ marginBottom: 8 }}
+      >
+        <Row gutter={8} type="flex" align="middle">
+          <Col span={6}>
+            <ImagesUploader
+              path={field.path}
+              schema={{ size: field.size }}
+              max={1}
+              value={guardian.photo}
+              onChange={(value) =>
+                form.setFieldValue(`${path}.photo`, value)
+              }
+            />
+          </Col>
+          <Col span={16}>
+            <Input
+              placeholder={label('name')}
+              value={guardian.name}
+              onChange={(event) =>
+                form.setFieldValue(
+                  `${path}.name`,
+                  event.target.value,
+                )
+              }
+              style={{ marginBottom: 4 }}
+            />
+            <Input
+              placeholder={label('relationship')}
+              value={guardian.relationship}
+              onChange={(event) =>
+                form.setFieldValue(
+                  `${path}.relationship`,
+                  event.target.value,
+                )
+              }
+              style={{ marginBottom: 4 }}
+            />
+            <Input
+              placeholder={label('phone')}
+              value={guardian.phone}
+              onChange={(event) =>
+                form.setFieldValue(
+                  `${path}.phone`,
+                  event.target.value,
+                )
+              }
+            />
+          </Col>
+          <Col span={2}>
+            <Button
+              icon="delete"
+              onClick={() => arrayHelpers.remove(index)}
+            />
+          </Col>
+        </Row>
+      </Form.Item>
+    );
+  }
+
+  render() {
+    const { name, label } = this.props;
+
+    return (
+      <FieldArray
+        name={name}
+        render={(arrayHelpers) => {
+          const { form } = arrayHelpers;
+          const guardians = form.values[name] || [];
+
+          return (
+            <Form.Item
+              {...formItemLayout}
+              label={label}
+              help={i18n('entities.child.guardians.hint')}
+            >
+              {guardians.map((guardian, index) =>
+                this.renderGuardian(
+                  form,
+                  arrayHelpers,
+                  guardian,
+                  index,
+                ),
+              )}
+
+              <Button
+                type="dashed"
+                icon="plus"
+                onClick={() =>
+                  arrayHelpers.push({
+                    name: '',
+                    relationship: '',
+                    phone: null,
+                    photo: [],
+                  })
+                }
+              >
+                {i18n('entities.child.guardians.add')}
+              </Button>
+            </Form.Item>
+          );
+        }}
+      />
+    );
+  }
+}
+
+GuardiansFormItem.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  field: PropTypes.object.isRequired,
+};
+
+export default GuardiansFormItem;
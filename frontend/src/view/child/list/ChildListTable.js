@@ -13,6 +13,7 @@ import TableWrapper from 'view/shared/styles/TableWrapper';
 import ButtonLink from 'view/shared/styles/ButtonLink';
 import UserListItem from 'view/iam/list/users/UserListItem';
 import authSelectors from 'modules/auth/authSelectors';
+import locationSelectors from 'modules/location/locationSelectors';
 
 const { fields } = model;
 
@@ -36,8 +37,11 @@ class ChildListTable extends Component {
         render: (value) => <UserListItem value={value} />,
       }),
     fields.name.forTable(),
+    !this.props.currentLocationId &&
+      fields.location.forTable(),
     fields.type.forTable(),
     // fields.breed.forTable(),
+    fields.birthdate.forTable(),
     fields.size.forTable(),
     fields.createdAt.forTable(),
     {
@@ -103,6 +107,9 @@ class ChildListTable extends Component {
 
 function select(state) {
   return {
+    currentLocationId: locationSelectors.selectCurrentLocationId(
+      state,
+    ),
     loading:
       selectors.selectLoading(state) ||
       destroySelectors.selectLoading(state),
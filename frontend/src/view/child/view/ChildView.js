@@ -5,6 +5,8 @@ import ViewWrapper from 'view/shared/styles/ViewWrapper';
 import TextViewItem from 'view/shared/view/TextViewItem';
 import UserViewItem from 'view/iam/view/UserViewItem';
 import BookingViewItem from 'view/booking/view/BookingViewItem';
+import CustomViewItem from 'view/shared/view/CustomViewItem';
+import { Avatar, List } from 'antd';
 
 const { fields } = model;
 
@@ -24,6 +26,13 @@ class ChildView extends Component {
           value={fields.owner.forView(record.owner)}
         />
 
+        {record.location && (
+          <TextViewItem
+            label={fields.location.label}
+            value={fields.location.forView(record.location)}
+          />
+        )}
+
         <TextViewItem
           label={fields.name.label}
           value={fields.name.forView(record.name)}
@@ -39,11 +48,112 @@ class ChildView extends Component {
           value={fields.breed.forView(record.breed)}
         /> */}
 
+        <TextViewItem
+          label={fields.birthdate.label}
+          value={fields.birthdate.forView(record.birthdate)}
+        />
+
         <TextViewItem
           label={fields.size.label}
           value={fields.size.forView(record.size)}
         />
 
+        <CustomViewItem
+          label={fields.guardians.label}
+          value={fields.guardians.forView(record.guardians)}
+          render={(guardians) => (
+            <List
+              size="small"
+              dataSource={guardians}
+              renderItem={(guardian) => (
+                <List.Item key={guardian.id}>
+                  <List.Item.Meta
+                    avatar={
+                      <Avatar
+                        icon="user"
+                        src={
+                          guardian.photo &&
+                          guardian.photo.length
+                            ? guardian.photo[0].publicUrl
+                            : undefined
+                        }
+                      />
+                    }
+                    title={guardian.name}
+                    description={[
+                      guardian.relationship,
+                      guardian.phone,
+                    ]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  />
+                </List.Item>
+              )}
+            />
+          )}
+        />
+
+        <TextViewItem
+          label={fields.allergies.label}
+          value={fields.allergies.forView(record.allergies)}
+        />
+
+        <TextViewItem
+          label={fields.dietaryRestrictions.label}
+          value={fields.dietaryRestrictions.forView(
+            record.dietaryRestrictions,
+          )}
+        />
+
+        <CustomViewItem
+          label={fields.medications.label}
+          value={fields.medications.forView(
+            record.medications,
+          )}
+          render={(medications) =>
+            medications.map((medication, index) => (
+              <div key={index}>
+                <strong>{medication.name}</strong>
+                {` · ${medication.dosage} · ${
+                  medication.schedule
+                }`}
+              </div>
+            ))
+          }
+        />
+
+        <TextViewItem
+          label={fields.doctorName.label}
+          value={fields.doctorName.forView(
+            record.doctorName,
+          )}
+        />
+
+        <TextViewItem
+          label={fields.doctorPhone.label}
+          value={fields.doctorPhone.forView(
+            record.doctorPhone,
+          )}
+        />
+
+        <CustomViewItem
+          label={fields.emergencyContacts.label}
+          value={fields.emergencyContacts.forView(
+            record.emergencyContacts,
+          )}
+          render={(contacts) =>
+            contacts.map((contact, index) => (
+              <div key={index}>
+                <strong>{contact.name}</strong>
+                {[contact.relationship, contact.phone]
+                  .filter(Boolean)
+                  .map((value) => ` · ${value}`)
+                  .join('')}
+              </div>
+            ))
+          }
+        />
+
         <BookingViewItem
           label={fields.bookings.label}
           value={fields.bookings.forView(record.bookings)}
@@ -0,0 +1,38 @@
+import React, { Component } from 'react';
+import { Doughnut } from 'react-chartjs-2';
+import { i18n } from 'i18n';
+import { bookingStatusColor } from 'modules/booking/bookingStatus';
+
+export default class HomeBookingsByStatusChart extends Component {
+  render() {
+    const { bookingsByStatus } = this.props;
+
+    const data = {
+      labels: bookingsByStatus.map((item) =>
+        i18n(
+          `entities.booking.enumerators.status.${
+            item.status
+          }`,
+        ),
+      ),
+      datasets: [
+        {
+          data: bookingsByStatus.map((item) => item.count),
+          backgroundColor: bookingsByStatus.map(
+            (item) =>
+              bookingStatusColor(item.status) || '#bfbfbf',
+          ),
+        },
+      ],
+    };
+
+    const options = {
+      title: {
+        display: true,
+        text: i18n('home.dashboard.bookingsByStatus'),
+      },
+    };
+
+    return <Doughnut data={data} options={options} />;
+  }
+}
@@ -0,0 +1,40 @@
+import React, { Component } from 'react';
+import { Pie } from 'react-chartjs-2';
+import { i18n } from 'i18n';
+
+const colors = ['#FF6384', '#36A2EB', '#FFCE56'];
+
+export default class HomeChildrenByAgeGroupChart extends Component {
+  render() {
+    const { childrenByAgeGroup } = this.props;
+
+    const data = {
+      labels: childrenByAgeGroup.map((item) =>
+        i18n(
+          `entities.child.enumerators.size.${
+            item.ageGroup
+          }`,
+        ),
+      ),
+      datasets: [
+        {
+          data: childrenByAgeGroup.map(
+            (item) => item.count,
+          ),
+          backgroundColor: childrenByAgeGroup.map(
+            (item, index) => colors[index % colors.length],
+          ),
+        },
+      ],
+    };
+
+    const options = {
+      title: {
+        display: true,
+        text: i18n('home.dashboard.childrenByAgeGroup'),
+      },
+    };
+
+    return <Pie data={data} options={options} />;
+  }
+}
@@ -1,89 +0,0 @@
-import React, { Component } from 'react';
-import { Bar } from 'react-chartjs-2';
-import { i18n } from 'i18n';
-
-const options = {
-  responsive: true,
-  tooltips: {
-    mode: 'label',
-  },
-  elements: {
-    line: {
-      fill: false,
-    },
-  },
-  scales: {
-    xAxes: [
-      {
-        display: true,
-        gridLines: {
-          display: false,
-        },
-      },
-    ],
-    yAxes: [
-      {
-        type: 'linear',
-        display: true,
-        position: 'left',
-        id: 'y-axis-1',
-        gridLines: {
-          display: false,
-        },
-      },
-      {
-        type: 'linear',
-        display: true,
-        position: 'right',
-        id: 'y-axis-2',
-        gridLines: {
-          display: false,
-        },
-      },
-    ],
-  },
-};
-
-const data2 = {
-  labels: [
-    i18n('home.charts.months.1'),
-    i18n('home.charts.months.2'),
-    i18n('home.charts.months.3'),
-    i18n('home.charts.months.4'),
-    i18n('home.charts.months.5'),
-    i18n('home.charts.months.6'),
-    i18n('home.charts.months.7'),
-  ],
-  datasets: [
-    {
-      label: i18n('home.charts.sales'),
-      type: 'line',
-      data: [51, 65, 40, 49, 60, 37, 40],
-      fill: false,
-      borderColor: '#EC932F',
-      backgroundColor: '#EC932F',
-      pointBorderColor: '#EC932F',
-      pointBackgroundColor: '#EC932F',
-      pointHoverBackgroundColor: '#EC932F',
-      pointHoverBorderColor: '#EC932F',
-      yAxisID: 'y-axis-2',
-    },
-    {
-      type: 'line',
-      label: i18n('home.charts.visitor'),
-      data: [200, 185, 590, 621, 250, 400, 95],
-      fill: false,
-      backgroundColor: '#71B37C',
-      borderColor: '#71B37C',
-      hoverBackgroundColor: '#71B37C',
-      hoverBorderColor: '#71B37C',
-      yAxisID: 'y-axis-1',
-    },
-  ],
-};
-
-export default class HomeMixChartTwo extends Component {
-  render() {
-    return <Bar data={data2} options={options} />;
-  }
-}
@@ -0,0 +1,55 @@
+import React, { Component } from 'react';
+import { Line } from 'react-chartjs-2';
+import { i18n } from 'i18n';
+import moment from 'moment';
+
+export default class HomeOccupancyChart extends Component {
+  render() {
+    const { occupancy } = this.props;
+
+    const data = {
+      labels: occupancy.map((day) =>
+        moment(day.date).format('DD MMM'),
+      ),
+      datasets: [
+        {
+          label: i18n('home.dashboard.booked'),
+          fill: true,
+          backgroundColor: 'rgba(16,142,233,0.2)',
+          borderColor: 'rgba(16,142,233,1)',
+          pointRadius: 0,
+          data: occupancy.map((day) => day.booked),
+        },
+        {
+          label: i18n('home.dashboard.capacity'),
+          fill: false,
+          borderColor: 'rgba(245,80,0,1)',
+          borderDash: [5, 5],
+          pointRadius: 0,
+          data: occupancy.map((day) => day.capacity),
+        },
+      ],
+    };
+
+    const options = {
+      title: {
+        display: true,
+        text: i18n('home.dashboard.occupancy'),
+      },
+      scales: {
+        yAxes: [
+          { ticks: { beginAtZero: true, precision: 0 } },
+        ],
+      },
+    };
+
+    return (
+      <Line
+        data={data}
+        options={options}
+        width={100}
+        height={30}
+      />
+    );
+  }
+}
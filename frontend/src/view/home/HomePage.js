@@ -2,18 +2,43 @@ import React, { PureComponent } from 'react';
 import { connect } from 'react-redux';
 import Layout from 'view/layout/Layout';
 import { i18n } from 'i18n';
-import { Row, Col, Card } from 'antd';
-import HomeBarChart from 'view/home/HomeBarChart';
-import HomeDoughnutChart from 'view/home/HomeDoughnutChart';
-import HomeRadarChart from 'view/home/HomeRadarChart';
-import HomeMixChartTwo from 'view/home/HomeMixChartTwo';
-import HomeMixChartOne from 'view/home/HomeMixChartOne';
-import HomeHorizontalBarChart from 'view/home/HomeHorizontalBarChart';
-import HomePolarChart from 'view/home/HomePolarChart';
-import HomeLineChart from 'view/home/HomeLineChart';
+import {
+  Row,
+  Col,
+  Card,
+  DatePicker,
+  Statistic,
+} from 'antd';
+import actions from 'modules/dashboard/dashboardActions';
+import selectors from 'modules/dashboard/dashboardSelectors';
+import Spinner from 'view/shared/Spinner';
+import Toolbar from 'view/shared/styles/Toolbar';
+import HomeOccupancyChart from 'view/home/HomeOccupancyChart';
+import HomeRevenueChart from 'view/home/HomeRevenueChart';
+import HomeBookingsByStatusChart from 'view/home/HomeBookingsByStatusChart';
+import HomeChildrenByAgeGroupChart from 'view/home/HomeChildrenByAgeGroupChart';
 
 class HomePage extends PureComponent {
-  render() {
+  componentDidMount() {
+    if (this.props.hasPermissionToRead) {
+      this.doFetch(this.props.range);
+    }
+  }
+
+  doFetch = (range) => {
+    const { dispatch } = this.props;
+    dispatch(actions.doFetch(range));
+  };
+
+  onRangeChange = (range) => {
+    if (range && range.length === 2) {
+      this.doFetch(range);
+    }
+  };
+
+  renderDashboard() {
+    const { data } = this.props;
+
     const twoColumnsResponsiveProps = {
       xs: 24,
       sm: 24,
@@ -23,74 +48,95 @@ class HomePage extends PureComponent {
       style: { marginBottom: 24 },
     };
 
-    const threeColumnsResponsiveProps = {
-      xs: 24,
-      sm: 24,
-      md: 12,
-      lg: 12,
-      xl: 8,
-      style: { marginBottom: 24 },
-    };
+    return (
+      <Row gutter={24}>
+        <Col span={24} style={{ marginBottom: 24 }}>
+          <Card bodyStyle={{ padding: 8 }}>
+            <HomeOccupancyChart
+              occupancy={data.occupancy}
+            />
+          </Card>
+        </Col>
+
+        <Col {...twoColumnsResponsiveProps}>
+          <Card bodyStyle={{ padding: 8 }}>
+            <HomeRevenueChart
+              revenueByMonth={data.revenueByMonth}
+            />
+          </Card>
+        </Col>
+
+        <Col {...twoColumnsResponsiveProps}>
+          <Card bodyStyle={{ padding: 8 }}>
+            <HomeBookingsByStatusChart
+              bookingsByStatus={data.bookingsByStatus}
+            />
+          </Card>
+        </Col>
+
+        <Col {...twoColumnsResponsiveProps}>
+          <Card>
+            <Statistic
+              title={i18n(
+                'home.dashboard.cancellationRate',
+              )}
+              value={data.cancellationRate}
+              precision={2}
+              suffix="%"
+            />
+          </Card>
+        </Col>
+
+        <Col {...twoColumnsResponsiveProps}>
+          <Card bodyStyle={{ padding: 8 }}>
+            <HomeChildrenByAgeGroupChart
+              childrenByAgeGroup={data.childrenByAgeGroup}
+            />
+          </Card>
+        </Col>
+      </Row>
+    );
+  }
+
+  render() {
+    const {
+      hasPermissionToRead,
+      loading,
+      data,
+      range,
+    } = this.props;
+
+    if (!hasPermissionToRead) {
+      return null;
+    }
 
     return (
       <React.Fragment>
-        <Row gutter={24}>
-          <Col {...threeColumnsResponsiveProps}>
-            <Card bodyStyle={{ padding: 8 }}>
-              <HomeBarChart />
-            </Card>
-          </Col>
-          <Col {...threeColumnsResponsiveProps}>
-            <Card bodyStyle={{ padding: 8 }}>
-              <HomeMixChartTwo />
-            </Card>
-          </Col>
-          <Col {...threeColumnsResponsiveProps}>
-            <Card bodyStyle={{ padding: 8 }}>
-              <HomeDoughnutChart />
-            </Card>
-          </Col>
-
-          <Col {...twoColumnsResponsiveProps}>
-            <Card bodyStyle={{ padding: 8 }}>
-              <HomeMixChartOne />
-            </Card>
-          </Col>
-
-          <Col {...twoColumnsResponsiveProps}>
-            <Card bodyStyle={{ padding: 8 }}>
-              <HomeRadarChart />
-            </Card>
-          </Col>
-
-          <Col {...threeColumnsResponsiveProps}>
-            <Card bodyStyle={{ padding: 8 }}>
-              <HomeHorizontalBarChart />
-            </Card>
-          </Col>
-          <Col {...threeColumnsResponsiveProps}>
-            <Card bodyStyle={{ padding: 8 }}>
-              <HomePolarChart />
-            </Card>
-          </Col>
-          <Col {...threeColumnsResponsiveProps}>
-            <Card bodyStyle={{ padding: 8 }}>
-              <HomeLineChart />
-            </Card>
-          </Col>
-        </Row>
-        <p
-          style={{
-            width: '100%',
-            textAlign: 'center',
-            color: 'grey',
-          }}
-        >
-          {i18n('home.message')}
-        </p>
+        <Toolbar>
+          <DatePicker.RangePicker
+            value={range}
+            onChange={this.onRangeChange}
+            allowClear={false}
+            disabled={loading}
+          />
+        </Toolbar>
+
+        {loading && <Spinner />}
+        {!loading && data && this.renderDashboard()}
       </React.Fragment>
     );
   }
 }
 
-export default connect(null)(Layout(HomePage));
+function select(state) {
+  return {
+    loading: selectors.selectLoading(state),
+    range: selectors.selectRange(state),
+    data: selectors.selectData(state),
+    hasPermissionToRead: selectors.selectPermissionToRead(
+      state,
+    ),
+  };
+}
+
+export default connect(select)(Layout(HomePage));
@@ -0,0 +1,47 @@
+import React, { Component } from 'react';
+import { Bar } from 'react-chartjs-2';
+import { i18n } from 'i18n';
+import moment from 'moment';
+
+export default class HomeRevenueChart extends Component {
+  render() {
+    const { revenueByMonth } = this.props;
+
+    const data = {
+      labels: revenueByMonth.map((item) =>
+        moment(item.month, 'YYYY-MM').format('MMM YYYY'),
+      ),
+      datasets: [
+        {
+          label: i18n('home.dashboard.revenue'),
+          backgroundColor: 'rgba(135,208,104,0.4)',
+          borderColor: 'rgba(135,208,104,1)',
+          borderWidth: 1,
+          data: revenueByMonth.map((item) => item.revenue),
+        },
+      ],
+    };
+
+    const options = {
+      title: {
+        display: true,
+        text: i18n('home.dashboard.revenueByMonth'),
+      },
+      legend: {
+        display: false,
+      },
+      scales: {
+        yAxes: [{ ticks: { beginAtZero: true } }],
+      },
+    };
+
+    return (
+      <Bar
+        data={data}
+        options={options}
+        width={100}
+        height={60}
+      />
+    );
+  }
+}
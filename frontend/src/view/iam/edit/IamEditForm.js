@@ -16,6 +16,8 @@ import FormWrapper, {
 } from 'view/shared/styles/FormWrapper';
 import FormSchema from 'view/shared/form/formSchema';
 import authSelectors from 'modules/auth/authSelectors';
+import locationSelectors from 'modules/location/locationSelectors';
+import LocationRolesFormItem from 'view/iam/edit/LocationRolesFormItem';
 
 const { fields } = model;
 
@@ -27,6 +29,7 @@ class IamEditForm extends Component {
     fields.phoneNumber,
     fields.avatarsIam,
     fields.roles,
+    fields.locationRoles,
   ]);
 
   componentDidMount() {
@@ -50,7 +53,11 @@ class IamEditForm extends Component {
   };
 
   renderForm() {
-    const { saveLoading, isManager } = this.props;
+    const {
+      saveLoading,
+      isManager,
+      locations,
+    } = this.props;
 
     return (
       <FormWrapper>
@@ -111,6 +118,15 @@ class IamEditForm extends Component {
                   />
                 )}
 
+                {isManager && !!locations.length && (
+                  <LocationRolesFormItem
+                    name={fields.locationRoles.name}
+                    label={fields.locationRoles.label}
+                    field={fields.locationRoles}
+                    locations={locations}
+                  />
+                )}
+
                 <Form.Item
                   className="form-buttons"
                   {...tailFormItemLayout}
@@ -163,6 +179,7 @@ function select(state) {
     isManager: authSelectors.selectCurrentUserIsManager(
       state,
     ),
+    locations: locationSelectors.selectRows(state),
   };
 }
 
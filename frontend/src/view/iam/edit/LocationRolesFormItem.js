@@ -0,0 +1,143 @@
+import { Button, Col, Form, Row, Select } from 'antd';
+import { FieldArray } from 'formik';
+import { i18n } from 'i18n';
+import PropTypes from 'prop-types';
+import React, { Component } from 'react';
+import _get from 'lodash/get';
+import { formItemLayout } from 'view/shared/styles/FormWrapper';
+
+class LocationRolesFormItem extends Component {
+  itemError(form, index) {
+    if (!form.submitCount) {
+      return null;
+    }
+
+    const errors = _get(form.errors, [
+      this.props.name,
+      index,
+    ]);
+
+    if (!errors || typeof errors === 'string') {
+      return errors || null;
+    }
+
+    return Object.values(errors)[0];
+  }
+
+  renderItem(form, arrayHelpers, item, index) {
+    const { name, field, locations } = this.props;
+    const [locationField, roleField] = field.itemFields;
+    const path = `${name}.${index}`;
+    const error = this.itemError(form, index);
+
+    return (
+      <Form.Item
+        key={index}
+        validateStatus={error ? 'error' : 'success'}
+        help={error}
+        style={{ marginBottom: 8 }}
+      >
+        <Row gutter={8}>
+          <Col span={12}>
+            <Select
+              placeholder={locationField.label}
+              value={item.location || undefined}
+              onChange={(value) =>
+                form.setFieldValue(
+                  `${path}.location`,
+                  value,
+                )
+              }
+            >
+              {locations.map((location) => (
+                <Select.Option
+                  key={location.id}
+                  value={location.id}
+                >
+                  {location.name}
+                </Select.Option>
+              ))}
+            </Select>
+          </Col>
+          <Col span={10}>
+            <Select
+              placeholder={roleField.label}
+              value={item.role || undefined}
+              onChange={(value) =>
+                form.setFieldValue(`${path}.role`, value)
+              }
+            >
+              {roleField.options.map((option) => (
+                <Select.Option
+                  key={option.id}
+                  value={option.id}
+                >
+                  {option.label}
+                </Select.Option>
+              ))}
+            </Select>
+          </Col>
+          <Col span={2}>
+            <Button
+              icon="delete"
+              onClick={() => arrayHelpers.remove(index)}
+            />
+          </Col>
+        </Row>
+      </Form.Item>
+    );
+  }
+
+  render() {
+    const { name, label } = this.props;
+
+    return (
+      <FieldArray
+        name={name}
+        render={(arrayHelpers) => {
+          const { form } = arrayHelpers;
+          const items = form.values[name] || [];
+
+          return (
+            <Form.Item
+              {...formItemLayout}
+              label={label}
+              help={i18n('iam.locationRoles.hint')}
+            >
+              {items.map((item, index) =>
+                this.renderItem(
+                  form,
+                  arrayHelpers,
+                  item,
+                  index,
+                ),
+              )}
+
+              <Button
+                type="dashed"
+                icon="plus"
+                onClick={() =>
+                  arrayHelpers.push({
+                    location: null,
+                    role: null,
+                  })
+                }
+              >
+                {i18n('common.add')}
+              </Button>
+            </Form.Item>
+          );
+        }}
+      />
+    );
+  }
+}
+
+LocationRolesFormItem.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  field: PropTypes.object.isRequired,
+  locations: PropTypes.array.isRequired,
+};
+
+export default LocationRolesFormItem;
@@ -5,6 +5,7 @@ import { connect } from 'react-redux';
 import iamSelectors from 'modules/iam/iamSelectors';
 import selectors from 'modules/iam/list/roles/iamListRolesSelectors';
 import auditLogSelectors from 'modules/auditLog/auditLogSelectors';
+import roleSelectors from 'modules/role/roleSelectors';
 import actions from 'modules/iam/list/roles/iamListRolesActions';
 import { Link } from 'react-router-dom';
 import { i18n } from 'i18n';
@@ -153,6 +154,14 @@ class IamRolesToolbar extends Component {
         {this.renderEnableButton()}
         {this.renderDisableButton()}
 
+        {this.props.hasPermissionToEditRoles && (
+          <Link to="/iam/roles">
+            <Button icon="safety">
+              {i18n('entities.role.menu')}
+            </Button>
+          </Link>
+        )}
+
         {this.props.hasPermissionToAuditLogs && (
           <Link to="/audit-logs?entityNames=user">
             <Button icon="file-search">
@@ -172,6 +181,9 @@ function select(state) {
     hasPermissionToAuditLogs: auditLogSelectors.selectPermissionToRead(
       state,
     ),
+    hasPermissionToEditRoles: roleSelectors.selectPermissionToEdit(
+      state,
+    ),
     hasPermissionToCreate: iamSelectors.selectPermissionToCreate(
       state,
     ),
@@ -50,12 +50,19 @@ class IamUsersTable extends Component {
     }),
     fields.disabledAsStatus.forTable({
       dataIndex: 'disabled',
-      render: (disabled) => {
+      render: (disabled, record) => {
         const color = disabled ? 'red' : 'green';
         return (
-          <Tag color={color}>
-            {fields.disabledAsStatus.forView(disabled)}
-          </Tag>
+          <React.Fragment>
+            <Tag color={color}>
+              {fields.disabledAsStatus.forView(disabled)}
+            </Tag>
+            {record.approvalPending && (
+              <Tag color="orange">
+                {i18n('user.approvalPending')}
+              </Tag>
+            )}
+          </React.Fragment>
         );
       },
     }),
@@ -5,6 +5,7 @@ import { connect } from 'react-redux';
 import iamSelectors from 'modules/iam/iamSelectors';
 import selectors from 'modules/iam/list/users/iamListUsersSelectors';
 import auditLogSelectors from 'modules/auditLog/auditLogSelectors';
+import roleSelectors from 'modules/role/roleSelectors';
 import actions from 'modules/iam/list/users/iamListUsersActions';
 import { Link } from 'react-router-dom';
 import { i18n } from 'i18n';
@@ -185,6 +186,14 @@ class IamUsersToolbar extends Component {
         {this.renderEnableButton()}
         {this.renderDisableButton()}
 
+        {this.props.hasPermissionToEditRoles && (
+          <Link to="/iam/roles">
+            <Button icon="safety">
+              {i18n('entities.role.menu')}
+            </Button>
+          </Link>
+        )}
+
         {this.props.hasPermissionToAuditLogs && (
           <Link to="/audit-logs?entityNames=user">
             <Button icon="file-search">
@@ -208,6 +217,9 @@ function select(state) {
     hasPermissionToAuditLogs: auditLogSelectors.selectPermissionToRead(
       state,
     ),
+    hasPermissionToEditRoles: roleSelectors.selectPermissionToEdit(
+      state,
+    ),
     hasPermissionToCreate: iamSelectors.selectPermissionToCreate(
       state,
     ),
@@ -0,0 +1,143 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Checkbox, Form, Modal } from 'antd';
+import { Formik } from 'formik';
+import { i18n } from 'i18n';
+import model from 'modules/role/roleModel';
+import Permissions from 'security/permissions';
+import Roles from 'security/roles';
+import FormSchema from 'view/shared/form/formSchema';
+import InputFormItem from 'view/shared/form/items/InputFormItem';
+
+const { fields } = model;
+
+const formItemLayout = {
+  labelCol: { span: 6 },
+  wrapperCol: { span: 18 },
+};
+
+class RoleFormModal extends Component {
+  schema = new FormSchema(null, [
+    fields.id,
+    fields.name,
+    fields.permissions,
+  ]);
+
+  handleSubmit = (values) => {
+    this.props.onOk(this.schema.cast(values));
+  };
+
+  renderPermissions(form) {
+    return (
+      <Form.Item
+        {...formItemLayout}
+        label={fields.permissions.label}
+      >
+        <Checkbox.Group
+          value={form.values[fields.permissions.name]}
+          onChange={(value) =>
+            form.setFieldValue(
+              fields.permissions.name,
+              value,
+            )
+          }
+          disabled={!this.isEditable}
+        >
+          {Permissions.asArray.map((permission) => (
+            <div key={permission.id}>
+              <Checkbox value={permission.id}>
+                {permission.id}
+              </Checkbox>
+            </div>
+          ))}
+        </Checkbox.Group>
+      </Form.Item>
+    );
+  }
+
+  get isBuiltIn() {
+    return !!this.props.record && this.props.record.builtIn;
+  }
+
+  // Built-in roles are named by the translations
+  get initialValues() {
+    const { record } = this.props;
+
+    if (!record) {
+      return this.schema.initialValues({});
+    }
+
+    return this.schema.initialValues({
+      ...record,
+      name: Roles.labelOf(record.id),
+    });
+  }
+
+  get isEditable() {
+    return !this.props.record || this.props.record.editable;
+  }
+
+  render() {
+    if (!this.props.visible) {
+      return null;
+    }
+
+    return (
+      <Formik
+        initialValues={this.initialValues}
+        validationSchema={this.schema.schema}
+        onSubmit={this.handleSubmit}
+        render={(form) => (
+          <Modal
+            title={
+              this.props.record
+                ? i18n('entities.role.edit.title')
+                : i18n('entities.role.new.title')
+            }
+            visible={this.props.visible}
+            onOk={form.handleSubmit}
+            onCancel={() => this.props.onCancel()}
+            okText={i18n('common.save')}
+            okButtonProps={{ disabled: !this.isEditable }}
+            cancelText={i18n('common.cancel')}
+            confirmLoading={this.props.loading}
+          >
+            <Form onSubmit={form.handleSubmit}>
+              <InputFormItem
+                name={fields.id.name}
+                label={fields.id.label}
+                layout={formItemLayout}
+                required={fields.id.required}
+                hint={i18n('entities.role.hints.id')}
+                inputProps={{
+                  disabled: !!this.props.record,
+                }}
+                autoFocus
+              />
+              <InputFormItem
+                name={fields.name.name}
+                label={fields.name.label}
+                layout={formItemLayout}
+                required={fields.name.required}
+                inputProps={{
+                  disabled: this.isBuiltIn,
+                }}
+              />
+              {this.renderPermissions(form)}
+            </Form>
+          </Modal>
+        )}
+      />
+    );
+  }
+}
+
+RoleFormModal.propTypes = {
+  visible: PropTypes.bool,
+  loading: PropTypes.bool,
+  record: PropTypes.object,
+  onOk: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default RoleFormModal;
@@ -0,0 +1,178 @@
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import { Button, Popconfirm, Table, Tag } from 'antd';
+import { i18n } from 'i18n';
+import actions from 'modules/role/roleActions';
+import selectors from 'modules/role/roleSelectors';
+import model from 'modules/role/roleModel';
+import Roles from 'security/roles';
+import Layout from 'view/layout/Layout';
+import ContentWrapper from 'view/layout/styles/ContentWrapper';
+import PageTitle from 'view/shared/styles/PageTitle';
+import Breadcrumb from 'view/shared/Breadcrumb';
+import TableWrapper from 'view/shared/styles/TableWrapper';
+import ButtonLink from 'view/shared/styles/ButtonLink';
+import Toolbar from 'view/shared/styles/Toolbar';
+import RoleFormModal from 'view/iam/roles/RoleFormModal';
+
+const { fields } = model;
+
+class RoleListPage extends Component {
+  state = {
+    modalVisible: false,
+    selectedRecord: null,
+  };
+
+  componentDidMount() {
+    const { dispatch } = this.props;
+    dispatch(actions.doFetch());
+  }
+
+  doOpenModal = (record) => {
+    this.setState({
+      modalVisible: true,
+      selectedRecord: record || null,
+    });
+  };
+
+  doCloseModal = () => {
+    this.setState({
+      modalVisible: false,
+      selectedRecord: null,
+    });
+  };
+
+  doSave = async (data) => {
+    const { dispatch } = this.props;
+    const { selectedRecord } = this.state;
+
+    const record = await dispatch(
+      actions.doSave(
+        selectedRecord ? selectedRecord.id : null,
+        data,
+      ),
+    );
+
+    if (record) {
+      this.doCloseModal();
+    }
+  };
+
+  doDestroy = (id) => {
+    const { dispatch } = this.props;
+    dispatch(actions.doDestroy(id));
+  };
+
+  columns = [
+    {
+      title: fields.name.label,
+      dataIndex: fields.name.name,
+      render: (_, record) => (
+        <span>
+          {Roles.labelOf(record.id)}{' '}
+          {record.builtIn && (
+            <Tag>{i18n('entities.role.builtIn')}</Tag>
+          )}
+        </span>
+      ),
+    },
+    fields.id.forTable({ sorter: false }),
+    {
+      title: fields.permissions.label,
+      dataIndex: fields.permissions.name,
+      render: (value) => (value || []).length,
+    },
+    {
+      title: '',
+      dataIndex: '',
+      width: '160px',
+      render: (_, record) => (
+        <div className="table-actions">
+          <ButtonLink
+            onClick={() => this.doOpenModal(record)}
+          >
+            {record.editable
+              ? i18n('common.edit')
+              : i18n('common.view')}
+          </ButtonLink>
+          {!record.builtIn && (
+            <Popconfirm
+              title={i18n('common.areYouSure')}
+              onConfirm={() => this.doDestroy(record.id)}
+              okText={i18n('common.yes')}
+              cancelText={i18n('common.no')}
+            >
+              <ButtonLink
+                disabled={this.props.destroyLoading}
+              >
+                {i18n('common.destroy')}
+              </ButtonLink>
+            </Popconfirm>
+          )}
+        </div>
+      ),
+    },
+  ];
+
+  render() {
+    const { rows, loading, saveLoading } = this.props;
+
+    return (
+      <React.Fragment>
+        <Breadcrumb
+          items={[
+            [i18n('home.menu'), '/'],
+            [i18n('iam.menu'), '/iam'],
+            [i18n('entities.role.menu')],
+          ]}
+        />
+
+        <ContentWrapper>
+          <PageTitle>
+            {i18n('entities.role.menu')}
+          </PageTitle>
+
+          <Toolbar>
+            <Button
+              type="primary"
+              icon="plus"
+              onClick={() => this.doOpenModal()}
+            >
+              {i18n('common.new')}
+            </Button>
+          </Toolbar>
+
+          <TableWrapper>
+            <Table
+              rowKey="id"
+              loading={loading}
+              columns={this.columns}
+              dataSource={rows}
+              pagination={false}
+              scroll={{ x: true }}
+            />
+          </TableWrapper>
+
+          <RoleFormModal
+            visible={this.state.modalVisible}
+            record={this.state.selectedRecord}
+            loading={saveLoading}
+            onOk={this.doSave}
+            onCancel={this.doCloseModal}
+          />
+        </ContentWrapper>
+      </React.Fragment>
+    );
+  }
+}
+
+function select(state) {
+  return {
+    loading: selectors.selectLoading(state),
+    saveLoading: selectors.selectSaveLoading(state),
+    destroyLoading: selectors.selectDestroyLoading(state),
+    rows: selectors.selectRows(state),
+  };
+}
+
+export default connect(select)(Layout(RoleListPage));
@@ -1,6 +1,7 @@
 import { Tooltip, Tag } from 'antd';
 import Roles from 'security/roles';
 import model from 'modules/auth/userModel';
+import { i18n } from 'i18n';
 import React, { Component } from 'react';
 import Spinner from 'view/shared/Spinner';
 import ViewWrapper from 'view/shared/styles/ViewWrapper';
@@ -11,6 +12,14 @@ import ImagesViewItem from 'view/shared/view/ImagesViewItem';
 const { fields } = model;
 
 class IamView extends Component {
+  locationName(id) {
+    const location = (this.props.locations || []).find(
+      (item) => item.id === id,
+    );
+
+    return location ? location.name : id;
+  }
+
   renderView() {
     const { user } = this.props;
 
@@ -58,9 +67,16 @@ class IamView extends Component {
           render={(disabled) => {
             const color = disabled ? 'red' : 'green';
             return (
-              <Tag color={color}>
-                {fields.disabled.forView(disabled)}
-              </Tag>
+              <React.Fragment>
+                <Tag color={color}>
+                  {fields.disabled.forView(disabled)}
+                </Tag>
+                {user.approvalPending && (
+                  <Tag color="orange">
+                    {i18n('user.approvalPending')}
+                  </Tag>
+                )}
+              </React.Fragment>
             );
           }}
         />
@@ -81,6 +97,19 @@ class IamView extends Component {
           }
         />
 
+        <CustomViewItem
+          label={fields.locationRoles.label}
+          value={user.locationRoles}
+          render={(value) =>
+            value.map((item) => (
+              <div key={`${item.location}-${item.role}`}>
+                {this.locationName(item.location)}:{' '}
+                {Roles.labelOf(item.role)}
+              </div>
+            ))
+          }
+        />
+
         <TextViewItem
           label={fields.createdAt.label}
           value={fields.createdAt.forView(user.createdAt)}
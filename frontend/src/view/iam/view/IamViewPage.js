@@ -8,6 +8,7 @@ import { i18n } from 'i18n';
 import actions from 'modules/iam/view/iamViewActions';
 import { connect } from 'react-redux';
 import iamSelectors from 'modules/iam/iamSelectors';
+import locationSelectors from 'modules/location/locationSelectors';
 import selectors from 'modules/iam/view/iamViewSelectors';
 import auditLogSelectors from 'modules/auditLog/auditLogSelectors';
 import IamViewToolbar from 'view/iam/view/IamViewToolbar';
@@ -37,6 +38,7 @@ class IamViewPage extends Component {
           <IamView
             loading={this.props.loading}
             user={this.props.user}
+            locations={this.props.locations}
           />
         </ContentWrapper>
       </React.Fragment>
@@ -48,6 +50,7 @@ function select(state) {
   return {
     loading: selectors.selectLoading(state),
     user: selectors.selectUser(state),
+    locations: locationSelectors.selectRows(state),
     hasPermissionToAuditLogs: auditLogSelectors.selectPermissionToRead(
       state,
     ),
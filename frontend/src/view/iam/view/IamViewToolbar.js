@@ -15,6 +15,11 @@ class IamViewToolbar extends Component {
     dispatch(actions.doToggleStatus());
   };
 
+  doApprove = () => {
+    const { dispatch } = this.props;
+    dispatch(actions.doApprove());
+  };
+
   render() {
     const {
       match,
@@ -22,6 +27,7 @@ class IamViewToolbar extends Component {
       hasPermissionToEditRecord,
       hasPermissionToAuditLogs,
       hasPermissionToChangeStatus,
+      hasPermissionToApprove,
       loading,
     } = this.props;
 
@@ -56,6 +62,25 @@ class IamViewToolbar extends Component {
           </Popconfirm>
         )}
 
+        {user &&
+          user.approvalPending &&
+          hasPermissionToApprove && (
+            <Popconfirm
+              title={i18n('common.areYouSure')}
+              onConfirm={() => this.doApprove()}
+              okText={i18n('common.yes')}
+              cancelText={i18n('common.no')}
+            >
+              <Button
+                type="primary"
+                icon="safety-certificate"
+                disabled={loading}
+              >
+                {i18n('iam.approve')}
+              </Button>
+            </Popconfirm>
+          )}
+
         {hasPermissionToAuditLogs && (
           <Link
             to={`/audit-logs?entityId=${encodeURIComponent(
@@ -97,6 +122,9 @@ function select(state) {
     hasPermissionToChangeStatus: iamSelectors.selectPermissionToChangeStatus(
       state,
     ),
+    hasPermissionToApprove: iamSelectors.selectPermissionToApprove(
+      state,
+    ),
   };
 }
 
@@ -0,0 +1,156 @@
+import { AutoComplete, Icon, Input } from 'antd';
+import debounce from 'lodash/debounce';
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import { i18n } from 'i18n';
+import SearchService from 'modules/search/searchService';
+import selectors from 'modules/search/searchSelectors';
+import { getHistory } from 'modules/store';
+
+const MIN_QUERY_LENGTH = 2;
+
+const PATHS = {
+  child: '/child',
+  owner: '/iam',
+  booking: '/booking',
+};
+
+class GlobalSearch extends Component {
+  constructor(props) {
+    super(props);
+    this.debouncedSearch = debounce(this.doSearch, 300);
+    this.currentQuery = null;
+    this.state = {
+      value: '',
+      results: [],
+      loading: false,
+    };
+  }
+
+  componentWillUnmount() {
+    this.debouncedSearch.cancel();
+  }
+
+  doType = (value) => {
+    this.setState({ value });
+    this.debouncedSearch(value);
+  };
+
+  doSearch = async (value) => {
+    const query = (value || '').trim();
+    this.currentQuery = query;
+
+    if (query.length < MIN_QUERY_LENGTH) {
+      this.setState({ loading: false, results: [] });
+      return;
+    }
+
+    this.setState({ loading: true });
+
+    try {
+      const results = await SearchService.search(query);
+
+      if (this.currentQuery === query) {
+        this.setState({ loading: false, results });
+      }
+    } catch (error) {
+      console.error(error);
+
+      if (this.currentQuery === query) {
+        this.setState({ loading: false, results: [] });
+      }
+    }
+  };
+
+  doSelect = (path) => {
+    this.debouncedSearch.cancel();
+    this.currentQuery = null;
+    this.setState({ value: '', results: [] });
+    getHistory().push(path);
+  };
+
+  renderOptions() {
+    const { value, results, loading } = this.state;
+
+    if (
+      !results.length &&
+      !loading &&
+      value.trim().length >= MIN_QUERY_LENGTH
+    ) {
+      return [
+        <AutoComplete.Option key="empty" disabled>
+          {i18n('search.empty')}
+        </AutoComplete.Option>,
+      ];
+    }
+
+    return Object.keys(PATHS)
+      .filter((type) =>
+        results.some((result) => result.type === type),
+      )
+      .map((type) => (
+        <AutoComplete.OptGroup
+          key={type}
+          label={i18n(`search.types.${type}`)}
+        >
+          {results
+            .filter((result) => result.type === type)
+            .map((result) => (
+              <AutoComplete.Option
+                key={`${PATHS[type]}/${result.id}`}
+              >
+                <div>{result.label}</div>
+                {result.description && (
+                  <div
+                    style={{ fontSize: 12, opacity: 0.65 }}
+                  >
+                    {result.description}
+                  </div>
+                )}
+              </AutoComplete.Option>
+            ))}
+        </AutoComplete.OptGroup>
+      ));
+  }
+
+  render() {
+    if (!this.props.hasPermissionToSearch) {
+      return null;
+    }
+
+    return (
+      <span className="global-search">
+        <AutoComplete
+          value={this.state.value}
+          dataSource={this.renderOptions()}
+          onSearch={this.doType}
+          onSelect={this.doSelect}
+          filterOption={false}
+          optionLabelProp="value"
+          dropdownMatchSelectWidth={false}
+          dropdownStyle={{ width: 360 }}
+        >
+          <Input
+            prefix={
+              <Icon
+                type={
+                  this.state.loading ? 'loading' : 'search'
+                }
+              />
+            }
+            placeholder={i18n('search.placeholder')}
+            allowClear
+          />
+        </AutoComplete>
+      </span>
+    );
+  }
+}
+
+const select = (state) => ({
+  hasPermissionToSearch: selectors.selectPermissionToSearch(
+    state,
+  ),
+});
+
+export default connect(select)(GlobalSearch);
@@ -8,6 +8,9 @@ import HeaderWrapper from 'view/layout/styles/HeaderWrapper';
 import layoutSelectors from 'modules/layout/layoutSelectors';
 import { i18n } from 'i18n';
 import I18nSelect from 'view/layout/I18nSelect';
+import NotificationBell from 'view/layout/NotificationBell';
+import LocationSwitcher from 'view/layout/LocationSwitcher';
+import GlobalSearch from 'view/layout/GlobalSearch';
 import { getHistory } from 'modules/store';
 
 const { Header: AntHeader } = Layout;
@@ -62,6 +65,12 @@ class Header extends Component {
               {/* <I18nSelect /> */}
             </span>
 
+            <GlobalSearch />
+
+            <LocationSwitcher />
+
+            <NotificationBell />
+
             <Dropdown
               className="user-dropdown"
               overlay={this.userMenu}
@@ -0,0 +1,69 @@
+import { Icon, Select } from 'antd';
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import { i18n } from 'i18n';
+import actions from 'modules/location/locationActions';
+import selectors from 'modules/location/locationSelectors';
+
+const ALL_LOCATIONS = '';
+
+class LocationSwitcher extends Component {
+  componentDidMount() {
+    const { dispatch } = this.props;
+    dispatch(actions.doFetch());
+  }
+
+  doChange = (value) => {
+    actions.doChangeCurrent(value || null);
+  };
+
+  render() {
+    const {
+      rows,
+      canSelectAll,
+      currentLocationId,
+    } = this.props;
+
+    if (!rows.length) {
+      return null;
+    }
+
+    return (
+      <span className="location-switcher">
+        <Icon type="environment" />
+        <Select
+          value={currentLocationId || ALL_LOCATIONS}
+          style={{ width: 180 }}
+          onChange={this.doChange}
+          dropdownMatchSelectWidth={false}
+        >
+          {canSelectAll && (
+            <Select.Option
+              key={ALL_LOCATIONS}
+              value={ALL_LOCATIONS}
+            >
+              {i18n('entities.location.all')}
+            </Select.Option>
+          )}
+          {rows.map((row) => (
+            <Select.Option key={row.id} value={row.id}>
+              {row.name}
+            </Select.Option>
+          ))}
+        </Select>
+      </span>
+    );
+  }
+}
+
+function select(state) {
+  return {
+    rows: selectors.selectAvailableRows(state),
+    canSelectAll: selectors.selectCanSelectAll(state),
+    currentLocationId: selectors.selectCurrentLocationId(
+      state,
+    ),
+  };
+}
+
+export default connect(select)(LocationSwitcher);
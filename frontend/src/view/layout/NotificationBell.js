@@ -0,0 +1,169 @@
+import { Badge, Icon, List, Popover } from 'antd';
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import moment from 'moment';
+import { i18n } from 'i18n';
+import actions from 'modules/notification/notificationActions';
+import selectors from 'modules/notification/notificationSelectors';
+import { getHistory } from 'modules/store';
+import ButtonLink from 'view/shared/styles/ButtonLink';
+
+const POLL_INTERVAL = 60 * 1000;
+
+class NotificationBell extends Component {
+  state = {
+    visible: false,
+  };
+
+  componentDidMount() {
+    if (!this.props.hasPermissionToRead) {
+      return;
+    }
+
+    this.doFetchUnreadCount();
+
+    this.interval = setInterval(
+      this.doFetchUnreadCount,
+      POLL_INTERVAL,
+    );
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.interval);
+  }
+
+  doFetchUnreadCount = () => {
+    const { dispatch } = this.props;
+    dispatch(actions.doFetchUnreadCount());
+  };
+
+  doVisibleChange = (visible) => {
+    const { dispatch } = this.props;
+    this.setState({ visible });
+
+    if (visible) {
+      dispatch(actions.doFetch());
+    }
+  };
+
+  doMarkAllAsRead = () => {
+    const { dispatch } = this.props;
+    dispatch(actions.doMarkAllAsRead());
+  };
+
+  doOpen = (notification) => {
+    const { dispatch } = this.props;
+
+    if (!notification.readAt) {
+      dispatch(actions.doMarkAsRead([notification.id]));
+    }
+
+    this.setState({ visible: false });
+
+    const data = notification.data || {};
+
+    if (data.bookingId) {
+      getHistory().push(`/booking/${data.bookingId}`);
+    }
+  };
+
+  message(notification) {
+    const data = notification.data || {};
+
+    return i18n(
+      `notification.types.${notification.type}`,
+      data.childName || '',
+      data.status
+        ? i18n(
+            `entities.booking.enumerators.status.${
+              data.status
+            }`,
+          )
+        : '',
+      data.photosCount || '',
+    );
+  }
+
+  renderContent() {
+    const { rows, loading } = this.props;
+
+    return (
+      <List
+        style={{ width: 320 }}
+        size="small"
+        loading={loading}
+        dataSource={rows}
+        locale={{ emptyText: i18n('notification.empty') }}
+        renderItem={(notification) => (
+          <List.Item
+            style={{
+              cursor: 'pointer',
+              fontWeight: notification.readAt
+                ? 'normal'
+                : 'bold',
+            }}
+            onClick={() => this.doOpen(notification)}
+          >
+            <List.Item.Meta
+              title={this.message(notification)}
+              description={moment(
+                notification.createdAt,
+              ).fromNow()}
+            />
+          </List.Item>
+        )}
+      />
+    );
+  }
+
+  render() {
+    const { hasPermissionToRead, unreadCount } = this.props;
+
+    if (!hasPermissionToRead) {
+      return null;
+    }
+
+    return (
+      <Popover
+        placement="bottomRight"
+        trigger="click"
+        visible={this.state.visible}
+        onVisibleChange={this.doVisibleChange}
+        title={
+          <span
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+            }}
+          >
+            {i18n('notification.title')}
+            <ButtonLink
+              disabled={!unreadCount}
+              onClick={this.doMarkAllAsRead}
+            >
+              {i18n('notification.markAllAsRead')}
+            </ButtonLink>
+          </span>
+        }
+        content={this.renderContent()}
+      >
+        <span className="notification-bell">
+          <Badge count={unreadCount}>
+            <Icon type="bell" />
+          </Badge>
+        </span>
+      </Popover>
+    );
+  }
+}
+
+const select = (state) => ({
+  rows: selectors.selectRows(state),
+  loading: selectors.selectLoading(state),
+  unreadCount: selectors.selectUnreadCount(state),
+  hasPermissionToRead: selectors.selectPermissionToRead(
+    state,
+  ),
+});
+
+export default connect(select)(NotificationBell);
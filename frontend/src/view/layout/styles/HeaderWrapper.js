@@ -11,7 +11,9 @@ const HeaderWrapper = styled.div`
   }
 
   @media (max-width: 576px) {
-    .i18n-select {
+    .i18n-select,
+    .global-search,
+    .location-switcher {
       display: none;
     }
   }
@@ -34,6 +36,34 @@ const HeaderWrapper = styled.div`
     }
   }
 
+  .global-search {
+    padding: 0 12px;
+    display: inline-block;
+    .ant-select-auto-complete {
+      width: 280px;
+    }
+  }
+
+  .location-switcher {
+    padding: 0 12px;
+    display: inline-block;
+    > i {
+      margin-right: 8px;
+    }
+  }
+
+  .notification-bell {
+    padding: 0 24px;
+    cursor: pointer;
+    display: inline-block;
+    transition: all 0.3s;
+    height: 100%;
+    font-size: 16px;
+    &:hover {
+      background: rgba(0, 0, 0, 0.025);
+    }
+  }
+
   .user-dropdown-avatar {
     margin: 20px 8px 20px 0;
     vertical-align: top;
@@ -8,6 +8,21 @@ const LayoutWrapper = styled(AntLayout)`
   .ant-layout-content {
     margin: 24px;
   }
+
+  @media print {
+    background-color: #fff;
+
+    .ant-layout-sider,
+    .ant-layout-header,
+    .ant-breadcrumb,
+    .no-print {
+      display: none;
+    }
+
+    .ant-layout-content {
+      margin: 0;
+    }
+  }
 `;
 
 export default LayoutWrapper;
@@ -0,0 +1,137 @@
+import { Button, Col, Form, Row } from 'antd';
+import { Formik } from 'formik';
+import actions from 'modules/outboxEmail/list/outboxEmailListActions';
+import model from 'modules/outboxEmail/outboxEmailModel';
+import selectors from 'modules/outboxEmail/list/outboxEmailListSelectors';
+import { i18n } from 'i18n';
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import { withRouter } from 'react-router-dom';
+import DatePickerRangeFormItem from 'view/shared/form/items/DatePickerRangeFormItem';
+import InputFormItem from 'view/shared/form/items/InputFormItem';
+import SelectFormItem from 'view/shared/form/items/SelectFormItem';
+import FilterWrapper, {
+  formItemLayout,
+} from 'view/shared/styles/FilterWrapper';
+import FormFilterSchema from 'view/shared/form/formFilterSchema';
+
+const { fields } = model;
+
+const schema = new FormFilterSchema([
+  fields.createdAtRange,
+  fields.to,
+  fields.subject,
+  fields.status,
+]);
+
+class OutboxEmailFilter extends Component {
+  componentDidMount() {
+    const { dispatch } = this.props;
+    dispatch(actions.doFetch(this.initialFilter()));
+  }
+
+  initialFilter = () => {
+    return schema.initialValues(
+      this.props.filter,
+      this.props.location,
+    );
+  };
+
+  handleSubmit = (values) => {
+    const valuesToSubmit = schema.cast(values);
+    const { dispatch } = this.props;
+    dispatch(actions.doFetch(valuesToSubmit));
+  };
+
+  handleReset = (form) => {
+    form.setValues({});
+    const { dispatch } = this.props;
+    dispatch(actions.doReset());
+  };
+
+  render() {
+    const { loading } = this.props;
+
+    return (
+      <FilterWrapper>
+        <Formik
+          initialValues={this.initialFilter()}
+          validationSchema={schema.schema}
+          onSubmit={this.handleSubmit}
+          render={(form) => {
+            return (
+              <Form onSubmit={form.handleSubmit}>
+                <Row gutter={24}>
+                  <Col md={24} lg={12}>
+                    <DatePickerRangeFormItem
+                      name={fields.createdAtRange.name}
+                      label={fields.createdAtRange.label}
+                      layout={formItemLayout}
+                      showTime
+                    />
+                  </Col>
+                  <Col md={24} lg={12}>
+                    <SelectFormItem
+                      name={fields.status.name}
+                      label={fields.status.label}
+                      options={fields.status.options.map(
+                        (item) => ({
+                          value: item.id,
+                          label: item.label,
+                        }),
+                      )}
+                      layout={formItemLayout}
+                    />
+                  </Col>
+                  <Col md={24} lg={12}>
+                    <InputFormItem
+                      name={fields.to.name}
+                      label={fields.to.label}
+                      layout={formItemLayout}
+                    />
+                  </Col>
+                  <Col md={24} lg={12}>
+                    <InputFormItem
+                      name={fields.subject.name}
+                      label={fields.subject.label}
+                      layout={formItemLayout}
+                    />
+                  </Col>
+                </Row>
+                <Row>
+                  <Col className="filter-buttons" span={24}>
+                    <Button
+                      loading={loading}
+                      icon="search"
+                      type="primary"
+                      htmlType="submit"
+                    >
+                      {i18n('common.search')}
+                    </Button>
+                    <Button
+                      loading={loading}
+                      onClick={() => this.handleReset(form)}
+                      icon="undo"
+                    >
+                      {i18n('common.reset')}
+                    </Button>
+                  </Col>
+                </Row>
+              </Form>
+            );
+          }}
+        />
+      </FilterWrapper>
+    );
+  }
+}
+
+function select(state) {
+  return {
+    filter: selectors.selectFilter(state),
+  };
+}
+
+export default withRouter(
+  connect(select)(OutboxEmailFilter),
+);
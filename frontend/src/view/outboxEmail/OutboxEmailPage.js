@@ -0,0 +1,33 @@
+import React, { Component } from 'react';
+import { i18n } from 'i18n';
+import OutboxEmailFilter from 'view/outboxEmail/OutboxEmailFilter';
+import OutboxEmailTable from 'view/outboxEmail/OutboxEmailTable';
+import Layout from 'view/layout/Layout';
+import ContentWrapper from 'view/layout/styles/ContentWrapper';
+import PageTitle from 'view/shared/styles/PageTitle';
+import Breadcrumb from 'view/shared/Breadcrumb';
+import OutboxEmailToolbar from 'view/outboxEmail/OutboxEmailToolbar';
+
+class OutboxEmailPage extends Component {
+  render() {
+    return (
+      <React.Fragment>
+        <Breadcrumb
+          items={[
+            [i18n('home.menu'), '/'],
+            [i18n('outboxEmail.menu')],
+          ]}
+        />
+
+        <ContentWrapper>
+          <PageTitle>{i18n('outboxEmail.title')}</PageTitle>
+          <OutboxEmailToolbar />
+          <OutboxEmailFilter />
+          <OutboxEmailTable />
+        </ContentWrapper>
+      </React.Fragment>
+    );
+  }
+}
+
+export default Layout(OutboxEmailPage);
@@ -0,0 +1,125 @@
+import { Table, Tag, Tooltip } from 'antd';
+import actions from 'modules/outboxEmail/list/outboxEmailListActions';
+import selectors from 'modules/outboxEmail/list/outboxEmailListSelectors';
+import resendActions from 'modules/outboxEmail/resend/outboxEmailResendActions';
+import resendSelectors from 'modules/outboxEmail/resend/outboxEmailResendSelectors';
+import { outboxEmailStatusColor } from 'modules/outboxEmail/outboxEmailStatus';
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import TableWrapper from 'view/shared/styles/TableWrapper';
+import ButtonLink from 'view/shared/styles/ButtonLink';
+import OutboxEmailViewModal from 'view/outboxEmail/OutboxEmailViewModal';
+import model from 'modules/outboxEmail/outboxEmailModel';
+import { i18n } from 'i18n';
+
+const { fields } = model;
+
+class OutboxEmailTable extends Component {
+  state = {
+    selectedRecord: null,
+  };
+
+  handleTableChange = (pagination, filters, sorter) => {
+    const { dispatch } = this.props;
+
+    dispatch(
+      actions.doChangePaginationAndSort(pagination, sorter),
+    );
+  };
+
+  doResend = (id) => {
+    const { dispatch } = this.props;
+    dispatch(resendActions.doResend(id));
+  };
+
+  columns = [
+    fields.createdAt.forTable(),
+    fields.to.forTable(),
+    fields.subject.forTable(),
+    fields.status.forTable({
+      render: (value, record) => {
+        const tag = (
+          <Tag color={outboxEmailStatusColor(value)}>
+            {fields.status.forView(value)}
+          </Tag>
+        );
+
+        if (!record.lastError) {
+          return tag;
+        }
+
+        return (
+          <Tooltip title={record.lastError}>{tag}</Tooltip>
+        );
+      },
+    }),
+    fields.attempts.forTable(),
+    fields.sentAt.forTable(),
+    {
+      title: '',
+      dataIndex: '',
+      width: '160px',
+      render: (_, record) => (
+        <div className="table-actions">
+          <ButtonLink
+            onClick={() =>
+              this.setState({ selectedRecord: record })
+            }
+          >
+            {i18n('common.view')}
+          </ButtonLink>
+          {this.props.hasPermissionToResend && (
+            <ButtonLink
+              disabled={this.props.resendLoading}
+              onClick={() => this.doResend(record.id)}
+            >
+              {i18n('outboxEmail.resend.button')}
+            </ButtonLink>
+          )}
+        </div>
+      ),
+    },
+  ];
+
+  render() {
+    const { pagination, rows, loading } = this.props;
+
+    return (
+      <React.Fragment>
+        <TableWrapper>
+          <Table
+            rowKey="id"
+            loading={loading}
+            columns={this.columns}
+            dataSource={rows}
+            pagination={pagination}
+            onChange={this.handleTableChange}
+            scroll={{ x: true }}
+          />
+        </TableWrapper>
+
+        <OutboxEmailViewModal
+          record={this.state.selectedRecord}
+          onCancel={() =>
+            this.setState({ selectedRecord: null })
+          }
+        />
+      </React.Fragment>
+    );
+  }
+}
+
+function select(state) {
+  return {
+    loading: selectors.selectLoading(state),
+    rows: selectors.selectRows(state),
+    pagination: selectors.selectPagination(state),
+    filter: selectors.selectFilter(state),
+    hasPermissionToResend: selectors.selectPermissionToResend(
+      state,
+    ),
+    resendLoading: resendSelectors.selectLoading(state),
+  };
+}
+
+export default connect(select)(OutboxEmailTable);
@@ -0,0 +1,55 @@
+import React, { Component } from 'react';
+import Toolbar from 'view/shared/styles/Toolbar';
+import { Button, Tooltip } from 'antd';
+import { connect } from 'react-redux';
+import selectors from 'modules/outboxEmail/list/outboxEmailListSelectors';
+import actions from 'modules/outboxEmail/list/outboxEmailListActions';
+import { i18n } from 'i18n';
+
+class OutboxEmailToolbar extends Component {
+  doExport = () => {
+    const { dispatch } = this.props;
+    dispatch(actions.doExport());
+  };
+
+  renderExportButton() {
+    const { hasRows, loading, exportLoading } = this.props;
+
+    const disabled = !hasRows || loading;
+
+    const button = (
+      <Button
+        disabled={disabled}
+        icon="file-excel"
+        onClick={this.doExport}
+        loading={exportLoading}
+      >
+        {i18n('common.export')}
+      </Button>
+    );
+
+    if (disabled) {
+      return (
+        <Tooltip title={i18n('common.noDataToExport')}>
+          {button}
+        </Tooltip>
+      );
+    }
+
+    return button;
+  }
+
+  render() {
+    return <Toolbar>{this.renderExportButton()}</Toolbar>;
+  }
+}
+
+function select(state) {
+  return {
+    loading: selectors.selectLoading(state),
+    exportLoading: selectors.selectExportLoading(state),
+    hasRows: selectors.selectHasRows(state),
+  };
+}
+
+export default connect(select)(OutboxEmailToolbar);
@@ -0,0 +1,41 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Modal } from 'antd';
+
+class OutboxEmailViewModal extends Component {
+  render() {
+    const { record } = this.props;
+
+    if (!record) {
+      return null;
+    }
+
+    return (
+      <Modal
+        title={record.subject}
+        visible={!!record}
+        onCancel={() => this.props.onCancel()}
+        footer={false}
+        width={720}
+      >
+        <iframe
+          title={record.subject}
+          srcDoc={record.html}
+          sandbox=""
+          style={{
+            width: '100%',
+            height: 480,
+            border: 'none',
+          }}
+        />
+      </Modal>
+    );
+  }
+}
+
+OutboxEmailViewModal.propTypes = {
+  record: PropTypes.object,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default OutboxEmailViewModal;
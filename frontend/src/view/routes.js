@@ -11,6 +11,14 @@ const privateRoutes = [
     menu: false,
   },
 
+  {
+    path: '/auth/registration',
+    loader: () => import('view/auth/RegistrationPage'),
+    permissionRequired: permissions.childCreate,
+    exact: true,
+    menu: false,
+  },
+
   {
     path: '/iam',
     loader: () => import('view/iam/list/IamPage'),
@@ -35,6 +43,13 @@ const privateRoutes = [
     permissionRequired: permissions.iamImport,
     exact: true,
   },
+  {
+    path: '/iam/roles',
+    loader: () => import('view/iam/roles/RoleListPage'),
+    menu: false,
+    permissionRequired: permissions.roleEdit,
+    exact: true,
+  },
   {
     path: '/iam/:id/edit',
     loader: () => import('view/iam/edit/IamEditPage'),
@@ -59,6 +74,16 @@ const privateRoutes = [
     permissionRequired: permissions.auditLogRead,
   },
 
+  {
+    path: '/outbox-emails',
+    icon: 'mail',
+    label: i18n('outboxEmail.menu'),
+    loader: () =>
+      import('view/outboxEmail/OutboxEmailPage'),
+    menu: true,
+    permissionRequired: permissions.outboxEmailRead,
+  },
+
   {
     path: '/settings',
     icon: 'setting',
@@ -133,6 +158,14 @@ const privateRoutes = [
     permissionRequired: permissions.bookingImport,
     exact: true,
   },
+  {
+    path: '/booking/occupancy',
+    loader: () =>
+      import('view/booking/occupancy/BookingOccupancyPage'),
+    menu: false,
+    permissionRequired: permissions.bookingRead,
+    exact: true,
+  },
   {
     path: '/booking/:id/edit',
     loader: () =>
@@ -141,6 +174,14 @@ const privateRoutes = [
     permissionRequired: permissions.bookingEdit,
     exact: true,
   },
+  {
+    path: '/booking/:id/invoice',
+    loader: () =>
+      import('view/booking/view/BookingInvoicePage'),
+    menu: false,
+    permissionRequired: permissions.bookingRead,
+    exact: true,
+  },
   {
     path: '/booking/:id',
     loader: () =>
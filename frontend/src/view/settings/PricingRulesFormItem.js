@@ -0,0 +1,200 @@
+import {
+  Button,
+  Col,
+  Form,
+  InputNumber,
+  Row,
+  Select,
+} from 'antd';
+import { FieldArray } from 'formik';
+import { i18n } from 'i18n';
+import pricingRuleType from 'modules/settings/pricingRuleType';
+import PropTypes from 'prop-types';
+import React, { Component } from 'react';
+import _get from 'lodash/get';
+import { formItemLayout } from 'view/shared/styles/FormWrapper';
+
+function label(name) {
+  return i18n(`settings.pricingRules.fields.${name}`);
+}
+
+class PricingRulesFormItem extends Component {
+  ruleError(form, index) {
+    if (!form.submitCount) {
+      return null;
+    }
+
+    const errors = _get(form.errors, [
+      this.props.name,
+      index,
+    ]);
+
+    if (!errors || typeof errors === 'string') {
+      return errors || null;
+    }
+
+    const firstError = Object.values(errors)[0];
+
+    return Array.isArray(firstError)
+      ? firstError.find(Boolean)
+      : firstError;
+  }
+
+  renderRule(form, arrayHelpers, rule, index) {
+    const { name, field } = this.props;
+    const path = `${name}.${index}`;
+    const error = this.ruleError(form, index);
+
+    return (
+      <Form.Item
+        key={index}
+        validateStatus={error ? 'error' : 'success'}
+        help={error}
+        style={{ marginBottom: 8 }}
+      >
+        <Row gutter={8}>
+          <Col span={7}>
+            <Select
+              placeholder={label('type')}
+              value={rule.type}
+              onChange={(value) =>
+                form.setFieldValue(`${path}.type`, value)
+              }
+            >
+              {field.options.map((option) => (
+                <Select.Option
+                  key={option.id}
+                  value={option.id}
+                >
+                  {option.label}
+                </Select.Option>
+              ))}
+            </Select>
+          </Col>
+          <Col span={5}>
+            <InputNumber
+              style={{ width: '100%' }}
+              placeholder={label('percentage')}
+              min={0}
+              value={rule.percentage}
+              formatter={(value) =>
+                value || value === 0 ? `${value}%` : ''
+              }
+              parser={(value) => value.replace('%', '')}
+              onChange={(value) =>
+                form.setFieldValue(
+                  `${path}.percentage`,
+                  value,
+                )
+              }
+            />
+          </Col>
+          <Col span={10}>
+            {rule.type ===
+              pricingRuleType.LONG_STAY_DISCOUNT && (
+              <InputNumber
+                style={{ width: '100%' }}
+                placeholder={label('minDays')}
+                min={1}
+                value={rule.minDays}
+                onChange={(value) =>
+                  form.setFieldValue(
+                    `${path}.minDays`,
+                    value,
+                  )
+                }
+              />
+            )}
+            {rule.type ===
+              pricingRuleType.SIBLING_DISCOUNT && (
+              <InputNumber
+                style={{ width: '100%' }}
+                placeholder={label('minChildren')}
+                min={2}
+                value={rule.minChildren}
+                onChange={(value) =>
+                  form.setFieldValue(
+                    `${path}.minChildren`,
+                    value,
+                  )
+                }
+              />
+            )}
+            {rule.type === pricingRuleType.HOLIDAY && (
+              <Select
+                mode="tags"
+                placeholder={label('dates')}
+                tokenSeparators={[',', ' ']}
+                value={rule.dates || []}
+                onChange={(value) =>
+                  form.setFieldValue(`${path}.dates`, value)
+                }
+              />
+            )}
+          </Col>
+          <Col span={2}>
+            <Button
+              icon="delete"
+              onClick={() => arrayHelpers.remove(index)}
+            />
+          </Col>
+        </Row>
+      </Form.Item>
+    );
+  }
+
+  render() {
+    const { name, label } = this.props;
+
+    return (
+      <FieldArray
+        name={name}
+        render={(arrayHelpers) => {
+          const { form } = arrayHelpers;
+          const rules = form.values[name] || [];
+
+          return (
+            <Form.Item
+              {...formItemLayout}
+              label={label}
+              help={i18n('settings.pricingRules.hint')}
+            >
+              {rules.map((rule, index) =>
+                this.renderRule(
+                  form,
+                  arrayHelpers,
+                  rule,
+                  index,
+                ),
+              )}
+
+              <Button
+                type="dashed"
+                icon="plus"
+                onClick={() =>
+                  arrayHelpers.push({
+                    type: undefined,
+                    percentage: null,
+                    minDays: null,
+                    minChildren: null,
+                    dates: [],
+                  })
+                }
+              >
+                {i18n('settings.pricingRules.add')}
+              </Button>
+            </Form.Item>
+          );
+        }}
+      />
+    );
+  }
+}
+
+PricingRulesFormItem.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  field: PropTypes.object.isRequired,
+};
+
+export default PricingRulesFormItem;
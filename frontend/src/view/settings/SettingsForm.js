@@ -16,6 +16,9 @@ import ThemeRadioWrapper from 'view/settings/styles/ThemeRadioWrapper';
 import FormSchema from 'view/shared/form/formSchema';
 import InputFormItem from 'view/shared/form/items/InputFormItem';
 import InputNumberFormItem from 'view/shared/form/items/InputNumberFormItem';
+import SwitchFormItem from 'view/shared/form/items/SwitchFormItem';
+import PricingRulesFormItem from 'view/settings/PricingRulesFormItem';
+import locationSelectors from 'modules/location/locationSelectors';
 
 const { fields } = model;
 
@@ -23,7 +26,16 @@ class SettingsForm extends Component {
   schema = new FormSchema(null, [
     fields.theme,
     fields.dailyFee,
-    fields.capacity,
+    fields.capacityToddler,
+    fields.capacityPreschooler,
+    fields.capacitySchoolAged,
+    fields.minimumAge,
+    fields.maximumAge,
+    fields.arrivalReminderDays,
+    fields.reminderHour,
+    fields.dailyReportHour,
+    fields.selfRegistration,
+    fields.pricingRules,
   ]);
 
   componentDidMount() {
@@ -48,7 +60,7 @@ class SettingsForm extends Component {
   };
 
   renderForm() {
-    const { saveLoading } = this.props;
+    const { saveLoading, currentLocationId } = this.props;
 
     const radioStyle = {
       display: 'block',
@@ -72,9 +84,82 @@ class SettingsForm extends Component {
                 />
 
                 <InputNumberFormItem
-                  name={fields.capacity.name}
-                  label={fields.capacity.label}
-                  required={fields.capacity.required}
+                  name={fields.capacityToddler.name}
+                  label={fields.capacityToddler.label}
+                  required={fields.capacityToddler.required}
+                />
+
+                <InputNumberFormItem
+                  name={fields.capacityPreschooler.name}
+                  label={fields.capacityPreschooler.label}
+                  required={
+                    fields.capacityPreschooler.required
+                  }
+                />
+
+                <InputNumberFormItem
+                  name={fields.capacitySchoolAged.name}
+                  label={fields.capacitySchoolAged.label}
+                  required={
+                    fields.capacitySchoolAged.required
+                  }
+                />
+
+                <InputNumberFormItem
+                  name={fields.minimumAge.name}
+                  label={fields.minimumAge.label}
+                  required={fields.minimumAge.required}
+                />
+
+                <InputNumberFormItem
+                  name={fields.maximumAge.name}
+                  label={fields.maximumAge.label}
+                  required={fields.maximumAge.required}
+                />
+
+                {/* Reminders and registration are shared by all locations */}
+                {!currentLocationId && (
+                  <React.Fragment>
+                    <InputNumberFormItem
+                      name={fields.arrivalReminderDays.name}
+                      label={
+                        fields.arrivalReminderDays.label
+                      }
+                      required={
+                        fields.arrivalReminderDays.required
+                      }
+                    />
+
+                    <InputNumberFormItem
+                      name={fields.reminderHour.name}
+                      label={fields.reminderHour.label}
+                      required={
+                        fields.reminderHour.required
+                      }
+                    />
+
+                    <InputNumberFormItem
+                      name={fields.dailyReportHour.name}
+                      label={fields.dailyReportHour.label}
+                      required={
+                        fields.dailyReportHour.required
+                      }
+                    />
+
+                    <SwitchFormItem
+                      name={fields.selfRegistration.name}
+                      label={fields.selfRegistration.label}
+                      hint={i18n(
+                        'settings.hints.selfRegistration',
+                      )}
+                    />
+                  </React.Fragment>
+                )}
+
+                <PricingRulesFormItem
+                  name={fields.pricingRules.name}
+                  label={fields.pricingRules.label}
+                  field={fields.pricingRules}
                 />
 
                 <Form.Item
@@ -166,6 +251,9 @@ function select(state) {
     findLoading: selectors.selectFindLoading(state),
     saveLoading: selectors.selectSaveLoading(state),
     settings: selectors.selectSettings(state),
+    currentLocationId: locationSelectors.selectCurrentLocationId(
+      state,
+    ),
   };
 }
 
@@ -1,4 +1,5 @@
 import React, { Component } from 'react';
+import { connect } from 'react-redux';
 import Layout from 'view/layout/Layout';
 import ContentWrapper from 'view/layout/styles/ContentWrapper';
 import PageTitle from 'view/shared/styles/PageTitle';
@@ -6,6 +7,10 @@ import Breadcrumb from 'view/shared/Breadcrumb';
 import { i18n } from 'i18n';
 import SettingsForm from 'view/settings/SettingsForm';
 import SettingsFormToolbar from 'view/settings/SettingsFormToolbar';
+import EmailTemplateEditor from 'view/settings/emailTemplate/EmailTemplateEditor';
+import LocationList from 'view/settings/location/LocationList';
+import locationSelectors from 'modules/location/locationSelectors';
+import { Alert, Tabs } from 'antd';
 
 class SettingsFormPage extends Component {
   render() {
@@ -21,13 +26,54 @@ class SettingsFormPage extends Component {
         <ContentWrapper>
           <PageTitle>{i18n('settings.title')}</PageTitle>
 
-          <SettingsFormToolbar />
+          <Tabs>
+            <Tabs.TabPane
+              key="general"
+              tab={i18n('settings.tabs.general')}
+            >
+              {this.props.currentLocationId && (
+                <Alert
+                  style={{ marginBottom: 24 }}
+                  type="info"
+                  showIcon
+                  message={i18n('settings.locationHint')}
+                />
+              )}
 
-          <SettingsForm />
+              <SettingsFormToolbar />
+
+              <SettingsForm />
+            </Tabs.TabPane>
+            <Tabs.TabPane
+              key="emailTemplates"
+              tab={i18n('settings.tabs.emailTemplates')}
+            >
+              <EmailTemplateEditor />
+            </Tabs.TabPane>
+            {this.props.hasPermissionToEditLocations && (
+              <Tabs.TabPane
+                key="locations"
+                tab={i18n('settings.tabs.locations')}
+              >
+                <LocationList />
+              </Tabs.TabPane>
+            )}
+          </Tabs>
         </ContentWrapper>
       </React.Fragment>
     );
   }
 }
 
-export default Layout(SettingsFormPage);
+function select(state) {
+  return {
+    currentLocationId: locationSelectors.selectCurrentLocationId(
+      state,
+    ),
+    hasPermissionToEditLocations: locationSelectors.selectPermissionToEdit(
+      state,
+    ),
+  };
+}
+
+export default connect(select)(Layout(SettingsFormPage));
@@ -0,0 +1,233 @@
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import {
+  Button,
+  Col,
+  Form,
+  Popconfirm,
+  Row,
+  Select,
+  Tag,
+} from 'antd';
+import { Formik } from 'formik';
+import actions from 'modules/emailTemplate/emailTemplateActions';
+import selectors from 'modules/emailTemplate/emailTemplateSelectors';
+import model from 'modules/emailTemplate/emailTemplateModel';
+import { i18n, getLanguageCode, getLanguages } from 'i18n';
+import FormSchema from 'view/shared/form/formSchema';
+import InputFormItem from 'view/shared/form/items/InputFormItem';
+import TextAreaFormItem from 'view/shared/form/items/TextAreaFormItem';
+import Spinner from 'view/shared/Spinner';
+import Toolbar from 'view/shared/styles/Toolbar';
+import EmailTemplatePreview from 'view/settings/emailTemplate/EmailTemplatePreview';
+
+const { fields } = model;
+
+const verticalLayout = {
+  labelCol: { span: 24 },
+  wrapperCol: { span: 24 },
+};
+
+class EmailTemplateEditor extends Component {
+  state = {
+    template: null,
+  };
+
+  schema = new FormSchema(null, [
+    fields.subject,
+    fields.body,
+  ]);
+
+  componentDidMount() {
+    this.doFetch(getLanguageCode());
+  }
+
+  doFetch = (language) => {
+    const { dispatch } = this.props;
+    dispatch(actions.doFetch(language));
+  };
+
+  get record() {
+    const { rows } = this.props;
+
+    return (
+      rows.find(
+        (row) => row.template === this.state.template,
+      ) || rows[0]
+    );
+  }
+
+  handleSubmit = (values) => {
+    const { dispatch, language } = this.props;
+
+    dispatch(
+      actions.doSave(
+        this.record.template,
+        language,
+        this.schema.cast(values),
+      ),
+    );
+  };
+
+  handleReset = () => {
+    const { dispatch, language } = this.props;
+    dispatch(
+      actions.doReset(this.record.template, language),
+    );
+  };
+
+  renderToolbar() {
+    const { language, rows } = this.props;
+    const record = this.record;
+
+    return (
+      <Toolbar>
+        <Select
+          value={language}
+          onChange={this.doFetch}
+          style={{ width: 120, marginRight: 8 }}
+        >
+          {getLanguages().map((item) => (
+            <Select.Option key={item.id} value={item.id}>
+              {item.label}
+            </Select.Option>
+          ))}
+        </Select>
+
+        <Select
+          value={record ? record.template : undefined}
+          onChange={(template) =>
+            this.setState({ template })
+          }
+          style={{ width: 320 }}
+        >
+          {rows.map((row) => (
+            <Select.Option
+              key={row.template}
+              value={row.template}
+            >
+              {i18n(
+                `settings.emailTemplates.templates.${
+                  row.template
+                }`,
+              )}
+            </Select.Option>
+          ))}
+        </Select>
+      </Toolbar>
+    );
+  }
+
+  renderForm(record) {
+    const { language, saveLoading } = this.props;
+
+    return (
+      <Formik
+        initialValues={this.schema.initialValues(record)}
+        validationSchema={this.schema.schema}
+        onSubmit={this.handleSubmit}
+        enableReinitialize
+        render={(form) => {
+          return (
+            <Row gutter={24}>
+              <Col md={24} lg={12}>
+                <Form onSubmit={form.handleSubmit}>
+                  <InputFormItem
+                    name={fields.subject.name}
+                    label={fields.subject.label}
+                    required={fields.subject.required}
+                    layout={verticalLayout}
+                  />
+
+                  <TextAreaFormItem
+                    name={fields.body.name}
+                    label={fields.body.label}
+                    required={fields.body.required}
+                    layout={verticalLayout}
+                    rows={20}
+                  />
+
+                  <p>
+                    {i18n(
+                      'settings.emailTemplates.variables',
+                    )}
+                  </p>
+                  <p>
+                    {record.variables.map((variable) => (
+                      <Tag
+                        key={variable}
+                      >{`{{${variable}}}`}</Tag>
+                    ))}
+                  </p>
+
+                  <Form.Item className="form-buttons">
+                    <Button
+                      loading={saveLoading}
+                      type="primary"
+                      htmlType="submit"
+                      icon="save"
+                      style={{ marginRight: 8 }}
+                    >
+                      {i18n('common.save')}
+                    </Button>
+
+                    <Popconfirm
+                      title={i18n('common.areYouSure')}
+                      onConfirm={this.handleReset}
+                      okText={i18n('common.yes')}
+                      cancelText={i18n('common.no')}
+                      disabled={!record.customized}
+                    >
+                      <Button
+                        disabled={
+                          saveLoading || !record.customized
+                        }
+                        icon="undo"
+                      >
+                        {i18n(
+                          'settings.emailTemplates.reset.button',
+                        )}
+                      </Button>
+                    </Popconfirm>
+                  </Form.Item>
+                </Form>
+              </Col>
+
+              <Col md={24} lg={12}>
+                <EmailTemplatePreview
+                  template={record.template}
+                  language={language}
+                  values={form.values}
+                />
+              </Col>
+            </Row>
+          );
+        }}
+      />
+    );
+  }
+
+  render() {
+    const { loading } = this.props;
+    const record = this.record;
+
+    return (
+      <React.Fragment>
+        {this.renderToolbar()}
+        {loading && <Spinner />}
+        {!loading && record && this.renderForm(record)}
+      </React.Fragment>
+    );
+  }
+}
+
+function select(state) {
+  return {
+    loading: selectors.selectLoading(state),
+    saveLoading: selectors.selectSaveLoading(state),
+    language: selectors.selectLanguage(state),
+    rows: selectors.selectRows(state),
+  };
+}
+
+export default connect(select)(EmailTemplateEditor);
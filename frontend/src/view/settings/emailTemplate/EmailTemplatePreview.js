@@ -0,0 +1,99 @@
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import debounce from 'lodash/debounce';
+import { Card, Spin } from 'antd';
+import actions from 'modules/emailTemplate/emailTemplateActions';
+import selectors from 'modules/emailTemplate/emailTemplateSelectors';
+import { i18n } from 'i18n';
+
+class EmailTemplatePreview extends Component {
+  constructor(props) {
+    super(props);
+    this.debouncedPreview = debounce(this.doPreview, 500);
+  }
+
+  componentDidMount() {
+    this.doPreview();
+  }
+
+  componentDidUpdate(prevProps) {
+    const { template, language, values } = this.props;
+
+    if (
+      prevProps.template !== template ||
+      prevProps.language !== language ||
+      prevProps.values.subject !== values.subject ||
+      prevProps.values.body !== values.body
+    ) {
+      this.debouncedPreview();
+    }
+  }
+
+  componentWillUnmount() {
+    this.debouncedPreview.cancel();
+  }
+
+  doPreview = () => {
+    const {
+      dispatch,
+      template,
+      language,
+      values,
+    } = this.props;
+
+    if (!values.subject || !values.body) {
+      return;
+    }
+
+    dispatch(
+      actions.doPreview(template, language, {
+        subject: values.subject,
+        body: values.body,
+      }),
+    );
+  };
+
+  render() {
+    const { preview, loading } = this.props;
+
+    return (
+      <Spin spinning={loading}>
+        <Card
+          title={
+            preview
+              ? preview.subject
+              : i18n('settings.emailTemplates.preview')
+          }
+          bodyStyle={{ padding: 0 }}
+        >
+          <iframe
+            title={i18n('settings.emailTemplates.preview')}
+            srcDoc={preview ? preview.html : ''}
+            sandbox=""
+            style={{
+              width: '100%',
+              height: 560,
+              border: 'none',
+            }}
+          />
+        </Card>
+      </Spin>
+    );
+  }
+}
+
+EmailTemplatePreview.propTypes = {
+  template: PropTypes.string.isRequired,
+  language: PropTypes.string.isRequired,
+  values: PropTypes.object.isRequired,
+};
+
+function select(state) {
+  return {
+    preview: selectors.selectPreview(state),
+    loading: selectors.selectPreviewLoading(state),
+  };
+}
+
+export default connect(select)(EmailTemplatePreview);
@@ -0,0 +1,84 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { Form, Modal } from 'antd';
+import { Formik } from 'formik';
+import { i18n } from 'i18n';
+import model from 'modules/location/locationModel';
+import FormSchema from 'view/shared/form/formSchema';
+import InputFormItem from 'view/shared/form/items/InputFormItem';
+import TextAreaFormItem from 'view/shared/form/items/TextAreaFormItem';
+
+const { fields } = model;
+
+const formItemLayout = {
+  labelCol: { span: 6 },
+  wrapperCol: { span: 18 },
+};
+
+class LocationFormModal extends Component {
+  schema = new FormSchema(fields.id, [
+    fields.name,
+    fields.address,
+  ]);
+
+  handleSubmit = (values) => {
+    const { id, ...data } = this.schema.cast(values);
+    this.props.onOk(data);
+  };
+
+  render() {
+    if (!this.props.visible) {
+      return null;
+    }
+
+    return (
+      <Formik
+        initialValues={this.schema.initialValues(
+          this.props.record || {},
+        )}
+        validationSchema={this.schema.schema}
+        onSubmit={this.handleSubmit}
+        render={(form) => (
+          <Modal
+            title={
+              this.props.record
+                ? i18n('entities.location.edit.title')
+                : i18n('entities.location.new.title')
+            }
+            visible={this.props.visible}
+            onOk={form.handleSubmit}
+            onCancel={() => this.props.onCancel()}
+            okText={i18n('common.save')}
+            cancelText={i18n('common.cancel')}
+            confirmLoading={this.props.loading}
+          >
+            <Form onSubmit={form.handleSubmit}>
+              <InputFormItem
+                name={fields.name.name}
+                label={fields.name.label}
+                layout={formItemLayout}
+                required={fields.name.required}
+                autoFocus
+              />
+              <TextAreaFormItem
+                name={fields.address.name}
+                label={fields.address.label}
+                layout={formItemLayout}
+              />
+            </Form>
+          </Modal>
+        )}
+      />
+    );
+  }
+}
+
+LocationFormModal.propTypes = {
+  visible: PropTypes.bool,
+  loading: PropTypes.bool,
+  record: PropTypes.object,
+  onOk: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default LocationFormModal;
@@ -0,0 +1,139 @@
+import React, { Component } from 'react';
+import { connect } from 'react-redux';
+import { Button, Popconfirm, Table } from 'antd';
+import { i18n } from 'i18n';
+import actions from 'modules/location/locationActions';
+import selectors from 'modules/location/locationSelectors';
+import model from 'modules/location/locationModel';
+import TableWrapper from 'view/shared/styles/TableWrapper';
+import ButtonLink from 'view/shared/styles/ButtonLink';
+import Toolbar from 'view/shared/styles/Toolbar';
+import LocationFormModal from 'view/settings/location/LocationFormModal';
+
+const { fields } = model;
+
+class LocationList extends Component {
+  state = {
+    modalVisible: false,
+    selectedRecord: null,
+  };
+
+  componentDidMount() {
+    const { dispatch } = this.props;
+    dispatch(actions.doFetch());
+  }
+
+  doOpenModal = (record) => {
+    this.setState({
+      modalVisible: true,
+      selectedRecord: record || null,
+    });
+  };
+
+  doCloseModal = () => {
+    this.setState({
+      modalVisible: false,
+      selectedRecord: null,
+    });
+  };
+
+  doSave = async (data) => {
+    const { dispatch } = this.props;
+    const { selectedRecord } = this.state;
+
+    const record = await dispatch(
+      actions.doSave(
+        selectedRecord ? selectedRecord.id : null,
+        data,
+      ),
+    );
+
+    if (record) {
+      this.doCloseModal();
+    }
+  };
+
+  doDestroy = (id) => {
+    const { dispatch } = this.props;
+    dispatch(actions.doDestroy(id));
+  };
+
+  columns = [
+    fields.name.forTable(),
+    fields.address.forTable(),
+    {
+      title: '',
+      dataIndex: '',
+      width: '160px',
+      render: (_, record) => (
+        <div className="table-actions">
+          <ButtonLink
+            onClick={() => this.doOpenModal(record)}
+          >
+            {i18n('common.edit')}
+          </ButtonLink>
+          <Popconfirm
+            title={i18n('common.areYouSure')}
+            onConfirm={() => this.doDestroy(record.id)}
+            okText={i18n('common.yes')}
+            cancelText={i18n('common.no')}
+          >
+            <ButtonLink
+              disabled={this.props.destroyLoading}
+            >
+              {i18n('common.destroy')}
+            </ButtonLink>
+          </Popconfirm>
+        </div>
+      ),
+    },
+  ];
+
+  render() {
+    const { rows, loading, saveLoading } = this.props;
+
+    return (
+      <React.Fragment>
+        <Toolbar>
+          <Button
+            type="primary"
+            icon="plus"
+            onClick={() => this.doOpenModal()}
+          >
+            {i18n('common.new')}
+          </Button>
+        </Toolbar>
+
+        <TableWrapper>
+          <Table
+            rowKey="id"
+            loading={loading}
+            columns={this.columns}
+            dataSource={rows}
+            pagination={false}
+            scroll={{ x: true }}
+          />
+        </TableWrapper>
+
+        <LocationFormModal
+          visible={this.state.modalVisible}
+          record={this.state.selectedRecord}
+          loading={saveLoading}
+          onOk={this.doSave}
+          onCancel={this.doCloseModal}
+        />
+      </React.Fragment>
+    );
+  }
+}
+
+function select(state) {
+  return {
+    loading: selectors.selectLoading(state),
+    saveLoading: selectors.selectSaveLoading(state),
+    destroyLoading: selectors.selectDestroyLoading(state),
+    rows: selectors.selectRows(state),
+  };
+}
+
+export default connect(select)(LocationList);
@@ -0,0 +1,122 @@
+import { Button, Col, Form, Input, Row } from 'antd';
+import { FieldArray } from 'formik';
+import { i18n } from 'i18n';
+import PropTypes from 'prop-types';
+import React, { Component } from 'react';
+import _get from 'lodash/get';
+import { formItemLayout } from 'view/shared/styles/FormWrapper';
+
+class ObjectArrayFormItem extends Component {
+  itemError(form, index) {
+    if (!form.submitCount) {
+      return null;
+    }
+
+    const errors = _get(form.errors, [
+      this.props.name,
+      index,
+    ]);
+
+    if (!errors || typeof errors === 'string') {
+      return errors || null;
+    }
+
+    return Object.values(errors)[0];
+  }
+
+  renderItem(form, arrayHelpers, item, index) {
+    const { name, field } = this.props;
+    const error = this.itemError(form, index);
+    const span = Math.floor(22 / field.itemFields.length);
+
+    return (
+      <Form.Item
+        key={index}
+        validateStatus={error ? 'error' : 'success'}
+        help={error}
+        style={{ marginBottom: 8 }}
+      >
+        <Row gutter={8}>
+          {field.itemFields.map((itemField) => (
+            <Col key={itemField.name} span={span}>
+              <Input
+                placeholder={itemField.label}
+                value={item[itemField.name]}
+                onChange={(event) =>
+                  form.setFieldValue(
+                    `${name}.${index}.${itemField.name}`,
+                    event.target.value,
+                  )
+                }
+              />
+            </Col>
+          ))}
+          <Col span={2}>
+            <Button
+              icon="delete"
+              onClick={() => arrayHelpers.remove(index)}
+            />
+          </Col>
+        </Row>
+      </Form.Item>
+    );
+  }
+
+  render() {
+    const { name, label, field, hint } = this.props;
+
+    return (
+      <FieldArray
+        name={name}
+        render={(arrayHelpers) => {
+          const { form } = arrayHelpers;
+          const items = form.values[name] || [];
+
+          return (
+            <Form.Item
+              {...formItemLayout}
+              label={label}
+              help={hint}
+            >
+              {items.map((item, index) =>
+                this.renderItem(
+                  form,
+                  arrayHelpers,
+                  item,
+                  index,
+                ),
+              )}
+
+              <Button
+                type="dashed"
+                icon="plus"
+                onClick={() =>
+                  arrayHelpers.push(
+                    field.itemFields.reduce(
+                      (result, itemField) => {
+                        result[itemField.name] = '';
+                        return result;
+                      },
+                      {},
+                    ),
+                  )
+                }
+              >
+                {i18n('common.add')}
+              </Button>
+            </Form.Item>
+          );
+        }}
+      />
+    );
+  }
+}
+
+ObjectArrayFormItem.propTypes = {
+  name: PropTypes.string.isRequired,
+  label: PropTypes.string,
+  hint: PropTypes.string,
+  field: PropTypes.object.isRequired,
+};
+
+export default ObjectArrayFormItem;
@@ -37,6 +37,17 @@ class RoutesComponent extends Component {
     return this.props.currentUser;
   }
 
+  get newChildPath() {
+    if (
+      this.currentUser &&
+      this.currentUser.approvalPending
+    ) {
+      return '/auth/registration';
+    }
+
+    return '/child/new';
+  }
+
   render() {
     if (this.props.loading) {
       return <div />;
@@ -49,7 +60,7 @@ class RoutesComponent extends Component {
           path="/"
           render={() =>
             this.props.redirectToNewChild ? (
-              <Redirect to="/child/new" />
+              <Redirect to={this.newChildPath} />
             ) : (
               <Redirect to="/booking" />
             )
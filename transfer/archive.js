@@ -0,0 +1,380 @@
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT_VERSION = 1;
+
+const AUDITED = [
+  'createdAt',
+  'updatedAt',
+  'createdBy',
+  'updatedBy',
+];
+
+const FILE = [
+  'id',
+  'name',
+  'sizeInBytes',
+  'privateUrl',
+  'publicUrl',
+];
+
+const GUARDIAN = [
+  'id',
+  'name',
+  'relationship',
+  'phone',
+  'photo',
+];
+
+const LOCATION_ROLE = ['id', 'location', 'role'];
+
+// Entities in import order, with the fields of their neutral records
+const FIELDS = {
+  role: ['id', 'name', 'permissions', ...AUDITED],
+  location: ['id', 'name', 'address', ...AUDITED],
+  user: [
+    'id',
+    'email',
+    'firstName',
+    'lastName',
+    'fullName',
+    'phoneNumber',
+    'disabled',
+    'approvalPending',
+    'authenticationUid',
+    'importHash',
+    'roles',
+    'locationRoles',
+    'avatars',
+    ...AUDITED,
+  ],
+  child: [
+    'id',
+    'owner',
+    'location',
+    'name',
+    'type',
+    'birthdate',
+    'size',
+    'guardians',
+    'allergies',
+    'dietaryRestrictions',
+    'medications',
+    'doctorName',
+    'doctorPhone',
+    'emergencyContacts',
+    'importHash',
+    ...AUDITED,
+  ],
+  booking: [
+    'id',
+    'owner',
+    'location',
+    'child',
+    'arrival',
+    'departure',
+    'clientNotes',
+    'employeeNotes',
+    'photos',
+    'status',
+    'cancellationNotes',
+    'fee',
+    'feeBreakdown',
+    'ageGroup',
+    'amountPaid',
+    'balance',
+    'receipt',
+    'arrivalReminderSentAt',
+    'departureReminderSentAt',
+    'importHash',
+    ...AUDITED,
+  ],
+  payment: [
+    'id',
+    'booking',
+    'amount',
+    'method',
+    'paidAt',
+    'notes',
+    'createdAt',
+    'createdBy',
+  ],
+  invoice: [
+    'id',
+    'booking',
+    'number',
+    'issuedAt',
+    'amount',
+    'items',
+    ...AUDITED,
+  ],
+  attendance: [
+    'id',
+    'booking',
+    'child',
+    'checkInAt',
+    'checkOutAt',
+    'droppedOffBy',
+    'pickedUpBy',
+    'notes',
+    ...AUDITED,
+  ],
+  bookingStatusHistory: [
+    'id',
+    'booking',
+    'fromStatus',
+    'toStatus',
+    'createdById',
+    'createdByEmail',
+    'timestamp',
+  ],
+  dailyReportEntry: [
+    'id',
+    'booking',
+    'child',
+    'type',
+    'time',
+    'endTime',
+    'mealAmount',
+    'mood',
+    'toiletType',
+    'description',
+    'reportedAt',
+    ...AUDITED,
+  ],
+  notification: [
+    'id',
+    'user',
+    'type',
+    'data',
+    'readAt',
+    'createdAt',
+    'updatedAt',
+  ],
+  settings: [
+    'id',
+    'theme',
+    'dailyFee',
+    'capacityToddler',
+    'capacityPreschooler',
+    'capacitySchoolAged',
+    'pricingRules',
+    'minimumAge',
+    'maximumAge',
+    'arrivalReminderDays',
+    'reminderHour',
+    'dailyReportHour',
+    'selfRegistration',
+    ...AUDITED,
+  ],
+  emailTemplate: [
+    'id',
+    'template',
+    'language',
+    'subject',
+    'body',
+    ...AUDITED,
+  ],
+  outboxEmail: [
+    'id',
+    'to',
+    'subject',
+    'html',
+    'status',
+    'attempts',
+    'lastError',
+    'nextAttemptAt',
+    'sentAt',
+    'createdAt',
+    'updatedAt',
+  ],
+  staffDigest: [
+    'id',
+    'date',
+    'location',
+    'createdAt',
+    'updatedAt',
+  ],
+  auditLog: [
+    'id',
+    'entityName',
+    'entityId',
+    'action',
+    'createdById',
+    'createdByEmail',
+    'timestamp',
+    'values',
+  ],
+};
+
+const DATE_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'arrival',
+  'departure',
+  'arrivalReminderSentAt',
+  'departureReminderSentAt',
+  'timestamp',
+  'paidAt',
+  'issuedAt',
+  'checkInAt',
+  'checkOutAt',
+  'time',
+  'endTime',
+  'reportedAt',
+  'readAt',
+  'nextAttemptAt',
+  'sentAt',
+];
+
+function pick(record, fields) {
+  return fields.reduce((result, field) => {
+    result[field] =
+      record[field] === undefined ? null : record[field];
+    return result;
+  }, {});
+}
+
+function pickAll(items, fields) {
+  return (items || []).map((item) => pick(item, fields));
+}
+
+/**
+ * Backend neutral archive: a folder with a manifest.json and
+ * one NDJSON file per entity, dates as ISO strings.
+ *
+ * Shared by the transfer scripts of both backends, so it only
+ * requires Node modules.
+ */
+module.exports = class Archive {
+  static get ENTITIES() {
+    return Object.keys(FIELDS);
+  }
+
+  static normalize(entity, record) {
+    const result = pick(record, FIELDS[entity]);
+
+    if (entity === 'user') {
+      result.roles = result.roles || [];
+      result.locationRoles = pickAll(
+        result.locationRoles,
+        LOCATION_ROLE,
+      );
+      result.avatars = pickAll(result.avatars, FILE);
+    }
+
+    if (entity === 'child') {
+      result.guardians = pickAll(
+        result.guardians,
+        GUARDIAN,
+      ).map((guardian) => ({
+        ...guardian,
+        photo: pickAll(guardian.photo, FILE),
+      }));
+    }
+
+    if (entity === 'booking') {
+      result.photos = pickAll(result.photos, FILE);
+      result.receipt = pickAll(result.receipt, FILE);
+    }
+
+    return result;
+  }
+
+  // Plain JSON form of records, used to write and compare them
+  static serialize(record) {
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  static write(dir, source, records) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const counts = {};
+
+    this.ENTITIES.forEach((entity) => {
+      const rows = records[entity] || [];
+      counts[entity] = rows.length;
+
+      fs.writeFileSync(
+        path.join(dir, `${entity}.ndjson`),
+        rows
+          .map((row) => `${JSON.stringify(row)}\n`)
+          .join(''),
+      );
+    });
+
+    const manifest = {
+      formatVersion: FORMAT_VERSION,
+      source,
+      exportedAt: new Date().toISOString(),
+      counts,
+    };
+
+    fs.writeFileSync(
+      path.join(dir, 'manifest.json'),
+      JSON.stringify(manifest, null, 2),
+    );
+
+    return manifest;
+  }
+
+  static read(dir) {
+    const manifest = JSON.parse(
+      fs.readFileSync(
+        path.join(dir, 'manifest.json'),
+        'utf8',
+      ),
+    );
+
+    if (manifest.formatVersion !== FORMAT_VERSION) {
+      throw new Error(
+        `Unsupported archive format ${
+          manifest.formatVersion
+        }`,
+      );
+    }
+
+    const records = {};
+
+    this.ENTITIES.forEach((entity) => {
+      // Archives written before the entity was archived
+      if (manifest.counts[entity] === undefined) {
+        records[entity] = [];
+        return;
+      }
+
+      records[entity] = fs
+        .readFileSync(
+          path.join(dir, `${entity}.ndjson`),
+          'utf8',
+        )
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => this.revive(JSON.parse(line)));
+
+      if (
+        records[entity].length !== manifest.counts[entity]
+      ) {
+        throw new Error(
+          `${entity}.ndjson has ${
+            records[entity].length
+          } records, the manifest expects ${
+            manifest.counts[entity]
+          }`,
+        );
+      }
+    });
+
+    return { manifest, records };
+  }
+
+  static revive(record) {
+    return Object.keys(record).reduce((result, key) => {
+      result[key] =
+        DATE_FIELDS.includes(key) && record[key]
+          ? new Date(record[key])
+          : record[key];
+      return result;
+    }, {});
+  }
+};
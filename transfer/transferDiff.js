@@ -0,0 +1,117 @@
+const Archive = require('./archive');
+
+const SAMPLES = 10;
+
+// Deep equality of serialized records, whatever their key order
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (
+    !a ||
+    !b ||
+    typeof a !== 'object' ||
+    typeof b !== 'object' ||
+    Array.isArray(a) !== Array.isArray(b)
+  ) {
+    return false;
+  }
+
+  const keys = Object.keys(a);
+
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(
+      (key) =>
+        Object.prototype.hasOwnProperty.call(b, key) &&
+        isEqual(a[key], b[key]),
+    )
+  );
+}
+
+/**
+ * Compares, by id, the records about to be imported with the
+ * ones already stored at the target.
+ */
+module.exports = class TransferDiff {
+  static compare(incoming, existing) {
+    return Archive.ENTITIES.map((entity) => {
+      const current = {};
+
+      (existing[entity] || []).forEach((record) => {
+        const previous = Archive.serialize(record);
+        current[previous.id] = previous;
+      });
+
+      const result = {
+        entity,
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        targetOnly: 0,
+        changes: [],
+      };
+
+      const incomingIds = new Set();
+
+      (incoming[entity] || []).forEach((record) => {
+        const next = Archive.serialize(record);
+        const previous = current[next.id];
+
+        incomingIds.add(next.id);
+
+        if (!previous) {
+          result.created++;
+          return;
+        }
+
+        const fields = Object.keys(next).filter(
+          (field) => !isEqual(next[field], previous[field]),
+        );
+
+        if (!fields.length) {
+          result.unchanged++;
+          return;
+        }
+
+        result.updated++;
+        result.changes.push({ id: next.id, fields });
+      });
+
+      result.targetOnly = Object.keys(current).filter(
+        (id) => !incomingIds.has(id),
+      ).length;
+
+      return result;
+    });
+  }
+
+  static format(report) {
+    const lines = [];
+
+    report.forEach((item) => {
+      lines.push(
+        `${item.entity}: ${item.created} to create, ${
+          item.updated
+        } to update, ${item.unchanged} unchanged, ${
+          item.targetOnly
+        } only at the target`,
+      );
+
+      item.changes.slice(0, SAMPLES).forEach((change) => {
+        lines.push(
+          `  ~ ${change.id}: ${change.fields.join(', ')}`,
+        );
+      });
+
+      if (item.changes.length > SAMPLES) {
+        lines.push(
+          `  ... and ${item.changes.length - SAMPLES} more`,
+        );
+      }
+    });
+
+    return lines.join('\n');
+  }
+};